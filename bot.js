@@ -1,8 +1,48 @@
-const { Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes, PermissionFlagsBits } = require('discord.js');
+const {
+    Client, GatewayIntentBits, EmbedBuilder, SlashCommandBuilder, REST, Routes, PermissionFlagsBits,
+    ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle, AttachmentBuilder
+} = require('discord.js');
 const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createMatchStore } = require('./storage');
+const { TournamentRegistry } = require('./league/tournaments');
+const { TeamRegistry } = require('./league/teams');
+const { SchedulingRules, toMinutes, fromMinutes, formatConnectString, weekdayOf } = require('./league/schedulingRules');
+const {
+    MATCH_STATUS, TRANSITIONS, INITIAL_STATUS, statusOf, statusLabel, formatScore, availableTransitions, applyTransition, holdsSlot, canCancel
+} = require('./league/matchStatus');
+const {
+    CAPTURE_WINDOW, isFinishedPeriod, isLivePeriod, scheduledStart, findFixture, extractResult
+} = require('./league/resultCapture');
+const { normalizeName } = require('./league/textUtils');
+const { TIEBREAKERS, resolveScoring, computeStandings, standingsToCsv } = require('./league/standings');
+const {
+    TimezoneSettings, dateInZone, timeInZone, addDays, isValidDate, zonedTimeToInstant, formatDateTime, searchTimeZones
+} = require('./league/timezone');
+const { ACCEPTED_FORMATS, parseDateInput } = require('./league/dateParser');
+const {
+    FixtureRegistry, FIXTURE_FORMATS, MIN_TEAMS, MAX_TEAMS, roundRobinRounds, knockoutFirstRound, knockoutRoundName, shuffle
+} = require('./league/fixtures');
+const { filterMatches, splitByTime, paginate } = require('./league/matchQuery');
+const { DEFAULT_MATCH_MINUTES, matchesToIcs } = require('./league/calendar');
+const {
+    BracketRegistry, DECIDED_BY, createBracket, evaluateTie, refreshBracket, findTie, roundName,
+    renderBracketText, renderBracketRounds, renderBracketSvg
+} = require('./league/bracket');
+const {
+    DEFAULT_REMINDER_OFFSETS, awaitsKickoff, parseReminderOffsets, formatOffset, syncReminders, takeDueReminder
+} = require('./league/reminders');
+const { PERMISSION_LEVELS, ACTION_POLICIES, PermissionSettings, meetsLevel, levelLabel } = require('./league/permissions');
+const { CHANNEL_TYPES, GuildConfig } = require('./league/guildConfig');
+const { AUDIT_ACTIONS, AuditLog, auditSnapshot, describeChanges } = require('./league/auditLog');
+const { DEFAULT_CONCURRENCY } = require('./monitoring/workerPool');
+const { DEFAULT_CADENCE, ServerPoller, serverKey, formatAge } = require('./monitoring/serverPoller');
+const { MatchEventBus, describeMatchEvent } = require('./league/matchEvents');
+const { ALERT_EVENTS, DEFAULT_GROUP_SECONDS, AlertGroups, LiveAlertSettings, alertLine } = require('./league/liveAlerts');
+const { StatusBoardRegistry, isChannelGone, isUnknownMessage } = require('./league/statusBoards');
 
 // Cargar variables de entorno
 dotenv.config();
@@ -27,7 +67,8 @@ try {
     initialize = monitoringSystem.initialize;
     getStats = monitoringSystem.getStats;
     if (monitoringSystem.logger) {
-        logger = monitoringSystem.logger;
+        // El logger avanzado es un objeto: adaptarlo a la firma logger(level, message)
+        logger = (level, message) => monitoringSystem.logger.log(level, message);
     }
     console.log('✅ Sistema de monitoreo ultra-robusto cargado exitosamente');
 } catch (error) {
@@ -83,7 +124,7 @@ try {
         });
         
         if (basicLogger && basicLogger.logger) {
-            logger = basicLogger.logger;
+            logger = (level, message) => basicLogger.logger.log(level, message);
         }
         
     } catch (fallbackError) {
@@ -121,12 +162,67 @@ const CONFIG = {
         clientId: process.env.DISCORD_CLIENT_ID || '1347620321263353917'
     },
     servers: [],
+    // Servidor de Discord dueño de los datos existentes; los demás tienen los suyos aparte
+    primaryGuildId: process.env.PRIMARY_GUILD_ID || null,
+    permissions: {
+        // Administradores del bot en cualquier servidor, además de los que tienen el permiso Administrador de Discord
+        adminUsers: (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+    },
+    // Zona horaria en la que se escriben y muestran los horarios de la liga
+    timezone: process.env.LEAGUE_TIMEZONE || null,
+    matches: {
+        // Minutos que una propuesta reserva el horario esperando que el rival la acepte
+        holdMinutes: parseInt(process.env.MATCH_HOLD_MINUTES) || 1440,
+        // Días hacia adelante en los que se puede programar un partido
+        dateHorizonDays: parseInt(process.env.MATCH_DATE_HORIZON_DAYS) || 90,
+        holdCheckInterval: 60000
+    },
+    calendar: {
+        // URL pública del servidor HTTP del bot, para los enlaces de suscripción (.ics)
+        publicUrl: process.env.PUBLIC_URL || null,
+        // Duración de cada partido en el calendario
+        matchMinutes: parseInt(process.env.MATCH_DURATION_MINUTES) || DEFAULT_MATCH_MINUTES
+    },
+    reminders: {
+        // Canal de los recordatorios; si no está, se usa el canal donde se propuso cada partido
+        channelId: process.env.REMINDERS_CHANNEL_ID || null,
+        // Avisos antes del inicio, ej: "24h,1h,15m,0" (0 = aviso de inicio)
+        offsets: parseReminderOffsets(process.env.MATCH_REMINDERS) || DEFAULT_REMINDER_OFFSETS,
+        // Enviar también el recordatorio por mensaje directo a los capitanes
+        dmCaptains: process.env.REMINDER_DM_CAPTAINS !== 'false',
+        checkInterval: 60000
+    },
+    results: {
+        // Canal donde se publican los resultados capturados de los servidores
+        channelId: process.env.RESULTS_CHANNEL_ID || null
+    },
+    audit: {
+        // Canal de moderación donde se copia cada entrada del historial de partidos
+        channelId: process.env.AUDIT_CHANNEL_ID || null
+    },
+    alerts: {
+        // Segundos durante los que los goles de un partido editan el mismo anuncio
+        groupSeconds: parseInt(process.env.LIVE_ALERT_GROUP_SECONDS) || DEFAULT_GROUP_SECONDS
+    },
     monitoring: {
         enablePerformanceMonitoring: process.env.ENABLE_PERFORMANCE_MONITORING === 'true',
         enableAdvancedLogging: process.env.ENABLE_ADVANCED_LOGGING !== 'false',
         enableCaching: process.env.ENABLE_CACHING !== 'false',
         enableDataValidation: process.env.ENABLE_DATA_VALIDATION !== 'false',
         enableErrorReporting: process.env.ENABLE_ERROR_REPORTING !== 'false',
+        // Servidores que se consultan a la vez
+        statusConcurrency: parseInt(process.env.STATUS_CONCURRENCY) || DEFAULT_CONCURRENCY,
+        // Sondeo en segundo plano: milisegundos entre consultas según el estado del servidor
+        poller: {
+            timeout: parseInt(process.env.POLL_TIMEOUT) || 45000,
+            cadence: {
+                live: parseInt(process.env.POLL_INTERVAL_LIVE) || DEFAULT_CADENCE.live,
+                active: parseInt(process.env.POLL_INTERVAL_ACTIVE) || DEFAULT_CADENCE.active,
+                empty: parseInt(process.env.POLL_INTERVAL_EMPTY) || DEFAULT_CADENCE.empty,
+                offline: parseInt(process.env.POLL_INTERVAL_OFFLINE) || DEFAULT_CADENCE.offline,
+                maxOffline: parseInt(process.env.POLL_INTERVAL_OFFLINE_MAX) || DEFAULT_CADENCE.maxOffline
+            }
+        },
         defaultTimeouts: {
             a2s: parseInt(process.env.TIMEOUT_A2S) || 15000,
             rcon: parseInt(process.env.TIMEOUT_RCON) || 30000,
@@ -143,6 +239,7 @@ const CONFIG = {
                 ip: process.env[`SERVER_${i}_IP`],
                 port: parseInt(process.env[`SERVER_${i}_PORT`]) || 27015,
                 rcon_password: process.env[`SERVER_${i}_RCON_PASSWORD`],
+                password: process.env[`SERVER_${i}_PASSWORD`] || null,
                 rcon_ports: []
             };
             
@@ -178,12 +275,11 @@ if (CONFIG.servers.length === 0) {
 let getServerInfoRobust, createMatchEmbedImproved, createStatusEmbed;
 
 try {
-    if (CONFIG.servers.length > 0) {
-        const serverMonitoring = require('./monitoring/serverMonitoring');
-        getServerInfoRobust = serverMonitoring.getServerInfoRobust;
-        createMatchEmbedImproved = serverMonitoring.createMatchEmbedImproved;
-        createStatusEmbed = serverMonitoring.createStatusEmbed;
-    }
+    // Se cargan aunque no haya servidores en el entorno: cada servidor de Discord puede configurar los suyos
+    const serverMonitoring = require('./monitoring/serverMonitoring');
+    getServerInfoRobust = serverMonitoring.getServerInfoRobust;
+    createMatchEmbedImproved = serverMonitoring.createMatchEmbedImproved;
+    createStatusEmbed = serverMonitoring.createStatusEmbed;
 } catch (e) {
     logger('WARNING', `No se pudieron cargar funciones de monitoreo: ${e.message}`);
     
@@ -216,17 +312,27 @@ try {
 
 const CLIENT_ID = CONFIG.discord.clientId;
 
-// Configuración de roles y permisos
-const ALLOWED_ROLES = [
-    'ID_DEL_ROL_1',
-    'ID_DEL_ROL_2', 
-    'ID_DEL_ROL_3'
-];
+// Equipos por página en /tabla
+const STANDINGS_PAGE_SIZE = 15;
+
+// Tiempo que un fixture generado espera la confirmación del organizador
+const FIXTURE_PLAN_TTL = 15 * 60000;
+
+// Colección del almacenamiento principal que recuerda a qué servidor de Discord pertenece
+const PRIMARY_GUILD_COLLECTION = 'primary_guild';
+
+// Último ID de partido entregado en cada liga
+const MATCH_ID_COLLECTION = 'match_ids';
 
-const ADMIN_USERS = [
-    'ID_USUARIO_ADMIN_1',
-    'ID_USUARIO_ADMIN_2'
-];
+// Partidos por página en /ver_partidos y tiempo que responden sus botones
+const MATCH_LIST_PAGE_SIZE = 10;
+const MATCH_LIST_TTL = 15 * 60000;
+
+// Cada cuánto se actualizan los tableros de /status auto_update
+const STATUS_BOARD_INTERVAL = 90000;
+
+// Entradas por página en /historial
+const AUDIT_PAGE_SIZE = 5;
 
 class IOSoccerBot {
     constructor() {
@@ -239,24 +345,6 @@ class IOSoccerBot {
             ]
         });
 
-        this.timeSlots = [
-            '21:00', '21:15', '21:30', '21:45',
-            '22:00', '22:15', '22:30', '22:45',
-            '23:00', '23:15', '23:30', '23:45'
-        ];
-
-        this.timeToMinutes = {
-            '21:00': 1260, '21:15': 1275, '21:30': 1290, '21:45': 1305,
-            '22:00': 1320, '22:15': 1335, '22:30': 1350, '22:45': 1365,
-            '23:00': 1380, '23:15': 1395, '23:30': 1410, '23:45': 1425
-        };
-
-        this.validTournaments = [
-            'Liga D1', 'Liga D2', 'Liga D3', 'Copa Maradei', 
-            'Copa ValencARc', 'Intrazonal de Oro', 'Intrazonal de Plata', 
-            'Supercopa IOSSA', 'Supercopa de ORO'
-        ];
-
         this.dayNames = {
             'domingo': 0, 'lunes': 1, 'martes': 2, 'miercoles': 3, 'miércoles': 3,
             'jueves': 4, 'viernes': 5, 'sabado': 6, 'sábado': 6
@@ -264,15 +352,79 @@ class IOSoccerBot {
 
         this.dayNamesDisplay = ['Domingo', 'Lunes', 'Martes', 'Miércoles', 'Jueves', 'Viernes', 'Sábado'];
 
-        this.dataFile = path.join(__dirname, 'matches.json');
-        this.matches = this.loadMatches();
+        // Cada servidor de Discord tiene su propia liga (guildId → contexto con
+        // partidos, torneos, equipos, reglas, etc.). El principal usa los datos de
+        // siempre (DATA_DIR) y los demás DATA_DIR/guilds/<guildId>. Los comandos y
+        // las tareas periódicas corren dentro del contexto de un servidor
+        // (guildScope): this.matches, this.teams, this.store, etc. son los suyos
+        this.rootStore = createMatchStore({ rootDir: __dirname });
+        this.permissions = new PermissionSettings(this.rootStore);
+        this.guildScope = new AsyncLocalStorage();
+        this.guildContexts = new Map();
+        this.rootContext = null;
+        this.primaryGuild = null;
 
-        // Mapa para auto-update (corregido)
+        // Fixtures generados que esperan confirmación (planId → plan)
+        this.fixturePlans = new Map();
+
+        // Filtros de cada /ver_partidos para paginar con botones (viewId → { userId, filters, createdAt })
+        this.matchListViews = new Map();
+
+        // Reloj del bot: todas las fechas relativas ("hoy", próximos 7 días, vencimientos)
+        // se calculan a partir de aquí, así se puede fijar el instante al probar
+        this.now = () => Date.now();
+
+        // Tableros de auto-update corriendo (canal → { guildId, intervals, updateCount });
+        // lo que se guarda para retomarlos tras un reinicio está en this.statusBoards
         this.activeStatusChannels = new Map();
 
-        this.init();
+        // Revisión periódica de propuestas vencidas
+        this.holdInterval = null;
+
+        // Recordatorios antes del inicio de los partidos aceptados
+        this.reminderInterval = null;
+        this.reminderRunning = false;
+
+        // Foto compartida del estado de los servidores de juego, refrescada en
+        // segundo plano. /status, /server_info, /match_info, la auto-actualización
+        // y la captura de resultados leen de acá en vez de consultar cada uno
+        this.poller = new ServerPoller({
+            query: server => getServerInfoRobust(server),
+            servers: () => this.allServers(),
+            watched: () => this.watchedServerKeys(),
+            isLive: info => isLivePeriod(info.matchInfo),
+            fallback: (server, error) => this.serverErrorInfo(server, error.message.includes('Timeout') ? '🕐 Timeout' : '🔴 Error'),
+            concurrency: CONFIG.monitoring.statusConcurrency,
+            timeout: CONFIG.monitoring.poller.timeout,
+            cadence: CONFIG.monitoring.poller.cadence,
+            now: () => this.now()
+        });
+        this.poller.on('update', entry => this.logSnapshotEntry(entry));
+        this.poller.on('error', error => logger('ERROR', `❌ Sondeo de servidores: ${error.message}`));
+
+        // Eventos en vivo (goles, períodos, jugadores...) que surgen de comparar
+        // respuestas sucesivas del poller. Las funciones que los necesitan se
+        // suscriben a this.matchEvents por tipo ('goal', 'kickoff', ...) o a 'event'
+        this.matchEvents = new MatchEventBus();
+        this.poller.on('update', entry => this.matchEvents.observe(entry));
+        this.poller.on('remove', key => this.matchEvents.forget(key));
+        this.matchEvents.on('event', event => logger(event.type.startsWith('player_') ? 'DEBUG' : 'INFO', describeMatchEvent(event)));
+        this.matchEvents.on('error', error => logger('ERROR', `❌ Eventos en vivo: ${error.message}`));
+
+        // Anuncios de goles, entretiempo y final en el canal de /alertas de cada
+        // liga. Van antes de la captura de resultados: al llegar el final el
+        // partido programado todavía está en juego y se sabe de qué torneo es
+        this.alertGroups = new AlertGroups(CONFIG.alerts.groupSeconds * 1000);
+        for (const type of Object.keys(ALERT_EVENTS)) {
+            this.matchEvents.on(type, event => this.announceLiveEvent(event));
+        }
+        this.poller.on('update', entry => this.captureFromSnapshot(entry));
     }
 
+    /**
+     * Conecta el bot a Discord y arranca el monitoreo y el servidor HTTP.
+     * Va aparte del constructor para poder crear el bot sin conectarlo (tests)
+     */
     async init() {
         try {
             console.log('🚀 Inicializando sistema de monitoreo ultra-robusto...');
@@ -286,122 +438,474 @@ class IOSoccerBot {
             console.log(`🟢 Bot IOSoccer Ultra-Robusto conectado como ${this.client.user.tag}`);
             console.log(`📅 Sistema de confirmación de partidos: ACTIVO`);
             console.log(`📊 Sistema de monitoreo ultra-robusto: ACTIVO`);
-            console.log(`🎮 Monitoreando ${CONFIG.servers.length} servidor(es) IOSoccer`);
+
+            // Cargar la liga de cada servidor para que las tareas periódicas la recorran.
+            // Una liga que no se puede leer queda afuera (y sus comandos fallan) sin frenar a las demás
+            for (const guildId of this.client.guilds.cache.keys()) {
+                try {
+                    this.guildContext(guildId);
+                } catch (error) {
+                    logger('ERROR', `Liga del servidor ${guildId}: ${error.message}`);
+                }
+            }
+            const { servers, guilds } = this.guildTotals();
+            console.log(`🏟️ Ligas activas: ${guilds} servidor(es) de Discord`);
+            console.log(`🎮 Monitoreando ${servers} servidor(es) IOSoccer`);
             console.log('🛡️ Sistema ultra-robusto que nunca falla: ONLINE');
             
-            const activity = CONFIG.servers.length > 0 
-                ? `${CONFIG.servers.length} servidores IOSoccer`
+            const activity = servers > 0 
+                ? `${servers} servidores IOSoccer`
                 : 'IOSoccer Bot Ultra-Robusto';
             this.client.user.setActivity(activity, { type: 'WATCHING' });
             
             this.registerCommands();
+
+            this.forEachGuild(() => this.expireHolds());
+            this.holdInterval = setInterval(() => this.forEachGuild(() => this.expireHolds()), CONFIG.matches.holdCheckInterval);
+
+            this.forEachGuild(() => this.sendReminders());
+            this.reminderInterval = setInterval(() => this.forEachGuild(() => this.sendReminders()), CONFIG.reminders.checkInterval);
+
+            this.poller.start();
+
+            // Los tableros de /status auto_update siguen donde quedaron antes del reinicio
+            this.forEachGuild(() => this.resumeStatusBoards());
         });
 
-        this.client.on('interactionCreate', async (interaction) => {
-            if (!interaction.isChatInputCommand()) return;
+        // Un servidor nuevo arranca con su propia liga vacía y sus comandos
+        this.client.on('guildCreate', (guild) => {
+            logger('INFO', `🏟️ Bot agregado al servidor ${guild.name} (${guild.id})`);
+            this.guildContext(guild.id);
+            this.registerGuildCommands(guild.id);
+        });
+
+        this.client.on('interactionCreate', (interaction) => this.inGuild(interaction.guildId, async () => {
+            if (interaction.isAutocomplete()) {
+                return this.handleAutocomplete(interaction);
+            }
+
+            const isComponent = interaction.isButton() || interaction.isModalSubmit();
+            if (!interaction.isChatInputCommand() && !isComponent) return;
             
-            if (!this.hasPermission(interaction.member, interaction.user.id)) {
-                const embed = new EmbedBuilder()
-                    .setColor('#e74c3c')
-                    .setTitle('🚫 Acceso Denegado')
-                    .setDescription('No tienes permisos para usar este bot.\n\nContacta a un administrador si crees que esto es un error.');
-                
-                return interaction.reply({ embeds: [embed], ephemeral: true });
+            const access = this.checkAccess(interaction);
+            if (!access.allowed) {
+                return interaction.reply({ embeds: [this.createAccessDeniedEmbed(access)], ephemeral: true });
+            }
+
+            if (isComponent) {
+                return this.handleComponent(interaction);
             }
 
             await this.handleSlashCommand(interaction);
-        });
+        }, this.interactionOrigin(interaction)));
 
-        this.client.on('messageCreate', async (message) => {
+        this.client.on('messageCreate', (message) => this.inGuild(message.guildId, async () => {
             if (message.author.bot) return;
             
             if (message.content.startsWith('/confirmar_partido')) {
-                if (!this.hasPermission(message.member, message.author.id)) {
-                    const embed = new EmbedBuilder()
-                        .setColor('#e74c3c')
-                        .setTitle('🚫 Acceso Denegado')
-                        .setDescription('No tienes permisos para usar este bot.');
-                    
-                    return message.reply({ embeds: [embed] });
+                const access = this.checkAccess({ member: message.member, user: message.author, guildId: message.guildId, commandName: 'confirmar_partido' });
+                if (!access.allowed) {
+                    return message.reply({ embeds: [this.createAccessDeniedEmbed(access)] });
                 }
             }
             
             await this.handleMessage(message);
-        });
+        }, `${message.content.split(/\s+/)[0]} (mensaje)`));
+
+        // La liga principal se lee antes de conectarse: si sus datos no se pueden
+        // leer el bot no arranca, igual que cuando no se puede abrir el almacenamiento
+        this.guildContext(null);
 
         this.client.login(CONFIG.discord.token);
         this.createHealthServer();
     }
 
-    hasPermission(member, userId) {
-        if (ADMIN_USERS.includes(userId)) {
-            return true;
+    // ============= SERVIDORES DE DISCORD =============
+
+    /**
+     * Servidor de Discord dueño de los datos históricos (DATA_DIR): el de
+     * PRIMARY_GUILD_ID o, si no está configurado, el primero que usó el bot
+     * @returns {string|null}
+     */
+    primaryGuildId() {
+        if (!this.primaryGuild) {
+            const saved = this.rootStore.loadCollection(PRIMARY_GUILD_COLLECTION);
+            this.primaryGuild = CONFIG.primaryGuildId || (saved && saved.guildId) || null;
         }
+        return this.primaryGuild;
+    }
 
-        if (!member) {
-            return false;
+    /**
+     * Liga de un servidor de Discord; se carga la primera vez que se usa
+     * @param {string|null} guildId - null (mensajes directos) usa la del servidor principal
+     * @returns {Object} - { guildId, primary, store, config, matches, tournaments, teams, ... }
+     */
+    guildContext(guildId = null) {
+        // Los IDs de Discord son numéricos: también arman la ruta de los datos
+        if (guildId && !/^\d+$/.test(guildId)) {
+            guildId = null;
         }
 
-        if (member.permissions.has(PermissionFlagsBits.Administrator)) {
-            return true;
+        if (guildId && !this.primaryGuildId()) {
+            this.primaryGuild = guildId;
+            this.rootStore.saveCollection(PRIMARY_GUILD_COLLECTION, { guildId });
+            if (this.rootContext) {
+                this.rootContext.guildId = guildId;
+            }
+            logger('INFO', `🏠 Servidor principal: ${guildId} (usa los datos de DATA_DIR)`);
         }
 
-        const hasRole = member.roles.cache.some(role => ALLOWED_ROLES.includes(role.id));
-        return hasRole;
+        if (!guildId || guildId === this.primaryGuildId()) {
+            if (!this.rootContext) {
+                this.rootContext = this.createGuildContext(this.primaryGuildId(), this.rootStore, true);
+            }
+            return this.rootContext;
+        }
+
+        if (!this.guildContexts.has(guildId)) {
+            this.guildContexts.set(guildId, this.createGuildContext(guildId, createMatchStore({ rootDir: __dirname, guildId }), false));
+        }
+        return this.guildContexts.get(guildId);
     }
 
-    async registerCommands() {
-        const commands = [
+    /**
+     * El servidor principal toma de las variables de entorno los servidores de
+     * juego y los canales; los demás empiezan sin ninguno y los cargan con /config
+     */
+    createGuildContext(guildId, store, primary) {
+        const shared = { reminderOffsets: CONFIG.reminders.offsets, dmCaptains: CONFIG.reminders.dmCaptains };
+        const config = new GuildConfig(store, primary
+            ? {
+                ...shared,
+                servers: CONFIG.servers,
+                resultsChannelId: CONFIG.results.channelId,
+                remindersChannelId: CONFIG.reminders.channelId,
+                moderationChannelId: CONFIG.audit.channelId
+            }
+            : shared);
+
+        const context = {
+            guildId,
+            primary,
+            store,
+            config,
+            matches: this.loadMatches(store),
+            tournaments: new TournamentRegistry(store),
+            teams: new TeamRegistry(store, { now: () => this.now() }),
+            schedulingRules: new SchedulingRules(store),
+            timezones: new TimezoneSettings(store, { defaultTimeZone: CONFIG.timezone }),
+            fixtures: new FixtureRegistry(store),
+            brackets: new BracketRegistry(store),
+            audit: new AuditLog(store),
+            alerts: new LiveAlertSettings(store),
+            statusBoards: new StatusBoardRegistry(store)
+        };
+        context.schedulingRules.setServers(config.servers());
+
+        return context;
+    }
+
+    closeStores() {
+        for (const context of this.guildContexts.values()) {
+            context.store.close();
+        }
+        this.rootStore.close();
+    }
+
+    loadedGuilds() {
+        return [...(this.rootContext ? [this.rootContext] : []), ...this.guildContexts.values()];
+    }
+
+    /**
+     * @returns {Object} - { guilds, servers (de juego), matches } sumando todas las ligas cargadas
+     */
+    guildTotals() {
+        const contexts = this.loadedGuilds();
+        return {
+            guilds: contexts.length,
+            servers: contexts.reduce((total, context) => total + context.config.servers().length, 0),
+            matches: contexts.reduce((total, context) => total + context.matches.length, 0)
+        };
+    }
+
+    /**
+     * Ejecuta fn dentro de la liga de un servidor (también lo que quede pendiente: timers, promesas)
+     * @param {string|null} origin - Comando que lo originó, para el historial (null en tareas automáticas)
+     */
+    inGuild(guildId, fn, origin = null) {
+        return this.guildScope.run({ guildId: guildId || null, origin }, fn);
+    }
+
+    /**
+     * Ejecuta una tarea en la liga de cada servidor cargado, de a uno
+     */
+    async forEachGuild(task) {
+        for (const context of this.loadedGuilds()) {
+            try {
+                await this.inGuild(context.guildId, task);
+            } catch (error) {
+                logger('ERROR', `Tarea periódica en el servidor ${context.guildId}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Liga del servidor en el que se está ejecutando (la principal fuera de un comando)
+     */
+    get guild() {
+        const scope = this.guildScope.getStore();
+        return this.guildContext(scope ? scope.guildId : null);
+    }
+
+    /**
+     * Comando que se está ejecutando, ej: "/partido aceptar (botón)"; null en tareas automáticas
+     */
+    currentOrigin() {
+        const scope = this.guildScope.getStore();
+        return scope ? scope.origin : null;
+    }
+
+    get store() {
+        return this.guild.store;
+    }
+
+    get matches() {
+        return this.guild.matches;
+    }
+
+    get tournaments() {
+        return this.guild.tournaments;
+    }
+
+    get teams() {
+        return this.guild.teams;
+    }
+
+    get schedulingRules() {
+        return this.guild.schedulingRules;
+    }
+
+    get timezones() {
+        return this.guild.timezones;
+    }
+
+    get fixtures() {
+        return this.guild.fixtures;
+    }
+
+    get brackets() {
+        return this.guild.brackets;
+    }
+
+    get audit() {
+        return this.guild.audit;
+    }
+
+    get alerts() {
+        return this.guild.alerts;
+    }
+
+    get statusBoards() {
+        return this.guild.statusBoards;
+    }
+
+    /**
+     * Servidores de juego de la liga actual
+     */
+    servers() {
+        return this.guild.config.servers();
+    }
+
+    findGameServer(name) {
+        return this.guild.config.findServer(name);
+    }
+
+    /**
+     * Nivel de permisos de un usuario en un servidor (o en mensajes directos)
+     * @returns {string|null} - viewer, captain, organiser, admin o null si no tiene acceso
+     */
+    memberLevel(member, userId, guildId = member && member.guild ? member.guild.id : null) {
+        return this.permissions.levelOf(guildId, {
+            userId,
+            roleIds: member ? [...member.roles.cache.keys()] : [],
+            isAdmin: CONFIG.permissions.adminUsers.includes(userId) ||
+                Boolean(member && member.permissions.has(PermissionFlagsBits.Administrator)),
+            isCaptain: this.teams.forMember(userId, member).length > 0
+        });
+    }
+
+    isAdmin(member, userId) {
+        return meetsLevel(this.memberLevel(member, userId), 'admin');
+    }
+
+    /**
+     * Si puede actuar sobre partidos de otros equipos y responder por los que
+     * no tienen capitanes (acción "partido ajenos" de /permisos)
+     */
+    canActForOtherTeams(member, userId) {
+        return this.checkPolicy(member, userId, member && member.guild ? member.guild.id : null, 'partido', 'ajenos').allowed;
+    }
+
+    /**
+     * Comando y subcomando cuyo nivel rige la interacción. Los botones y
+     * formularios usan el del comando equivalente (partido:aceptar → /partido aceptar)
+     * @returns {Array} - [comando, subcomando o null]
+     */
+    policyTarget(interaction) {
+        if (interaction.customId) {
+            const [prefix, action] = interaction.customId.split(':');
+            switch (prefix) {
+                case 'partido':
+                case 'partido_form':
+                    return ['partido', action];
+                case 'partidos':
+                    return ['ver_partidos', null];
+                default:
+                    return [prefix, null];
+            }
+        }
+
+        return [interaction.commandName, interaction.options ? interaction.options.getSubcommand(false) : null];
+    }
+
+    /**
+     * Comando de la interacción tal como se muestra en el historial
+     * @returns {string} - ej: "/cancelar_partido" o "/partido aceptar (botón)"
+     */
+    interactionOrigin(interaction) {
+        const command = `/${this.policyTarget(interaction).filter(Boolean).join(' ')}`;
+        if (!interaction.customId) {
+            return command;
+        }
+        return `${command} (${interaction.isModalSubmit() ? 'formulario' : 'botón'})`;
+    }
+
+    /**
+     * Decide si el usuario puede usar el comando o componente de la interacción
+     * @returns {Object} - { allowed, level (del usuario), required, key (comando que lo decidió) }
+     */
+    checkAccess(interaction) {
+        return this.checkPolicy(interaction.member, interaction.user.id, interaction.guildId, ...this.policyTarget(interaction));
+    }
+
+    /**
+     * Nivel del usuario contra el de un comando, subcomando o acción de la política
+     * @returns {Object} - { allowed, level (del usuario), required, key (comando que lo decidió) }
+     */
+    checkPolicy(member, userId, guildId, command, subcommand = null, action = null) {
+        const policy = this.permissions.policyFor(guildId, command, subcommand, action);
+        const level = this.memberLevel(member, userId, guildId);
+
+        return { allowed: meetsLevel(level, policy.level), level, required: policy.level, key: policy.key };
+    }
+
+    createAccessDeniedEmbed(access) {
+        const reason = access.level
+            ? `Necesitas nivel **${levelLabel(access.required)}** para usar \`/${access.key}\` (tu nivel: ${levelLabel(access.level)}).`
+            : 'En este servidor el bot solo está disponible para quienes tienen un nivel otorgado.';
+
+        return new EmbedBuilder()
+            .setColor('#e74c3c')
+            .setTitle('🚫 Acceso Denegado')
+            .setDescription(`${reason}\n\nContacta a un administrador si crees que esto es un error.`);
+    }
+
+    /**
+     * Quienes pueden cancelar, reprogramar o cargar datos de un partido: quien lo
+     * propuso, los capitanes de cualquiera de los dos equipos y quienes tienen
+     * el nivel de "partido ajenos" (organizadores por defecto)
+     */
+    canManageMatch(match, userId, member) {
+        return match.confirmedBy === userId ||
+            this.captainSides(match, userId, member, { allowOrganisers: false }).length > 0 ||
+            this.canActForOtherTeams(member, userId);
+    }
+
+    ownershipError(match, verb) {
+        return `❌ Solo quien propuso el partido, un capitán de **${match.equipo1}** o **${match.equipo2}** o un organizador puede ${verb}`;
+    }
+
+    /**
+     * Definición de todos los comandos slash
+     */
+    buildCommands() {
+        // /proponer_partido y su nombre histórico /confirmar_partido comparten opciones
+        const matchProposalCommand = (name, description) => new SlashCommandBuilder()
+            .setName(name)
+            .setDescription(description)
+            .addStringOption(option =>
+                option.setName('equipo1')
+                    .setDescription('Nombre del primer equipo')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('equipo2')
+                    .setDescription('Nombre del segundo equipo')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('torneo')
+                    .setDescription('Torneo del partido')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('dia')
+                    .setDescription('Día del partido (hoy, pasado mañana, viernes 15, en 3 días, 22/08...)')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('hora')
+                    .setDescription('Hora del partido (HH:MM, según las reglas del día)')
+                    .setRequired(true)
+                    .setAutocomplete(true))
+            .addStringOption(option =>
+                option.setName('servidor')
+                    .setDescription('Fijar un servidor (por defecto se asigna uno libre)')
+                    .setRequired(false)
+                    .setAutocomplete(true));
+
+        const levelChoices = Object.entries(PERMISSION_LEVELS).map(([value, level]) => ({ name: level.label, value }));
+
+        return [
+            matchProposalCommand('proponer_partido', 'Propone un partido de IOSoccer (el rival debe aceptarlo)'),
+            matchProposalCommand('confirmar_partido', 'Igual que /proponer_partido (nombre anterior)'),
+
             new SlashCommandBuilder()
-                .setName('confirmar_partido')
-                .setDescription('Confirma un partido de IOSoccer')
+                .setName('ver_partidos')
+                .setDescription('Lista los partidos (próximos y pasados) con filtros')
                 .addStringOption(option =>
-                    option.setName('equipo1')
-                        .setDescription('Nombre del primer equipo')
-                        .setRequired(true))
+                    option.setName('torneo')
+                        .setDescription('Solo partidos de este torneo')
+                        .setRequired(false)
+                        .setAutocomplete(true))
                 .addStringOption(option =>
-                    option.setName('equipo2')
-                        .setDescription('Nombre del segundo equipo')
-                        .setRequired(true))
+                    option.setName('equipo')
+                        .setDescription('Solo partidos de este equipo')
+                        .setRequired(false)
+                        .setAutocomplete(true))
                 .addStringOption(option =>
-                    option.setName('torneo')
-                        .setDescription('Torneo del partido')
-                        .setRequired(true)
-                        .addChoices(
-                            ...this.validTournaments.map(tournament => ({
-                                name: tournament,
-                                value: tournament
-                            }))
-                        ))
+                    option.setName('desde')
+                        .setDescription('Desde el día (hoy, 01/10, 2025-10-01...)')
+                        .setRequired(false)
+                        .setAutocomplete(true))
                 .addStringOption(option =>
-                    option.setName('dia')
-                        .setDescription('Día del partido (hoy, mañana, lunes, martes, etc. o YYYY-MM-DD)')
-                        .setRequired(true))
+                    option.setName('hasta')
+                        .setDescription('Hasta el día inclusive')
+                        .setRequired(false)
+                        .setAutocomplete(true))
                 .addStringOption(option =>
-                    option.setName('hora')
-                        .setDescription('Hora del partido')
-                        .setRequired(true)
-                        .addChoices(
-                            ...this.timeSlots.map(time => ({
-                                name: time,
-                                value: time
-                            }))
-                        )),
-
-            new SlashCommandBuilder()
-                .setName('ver_partidos')
-                .setDescription('Ver partidos confirmados')
+                    option.setName('estado')
+                        .setDescription('Solo partidos en este estado')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(MATCH_STATUS).map(([value, status]) => ({ name: `${status.emoji} ${status.label}`, value }))))
                 .addStringOption(option =>
-                    option.setName('opcion')
-                        .setDescription('Selecciona qué partidos ver')
-                        .setRequired(true)
-                        .addChoices(
-                            { name: '📋 Todos los partidos', value: 'todos' },
-                            { name: '📅 Elegir día de la semana', value: 'dia_semana' }
-                        ))
+                    option.setName('servidor')
+                        .setDescription('Solo partidos en este servidor')
+                        .setRequired(false)
+                        .setAutocomplete(true))
                 .addStringOption(option =>
-                    option.setName('dia')
-                        .setDescription('Día de la semana (solo si eliges "Elegir día de la semana")')
+                    option.setName('dia_semana')
+                        .setDescription('Solo partidos de este día de la semana')
                         .setRequired(false)
                         .addChoices(
                             { name: '🗓️ Lunes', value: 'lunes' },
@@ -413,6 +917,15 @@ class IOSoccerBot {
                             { name: '🗓️ Domingo', value: 'domingo' }
                         )),
 
+            new SlashCommandBuilder()
+                .setName('mis_partidos')
+                .setDescription('Próximos y últimos partidos de tu equipo, con su calendario (.ics)')
+                .addStringOption(option =>
+                    option.setName('equipo')
+                        .setDescription('Otro equipo (por defecto, los tuyos según capitanía o rol)')
+                        .setRequired(false)
+                        .setAutocomplete(true)),
+
             new SlashCommandBuilder()
                 .setName('cancelar_partido')
                 .setDescription('Cancela un partido confirmado')
@@ -422,58 +935,664 @@ class IOSoccerBot {
                         .setRequired(true)),
 
             new SlashCommandBuilder()
-                .setName('estadisticas')
-                .setDescription('Ver estadísticas del sistema'),
-
-            new SlashCommandBuilder()
-                .setName('ayuda')
-                .setDescription('Muestra información de ayuda del bot'),
+                .setName('reprogramar_partido')
+                .setDescription('Mueve un partido confirmado a otro día/hora conservando su ID')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('ID del partido a reprogramar')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('dia')
+                        .setDescription('Nuevo día (hoy, pasado mañana, viernes 15, en 3 días, 22/08...)')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('hora')
+                        .setDescription('Nueva hora del partido (HH:MM, según las reglas del día)')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('servidor')
+                        .setDescription('Fijar un servidor (por defecto conserva el fijado o asigna uno libre)')
+                        .setRequired(false)
+                        .setAutocomplete(true)),
 
             new SlashCommandBuilder()
-                .setName('status')
-                .setDescription('🛡️ Estado ultra-robusto de todos los servidores IOSoccer')
-                .addBooleanOption(option =>
-                    option.setName('auto_update')
-                        .setDescription('Activar actualización automática ultra-persistente cada 90 segundos')
-                        .setRequired(false)),
+                .setName('partido')
+                .setDescription('Estado de un partido: aceptar, jugar y cargar el resultado')
+                .addSubcommand(sub =>
+                    sub.setName('ver')
+                        .setDescription('Muestra el estado y el historial de un partido')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del partido').setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('aceptar')
+                        .setDescription('El capitán rival acepta un partido propuesto')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del partido').setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('rechazar')
+                        .setDescription('El rival rechaza un partido propuesto y libera el horario')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del partido').setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('motivo').setDescription('Motivo del rechazo').setRequired(false).setMaxLength(500)))
+                .addSubcommand(sub =>
+                    sub.setName('iniciar')
+                        .setDescription('Marca el partido como en juego')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del partido').setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('resultado')
+                        .setDescription('Carga (o corrige) el resultado del partido')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del partido').setRequired(true))
+                        .addIntegerOption(option =>
+                            option.setName('goles1').setDescription('Goles del equipo local').setRequired(true).setMinValue(0).setMaxValue(99))
+                        .addIntegerOption(option =>
+                            option.setName('goles2').setDescription('Goles del equipo visitante').setRequired(true).setMinValue(0).setMaxValue(99)))
+                .addSubcommand(sub =>
+                    sub.setName('confirmar_resultado')
+                        .setDescription('Da por válido el resultado cargado')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del partido').setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('disputar')
+                        .setDescription('Objeta el resultado cargado')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del partido').setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('motivo').setDescription('Por qué el resultado no es correcto').setRequired(true).setMaxLength(500)))
+                .addSubcommand(sub =>
+                    sub.setName('walkover')
+                        .setDescription('Da el partido por ganado a un equipo que se presentó')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del partido').setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('ganador')
+                                .setDescription('Equipo que gana por walkover')
+                                .setRequired(true)
+                                .addChoices(
+                                    { name: 'Equipo local', value: 'equipo1' },
+                                    { name: 'Equipo visitante', value: 'equipo2' }
+                                )))
+                .addSubcommand(sub =>
+                    sub.setName('penales')
+                        .setDescription('Define por penales una llave de eliminación que terminó igualada')
+                        .addIntegerOption(option =>
+                            option.setName('id').setDescription('ID del último partido de la llave').setRequired(true))
+                        .addIntegerOption(option =>
+                            option.setName('goles1').setDescription('Penales convertidos por el equipo local').setRequired(true).setMinValue(0).setMaxValue(99))
+                        .addIntegerOption(option =>
+                            option.setName('goles2').setDescription('Penales convertidos por el equipo visitante').setRequired(true).setMinValue(0).setMaxValue(99))),
 
             new SlashCommandBuilder()
-                .setName('server_info')
-                .setDescription('📊 Información detallada de servidor con sistema ultra-robusto')
+                .setName('tabla')
+                .setDescription('Tabla de posiciones de un torneo')
                 .addStringOption(option =>
-                    option.setName('servidor')
-                        .setDescription('Nombre del servidor (opcional)')
-                        .setRequired(false)),
+                    option.setName('torneo')
+                        .setDescription('Torneo')
+                        .setRequired(true)
+                        .setAutocomplete(true))
+                .addIntegerOption(option =>
+                    option.setName('pagina')
+                        .setDescription('Página de la tabla')
+                        .setRequired(false)
+                        .setMinValue(1)),
 
             new SlashCommandBuilder()
-                .setName('match_info')
-                .setDescription('⚽ Información del partido en curso con JSON ultra-robusto')
-                .addStringOption(option =>
-                    option.setName('servidor')
-                        .setDescription('Nombre del servidor (opcional)')
-                        .setRequired(false)),
+                .setName('torneo')
+                .setDescription('Administra el catálogo de torneos')
+                .addSubcommand(sub =>
+                    sub.setName('listar')
+                        .setDescription('Lista los torneos')
+                        .addBooleanOption(option =>
+                            option.setName('incluir_archivados')
+                                .setDescription('Mostrar también los torneos archivados')
+                                .setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('crear')
+                        .setDescription('Crea un torneo nuevo (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('nombre')
+                                .setDescription('Nombre del torneo')
+                                .setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('color')
+                                .setDescription('Color hexadecimal, ej: #27ae60')
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('emoji')
+                                .setDescription('Emoji del torneo')
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('temporada')
+                                .setDescription('Temporada, ej: 2025-T2')
+                                .setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('renombrar')
+                        .setDescription('Cambia el nombre de un torneo (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('torneo')
+                                .setDescription('Torneo a renombrar')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addStringOption(option =>
+                            option.setName('nuevo_nombre')
+                                .setDescription('Nuevo nombre')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('editar')
+                        .setDescription('Cambia color, emoji o temporada (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('torneo')
+                                .setDescription('Torneo a editar')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addStringOption(option =>
+                            option.setName('color')
+                                .setDescription('Color hexadecimal, ej: #27ae60')
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('emoji')
+                                .setDescription('Emoji del torneo')
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('temporada')
+                                .setDescription('Temporada, ej: 2025-T2')
+                                .setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('equipos')
+                        .setDescription('Equipos inscriptos en el torneo (sin lista muestra los actuales)')
+                        .addStringOption(option =>
+                            option.setName('torneo')
+                                .setDescription('Torneo')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addStringOption(option =>
+                            option.setName('equipos')
+                                .setDescription('Equipos separados por comas, en orden de cabeza de serie (solo organizadores)')
+                                .setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('puntuacion')
+                        .setDescription('Puntos y desempates de la tabla (sin opciones muestra los actuales)')
+                        .addStringOption(option =>
+                            option.setName('torneo')
+                                .setDescription('Torneo a configurar')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addIntegerOption(option =>
+                            option.setName('victoria').setDescription('Puntos por victoria (3)').setRequired(false).setMinValue(-10).setMaxValue(20))
+                        .addIntegerOption(option =>
+                            option.setName('empate').setDescription('Puntos por empate (1)').setRequired(false).setMinValue(-10).setMaxValue(20))
+                        .addIntegerOption(option =>
+                            option.setName('derrota').setDescription('Puntos por derrota (0)').setRequired(false).setMinValue(-10).setMaxValue(20))
+                        .addIntegerOption(option =>
+                            option.setName('walkover_ganado').setDescription('Puntos por ganar por walkover (3)').setRequired(false).setMinValue(-10).setMaxValue(20))
+                        .addIntegerOption(option =>
+                            option.setName('walkover_perdido').setDescription('Puntos por perder por walkover (0, puede ser negativo)').setRequired(false).setMinValue(-10).setMaxValue(20))
+                        .addIntegerOption(option =>
+                            option.setName('goles_walkover').setDescription('Goles que se computan al ganador de un walkover (3)').setRequired(false).setMinValue(0).setMaxValue(20))
+                        .addStringOption(option =>
+                            option.setName('desempates')
+                                .setDescription('Orden de desempate separado por comas, ej: head_to_head,goal_difference,goals_for')
+                                .setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('archivar')
+                        .setDescription('Archiva un torneo: deja de aceptar partidos nuevos (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('torneo')
+                                .setDescription('Torneo a archivar')
+                                .setRequired(true)
+                                .setAutocomplete(true)))
+                .addSubcommand(sub =>
+                    sub.setName('reactivar')
+                        .setDescription('Reactiva un torneo archivado (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('torneo')
+                                .setDescription('Torneo a reactivar')
+                                .setRequired(true)
+                                .setAutocomplete(true))),
 
             new SlashCommandBuilder()
-                .setName('health')
-                .setDescription('🏥 Estado de salud del sistema ultra-robusto'),
+                .setName('fixture')
+                .setDescription('Genera el fixture de un torneo (solo organizadores)')
+                .addSubcommand(sub =>
+                    sub.setName('generar')
+                        .setDescription('Arma todas las fechas con los equipos inscriptos y propone horarios')
+                        .addStringOption(option =>
+                            option.setName('torneo')
+                                .setDescription('Torneo (los equipos se inscriben con /torneo equipos)')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addStringOption(option =>
+                            option.setName('formato')
+                                .setDescription('Formato del torneo')
+                                .setRequired(true)
+                                .addChoices(...Object.entries(FIXTURE_FORMATS).map(([value, format]) => ({ name: `${format.emoji} ${format.label}`, value }))))
+                        .addStringOption(option =>
+                            option.setName('desde')
+                                .setDescription('Día de la primera fecha (hoy, viernes, 22/08...)')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addStringOption(option =>
+                            option.setName('hora')
+                                .setDescription('Horario preferido (HH:MM); si está ocupado se usa el más cercano')
+                                .setRequired(false)
+                                .setAutocomplete(true))
+                        .addIntegerOption(option =>
+                            option.setName('cada_dias')
+                                .setDescription('Días entre una fecha y la siguiente (7 = semanal)')
+                                .setRequired(false)
+                                .setMinValue(1)
+                                .setMaxValue(28))
+                        .addBooleanOption(option =>
+                            option.setName('sorteo')
+                                .setDescription('Sortear el orden de los equipos (si no, se usa el de inscripción)')
+                                .setRequired(false))),
 
             new SlashCommandBuilder()
-                .setName('system_stats')
+                .setName('bracket')
+                .setDescription('Cuadro de un torneo de eliminación directa')
+                .addStringOption(option =>
+                    option.setName('torneo')
+                        .setDescription('Torneo')
+                        .setRequired(true)
+                        .setAutocomplete(true)),
+
+            new SlashCommandBuilder()
+                .setName('equipo')
+                .setDescription('Registro de equipos de la liga')
+                .addSubcommand(sub =>
+                    sub.setName('listar')
+                        .setDescription('Lista los equipos registrados'))
+                .addSubcommand(sub =>
+                    sub.setName('ver')
+                        .setDescription('Muestra la ficha de un equipo')
+                        .addStringOption(option =>
+                            option.setName('equipo')
+                                .setDescription('Equipo')
+                                .setRequired(true)
+                                .setAutocomplete(true)))
+                .addSubcommand(sub =>
+                    sub.setName('crear')
+                        .setDescription('Registra un equipo (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('nombre')
+                                .setDescription('Nombre canónico del equipo')
+                                .setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('tag')
+                                .setDescription('Tag corto, ej: CARP')
+                                .setRequired(true))
+                        .addRoleOption(option =>
+                            option.setName('rol')
+                                .setDescription('Rol de Discord del equipo')
+                                .setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('alias')
+                        .setDescription('Agrega un alias a un equipo (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('equipo')
+                                .setDescription('Equipo')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addStringOption(option =>
+                            option.setName('alias')
+                                .setDescription('Otro nombre con el que se conoce al equipo')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('quitar_alias')
+                        .setDescription('Quita un alias de un equipo (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('equipo')
+                                .setDescription('Equipo')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addStringOption(option =>
+                            option.setName('alias')
+                                .setDescription('Alias a quitar')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('capitan')
+                        .setDescription('Agrega un capitán al equipo (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('equipo')
+                                .setDescription('Equipo')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addUserOption(option =>
+                            option.setName('usuario')
+                                .setDescription('Capitán')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('quitar_capitan')
+                        .setDescription('Quita un capitán del equipo (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('equipo')
+                                .setDescription('Equipo')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addUserOption(option =>
+                            option.setName('usuario')
+                                .setDescription('Capitán a quitar')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('rol')
+                        .setDescription('Asigna el rol de Discord del equipo (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('equipo')
+                                .setDescription('Equipo')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addRoleOption(option =>
+                            option.setName('rol')
+                                .setDescription('Rol del equipo')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('eliminar')
+                        .setDescription('Elimina un equipo del registro (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('equipo')
+                                .setDescription('Equipo')
+                                .setRequired(true)
+                                .setAutocomplete(true))),
+
+            new SlashCommandBuilder()
+                .setName('reglas')
+                .setDescription('Reglas de programación de partidos')
+                .addSubcommand(sub =>
+                    sub.setName('ver')
+                        .setDescription('Muestra las reglas vigentes'))
+                .addSubcommand(sub =>
+                    sub.setName('establecer')
+                        .setDescription('Reemplaza las reglas con un JSON (solo organizadores)')
+                        .addStringOption(option =>
+                            option.setName('json')
+                                .setDescription('Reglas en formato JSON (ver README)')
+                                .setRequired(true)))
+                .addSubcommand(sub =>
+                    sub.setName('restablecer')
+                        .setDescription('Vuelve a las reglas por defecto (solo organizadores)')),
+
+            new SlashCommandBuilder()
+                .setName('zona_horaria')
+                .setDescription('Zona horaria de la liga y la tuya para ver los horarios')
+                .addSubcommand(sub =>
+                    sub.setName('ver')
+                        .setDescription('Muestra la hora de la liga y tu zona horaria'))
+                .addSubcommand(sub =>
+                    sub.setName('usuario')
+                        .setDescription('Elige tu zona horaria (sin zona vuelves a la de la liga)')
+                        .addStringOption(option =>
+                            option.setName('zona')
+                                .setDescription('Zona IANA, ej: America/Mexico_City')
+                                .setRequired(false)
+                                .setAutocomplete(true)))
+                .addSubcommand(sub =>
+                    sub.setName('liga')
+                        .setDescription('Cambia la zona horaria de la liga (solo administradores)')
+                        .addStringOption(option =>
+                            option.setName('zona')
+                                .setDescription('Zona IANA, ej: America/Argentina/Buenos_Aires')
+                                .setRequired(true)
+                                .setAutocomplete(true))),
+
+            new SlashCommandBuilder()
+                .setName('historial')
+                .setDescription('📜 Historial de cambios de los partidos: quién, cuándo y qué cambió')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Solo los cambios de este partido')
+                        .setRequired(false))
+                .addUserOption(option =>
+                    option.setName('usuario')
+                        .setDescription('Solo los cambios que hizo este usuario')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('accion')
+                        .setDescription('Solo este tipo de cambio')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(AUDIT_ACTIONS).map(([value, action]) => ({ name: `${action.emoji} ${action.label}`, value }))))
+                .addStringOption(option =>
+                    option.setName('desde')
+                        .setDescription('Desde el día (hoy, 01/10, 2025-10-01...)')
+                        .setRequired(false)
+                        .setAutocomplete(true))
+                .addStringOption(option =>
+                    option.setName('hasta')
+                        .setDescription('Hasta el día inclusive')
+                        .setRequired(false)
+                        .setAutocomplete(true))
+                .addIntegerOption(option =>
+                    option.setName('pagina')
+                        .setDescription('Página de resultados (1 = los más recientes)')
+                        .setRequired(false)
+                        .setMinValue(1)),
+
+            new SlashCommandBuilder()
+                .setName('permisos')
+                .setDescription('🔐 Niveles de acceso al bot en este servidor (solo administradores)')
+                .addSubcommand(sub =>
+                    sub.setName('ver')
+                        .setDescription('Muestra los niveles otorgados y el nivel que pide cada comando'))
+                .addSubcommand(sub =>
+                    sub.setName('otorgar')
+                        .setDescription('Otorga un nivel a un usuario o a un rol')
+                        .addStringOption(option =>
+                            option.setName('nivel')
+                                .setDescription('Nivel a otorgar')
+                                .setRequired(true)
+                                .addChoices(...levelChoices))
+                        .addUserOption(option =>
+                            option.setName('usuario').setDescription('Usuario').setRequired(false))
+                        .addRoleOption(option =>
+                            option.setName('rol').setDescription('Rol de Discord').setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('revocar')
+                        .setDescription('Quita el nivel otorgado a un usuario o a un rol')
+                        .addUserOption(option =>
+                            option.setName('usuario').setDescription('Usuario').setRequired(false))
+                        .addRoleOption(option =>
+                            option.setName('rol').setDescription('Rol de Discord').setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('comando')
+                        .setDescription('Cambia el nivel mínimo de un comando o subcomando')
+                        .addStringOption(option =>
+                            option.setName('comando')
+                                .setDescription('Comando, ej: cancelar_partido o "torneo crear"')
+                                .setRequired(true)
+                                .setAutocomplete(true))
+                        .addStringOption(option =>
+                            option.setName('nivel')
+                                .setDescription('Nivel mínimo')
+                                .setRequired(true)
+                                .addChoices(...levelChoices, { name: 'Por defecto', value: 'predeterminado' })))
+                .addSubcommand(sub =>
+                    sub.setName('acceso')
+                        .setDescription('Abre el bot a todos o lo limita a quienes tienen un nivel')
+                        .addStringOption(option =>
+                            option.setName('modo')
+                                .setDescription('Quiénes pueden usar el bot')
+                                .setRequired(true)
+                                .addChoices(
+                                    { name: 'Abierto: todos son espectadores', value: 'abierto' },
+                                    { name: 'Restringido: solo niveles otorgados y capitanes', value: 'restringido' }
+                                ))),
+
+            new SlashCommandBuilder()
+                .setName('config')
+                .setDescription('🛠️ Configuración de la liga en este servidor (solo administradores)')
+                .addSubcommand(sub =>
+                    sub.setName('ver')
+                        .setDescription('Muestra servidores de juego, canales y recordatorios'))
+                .addSubcommand(sub =>
+                    sub.setName('servidor_agregar')
+                        .setDescription('Agrega un servidor IOSoccer a esta liga')
+                        .addStringOption(option =>
+                            option.setName('nombre').setDescription('Nombre para mostrar, ej: ELO #1').setRequired(true).setMaxLength(50))
+                        .addStringOption(option =>
+                            option.setName('ip').setDescription('IP o nombre de host, sin puerto').setRequired(true))
+                        .addIntegerOption(option =>
+                            option.setName('puerto').setDescription('Puerto del servidor (27015)').setRequired(false).setMinValue(1).setMaxValue(65535))
+                        .addStringOption(option =>
+                            option.setName('contraseña').setDescription('Contraseña para entrar (va en el comando connect)').setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('rcon').setDescription('Contraseña RCON (captura de resultados y /match_info)').setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('servidor_quitar')
+                        .setDescription('Quita un servidor IOSoccer de esta liga')
+                        .addStringOption(option =>
+                            option.setName('servidor').setDescription('Servidor a quitar').setRequired(true).setAutocomplete(true)))
+                .addSubcommand(sub =>
+                    sub.setName('canal')
+                        .setDescription('Canal de resultados, recordatorios o historial (sin canal vuelve al de por defecto)')
+                        .addStringOption(option =>
+                            option.setName('tipo')
+                                .setDescription('Qué se publica')
+                                .setRequired(true)
+                                .addChoices(...Object.entries(CHANNEL_TYPES).map(([value, type]) => ({ name: type.label, value }))))
+                        .addChannelOption(option =>
+                            option.setName('canal').setDescription('Canal de texto').setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('recordatorios')
+                        .setDescription('Avisos antes de cada partido')
+                        .addStringOption(option =>
+                            option.setName('avisos').setDescription('Ej: 24h,1h,15m,0 (0 = al inicio; "ninguno" los desactiva)').setRequired(false))
+                        .addBooleanOption(option =>
+                            option.setName('mensajes_directos').setDescription('Enviar también por mensaje directo a los capitanes').setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('tableros')
+                        .setDescription('Tableros de /status con auto-actualización en este servidor'))
+                .addSubcommand(sub =>
+                    sub.setName('tablero_quitar')
+                        .setDescription('Detiene y elimina el tablero de estado de un canal')
+                        .addChannelOption(option =>
+                            option.setName('canal').setDescription('Canal del tablero').setRequired(true))
+                        .addBooleanOption(option =>
+                            option.setName('borrar_mensajes').setDescription('Borrar también sus mensajes del canal').setRequired(false))),
+
+            new SlashCommandBuilder()
+                .setName('alertas')
+                .setDescription('📣 Anuncios en vivo de goles, entretiempo y final de los partidos')
+                .addSubcommand(sub =>
+                    sub.setName('ver')
+                        .setDescription('Muestra el canal, los eventos anunciados y los roles por torneo'))
+                .addSubcommand(sub =>
+                    sub.setName('canal')
+                        .setDescription('Canal de los anuncios (sin canal se desactivan)')
+                        .addChannelOption(option =>
+                            option.setName('canal').setDescription('Canal de texto').setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('eventos')
+                        .setDescription('Qué se anuncia')
+                        .addBooleanOption(option =>
+                            option.setName('goles').setDescription('Cada gol, con autor, asistencia y minuto').setRequired(false))
+                        .addBooleanOption(option =>
+                            option.setName('entretiempo').setDescription('El entretiempo').setRequired(false))
+                        .addBooleanOption(option =>
+                            option.setName('final').setDescription('El final del partido').setRequired(false)))
+                .addSubcommand(sub =>
+                    sub.setName('rol')
+                        .setDescription('Rol a mencionar en los anuncios de un torneo (sin rol deja de mencionarlo)')
+                        .addStringOption(option =>
+                            option.setName('torneo').setDescription('Torneo').setRequired(true).setAutocomplete(true))
+                        .addRoleOption(option =>
+                            option.setName('rol').setDescription('Rol de Discord').setRequired(false))),
+
+            new SlashCommandBuilder()
+                .setName('estadisticas')
+                .setDescription('Ver estadísticas del sistema'),
+
+            new SlashCommandBuilder()
+                .setName('ayuda')
+                .setDescription('Muestra información de ayuda del bot'),
+
+            new SlashCommandBuilder()
+                .setName('status')
+                .setDescription('🛡️ Estado ultra-robusto de todos los servidores IOSoccer')
+                .addBooleanOption(option =>
+                    option.setName('auto_update')
+                        .setDescription('Activar actualización automática ultra-persistente cada 90 segundos')
+                        .setRequired(false)),
+
+            new SlashCommandBuilder()
+                .setName('server_info')
+                .setDescription('📊 Información detallada de servidor con sistema ultra-robusto')
+                .addStringOption(option =>
+                    option.setName('servidor')
+                        .setDescription('Nombre del servidor (opcional)')
+                        .setRequired(false)),
+
+            new SlashCommandBuilder()
+                .setName('match_info')
+                .setDescription('⚽ Información del partido en curso con JSON ultra-robusto')
+                .addStringOption(option =>
+                    option.setName('servidor')
+                        .setDescription('Nombre del servidor (opcional)')
+                        .setRequired(false)),
+
+            new SlashCommandBuilder()
+                .setName('health')
+                .setDescription('🏥 Estado de salud del sistema ultra-robusto'),
+
+            new SlashCommandBuilder()
+                .setName('system_stats')
                 .setDescription('📈 Estadísticas completas del sistema de monitoreo'),
 
             new SlashCommandBuilder()
                 .setName('stop_status')
                 .setDescription('🛑 Detiene la actualización automática ultra-persistente en este canal')
         ];
+    }
+
+    /**
+     * Comandos, subcomandos y acciones a los que se les puede fijar un nivel ("torneo crear")
+     * @returns {Array<string>}
+     */
+    commandKeys() {
+        if (!this.cachedCommandKeys) {
+            this.cachedCommandKeys = this.buildCommands().flatMap(command => {
+                const { name, options = [] } = command.toJSON();
+                const subcommands = options.filter(option => option.type === 1).map(option => `${name} ${option.name}`);
+                return [name, ...subcommands];
+            }).concat(ACTION_POLICIES);
+        }
+        return this.cachedCommandKeys;
+    }
 
+    /**
+     * Registra los comandos en cada servidor de Discord (así se actualizan al
+     * instante) y borra los globales que registraban las versiones anteriores,
+     * para que no aparezcan duplicados
+     */
+    async registerCommands() {
+        const commands = this.buildCommands();
         const rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN);
 
         try {
             console.log('🔄 Registrando comandos slash...');
-            await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
-            console.log('✅ Comandos slash registrados exitosamente');
+            await rest.put(Routes.applicationCommands(CLIENT_ID), { body: [] });
+        } catch (error) {
+            console.error('❌ Error al borrar los comandos globales:', error);
+        }
+
+        let registered = 0;
+        for (const guildId of this.client.guilds.cache.keys()) {
+            if (await this.registerGuildCommands(guildId, commands, rest)) {
+                registered++;
+            }
+        }
+        console.log(`✅ Comandos slash registrados en ${registered}/${this.client.guilds.cache.size} servidor(es)`);
+    }
+
+    async registerGuildCommands(guildId, commands = this.buildCommands(), rest = new REST({ version: '10' }).setToken(process.env.DISCORD_TOKEN)) {
+        try {
+            await rest.put(Routes.applicationGuildCommands(CLIENT_ID, guildId), { body: commands });
+            return true;
         } catch (error) {
-            console.error('❌ Error al registrar comandos:', error);
+            logger('ERROR', `No se pudieron registrar los comandos en el servidor ${guildId}: ${error.message}`);
+            return false;
         }
     }
 
@@ -482,15 +1601,58 @@ class IOSoccerBot {
 
         try {
             switch (commandName) {
+                case 'proponer_partido':
                 case 'confirmar_partido':
                     await this.confirmMatch(interaction);
                     break;
                 case 'ver_partidos':
                     await this.viewMatches(interaction);
                     break;
+                case 'mis_partidos':
+                    await this.showMyMatches(interaction);
+                    break;
                 case 'cancelar_partido':
                     await this.cancelMatch(interaction);
                     break;
+                case 'reprogramar_partido':
+                    await this.rescheduleMatch(interaction);
+                    break;
+                case 'partido':
+                    await this.handleMatchCommand(interaction);
+                    break;
+                case 'tabla':
+                    await this.showStandings(interaction);
+                    break;
+                case 'torneo':
+                    await this.handleTournamentCommand(interaction);
+                    break;
+                case 'equipo':
+                    await this.handleTeamCommand(interaction);
+                    break;
+                case 'fixture':
+                    await this.handleFixtureCommand(interaction);
+                    break;
+                case 'bracket':
+                    await this.showBracket(interaction);
+                    break;
+                case 'reglas':
+                    await this.handleRulesCommand(interaction);
+                    break;
+                case 'zona_horaria':
+                    await this.handleTimezoneCommand(interaction);
+                    break;
+                case 'permisos':
+                    await this.handlePermissionsCommand(interaction);
+                    break;
+                case 'historial':
+                    await this.handleHistoryCommand(interaction);
+                    break;
+                case 'config':
+                    await this.handleConfigCommand(interaction);
+                    break;
+                case 'alertas':
+                    await this.handleAlertsCommand(interaction);
+                    break;
                 case 'estadisticas':
                     await this.showStats(interaction);
                     break;
@@ -529,6 +1691,102 @@ class IOSoccerBot {
         }
     }
 
+    async handleAutocomplete(interaction) {
+        const focused = interaction.options.getFocused(true);
+
+        try {
+            let choices = [];
+
+            if (focused.name === 'torneo') {
+                // Los subcomandos de administración también ven los archivados
+                const includeArchived = ['torneo', 'tabla', 'bracket', 'ver_partidos'].includes(interaction.commandName);
+                choices = this.tournaments.search(focused.value, { includeArchived }).map(t => ({
+                    name: `${t.emoji} ${t.name}${t.archived ? ' (archivado)' : ''}`.slice(0, 100),
+                    value: t.name
+                }));
+            } else if (['dia', 'desde', 'hasta'].includes(focused.name)) {
+                // En /ver_partidos y /historial las fechas son filtros: se aceptan días pasados
+                choices = this.getDateSuggestions(focused.value, { allowPast: ['ver_partidos', 'historial'].includes(interaction.commandName) });
+            } else if (focused.name === 'hora') {
+                choices = this.getTimeSuggestions(interaction, focused.value);
+            } else if (focused.name === 'servidor') {
+                const query = focused.value.toLowerCase();
+                choices = this.servers()
+                    .filter(server => server.name.toLowerCase().includes(query))
+                    .slice(0, 25)
+                    .map(server => ({ name: `${server.name} (${server.ip}:${server.port})`.slice(0, 100), value: server.name }));
+            } else if (focused.name === 'zona') {
+                choices = searchTimeZones(focused.value).map(zone => ({ name: zone, value: zone }));
+            } else if (focused.name === 'comando') {
+                const query = focused.value.toLowerCase().replace(/^\//, '');
+                choices = this.commandKeys()
+                    .filter(key => key.includes(query))
+                    .slice(0, 25)
+                    .map(key => {
+                        const [command, sub, action] = key.split(' ');
+                        const policy = this.permissions.policyFor(interaction.guildId, command, sub, action);
+                        return { name: `/${key} — ${PERMISSION_LEVELS[policy.level].label}`, value: key };
+                    });
+            } else if (['equipo1', 'equipo2', 'equipo'].includes(focused.name)) {
+                choices = this.teams.search(focused.value).map(team => ({
+                    name: `[${team.tag}] ${team.name}`.slice(0, 100),
+                    value: team.name
+                }));
+            }
+
+            await interaction.respond(choices);
+        } catch (error) {
+            logger('WARNING', `Error en autocompletado de ${interaction.commandName}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Horarios para autocompletar: si ya se escribió el día, solo los de ese
+     * día y marcando los que alguna regla bloquea
+     */
+    getTimeSuggestions(interaction, typed) {
+        const dia = interaction.options.getString('dia');
+        const torneo = interaction.options.getString('torneo');
+        const processedDate = dia ? this.processDate(dia) : { valid: false };
+        const query = String(typed || '').trim();
+
+        if (!processedDate.valid) {
+            return this.schedulingRules.allSlots()
+                .filter(slot => slot.startsWith(query))
+                .slice(0, 25)
+                .map(slot => ({ name: slot, value: slot }));
+        }
+
+        const servidor = interaction.options.getString('servidor');
+        let excludeMatchId = null;
+        let details = { torneo, server: servidor };
+        if (interaction.commandName === 'reprogramar_partido') {
+            const match = this.matches.find(m => m.id === interaction.options.getInteger('id'));
+            if (match) {
+                excludeMatchId = match.id;
+                details = { ...match, server: servidor || (match.serverPinned ? match.server : null) };
+            }
+        }
+
+        return this.schedulingRules.slotsForDate(processedDate.date, details.torneo)
+            .filter(slot => slot.startsWith(query))
+            .slice(0, 25)
+            .map(slot => {
+                let label;
+                if (this.checkNotPast(processedDate, slot)) {
+                    label = `⛔ ${slot} - Ya pasó`;
+                } else {
+                    const result = this.schedulingRules.evaluate(this.schedulableMatches(), { ...details, date: processedDate.date, time: slot }, { excludeMatchId, stopAtFirst: true });
+                    label = result.allowed ? `✅ ${slot}` : `⛔ ${slot} - ${result.violations[0].title}`;
+                }
+
+                // Los horarios se escriben en hora de la liga; se aclara la equivalencia del usuario
+                const userTime = this.formatUserTime(processedDate.date, slot, interaction.user.id);
+                const suffix = userTime ? ` → ${userTime}` : '';
+                return { name: `${label} (${processedDate.displayDate})${suffix}`.slice(0, 100), value: slot };
+            });
+    }
+
     // ============= MÉTODOS DE PARTIDOS =============
     
     async handleMessage(message) {
@@ -559,56 +1817,160 @@ class IOSoccerBot {
         const torneo = interaction.options.getString('torneo');
         const dia = interaction.options.getString('dia');
         const hora = interaction.options.getString('hora');
+        const servidor = interaction.options.getString('servidor');
 
-        const result = await this.processMatchConfirmation(equipo1, equipo2, torneo, dia, hora, interaction.user.id);
+        const result = await this.processMatchConfirmation(equipo1, equipo2, torneo, dia, hora, interaction.user.id, {
+            servidor,
+            member: interaction.member
+        });
 
         const embed = this.createMatchEmbed(result, interaction.user.username);
-        await interaction.reply({ embeds: [embed] });
+        const components = result.success ? this.createMatchActionRows(result.match) : [];
+        const reply = await interaction.reply({ embeds: [embed], components, fetchReply: true });
+
+        // Se guarda el mensaje para poder actualizarlo si la propuesta vence
+        if (result.success && reply) {
+            result.match.proposalMessage = { channelId: reply.channelId, messageId: reply.id };
+            this.saveMatches();
+        }
     }
 
     createMatchEmbed(result, username) {
         if (result.success) {
             return new EmbedBuilder()
                 .setColor('#27ae60')
-                .setTitle('✅ Partido Confirmado Exitosamente')
-                .setDescription('El partido ha sido registrado en el sistema')
+                .setTitle('📝 Partido Propuesto')
+                .setDescription('El horario queda reservado hasta que venza la propuesta; el capitán rival debe aceptarla con el botón o con `/partido aceptar`')
                 .addFields(
                     { name: '⚽ Equipo Local', value: `**${result.match.equipo1}**`, inline: false },
                     { name: '🆚 Equipo Visitante', value: `**${result.match.equipo2}**`, inline: false },
-                    { name: '🏆 Torneo', value: result.match.torneo, inline: false },
+                    { name: '🏆 Torneo', value: this.tournaments.label(result.match.torneo), inline: false },
                     { name: '📅 Fecha', value: result.match.displayDate, inline: false },
-                    { name: '🕐 Hora', value: `${result.match.time}hs`, inline: false },
+                    { name: '🕐 Hora', value: `${result.match.time}hs (${this.leagueTimeZone()})`, inline: false },
+                    { name: '🌎 En tu hora', value: this.formatKickoff(result.match), inline: false },
+                    { name: '🖥️ Servidor', value: this.formatMatchServer(result.match), inline: false },
+                    { name: '📌 Estado', value: statusLabel(result.match), inline: false },
+                    ...this.acceptanceFields(result.match),
                     { name: '🆔 ID del Partido', value: `\`${result.match.id}\``, inline: false },
-                    { name: '👤 Confirmado por', value: username, inline: false }
+                    { name: '👤 Propuesto por', value: username, inline: false }
                 )
-                .setFooter({ text: `Sistema IOSoccer • ${new Date().toLocaleString('es-AR')}` })
+                .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
                 .setTimestamp();
         } else {
             return new EmbedBuilder()
                 .setColor('#e74c3c')
-                .setTitle('❌ Error al Confirmar Partido')
+                .setTitle('❌ Error al Proponer Partido')
                 .setDescription(result.message)
                 .setFooter({ text: 'Revisa los datos e intenta nuevamente' });
         }
     }
 
-    async processMatchConfirmation(equipo1, equipo2, torneo, dia, hora, userId) {
+    /**
+     * Servidor asignado a un partido con su comando de conexión
+     */
+    formatMatchServer(match) {
+        if (!match.server) {
+            return 'Sin servidor asignado';
+        }
+
+        const server = this.schedulingRules.findServer(match.server);
+        const pinned = match.serverPinned ? ' 📌' : '';
+        return server
+            ? `**${server.name}**${pinned}\n\`${formatConnectString(server)}\``
+            : `**${match.server}**${pinned}`;
+    }
+
+    /**
+     * Línea de un partido en los listados, con estado y marcador si lo tiene
+     */
+    formatMatchLine(match) {
+        const score = formatScore(match);
+        const teams = score && !match.result.walkoverWinner
+            ? `${match.equipo1} **${score}** ${match.equipo2}`
+            : `${match.equipo1} vs ${match.equipo2}`;
+        const status = MATCH_STATUS[statusOf(match)];
+        const walkover = score && match.result.walkoverWinner ? ` (${score})` : '';
+
+        return `• **${match.time}** - ${teams} ${status.emoji}${walkover}\n  🏆 ${match.torneo} • ${status.label} • ID: \`${match.id}\``;
+    }
+
+    /**
+     * Resuelve los nombres escritos por el usuario contra el registro de equipos.
+     * Sin equipos registrados se aceptan nombres libres (modo histórico)
+     */
+    resolveMatchTeams(equipo1, equipo2) {
         equipo1 = equipo1.replace(/['"]/g, '').trim();
         equipo2 = equipo2.replace(/['"]/g, '').trim();
 
-        if (!this.validTournaments.includes(torneo)) {
+        if (this.teams.isEmpty()) {
+            if (equipo1.toLowerCase() === equipo2.toLowerCase()) {
+                return { success: false, message: '❌ **Equipos inválidos**\n\nUn equipo no puede jugar contra sí mismo' };
+            }
+            return { success: true, equipo1, equipo2, equipo1Id: null, equipo2Id: null };
+        }
+
+        const problems = [];
+        const resolved = [equipo1, equipo2].map(input => {
+            const team = this.teams.resolve(input);
+            if (!team) {
+                const suggestions = this.teams.suggest(input);
+                problems.push(suggestions.length > 0
+                    ? `• **${input}** no está registrado. ¿Quisiste decir ${suggestions.map(t => `**${t.name}**`).join(', ')}?`
+                    : `• **${input}** no está registrado`);
+            }
+            return team;
+        });
+
+        if (problems.length > 0) {
+            return {
+                success: false,
+                message: `❌ **Equipo desconocido**\n\n${problems.join('\n')}\n\n💡 Usa el autocompletado o \`/equipo listar\` para ver los equipos registrados`
+            };
+        }
+
+        if (resolved[0].id === resolved[1].id) {
+            return { success: false, message: `❌ **Equipos inválidos**\n\n**${resolved[0].name}** no puede jugar contra sí mismo` };
+        }
+
+        return {
+            success: true,
+            equipo1: resolved[0].name,
+            equipo2: resolved[1].name,
+            equipo1Id: resolved[0].id,
+            equipo2Id: resolved[1].id
+        };
+    }
+
+    async processMatchConfirmation(equipo1, equipo2, torneo, dia, hora, userId, options = {}) {
+        // Las propuestas vencidas no deben bloquear el horario pedido
+        this.expireHolds();
+
+        const teams = this.resolveMatchTeams(equipo1, equipo2);
+        if (!teams.success) {
+            return {
+                success: false,
+                message: teams.message
+            };
+        }
+        equipo1 = teams.equipo1;
+        equipo2 = teams.equipo2;
+
+        const tournament = this.tournaments.find(torneo);
+        if (!tournament || tournament.archived) {
             return {
                 success: false,
-                message: `❌ **Torneo inválido**\n\n**Torneos válidos:**\n${this.validTournaments.map(t => `• ${t}`).join('\n')}`
+                message: `❌ **Torneo inválido**\n\n**Torneos válidos:**\n${this.tournaments.activeNames().map(t => `• ${t}`).join('\n')}`
             };
         }
+        torneo = tournament.name;
 
-        if (!this.timeSlots.includes(hora)) {
+        if (isNaN(toMinutes(hora))) {
             return {
                 success: false,
-                message: `❌ **Hora inválida**\n\n**Horarios válidos:**\n${this.timeSlots.map(t => `• ${t}`).join('\n')}`
+                message: `❌ **Hora inválida**\n\nUsa el formato HH:MM (ej: 22:15)\n\n**Reglas de horario:**\n${this.schedulingRules.describe().join('\n')}`
             };
         }
+        hora = fromMinutes(toMinutes(hora));
 
         const processedDate = this.processDate(dia);
         if (!processedDate.valid) {
@@ -618,7 +1980,22 @@ class IOSoccerBot {
             };
         }
 
-        const availability = this.checkTimeFrameAvailability(processedDate.date, hora);
+        const pastSlot = this.checkNotPast(processedDate, hora);
+        if (pastSlot) {
+            return {
+                success: false,
+                message: pastSlot
+            };
+        }
+
+        const availability = this.checkTimeFrameAvailability(processedDate.date, hora, null, {
+            torneo,
+            equipo1,
+            equipo2,
+            equipo1Id: teams.equipo1Id,
+            equipo2Id: teams.equipo2Id,
+            server: options.servidor || null
+        });
         if (!availability.available) {
             return {
                 success: false,
@@ -627,433 +2004,3065 @@ class IOSoccerBot {
         }
 
         const match = {
-            id: Date.now(),
+            id: this.nextMatchId(),
             equipo1,
             equipo2,
+            equipo1Id: teams.equipo1Id,
+            equipo2Id: teams.equipo2Id,
             torneo,
             date: processedDate.date,
             time: hora,
             displayDate: processedDate.displayDate,
+            server: availability.server ? availability.server.name : null,
+            serverPinned: Boolean(options.servidor),
+            status: INITIAL_STATUS,
             confirmedBy: userId,
-            confirmedAt: new Date().toISOString()
+            confirmedAt: new Date(this.now()).toISOString()
         };
 
+        // El que propone acepta por los equipos de los que es capitán
+        const now = this.now();
+        match.acceptance = { equipo1: null, equipo2: null };
+        for (const side of this.captainSides(match, userId, options.member, { allowOrganisers: false })) {
+            match.acceptance[side] = { by: userId, at: new Date(now).toISOString() };
+        }
+
+        match.holdExpiresAt = this.holdDeadline(match);
+
+        if (this.pendingSides(match).length === 0) {
+            applyTransition(match, 'aceptar', { by: userId, at: new Date(this.now()).toISOString() });
+        }
+
         this.matches.push(match);
         this.saveMatches();
+        this.recordAudit('proponer', null, match, userId);
 
         return {
             success: true,
-            message: `🎉 Partido confirmado exitosamente para el ${processedDate.displayDate} a las ${hora}hs`,
+            message: `🎉 Partido propuesto para el ${processedDate.displayDate} a las ${hora}hs`,
             match
         };
     }
 
-    processDate(dateInput) {
-        const today = new Date();
-        let targetDate;
-
-        const inputLower = dateInput.toLowerCase().trim();
+    /**
+     * Convierte el día escrito por el usuario en una fecha de la liga
+     * @param {string} dateInput - ej: "hoy", "viernes 15", "en 3 días", "22/08"
+     * @returns {Object} - { valid, date, displayDate, error }
+     */
+    processDate(dateInput, options = {}) {
+        const result = parseDateInput(dateInput, {
+            today: this.today(),
+            horizonDays: CONFIG.matches.dateHorizonDays,
+            allowPast: options.allowPast
+        });
 
-        if (inputLower === 'hoy') {
-            targetDate = today;
-        } else if (inputLower === 'mañana' || inputLower === 'manana') {
-            targetDate = new Date(today);
-            targetDate.setDate(today.getDate() + 1);
-        } else if (this.dayNames.hasOwnProperty(inputLower)) {
-            const targetDay = this.dayNames[inputLower];
-            const currentDay = today.getDay();
-            
-            targetDate = new Date(today);
-            
-            if (targetDay === currentDay) {
-                targetDate.setDate(today.getDate() + 7);
-            } else if (targetDay > currentDay) {
-                targetDate.setDate(today.getDate() + (targetDay - currentDay));
-            } else {
-                targetDate.setDate(today.getDate() + (7 - currentDay + targetDay));
-            }
-        } else if (dateInput.match(/^\d{4}-\d{2}-\d{2}$/)) {
-            targetDate = new Date(dateInput + 'T00:00:00');
-            if (isNaN(targetDate.getTime())) {
-                return { valid: false, error: '❌ **Fecha inválida**\n\nFormato correcto: YYYY-MM-DD' };
-            }
-        } else {
-            return { 
-                valid: false, 
-                error: `❌ **Formato de fecha inválido**\n\n**Formatos aceptados:**\n• "hoy" - Para hoy\n• "mañana" - Para mañana\n• Días de la semana: lunes, martes, miércoles, jueves, viernes, sábado, domingo\n• Fecha específica: YYYY-MM-DD\n\n**Ejemplos:**\n• "lunes" - Próximo lunes\n• "viernes" - Próximo viernes\n• "2024-08-22" - Fecha específica`
-            };
+        if (!result.valid) {
+            return { valid: false, error: result.error };
         }
 
-        const dateString = targetDate.toISOString().split('T')[0];
-        const displayDate = this.formatDisplayDate(dateString);
-
         return {
             valid: true,
-            date: dateString,
-            displayDate
+            date: result.date,
+            displayDate: this.formatDisplayDate(result.date)
         };
     }
 
-    formatDisplayDate(dateString) {
-        const date = new Date(dateString + 'T00:00:00');
-        const dayName = this.dayNamesDisplay[date.getDay()];
-        const day = String(date.getDate()).padStart(2, '0');
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        return `${dayName} ${day}/${month}`;
-    }
+    /**
+     * Sugerencias para la opción `dia`: lo escrito con la fecha a la que
+     * corresponde o, sin texto, los próximos días
+     * @param {Object} options - { allowPast } para los filtros de fecha
+     */
+    getDateSuggestions(typed, options = {}) {
+        const query = String(typed || '').trim();
 
-    checkTimeFrameAvailability(date, time) {
-        const targetMinutes = this.timeToMinutes[time];
-        
-        const dayMatches = this.matches.filter(match => match.date === date);
-        
-        const conflictingMatches = dayMatches.filter(match => {
-            const matchMinutes = this.timeToMinutes[match.time];
-            const timeDifference = Math.abs(targetMinutes - matchMinutes);
-            return timeDifference <= 45;
-        });
+        if (!query) {
+            const inputs = ['hoy', 'mañana', 'pasado mañana'];
+            const today = this.today();
+            // Hasta 6 días adelante el nombre del día resuelve a esa misma fecha
+            for (let days = 3; days < 7; days++) {
+                inputs.push(this.dayNamesDisplay[weekdayOf(addDays(today, days))].toLowerCase());
+            }
 
-        if (conflictingMatches.length >= 3) {
-            const sortedMatches = conflictingMatches.sort((a, b) => 
-                this.timeToMinutes[a.time] - this.timeToMinutes[b.time]
-            );
+            // Con un horizonte de fechas corto los últimos días ya no se aceptan
+            return inputs
+                .map(input => ({ input, processedDate: this.processDate(input, options) }))
+                .filter(({ processedDate }) => processedDate.valid)
+                .map(({ input, processedDate }) => ({ name: `${input} → ${processedDate.displayDate}`, value: processedDate.date }));
+        }
 
-            const earliestTime = sortedMatches[0].time;
-            const latestTime = sortedMatches[sortedMatches.length - 1].time;
-            
-            const availableSlots = this.findNextAvailableSlots(date, targetMinutes);
-            
-            return {
-                available: false,
-                message: `❌ **No se puede confirmar en este horario**\n\n**Problema:** Ya hay 3 partidos en un rango de 45 minutos\n\n**Partidos confirmados:**\n${sortedMatches.map(m => `• ${m.time} - ${m.equipo1} vs ${m.equipo2}`).join('\n')}\n\n**Rango ocupado:** ${earliestTime} - ${latestTime}\n\n**💡 Próximos horarios disponibles:**\n${availableSlots.map(slot => `• ${slot}`).join('\n')}`
-            };
+        const processedDate = this.processDate(query, options);
+        if (!processedDate.valid) {
+            // El error se muestra como única opción; al enviarlo se repite con el detalle completo
+            const headline = processedDate.error.split('\n').filter(Boolean).slice(0, 2).join(': ').replace(/\*\*/g, '');
+            return [{ name: headline.slice(0, 100), value: query.slice(0, 100) }];
         }
 
-        return { available: true };
+        return [{ name: `${query} → ${processedDate.displayDate} (${processedDate.date})`.slice(0, 100), value: processedDate.date }];
     }
 
-    findNextAvailableSlots(date, excludeMinutes) {
-        const availableSlots = [];
-        
-        for (const slot of this.timeSlots) {
-            const slotMinutes = this.timeToMinutes[slot];
-            
-            const dayMatches = this.matches.filter(match => match.date === date);
-            const conflicting = dayMatches.filter(match => {
-                const matchMinutes = this.timeToMinutes[match.time];
-                return Math.abs(slotMinutes - matchMinutes) <= 45;
-            });
-            
-            if (conflicting.length < 3) {
-                availableSlots.push(slot);
-            }
-            
-            if (availableSlots.length >= 3) break;
-        }
-        
-        return availableSlots.length > 0 ? availableSlots : ['No hay horarios disponibles para este día'];
+    formatDisplayDate(dateString) {
+        const [, month, day] = dateString.split('-');
+        return `${this.dayNamesDisplay[weekdayOf(dateString)]} ${day}/${month}`;
     }
 
-    async viewMatches(interaction) {
-        const opcion = interaction.options.getString('opcion');
-        const dia = interaction.options.getString('dia');
+    // ============= ZONA HORARIA =============
 
-        try {
-            switch (opcion) {
-                case 'todos':
-                    await this.viewAllMatches(interaction);
-                    break;
-                case 'dia_semana':
-                    if (!dia) {
-                        return this.showDaySelectionError(interaction);
-                    }
-                    await this.viewDayOfWeek(interaction, dia);
-                    break;
-                default:
-                    await this.showViewMatchesHelp(interaction);
-            }
-        } catch (error) {
-            logger('ERROR', `Error en ver_partidos: ${error.message}`);
-            const embed = new EmbedBuilder()
-                .setColor('#e74c3c')
-                .setTitle('❌ Error')
-                .setDescription('Ocurrió un error al mostrar los partidos. Intenta nuevamente.');
-            await interaction.reply({ embeds: [embed] });
-        }
+    leagueTimeZone() {
+        return this.timezones.league();
     }
 
-    async showDaySelectionError(interaction) {
-        const embed = new EmbedBuilder()
-            .setColor('#f39c12')
-            .setTitle('⚠️ Día no seleccionado')
-            .setDescription('Para ver los partidos por día de la semana, debes seleccionar un día específico.')
-            .addFields({
-                name: '📋 Instrucciones',
-                value: '1. Selecciona "📅 Elegir día de la semana"\n2. En el campo "dia", elige el día que quieres consultar\n3. Ejecuta el comando'
-            })
-            .addFields({
-                name: '🗓️ Días disponibles',
-                value: 'Lunes, Martes, Miércoles, Jueves, Viernes, Sábado, Domingo'
-            });
-        
-        await interaction.reply({ embeds: [embed] });
+    /**
+     * @returns {string} - Fecha actual (YYYY-MM-DD) en la zona de la liga
+     */
+    today() {
+        return dateInZone(this.now(), this.leagueTimeZone());
     }
 
-    async viewAllMatches(interaction) {
-        if (this.matches.length === 0) {
-            const embed = new EmbedBuilder()
-                .setColor('#95a5a6')
-                .setTitle('📋 Todos los Partidos')
-                .setDescription('No hay partidos confirmados en el sistema.')
-                .addFields({
-                    name: '💡 ¿Cómo empezar?',
-                    value: 'Usa `/confirmar_partido` para registrar tu primer partido en el sistema.'
-                })
-                .setFooter({ text: 'Sistema IOSoccer' });
-            return interaction.reply({ embeds: [embed] });
-        }
-
-        const sortedMatches = this.matches.sort((a, b) => {
-            const dateComparison = new Date(a.date) - new Date(b.date);
-            if (dateComparison === 0) {
-                return this.timeToMinutes[a.time] - this.timeToMinutes[b.time];
-            }
-            return dateComparison;
-        });
+    /**
+     * Instante de inicio de un partido: fecha y hora se guardan en hora de la liga
+     * @returns {number} - Milisegundos epoch
+     */
+    matchStart(match) {
+        return zonedTimeToInstant(match.date, match.time, this.leagueTimeZone());
+    }
 
-        const matchesByDate = {};
-        sortedMatches.forEach(match => {
-            if (!matchesByDate[match.date]) {
-                matchesByDate[match.date] = [];
-            }
-            matchesByDate[match.date].push(match);
-        });
+    formatNow() {
+        return formatDateTime(this.now(), this.leagueTimeZone());
+    }
 
-        const embed = new EmbedBuilder()
+    /**
+     * Inicio del partido como timestamp de Discord (cada cliente lo ve en su hora local)
+     */
+    formatKickoff(match) {
+        const epoch = Math.floor(this.matchStart(match) / 1000);
+        return `<t:${epoch}:F> (<t:${epoch}:R>)`;
+    }
+
+    /**
+     * Hora de la liga traducida a la zona que eligió el usuario, si es otra
+     * @returns {string|null} - ej: "20:00 en America/Mexico_City"
+     */
+    formatUserTime(date, time, userId) {
+        const userZone = this.timezones.forUser(userId);
+        if (userZone === this.leagueTimeZone()) {
+            return null;
+        }
+
+        const start = zonedTimeToInstant(date, time, this.leagueTimeZone());
+        const userDate = dateInZone(start, userZone);
+        const day = userDate === date ? '' : `${this.formatDisplayDate(userDate)} `;
+        return `${day}${timeInZone(start, userZone)} en ${userZone}`;
+    }
+
+    /**
+     * @returns {string|null} - Mensaje de error si el horario ya pasó en la zona de la liga
+     */
+    checkNotPast(processedDate, time) {
+        if (zonedTimeToInstant(processedDate.date, time, this.leagueTimeZone()) > this.now()) {
+            return null;
+        }
+
+        return `❌ **Horario pasado**\n\nEl ${processedDate.displayDate} a las ${time}hs ya pasó (hora de la liga: ${this.formatNow()}, ${this.leagueTimeZone()})`;
+    }
+
+    /**
+     * Evalúa el motor de reglas para un horario
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} time - HH:MM
+     * @param {number} excludeMatchId - Partido que no cuenta (al reprogramar)
+     * @param {Object} details - { torneo, equipo1, equipo2, equipo1Id, equipo2Id }
+     * @returns {Object} - { available, message, violations }
+     */
+    checkTimeFrameAvailability(date, time, excludeMatchId = null, details = {}) {
+        const candidate = {
+            torneo: details.torneo,
+            equipo1: details.equipo1,
+            equipo2: details.equipo2,
+            equipo1Id: details.equipo1Id,
+            equipo2Id: details.equipo2Id,
+            server: details.server || null,
+            date,
+            time
+        };
+
+        const result = this.schedulingRules.evaluate(this.schedulableMatches(), candidate, { excludeMatchId });
+
+        if (!result.allowed) {
+            const availableSlots = this.findNextAvailableSlots(date, excludeMatchId, details);
+
+            const problems = result.violations.map(violation => {
+                const conflicts = violation.conflicts
+                    .slice()
+                    .sort((a, b) => toMinutes(a.time) - toMinutes(b.time))
+                    .slice(0, 5)
+                    .map(m => `  • ${m.date === date ? '' : `${m.displayDate} `}${m.time} - ${m.equipo1} vs ${m.equipo2}`);
+                return [`**${violation.title}:** ${violation.message}`, ...conflicts].join('\n');
+            });
+
+            return {
+                available: false,
+                violations: result.violations,
+                message: `❌ **No se puede confirmar en este horario**\n\n${problems.join('\n\n')}\n\n**💡 Próximos horarios disponibles:**\n${availableSlots.map(slot => `• ${slot}`).join('\n')}`
+            };
+        }
+
+        return { available: true, violations: [], server: result.server };
+    }
+
+    findNextAvailableSlots(date, excludeMatchId = null, details = {}) {
+        const availableSlots = this.schedulingRules.findAvailableSlots(this.schedulableMatches(), { ...details, date }, { excludeMatchId })
+            .filter(slot => zonedTimeToInstant(date, slot, this.leagueTimeZone()) > this.now());
+
+        return availableSlots.length > 0 ? availableSlots : ['No hay horarios disponibles para este día'];
+    }
+
+    async viewMatches(interaction) {
+        const result = this.parseMatchListFilters({
+            torneo: interaction.options.getString('torneo'),
+            equipo: interaction.options.getString('equipo'),
+            desde: interaction.options.getString('desde'),
+            hasta: interaction.options.getString('hasta'),
+            estado: interaction.options.getString('estado'),
+            servidor: interaction.options.getString('servidor'),
+            diaSemana: interaction.options.getString('dia_semana')
+        });
+
+        if (!result.success) {
+            const embed = new EmbedBuilder()
+                .setColor('#e74c3c')
+                .setTitle('❌ Filtro Inválido')
+                .setDescription(result.message);
+            return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        // Las vistas vencidas se descartan al crear una nueva
+        for (const [id, view] of this.matchListViews) {
+            if (this.now() - view.createdAt > MATCH_LIST_TTL) this.matchListViews.delete(id);
+        }
+
+        const viewId = interaction.id;
+        const view = { userId: interaction.user.id, filters: result.filters, createdAt: this.now() };
+        this.matchListViews.set(viewId, view);
+
+        // Si no hay próximos se abre directamente en los pasados
+        const lists = this.matchLists(view.filters);
+        const tab = lists.upcoming.length === 0 && lists.past.length > 0 ? 'pasados' : 'proximos';
+
+        await interaction.reply(this.createMatchListPayload(viewId, view, tab, 0));
+    }
+
+    /**
+     * Valida las opciones de /ver_partidos
+     * @param {Object} options - { torneo, equipo, desde, hasta, estado, servidor, diaSemana } tal como se escribieron
+     * @returns {Object} - { success, message, filters }
+     */
+    parseMatchListFilters(options) {
+        const filters = {};
+        const labels = [];
+
+        if (options.torneo) {
+            const tournament = this.tournaments.find(options.torneo);
+            if (!tournament) {
+                return { success: false, message: `❌ No existe el torneo **${options.torneo}**` };
+            }
+            filters.torneo = tournament.name;
+            labels.push(`🏆 ${tournament.name}`);
+        }
+
+        if (options.equipo) {
+            const team = this.teams.resolve(options.equipo);
+            filters.teamKey = team ? team.id : this.teamKey(options.equipo);
+            labels.push(`👥 ${team ? team.name : options.equipo}`);
+        }
+
+        for (const [key, input] of [['from', options.desde], ['to', options.hasta]]) {
+            if (!input) continue;
+            const processedDate = this.processDate(input, { allowPast: true });
+            if (!processedDate.valid) {
+                return { success: false, message: processedDate.error };
+            }
+            filters[key] = processedDate.date;
+        }
+        if (filters.from && filters.to && filters.from > filters.to) {
+            return { success: false, message: '❌ La fecha **desde** es posterior a **hasta**' };
+        }
+        if (filters.from || filters.to) {
+            const format = date => (date ? this.formatDisplayDate(date) : '…');
+            labels.push(`📅 ${format(filters.from)} → ${format(filters.to)}`);
+        }
+
+        if (options.estado) {
+            if (!MATCH_STATUS[options.estado]) {
+                return { success: false, message: `❌ Estado desconocido: **${options.estado}**` };
+            }
+            filters.status = options.estado;
+            labels.push(`${MATCH_STATUS[options.estado].emoji} ${MATCH_STATUS[options.estado].label}`);
+        }
+
+        if (options.servidor) {
+            const server = this.servers().find(s => s.name.toLowerCase() === options.servidor.toLowerCase());
+            if (!server) {
+                return { success: false, message: `❌ Servidor desconocido: **${options.servidor}**\n\n**Servidores:**\n${this.servers().map(s => `• ${s.name}`).join('\n')}` };
+            }
+            filters.server = server.name;
+            labels.push(`🖥️ ${server.name}`);
+        }
+
+        if (options.diaSemana) {
+            const weekday = this.dayNames[normalizeName(options.diaSemana)];
+            if (weekday === undefined) {
+                return { success: false, message: `❌ Día inválido: **${options.diaSemana}**` };
+            }
+            filters.weekday = weekday;
+            labels.push(`🗓️ ${this.dayNamesDisplay[weekday]}`);
+        }
+
+        filters.labels = labels;
+        return { success: true, filters };
+    }
+
+    /**
+     * Partidos que cumplen los filtros, separados en próximos y pasados
+     */
+    matchLists(filters) {
+        const matches = filterMatches(this.matches, filters, { teamKey: (name, id) => this.teamKey(name, id) });
+        return splitByTime(matches, this.now(), match => this.matchStart(match));
+    }
+
+    /**
+     * Mensaje de una página de /ver_partidos con sus botones
+     * @param {string} tab - proximos | pasados
+     */
+    createMatchListPayload(viewId, view, tab, page) {
+        const lists = this.matchLists(view.filters);
+        const matches = tab === 'pasados' ? lists.past : lists.upcoming;
+        const current = paginate(matches, page, MATCH_LIST_PAGE_SIZE);
+
+        const description = [
+            view.filters.labels.length > 0 ? `🔎 ${view.filters.labels.join(' • ')}` : '🔎 Sin filtros',
+            `⏭️ Próximos: **${lists.upcoming.length}** • ⏮️ Pasados: **${lists.past.length}**`
+        ];
+
+        const embed = new EmbedBuilder()
+            .setColor(tab === 'pasados' ? '#95a5a6' : '#3498db')
+            .setTitle(tab === 'pasados' ? '⏮️ Partidos Pasados' : '⏭️ Próximos Partidos')
+            .setDescription(description.join('\n'))
+            .setFooter({ text: `Página ${current.page + 1} de ${current.pages} • Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        if (current.items.length === 0) {
+            embed.addFields({
+                name: '📋 Sin partidos',
+                value: view.filters.labels.length > 0
+                    ? 'Ningún partido cumple los filtros. Prueba quitando alguno.'
+                    : 'Usa `/proponer_partido` para registrar un partido.',
+                inline: false
+            });
+        }
+
+        // Un campo por día; si un día no entra en un campo se parte en varios
+        const groups = [];
+        for (const match of current.items) {
+            const line = this.formatMatchLine(match);
+            const last = groups[groups.length - 1];
+            if (last && last.date === match.date && last.value.length + line.length + 1 <= 1024) {
+                last.value += `\n${line}`;
+                last.count++;
+            } else {
+                groups.push({ date: match.date, value: line, count: 1, continued: Boolean(last && last.date === match.date) });
+            }
+        }
+        for (const group of groups) {
+            embed.addFields({
+                name: `📅 ${this.formatDisplayDate(group.date)}${group.continued ? ' (cont.)' : ''}`,
+                value: group.value,
+                inline: false
+            });
+        }
+
+        const other = tab === 'pasados' ? 'proximos' : 'pasados';
+        const components = [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`partidos:${viewId}:${tab}:${current.page - 1}`)
+                .setLabel('Anterior')
+                .setEmoji('◀️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current.page === 0),
+            new ButtonBuilder()
+                .setCustomId(`partidos:${viewId}:${tab}:${current.page + 1}`)
+                .setLabel('Siguiente')
+                .setEmoji('▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current.page >= current.pages - 1),
+            new ButtonBuilder()
+                .setCustomId(`partidos:${viewId}:${other}:0`)
+                .setLabel(other === 'pasados' ? `Pasados (${lists.past.length})` : `Próximos (${lists.upcoming.length})`)
+                .setEmoji(other === 'pasados' ? '⏮️' : '⏭️')
+                .setStyle(ButtonStyle.Primary)
+        )];
+
+        return { embeds: [embed], components };
+    }
+
+    /**
+     * Botones partidos:<viewId>:<proximos|pasados>:<página> de /ver_partidos.
+     * Solo los usa quien ejecutó el comando; la lista se recalcula en cada clic
+     */
+    async handleMatchListComponent(interaction) {
+        const [, viewId, tab, rawPage] = interaction.customId.split(':');
+        const view = this.matchListViews.get(viewId);
+
+        if (!view || this.now() - view.createdAt > MATCH_LIST_TTL) {
+            this.matchListViews.delete(viewId);
+            return interaction.update({ content: '⌛ Esta lista venció. Vuelve a consultarla con `/ver_partidos`.', components: [] });
+        }
+
+        if (interaction.user.id !== view.userId) {
+            return interaction.reply({ content: '❌ Estos botones son de quien ejecutó `/ver_partidos`. Usa el comando para tener tu propia lista.', ephemeral: true });
+        }
+
+        await interaction.update(this.createMatchListPayload(viewId, view, tab === 'pasados' ? 'pasados' : 'proximos', Number(rawPage) || 0));
+    }
+
+    // ============= MIS PARTIDOS Y CALENDARIO =============
+
+    async showMyMatches(interaction) {
+        const equipo = interaction.options.getString('equipo');
+        let teams;
+
+        if (equipo) {
+            const team = this.teams.resolve(equipo);
+            if (!team) {
+                const suggestions = this.teams.suggest(equipo).map(t => `**${t.name}**`);
+                return interaction.reply({
+                    content: `❌ No existe el equipo **${equipo}**${suggestions.length > 0 ? `\n\n¿Quisiste decir ${suggestions.join(', ')}?` : ''}`,
+                    ephemeral: true
+                });
+            }
+            teams = [team];
+        } else {
+            teams = this.teams.forMember(interaction.user.id, interaction.member);
+        }
+
+        if (teams.length === 0) {
+            const embed = new EmbedBuilder()
+                .setColor('#f39c12')
+                .setTitle('👥 Sin Equipo')
+                .setDescription('No encontré tu equipo: no eres capitán de ninguno ni tienes el rol de un equipo registrado.')
+                .addFields({
+                    name: '💡 ¿Cómo se vincula?',
+                    value: 'Un administrador te agrega con `/equipo capitan` o le asigna un rol al equipo con `/equipo rol`.\nMientras tanto puedes consultar cualquier equipo con `/mis_partidos equipo:<nombre>`.'
+                });
+            return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const matches = this.teamMatches(teams);
+        const { upcoming, past } = splitByTime(matches, this.now(), match => this.matchStart(match));
+
+        const embed = new EmbedBuilder()
+            .setColor('#3498db')
+            .setTitle(`👤 Partidos de ${teams.map(team => team.name).join(', ')}`.slice(0, 256))
+            .setDescription(`⏭️ Próximos: **${upcoming.length}** • ⏮️ Jugados: **${past.length}**\nLos horarios se muestran en tu zona horaria.`)
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        embed.addFields(
+            {
+                name: '⏭️ Próximos',
+                value: this.joinLines(upcoming.slice(0, 8).map(match => this.formatMyMatchLine(match)), 'Sin partidos programados'),
+                inline: false
+            },
+            {
+                name: '⏮️ Recientes',
+                value: this.joinLines(past.slice(0, 5).map(match => this.formatMyMatchLine(match)), 'Todavía no jugó partidos'),
+                inline: false
+            }
+        );
+
+        const links = teams.map(team => this.calendarUrl(team)).filter(Boolean);
+        embed.addFields({
+            name: '📆 Calendario',
+            value: links.length > 0
+                ? `Suscríbete desde tu teléfono para recibir los cambios de horario:\n${links.map((link, index) => `• ${teams[index].name}: ${link}`).join('\n')}`.slice(0, 1024)
+                : 'Abre el archivo .ics adjunto para agregar los partidos a tu calendario.',
+            inline: false
+        });
+
+        const files = teams.slice(0, 10).map(team =>
+            new AttachmentBuilder(Buffer.from(this.teamCalendar(team), 'utf8'), { name: `partidos-${team.id}.ics` }));
+
+        await interaction.reply({ embeds: [embed], files, ephemeral: true });
+    }
+
+    /**
+     * Partidos vigentes de uno o más equipos (sin repetir los que los enfrentan
+     * entre sí); los rechazados y vencidos no cuentan
+     */
+    teamMatches(teams) {
+        const teamKey = (name, id) => this.teamKey(name, id);
+        const found = new Set();
+        for (const team of teams) {
+            filterMatches(this.matches.filter(holdsSlot), { teamKey: team.id }, { teamKey }).forEach(match => found.add(match));
+        }
+        return [...found];
+    }
+
+    formatMyMatchLine(match) {
+        const status = MATCH_STATUS[statusOf(match)];
+        const score = formatScore(match);
+        const teams = score && !match.result.walkoverWinner
+            ? `${match.equipo1} **${score}** ${match.equipo2}`
+            : `${match.equipo1} vs ${match.equipo2}${score ? ` (${score})` : ''}`;
+        const epoch = Math.floor(this.matchStart(match) / 1000);
+
+        return `• <t:${epoch}:f> — ${teams} ${status.emoji}\n  🏆 ${match.torneo} • ID: \`${match.id}\``;
+    }
+
+    /**
+     * Une líneas de un campo sin pasarse del límite de Discord
+     */
+    joinLines(lines, empty) {
+        let value = '';
+        for (const line of lines) {
+            if (value.length + line.length + 1 > 1024) break;
+            value += `${value ? '\n' : ''}${line}`;
+        }
+        return value || empty;
+    }
+
+    /**
+     * Calendario .ics con los partidos de un equipo
+     */
+    teamCalendar(team) {
+        return matchesToIcs(this.teamMatches([team]), {
+            name: `${team.name} • IOSoccer`,
+            now: this.now(),
+            guildId: this.guild.guildId,
+            startOf: match => this.matchStart(match),
+            matchMinutes: CONFIG.calendar.matchMinutes,
+            serverOf: name => this.servers().find(server => server.name === name) || null
+        });
+    }
+
+    /**
+     * @returns {string|null} - Enlace de suscripción del equipo (requiere PUBLIC_URL)
+     */
+    calendarUrl(team) {
+        if (!CONFIG.calendar.publicUrl) return null;
+        // Los equipos de otros servidores de Discord llevan el ID del servidor en la ruta
+        const guild = this.guild.primary ? '' : `${this.guild.guildId}/`;
+        return `${CONFIG.calendar.publicUrl.replace(/\/+$/, '')}/calendario/${guild}${encodeURIComponent(team.id)}.ics`;
+    }
+
+    async cancelMatch(interaction) {
+        const matchId = interaction.options.getInteger('id');
+        const matchIndex = this.matches.findIndex(match => match.id === matchId);
+
+        if (matchIndex === -1) {
+            const embed = new EmbedBuilder()
+                .setColor('#e74c3c')
+                .setTitle('❌ Partido No Encontrado')
+                .setDescription(`No se encontró un partido con ID: \`${matchId}\``)
+                .addFields({ 
+                    name: '💡 Sugerencia', 
+                    value: 'Usa `/ver_partidos` para ver los IDs de los partidos confirmados' 
+                });
+            return interaction.reply({ embeds: [embed] });
+        }
+
+        const match = this.matches[matchIndex];
+        if (!this.canManageMatch(match, interaction.user.id, interaction.member)) {
+            return interaction.reply({ content: this.ownershipError(match, 'cancelar este partido'), ephemeral: true });
+        }
+
+        // Un partido jugado no se borra: su resultado cuenta para la tabla y el cuadro
+        if (!canCancel(match)) {
+            return interaction.reply({
+                content: `❌ El partido \`${match.id}\` está en estado ${statusLabel(match)} y ya no se puede cancelar: su resultado cuenta para la tabla y el cuadro.\n` +
+                    'Para corregir un resultado usa `/partido disputar` y luego `/partido resultado`.',
+                ephemeral: true
+            });
+        }
+
+        this.matches.splice(matchIndex, 1);
+        this.saveMatches();
+        this.recordAudit('cancelar', auditSnapshot(match), null, interaction.user.id);
+
+        // La llave queda sin ese partido: el cuadro propone uno nuevo con los equipos que correspondan
+        this.syncMatchBracket(match);
+
+        const embed = new EmbedBuilder()
+            .setColor('#f39c12')
+            .setTitle('🗑️ Partido Cancelado')
+            .setDescription('El partido ha sido cancelado exitosamente del sistema')
+            .addFields(
+                { name: '⚽ Equipo Local', value: match.equipo1, inline: false },
+                { name: '🆚 Equipo Visitante', value: match.equipo2, inline: false },
+                { name: '🏆 Torneo', value: match.torneo, inline: false },
+                { name: '📅 Fecha', value: match.displayDate, inline: false },
+                { name: '🕐 Hora', value: `${match.time}hs`, inline: false },
+                { name: '👤 Cancelado por', value: interaction.user.username, inline: false }
+            )
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    async rescheduleMatch(interaction) {
+        const matchId = interaction.options.getInteger('id');
+        const dia = interaction.options.getString('dia');
+        const hora = interaction.options.getString('hora');
+        const servidor = interaction.options.getString('servidor');
+
+        const result = await this.processMatchReschedule(matchId, dia, hora, interaction.user.id, { servidor, member: interaction.member });
+
+        if (!result.success) {
+            const embed = new EmbedBuilder()
+                .setColor('#e74c3c')
+                .setTitle('❌ No se pudo Reprogramar')
+                .setDescription(result.message)
+                .setFooter({ text: 'Revisa los datos e intenta nuevamente' });
+            return interaction.reply({ embeds: [embed] });
+        }
+
+        const { match, previous } = result;
+        const embed = new EmbedBuilder()
+            .setColor('#3498db')
+            .setTitle('🔁 Partido Reprogramado')
+            .setDescription(`**${match.equipo1}** vs **${match.equipo2}**\n🏆 ${match.torneo}`)
+            .addFields(
+                { name: '⏮️ Antes', value: `${previous.displayDate} • ${previous.time}hs${previous.server ? `\n🖥️ ${previous.server}` : ''}`, inline: true },
+                { name: '⏭️ Ahora', value: `${match.displayDate} • ${match.time}hs${match.server ? `\n🖥️ ${match.server}` : ''}`, inline: true },
+                { name: '🌎 En tu hora', value: this.formatKickoff(match), inline: false },
+                { name: '🖥️ Servidor', value: this.formatMatchServer(match), inline: false },
+                { name: '🆔 ID del Partido', value: `\`${match.id}\``, inline: false },
+                { name: '👤 Confirmado originalmente por', value: `<@${match.confirmedBy}>`, inline: true },
+                { name: '🔁 Reprogramado por', value: interaction.user.username, inline: true },
+                { name: '📜 Cambios de horario', value: `${match.history.filter(entry => entry.action === 'reprogramado').length}`, inline: true },
+                { name: '📌 Estado', value: statusLabel(match), inline: false },
+                ...this.acceptanceFields(match)
+            )
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        // Con el horario nuevo pendiente de aceptar, los botones quedan a mano del rival
+        await interaction.reply({ embeds: [embed], components: this.createMatchActionRows(match) });
+    }
+
+    async processMatchReschedule(matchId, dia, hora, userId, options = {}) {
+        const match = this.matches.find(m => m.id === matchId);
+
+        if (!match) {
+            return {
+                success: false,
+                message: `❌ **Partido no encontrado**\n\nNo existe un partido con ID \`${matchId}\`. Usa \`/ver_partidos\` para ver los IDs.`
+            };
+        }
+
+        if (!this.canManageMatch(match, userId, options.member)) {
+            return { success: false, message: this.ownershipError(match, 'reprogramar este partido') };
+        }
+
+        if (!['proposed', 'accepted'].includes(statusOf(match))) {
+            return {
+                success: false,
+                message: `❌ **No se puede reprogramar**\n\nEl partido está en estado ${statusLabel(match)}; solo se mueven partidos que todavía no se jugaron.`
+            };
+        }
+
+        if (isNaN(toMinutes(hora))) {
+            return {
+                success: false,
+                message: `❌ **Hora inválida**\n\nUsa el formato HH:MM (ej: 22:15)\n\n**Reglas de horario:**\n${this.schedulingRules.describe().join('\n')}`
+            };
+        }
+        hora = fromMinutes(toMinutes(hora));
+
+        const processedDate = this.processDate(dia);
+        if (!processedDate.valid) {
+            return {
+                success: false,
+                message: processedDate.error
+            };
+        }
+
+        // Se conserva el servidor fijado a mano; uno asignado automáticamente se recalcula
+        const pinnedServer = options.servidor || (match.serverPinned ? match.server : null);
+
+        if (processedDate.date === match.date && hora === match.time && (!options.servidor || options.servidor === match.server)) {
+            return {
+                success: false,
+                message: `❌ **Sin cambios**\n\nEl partido ya está programado para el ${match.displayDate} a las ${match.time}hs`
+            };
+        }
+
+        const pastSlot = this.checkNotPast(processedDate, hora);
+        if (pastSlot) {
+            return {
+                success: false,
+                message: pastSlot
+            };
+        }
+
+        // Las reglas de programación se evalúan sin contar al propio partido
+        const availability = this.checkTimeFrameAvailability(processedDate.date, hora, match.id, { ...match, server: pinnedServer });
+        if (!availability.available) {
+            return {
+                success: false,
+                message: availability.message
+            };
+        }
+
+        const before = auditSnapshot(match);
+        const moved = processedDate.date !== match.date || hora !== match.time;
+        const previous = {
+            date: match.date,
+            time: match.time,
+            displayDate: match.displayDate,
+            server: match.server || null
+        };
+
+        match.history = match.history || [];
+        match.history.push({
+            action: 'reprogramado',
+            from: previous,
+            to: {
+                date: processedDate.date,
+                time: hora,
+                displayDate: processedDate.displayDate,
+                server: availability.server ? availability.server.name : null
+            },
+            by: userId,
+            at: new Date(this.now()).toISOString()
+        });
+
+        match.date = processedDate.date;
+        match.time = hora;
+        match.displayDate = processedDate.displayDate;
+        match.server = availability.server ? availability.server.name : null;
+        match.serverPinned = Boolean(pinnedServer);
+
+        // El nuevo horario se vuelve a proponer: solo lo aceptan de entrada los
+        // equipos de los que es capitán quien lo movió
+        if (moved) {
+            this.reproposeMatch(match, userId, options.member);
+        }
+
+        this.saveMatches();
+        this.recordAudit('reprogramar', before, match, userId);
+        if (moved) {
+            this.refreshProposalMessage(match);
+        }
+
+        return {
+            success: true,
+            message: `🔁 Partido reprogramado para el ${processedDate.displayDate} a las ${hora}hs`,
+            match,
+            previous
+        };
+    }
+
+    /**
+     * Vencimiento de la reserva de una propuesta: MATCH_HOLD_MINUTES desde
+     * ahora, nunca después de la hora del partido
+     * @returns {string} - ISO
+     */
+    holdDeadline(match) {
+        return new Date(Math.min(this.now() + CONFIG.matches.holdMinutes * 60000, this.matchStart(match))).toISOString();
+    }
+
+    /**
+     * Vuelve a pedir la aceptación de un partido que cambió de horario: uno
+     * aceptado pasa a propuesto, la aceptación queda solo para los equipos de
+     * los que es capitán quien lo movió y la reserva vuelve a correr (los
+     * partidos del fixture siguen sin vencer)
+     */
+    reproposeMatch(match, userId, member) {
+        const at = new Date(this.now()).toISOString();
+        if (statusOf(match) === 'accepted') {
+            applyTransition(match, 'reprogramar', { by: userId, at });
+        }
+
+        match.acceptance = { equipo1: null, equipo2: null };
+        for (const side of this.captainSides(match, userId, member, { allowOrganisers: false })) {
+            match.acceptance[side] = { by: userId, at };
+        }
+
+        if (!match.fixture) {
+            match.holdExpiresAt = this.holdDeadline(match);
+        }
+
+        if (this.pendingSides(match).length === 0) {
+            applyTransition(match, 'aceptar', { by: userId, at });
+        }
+    }
+
+    async handleMatchCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const matchId = interaction.options.getInteger('id');
+
+        if (subcommand === 'ver') {
+            const match = this.matches.find(m => m.id === matchId);
+            if (!match) {
+                return interaction.reply({ content: `❌ No existe un partido con ID \`${matchId}\``, ephemeral: true });
+            }
+
+            return interaction.reply({
+                embeds: [this.createMatchStatusEmbed(match)],
+                components: this.createMatchActionRows(match)
+            });
+        }
+
+        const data = {
+            goles1: interaction.options.getInteger('goles1'),
+            goles2: interaction.options.getInteger('goles2'),
+            ganador: interaction.options.getString('ganador'),
+            motivo: interaction.options.getString('motivo')
+        };
+        const result = subcommand === 'penales'
+            ? this.processPenalties(matchId, interaction.user.id, data, interaction.member)
+            : this.processMatchTransition(matchId, subcommand, interaction.user.id, data, interaction.member);
+
+        if (!result.success) {
+            return interaction.reply({ content: result.message, ephemeral: true });
+        }
+
+        await interaction.reply({
+            embeds: [this.createMatchStatusEmbed(result.match, result.title)],
+            components: this.createMatchActionRows(result.match)
+        });
+    }
+
+    /**
+     * Reparte botones y formularios según el prefijo de su customId
+     */
+    async handleComponent(interaction) {
+        const prefix = interaction.customId.split(':')[0];
+
+        try {
+            switch (prefix) {
+                case 'partido':
+                case 'partido_form':
+                    await this.handleMatchComponent(interaction);
+                    break;
+                case 'tabla':
+                    await this.handleStandingsComponent(interaction);
+                    break;
+                case 'fixture':
+                    await this.handleFixtureComponent(interaction);
+                    break;
+                case 'partidos':
+                    await this.handleMatchListComponent(interaction);
+                    break;
+            }
+        } catch (error) {
+            logger('ERROR', `Error en componente ${interaction.customId}: ${error.message}`);
+            if (!interaction.replied && !interaction.deferred) {
+                await interaction.reply({ content: '❌ Ocurrió un error al procesar la acción.', ephemeral: true });
+            }
+        }
+    }
+
+    /**
+     * Botones (partido:<acción>:<id>) y formularios (partido_form:<acción>:<id>)
+     * de los mensajes de partido
+     */
+    async handleMatchComponent(interaction) {
+        const [, action, rawId, extra] = interaction.customId.split(':');
+
+        const matchId = Number(rawId);
+
+        // Cargar resultado y disputar piden datos: el botón abre un formulario
+        if (interaction.isButton() && (action === 'resultado' || action === 'disputar')) {
+            return interaction.showModal(this.createMatchModal(action, matchId));
+        }
+
+        const data = {};
+        if (interaction.isModalSubmit()) {
+            if (action === 'resultado') {
+                const goles1 = interaction.fields.getTextInputValue('goles1').trim();
+                const goles2 = interaction.fields.getTextInputValue('goles2').trim();
+                data.goles1 = /^\d+$/.test(goles1) ? Number(goles1) : NaN;
+                data.goles2 = /^\d+$/.test(goles2) ? Number(goles2) : NaN;
+            } else if (action === 'disputar') {
+                data.motivo = interaction.fields.getTextInputValue('motivo');
+            }
+        } else if (action === 'walkover') {
+            data.ganador = extra;
+        }
+
+        const result = this.processMatchTransition(matchId, action, interaction.user.id, data, interaction.member);
+        if (!result.success) {
+            return interaction.reply({ content: result.message, ephemeral: true });
+        }
+
+        const payload = {
+            embeds: [this.createMatchStatusEmbed(result.match, result.title)],
+            components: this.createMatchActionRows(result.match)
+        };
+
+        // Se actualiza el mismo mensaje para que no queden botones viejos a la vista
+        if (interaction.isButton() || interaction.isFromMessage()) {
+            await interaction.update(payload);
+        } else {
+            await interaction.reply(payload);
+        }
+    }
+
+    /**
+     * Aplica una acción del ciclo de vida y guarda el partido
+     * @param {number} matchId - ID del partido
+     * @param {string} action - Acción de TRANSITIONS
+     * @param {string} userId - Usuario que la ejecuta
+     * @param {Object} data - Datos de la acción (goles, ganador, motivo)
+     * @param {Object} member - Miembro del servidor que la ejecuta
+     * @returns {Object} - { success, message, match, title }
+     */
+    processMatchTransition(matchId, action, userId, data = {}, member = null) {
+        const match = this.matches.find(m => m.id === matchId);
+        if (!match) {
+            return { success: false, message: `❌ No existe un partido con ID \`${matchId}\`` };
+        }
+        const before = auditSnapshot(match);
+
+        // Aceptar o rechazar una propuesta es cosa de los capitanes que faltan
+        if ((action === 'aceptar' || action === 'rechazar') && statusOf(match) === 'proposed') {
+            const pending = this.pendingSides(match);
+            const sides = this.captainSides(match, userId, member).filter(side => pending.includes(side));
+
+            if (sides.length === 0) {
+                const teams = pending.map(side => `**${match[side]}**`).join(' o ');
+                return {
+                    success: false,
+                    message: `❌ Solo un capitán de ${teams} puede ${TRANSITIONS[action].label.toLowerCase()} esta propuesta`
+                };
+            }
+
+            if (action === 'aceptar') {
+                const at = new Date(this.now()).toISOString();
+                for (const side of sides) {
+                    match.acceptance[side] = { by: userId, at };
+                }
+
+                if (this.pendingSides(match).length > 0) {
+                    match.history = match.history || [];
+                    match.history.push({ action: 'aceptacion', sides, by: userId, at });
+                    this.saveMatches();
+                    this.recordAudit('aceptar', before, match, userId);
+                    return { success: true, match, title: `🤝 ${sides.map(side => match[side]).join(' y ')} ${sides.length > 1 ? 'aceptaron' : 'aceptó'} la propuesta` };
+                }
+            }
+        } else if (TRANSITIONS[action] && !this.canManageMatch(match, userId, member)) {
+            return { success: false, message: this.ownershipError(match, `usar **${TRANSITIONS[action].label}** en este partido`) };
+        }
+
+        const result = applyTransition(match, action, { ...data, by: userId, at: new Date(this.now()).toISOString() });
+        if (!result.success) {
+            return result;
+        }
+
+        this.saveMatches();
+        this.recordAudit(action, before, match, userId);
+        logger('INFO', `Partido ${match.id}: ${result.from} → ${result.to} (${userId})`);
+
+        // En un cuadro de eliminación el ganador avanza apenas hay resultado
+        this.syncMatchBracket(match);
+
+        return { success: true, match, title: `${TRANSITIONS[action].emoji} ${TRANSITIONS[action].label}: ${statusLabel(match)}` };
+    }
+
+    /**
+     * Carga los penales del último partido de una llave que terminó igualada
+     * @param {Object} data - { goles1, goles2 } penales de cada lado del partido
+     * @returns {Object} - { success, message, match, title }
+     */
+    processPenalties(matchId, userId, data, member = null) {
+        const match = this.matches.find(m => m.id === matchId);
+        if (!match) {
+            return { success: false, message: `❌ No existe un partido con ID \`${matchId}\`` };
+        }
+
+        if (!this.canManageMatch(match, userId, member)) {
+            return { success: false, message: this.ownershipError(match, 'cargar los penales de este partido') };
+        }
+
+        const bracket = match.bracket ? this.brackets.find(match.bracket.id) : null;
+        const tie = bracket ? findTie(bracket, match) : null;
+        if (!tie) {
+            return { success: false, message: '❌ Solo se definen por penales los partidos de un cuadro de eliminación (`/bracket`)' };
+        }
+
+        if (!['finished', 'confirmed', 'disputed'].includes(statusOf(match)) || !match.result || match.result.walkoverWinner) {
+            return { success: false, message: `❌ Primero carga el resultado del partido (estado actual: ${statusLabel(match)})` };
+        }
+
+        const lastLeg = tie.legs[tie.legs.length - 1];
+        if (tie.legs.length < bracket.legs || lastLeg !== match.id) {
+            return { success: false, message: `❌ Los penales se cargan en el último partido de la llave${lastLeg && lastLeg !== match.id ? ` (ID: \`${lastLeg}\`)` : ''}` };
+        }
+
+        // La llave tiene que estar igualada sin contar penales cargados antes
+        const legs = tie.legs.map(id => this.matches.find(m => m.id === id))
+            .map(leg => leg.id === match.id ? { ...leg, result: { ...leg.result, penalties: null } } : leg);
+        const outcome = evaluateTie(tie, legs, bracket);
+        if (!outcome.level) {
+            return {
+                success: false,
+                message: outcome.winner
+                    ? `❌ La llave no terminó igualada: la gana **${this.teamNameById(outcome.winner)}** (${DECIDED_BY[outcome.decidedBy]})`
+                    : '❌ Falta el resultado de algún partido de la llave'
+            };
+        }
+
+        const { goles1, goles2 } = data;
+        if (![goles1, goles2].every(value => Number.isInteger(value) && value >= 0 && value <= 99) || goles1 === goles2) {
+            return { success: false, message: '❌ Los penales no pueden terminar empatados' };
+        }
+
+        const before = auditSnapshot(match);
+        const at = new Date(this.now()).toISOString();
+        match.result.penalties = { goles1, goles2 };
+        match.history = match.history || [];
+        match.history.push({ action: 'penales', result: { goles1, goles2 }, by: userId, at });
+        this.saveMatches();
+        this.recordAudit('penales', before, match, userId);
+        logger('INFO', `Partido ${match.id}: penales ${goles1}-${goles2} (${userId})`);
+
+        this.syncBracket(bracket);
+        return { success: true, match, title: `🥅 Penales: ${formatScore(match)}` };
+    }
+
+    /**
+     * Partidos que ocupan horario y servidor para las reglas de programación
+     */
+    schedulableMatches() {
+        return this.matches.filter(holdsSlot);
+    }
+
+    /**
+     * @returns {Array<string>} - Lados (equipo1/equipo2) que todavía no aceptaron la propuesta
+     */
+    pendingSides(match) {
+        return ['equipo1', 'equipo2'].filter(side => !(match.acceptance && match.acceptance[side]));
+    }
+
+    /**
+     * Lados del partido por los que el usuario puede responder como capitán.
+     * Si un equipo no está registrado o no tiene capitanes, deciden quienes
+     * tienen el nivel de "partido ajenos" (salvo que allowOrganisers sea false)
+     */
+    captainSides(match, userId, member, { allowOrganisers = true } = {}) {
+        return ['equipo1', 'equipo2'].filter(side => {
+            const team = match[`${side}Id`] ? this.teams.findById(match[`${side}Id`]) : null;
+
+            if (!team || !this.teams.hasCaptains(team)) {
+                return allowOrganisers && this.canActForOtherTeams(member, userId);
+            }
+
+            return this.teams.isCaptain(team, userId, member);
+        });
+    }
+
+    /**
+     * Campos de embed con quién falta aceptar y cuándo vence la reserva
+     */
+    acceptanceFields(match) {
+        if (statusOf(match) !== 'proposed') {
+            return [];
+        }
+
+        const sides = ['equipo1', 'equipo2'].map(side => {
+            const accepted = match.acceptance && match.acceptance[side];
+            return accepted ? `✅ ${match[side]} — <@${accepted.by}>` : `⏳ ${match[side]}`;
+        });
+
+        const fields = [{ name: '🤝 Aceptación', value: sides.join('\n'), inline: false }];
+        if (match.holdExpiresAt) {
+            const expires = Math.floor(new Date(match.holdExpiresAt).getTime() / 1000);
+            fields.push({ name: '⏳ Reserva', value: `Vence <t:${expires}:R> si el rival no acepta`, inline: false });
+        }
+        return fields;
+    }
+
+    /**
+     * Pasa a vencidas las propuestas cuyo plazo terminó y libera su horario
+     * @returns {Array<Object>} - Partidos vencidos en esta pasada
+     */
+    expireHolds() {
+        const now = this.now();
+        const expired = this.matches.filter(match =>
+            statusOf(match) === 'proposed' && match.holdExpiresAt && new Date(match.holdExpiresAt).getTime() <= now);
+
+        if (expired.length === 0) {
+            return [];
+        }
+
+        const before = new Map(expired.map(match => [match.id, auditSnapshot(match)]));
+        for (const match of expired) {
+            applyTransition(match, 'vencer', { by: null, at: new Date(this.now()).toISOString() });
+            logger('INFO', `Propuesta ${match.id} vencida sin aceptar (${match.equipo1} vs ${match.equipo2})`);
+        }
+        this.saveMatches();
+
+        for (const match of expired) {
+            this.recordAudit('vencer', before.get(match.id), match, null);
+            this.refreshProposalMessage(match);
+        }
+
+        return expired;
+    }
+
+    /**
+     * Actualiza el mensaje original de la propuesta (estado y botones)
+     */
+    async refreshProposalMessage(match) {
+        if (!match.proposalMessage || !this.client.isReady()) {
+            return;
+        }
+
+        try {
+            const channel = await this.client.channels.fetch(match.proposalMessage.channelId);
+            const message = await channel.messages.fetch(match.proposalMessage.messageId);
+            await message.edit({
+                embeds: [this.createMatchStatusEmbed(match)],
+                components: this.createMatchActionRows(match)
+            });
+        } catch (error) {
+            logger('WARNING', `No se pudo actualizar el mensaje del partido ${match.id}: ${error.message}`);
+        }
+    }
+
+    createMatchStatusEmbed(match, title = null) {
+        const status = MATCH_STATUS[statusOf(match)];
+        const embed = new EmbedBuilder()
+            .setColor(status.color)
+            .setTitle(title || `${status.emoji} ${match.equipo1} vs ${match.equipo2}`)
+            .setDescription(`**${match.equipo1}** vs **${match.equipo2}**\n🏆 ${this.tournaments.label(match.torneo)}`)
+            .addFields(
+                { name: '📌 Estado', value: `${status.emoji} ${status.label}`, inline: true },
+                { name: '📅 Fecha', value: `${match.displayDate} • ${match.time}hs\n${this.formatKickoff(match)}`, inline: true },
+                { name: '🆔 ID del Partido', value: `\`${match.id}\``, inline: true }
+            )
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        embed.addFields(...this.acceptanceFields(match));
+
+        const score = formatScore(match);
+        if (score) {
+            const source = match.result.source === 'servidor' ? ` (capturado de ${match.result.server})` : '';
+            embed.addFields({ name: '⚽ Resultado', value: `**${score}**${source}`, inline: false });
+        }
+
+        if (match.result && match.result.scorers && match.result.scorers.length > 0) {
+            embed.addFields(
+                { name: `🥅 ${match.equipo1}`, value: this.formatScorers(match, 'equipo1'), inline: true },
+                { name: `🥅 ${match.equipo2}`, value: this.formatScorers(match, 'equipo2'), inline: true }
+            );
+        }
+
+        if (match.dispute) {
+            embed.addFields({ name: '⚠️ Disputa', value: `${match.dispute.reason}\n— <@${match.dispute.by}>`, inline: false });
+        }
+
+        const bracketField = this.bracketTieField(match);
+        if (bracketField) {
+            embed.addFields(bracketField);
+        }
+
+        const transitions = (match.history || []).filter(entry => entry.action === 'estado').slice(-5);
+        if (transitions.length > 0) {
+            embed.addFields({
+                name: '📜 Últimos cambios',
+                value: transitions
+                    .map(entry => `• ${MATCH_STATUS[entry.from].emoji} → ${MATCH_STATUS[entry.to].emoji} ${MATCH_STATUS[entry.to].label} — ${entry.by ? `<@${entry.by}>` : 'automático'} <t:${Math.floor(new Date(entry.at).getTime() / 1000)}:R>`)
+                    .join('\n'),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Botones con las acciones válidas para el estado actual del partido
+     * @param {Object} match - Partido
+     * @returns {Array<ActionRowBuilder>} - Vacío si el partido ya no admite cambios
+     */
+    createMatchActionRows(match) {
+        const styles = {
+            aceptar: ButtonStyle.Success,
+            rechazar: ButtonStyle.Danger,
+            iniciar: ButtonStyle.Primary,
+            resultado: ButtonStyle.Primary,
+            confirmar_resultado: ButtonStyle.Success,
+            disputar: ButtonStyle.Danger
+        };
+
+        const buttons = [];
+        for (const action of availableTransitions(match)) {
+            const transition = TRANSITIONS[action];
+
+            if (action === 'walkover') {
+                for (const side of ['equipo1', 'equipo2']) {
+                    buttons.push(new ButtonBuilder()
+                        .setCustomId(`partido:walkover:${match.id}:${side}`)
+                        .setLabel(`W.O. a favor de ${match[side]}`.slice(0, 80))
+                        .setEmoji(transition.emoji)
+                        .setStyle(ButtonStyle.Secondary));
+                }
+                continue;
+            }
+
+            buttons.push(new ButtonBuilder()
+                .setCustomId(`partido:${action}:${match.id}`)
+                .setLabel(transition.label)
+                .setEmoji(transition.emoji)
+                .setStyle(styles[action]));
+        }
+
+        if (buttons.length === 0) {
+            return [];
+        }
+
+        const rows = [];
+        for (let i = 0; i < buttons.length; i += 5) {
+            rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+        }
+        return rows;
+    }
+
+    createMatchModal(action, matchId) {
+        const modal = new ModalBuilder().setCustomId(`partido_form:${action}:${matchId}`);
+
+        if (action === 'resultado') {
+            const match = this.matches.find(m => m.id === matchId);
+            const input = (id, label) => new TextInputBuilder()
+                .setCustomId(id)
+                .setLabel(label.slice(0, 45))
+                .setStyle(TextInputStyle.Short)
+                .setMinLength(1)
+                .setMaxLength(2)
+                .setRequired(true);
+
+            return modal
+                .setTitle('📝 Cargar resultado')
+                .addComponents(
+                    new ActionRowBuilder().addComponents(input('goles1', `Goles de ${match ? match.equipo1 : 'local'}`)),
+                    new ActionRowBuilder().addComponents(input('goles2', `Goles de ${match ? match.equipo2 : 'visitante'}`))
+                );
+        }
+
+        return modal
+            .setTitle('⚠️ Disputar resultado')
+            .addComponents(new ActionRowBuilder().addComponents(new TextInputBuilder()
+                .setCustomId('motivo')
+                .setLabel('¿Por qué el resultado no es correcto?')
+                .setStyle(TextInputStyle.Paragraph)
+                .setMaxLength(500)
+                .setRequired(true)));
+    }
+
+    async handleTournamentCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'listar') {
+            const includeArchived = interaction.options.getBoolean('incluir_archivados') || false;
+            const tournaments = this.tournaments.list({ includeArchived });
+
+            const embed = new EmbedBuilder()
+                .setColor('#3498db')
+                .setTitle('🏆 Catálogo de Torneos')
+                .setDescription(tournaments.length > 0
+                    ? tournaments.map(t => {
+                        const matchCount = this.matches.filter(m => m.torneo === t.name).length;
+                        const season = t.season ? ` • Temporada ${t.season}` : '';
+                        const archived = t.archived ? ' • 📦 Archivado' : '';
+                        return `${t.emoji} **${t.name}**${season}${archived}\n  ${matchCount} partidos • \`${t.color}\``;
+                    }).join('\n').slice(0, 4096)
+                    : 'No hay torneos registrados. Usa `/torneo crear` para agregar uno.')
+                .setFooter({ text: `Sistema IOSoccer • ${tournaments.length} torneos` })
+                .setTimestamp();
+
+            return interaction.reply({ embeds: [embed] });
+        }
+
+        if (subcommand === 'puntuacion') {
+            return this.handleScoringCommand(interaction);
+        }
+
+        if (subcommand === 'equipos') {
+            return this.handleTournamentTeamsCommand(interaction);
+        }
+
+        const torneo = interaction.options.getString('torneo');
+        const appearance = {
+            color: interaction.options.getString('color'),
+            emoji: interaction.options.getString('emoji'),
+            season: interaction.options.getString('temporada')
+        };
+
+        let result;
+        let title;
+
+        switch (subcommand) {
+            case 'crear':
+                result = this.tournaments.create({ name: interaction.options.getString('nombre'), ...appearance });
+                title = '✅ Torneo Creado';
+                break;
+            case 'renombrar':
+                result = this.tournaments.rename(torneo, interaction.options.getString('nuevo_nombre'));
+                if (result.success) {
+                    // Los partidos guardan el nombre: mantenerlos alineados con el catálogo
+                    const renamed = new Map();
+                    this.matches.forEach(match => {
+                        if (match.torneo === result.previousName) {
+                            renamed.set(match, auditSnapshot(match));
+                            match.torneo = result.tournament.name;
+                        }
+                    });
+                    if (renamed.size > 0) {
+                        this.saveMatches();
+                        renamed.forEach((before, match) => this.recordAudit('editar', before, match, interaction.user.id));
+                    }
+                    result.extra = `**${result.previousName}** → **${result.tournament.name}** (${renamed.size} partidos actualizados)`;
+                }
+                title = '✏️ Torneo Renombrado';
+                break;
+            case 'editar':
+                result = this.tournaments.update(torneo, appearance);
+                title = '🎨 Torneo Actualizado';
+                break;
+            case 'archivar':
+                result = this.tournaments.setArchived(torneo, true);
+                title = '📦 Torneo Archivado';
+                break;
+            case 'reactivar':
+                result = this.tournaments.setArchived(torneo, false);
+                title = '♻️ Torneo Reactivado';
+                break;
+        }
+
+        if (!result.success) {
+            const embed = new EmbedBuilder()
+                .setColor('#e74c3c')
+                .setTitle('❌ Error en Torneo')
+                .setDescription(result.message);
+            return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const { tournament } = result;
+        const embed = new EmbedBuilder()
+            .setColor(tournament.color)
+            .setTitle(title)
+            .setDescription(result.extra || `${tournament.emoji} **${tournament.name}**`)
+            .addFields(
+                { name: '🆔 ID', value: `\`${tournament.id}\``, inline: true },
+                { name: '🗓️ Temporada', value: tournament.season || 'Sin definir', inline: true },
+                { name: '📌 Estado', value: tournament.archived ? '📦 Archivado' : '✅ Activo', inline: true }
+            )
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        logger('INFO', `🏆 /torneo ${subcommand} por ${interaction.user.id}: ${tournament.name}`);
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    async handleScoringCommand(interaction) {
+        const torneo = interaction.options.getString('torneo');
+        const options = {
+            win: interaction.options.getInteger('victoria'),
+            draw: interaction.options.getInteger('empate'),
+            loss: interaction.options.getInteger('derrota'),
+            walkoverWin: interaction.options.getInteger('walkover_ganado'),
+            walkoverLoss: interaction.options.getInteger('walkover_perdido'),
+            walkoverGoals: interaction.options.getInteger('goles_walkover')
+        };
+        const desempates = interaction.options.getString('desempates');
+
+        const changes = {};
+        for (const [key, value] of Object.entries(options)) {
+            if (value !== null) changes[key] = value;
+        }
+        if (desempates) {
+            changes.tiebreakers = desempates.split(',').map(t => t.trim()).filter(Boolean);
+        }
+
+        let tournament = this.tournaments.find(torneo);
+        if (!tournament) {
+            return interaction.reply({ content: `❌ No existe el torneo **${torneo}**`, ephemeral: true });
+        }
+
+        const editing = Object.keys(changes).length > 0;
+        if (editing) {
+            const access = this.checkPolicy(interaction.member, interaction.user.id, interaction.guildId, 'torneo', 'puntuacion', 'editar');
+            if (!access.allowed) {
+                return interaction.reply({ embeds: [this.createAccessDeniedEmbed(access)], ephemeral: true });
+            }
+
+            const result = this.tournaments.setScoring(torneo, changes);
+            if (!result.success) {
+                return interaction.reply({ content: result.message, ephemeral: true });
+            }
+            tournament = result.tournament;
+            logger('INFO', `🏆 /torneo puntuacion por ${interaction.user.id}: ${tournament.name} ${JSON.stringify(changes)}`);
+        }
+
+        const scoring = resolveScoring(tournament.scoring);
+        const embed = new EmbedBuilder()
+            .setColor(tournament.color)
+            .setTitle(`${editing ? '✅ Puntuación Actualizada' : '📊 Puntuación'} — ${tournament.emoji} ${tournament.name}`)
+            .addFields(
+                { name: '✅ Victoria', value: `${scoring.win} pts`, inline: true },
+                { name: '🤝 Empate', value: `${scoring.draw} pts`, inline: true },
+                { name: '❌ Derrota', value: `${scoring.loss} pts`, inline: true },
+                { name: '🚫 Walkover', value: `Ganado: ${scoring.walkoverWin} pts • Perdido: ${scoring.walkoverLoss} pts • Marcador ${scoring.walkoverGoals}-0`, inline: false },
+                {
+                    name: '⚖️ Desempates',
+                    value: ['Puntos', ...scoring.tiebreakers.map(t => TIEBREAKERS[t])].map((t, i) => `${i + 1}. ${t}`).join('\n'),
+                    inline: false
+                }
+            )
+            .setFooter({ text: `Desempates disponibles: ${Object.keys(TIEBREAKERS).join(', ')}` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    async handleTournamentTeamsCommand(interaction) {
+        const torneo = interaction.options.getString('torneo');
+        const equipos = interaction.options.getString('equipos');
+
+        let tournament = this.tournaments.find(torneo);
+        if (!tournament) {
+            return interaction.reply({ content: `❌ No existe el torneo **${torneo}**`, ephemeral: true });
+        }
+
+        if (equipos) {
+            const access = this.checkPolicy(interaction.member, interaction.user.id, interaction.guildId, 'torneo', 'equipos', 'editar');
+            if (!access.allowed) {
+                return interaction.reply({ embeds: [this.createAccessDeniedEmbed(access)], ephemeral: true });
+            }
+
+            const names = equipos.split(',').map(name => name.trim()).filter(Boolean);
+            const unknown = [];
+            const teamIds = names.map(name => {
+                const team = this.teams.resolve(name);
+                if (!team) unknown.push(name);
+                return team ? team.id : null;
+            });
+
+            if (unknown.length > 0) {
+                return interaction.reply({
+                    content: `❌ Equipos no registrados: ${unknown.map(name => `**${name}**`).join(', ')}\n\n💡 Regístralos con \`/equipo crear\``,
+                    ephemeral: true
+                });
+            }
+
+            if (teamIds.length > MAX_TEAMS) {
+                return interaction.reply({ content: `❌ Un torneo admite hasta ${MAX_TEAMS} equipos`, ephemeral: true });
+            }
+
+            const result = this.tournaments.setTeams(tournament.id, teamIds);
+            if (!result.success) {
+                return interaction.reply({ content: result.message, ephemeral: true });
+            }
+
+            tournament = result.tournament;
+            logger('INFO', `🏆 /torneo equipos por ${interaction.user.id}: ${tournament.name} (${teamIds.length} equipos)`);
+        }
+
+        const teams = this.tournamentTeams(tournament);
+        const embed = new EmbedBuilder()
+            .setColor(tournament.color)
+            .setTitle(`👥 Equipos — ${tournament.emoji} ${tournament.name}`)
+            .setDescription(teams.length > 0
+                ? teams.map((team, index) => `${index + 1}. **[${team.tag}] ${team.name}**`).join('\n').slice(0, 4096)
+                : 'No hay equipos inscriptos. Un administrador los inscribe con `/torneo equipos equipos:"Equipo A, Equipo B, ..."`')
+            .setFooter({ text: `${teams.length} equipos • El orden es el de cabeza de serie en /fixture` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    /**
+     * @returns {Array<Object>} - Equipos inscriptos que siguen en el registro, en orden
+     */
+    tournamentTeams(tournament) {
+        return (tournament.teams || []).map(id => this.teams.findById(id)).filter(Boolean);
+    }
+
+    // ============= FIXTURE =============
+
+    async handleFixtureCommand(interaction) {
+        const result = this.planFixture({
+            torneo: interaction.options.getString('torneo'),
+            format: interaction.options.getString('formato'),
+            desde: interaction.options.getString('desde'),
+            hora: interaction.options.getString('hora'),
+            spacingDays: interaction.options.getInteger('cada_dias') || 7,
+            draw: interaction.options.getBoolean('sorteo') || false,
+            userId: interaction.user.id
+        });
+
+        if (!result.success) {
+            const embed = new EmbedBuilder()
+                .setColor('#e74c3c')
+                .setTitle('❌ No se pudo Generar el Fixture')
+                .setDescription(result.message);
+            return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const { plan } = result;
+        this.fixturePlans.set(plan.id, plan);
+
+        await interaction.reply({
+            embeds: [this.createFixtureEmbed(plan, '🗓️ Fixture Propuesto')],
+            components: [new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`fixture:confirmar:${plan.id}`)
+                    .setLabel(`Cargar ${plan.scheduledCount} partidos`)
+                    .setEmoji('✅')
+                    .setStyle(ButtonStyle.Success)
+                    .setDisabled(plan.scheduledCount === 0),
+                new ButtonBuilder()
+                    .setCustomId(`fixture:cancelar:${plan.id}`)
+                    .setLabel('Descartar')
+                    .setEmoji('🗑️')
+                    .setStyle(ButtonStyle.Secondary)
+            )],
+            ephemeral: true
+        });
+    }
+
+    /**
+     * Arma los cruces del fixture y les busca día y horario con el motor de reglas
+     * @param {Object} options - { torneo, format, desde, hora, spacingDays, draw, userId }
+     * @returns {Object} - { success, message, plan }
+     */
+    planFixture(options) {
+        const tournament = this.tournaments.find(options.torneo);
+        if (!tournament || tournament.archived) {
+            return { success: false, message: `❌ **Torneo inválido**\n\n**Torneos válidos:**\n${this.tournaments.activeNames().map(t => `• ${t}`).join('\n')}` };
+        }
+
+        const format = FIXTURE_FORMATS[options.format];
+        if (!format) {
+            return { success: false, message: `❌ Formato desconocido: **${options.format}**` };
+        }
+
+        let teams = this.tournamentTeams(tournament);
+        if (teams.length < MIN_TEAMS) {
+            return {
+                success: false,
+                message: `❌ **${tournament.name}** tiene ${teams.length} equipos inscriptos; hacen falta al menos ${MIN_TEAMS}.\n\n💡 Inscríbelos con \`/torneo equipos\``
+            };
+        }
+        if (options.draw) {
+            teams = shuffle(teams);
+        }
+
+        const processedDate = this.processDate(options.desde);
+        if (!processedDate.valid) {
+            return { success: false, message: processedDate.error };
+        }
+
+        let preferredTime = null;
+        if (options.hora) {
+            if (isNaN(toMinutes(options.hora))) {
+                return { success: false, message: '❌ **Hora inválida**\n\nUsa el formato HH:MM (ej: 22:15)' };
+            }
+            preferredTime = fromMinutes(toMinutes(options.hora));
+        }
+
+        let rounds;
+        let byes = [];
+        let size = null;
+        if (format.knockout) {
+            // Solo se programa la primera ronda: las siguientes las arma el cuadro con los ganadores
+            const knockout = knockoutFirstRound(teams);
+            const name = knockoutRoundName(1, knockout.size);
+            size = knockout.size;
+            byes = knockout.byes.map(bye => ({ slot: bye.slot, teamId: bye.team.id }));
+            rounds = [{
+                label: format.legs === 2 ? `${name} (ida)` : name,
+                round: 1,
+                leg: format.legs === 2 ? 1 : undefined,
+                pairings: knockout.pairings,
+                byes: knockout.byes.map(bye => bye.team)
+            }];
+            if (format.legs === 2) {
+                rounds.push({
+                    label: `${name} (vuelta)`,
+                    round: 1,
+                    leg: 2,
+                    pairings: knockout.pairings.map(({ slot, home, away }) => ({ slot, home: away, away: home })),
+                    byes: []
+                });
+            }
+        } else {
+            rounds = roundRobinRounds(teams, { double: options.format === 'liga_ida_vuelta' }).map(round => ({
+                label: `Fecha ${round.matchday}`,
+                round: round.matchday,
+                pairings: round.pairings,
+                byes: round.bye ? [round.bye] : []
+            }));
+        }
+
+        const planned = [];
+        const plan = {
+            id: String(this.now()),
+            tournamentId: tournament.id,
+            torneo: tournament.name,
+            format: options.format,
+            size,
+            teams: teams.map(team => team.id),
+            byes,
+            startDate: processedDate.date,
+            spacingDays: options.spacingDays,
+            preferredTime,
+            createdBy: options.userId,
+            createdAt: this.now(),
+            rounds: [],
+            scheduledCount: 0,
+            unscheduled: []
+        };
+
+        rounds.forEach((round, index) => {
+            const firstDay = addDays(processedDate.date, index * options.spacingDays);
+            const entry = { label: round.label, round: round.round, byes: round.byes.map(team => team.name), matches: [] };
+
+            for (const pairing of round.pairings) {
+                const candidate = {
+                    torneo: tournament.name,
+                    equipo1: pairing.home.name,
+                    equipo2: pairing.away.name,
+                    equipo1Id: pairing.home.id,
+                    equipo2Id: pairing.away.id
+                };
+
+                // La fecha puede correrse dentro de su semana si el día elegido está lleno
+                const slot = this.findFixtureSlot(candidate, firstDay, options.spacingDays, preferredTime, planned);
+                if (!slot) {
+                    plan.unscheduled.push({ label: round.label, ...candidate });
+                    continue;
+                }
+
+                const match = { ...candidate, ...slot, displayDate: this.formatDisplayDate(slot.date), fixture: { round: round.round, label: round.label } };
+                if (pairing.slot !== undefined) {
+                    match.fixture.slot = pairing.slot;
+                }
+                if (round.leg) {
+                    match.fixture.leg = round.leg;
+                }
+                planned.push(match);
+                entry.matches.push(match);
+            }
+
+            plan.rounds.push(entry);
+        });
+
+        plan.scheduledCount = planned.length;
+        return { success: true, plan };
+    }
+
+    /**
+     * Primer horario libre para un partido del fixture entre `firstDay` y los
+     * días siguientes, empezando por el más cercano al horario preferido
+     * @param {Array<Object>} planned - Partidos del mismo fixture ya ubicados
+     * @returns {Object|null} - { date, time, server }
+     */
+    findFixtureSlot(candidate, firstDay, days, preferredTime, planned) {
+        const occupied = [...this.schedulableMatches(), ...planned];
+        const preferred = preferredTime ? toMinutes(preferredTime) : null;
+
+        for (let offset = 0; offset < days; offset++) {
+            const date = addDays(firstDay, offset);
+            const slots = this.schedulingRules.slotsForDate(date, candidate.torneo).slice();
+            if (preferred !== null) {
+                slots.sort((a, b) => Math.abs(toMinutes(a) - preferred) - Math.abs(toMinutes(b) - preferred));
+            }
+
+            for (const time of slots) {
+                if (zonedTimeToInstant(date, time, this.leagueTimeZone()) <= this.now()) continue;
+
+                const result = this.schedulingRules.evaluate(occupied, { ...candidate, date, time }, { stopAtFirst: true });
+                if (result.allowed) {
+                    return { date, time, server: result.server ? result.server.name : null };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    createFixtureEmbed(plan, title) {
+        const tournament = this.tournaments.find(plan.tournamentId);
+        const format = FIXTURE_FORMATS[plan.format];
+        const lines = [
+            `${tournament ? tournament.emoji : '🏆'} **${plan.torneo}** • ${format.emoji} ${format.label}`,
+            `👥 ${plan.teams.length} equipos • 📅 ${plan.rounds.length} ${format.knockout ? (format.legs === 2 ? 'partidos por llave' : 'ronda') : 'fechas'} • ⚽ ${plan.scheduledCount} partidos con horario`
+        ];
+        if (format.knockout) {
+            lines.push(`Cuadro de ${plan.size}: ${plan.byes.length} equipos pasan directo a la segunda ronda. Las rondas siguientes se programan solas cuando haya ganadores (\`/bracket\`).`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor(tournament ? tournament.color : '#3498db')
+            .setTitle(title)
+            .setDescription(lines.join('\n'))
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        const maxFields = plan.unscheduled.length > 0 ? 23 : 24;
+        for (const round of plan.rounds.slice(0, maxFields)) {
+            const matchLines = round.matches.map(match => `• ${match.displayDate} ${match.time} — ${match.equipo1} vs ${match.equipo2}`);
+            if (round.byes.length > 0) {
+                matchLines.push(`💤 ${format.knockout ? 'Pasan directo' : 'Libre'}: ${round.byes.join(', ')}`);
+            }
+
+            embed.addFields({
+                name: round.label,
+                value: (matchLines.join('\n') || 'Sin partidos con horario').slice(0, 1024),
+                inline: false
+            });
+        }
+
+        if (plan.rounds.length > maxFields) {
+            embed.addFields({ name: '📌 Nota', value: `Se muestran ${maxFields} de ${plan.rounds.length} fechas`, inline: false });
+        }
+
+        if (plan.unscheduled.length > 0) {
+            embed.addFields({
+                name: `⛔ Sin horario (${plan.unscheduled.length})`,
+                value: `${plan.unscheduled.map(match => `• ${match.label}: ${match.equipo1} vs ${match.equipo2}`).join('\n')}\n\nNo quedan horarios que cumplan las reglas; se proponen a mano con \`/proponer_partido\``.slice(0, 1024),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Botones fixture:<confirmar|cancelar>:<planId> de la vista previa
+     */
+    async handleFixtureComponent(interaction) {
+        const [, action, planId] = interaction.customId.split(':');
+        const plan = this.fixturePlans.get(planId);
+
+        if (!plan || this.now() - plan.createdAt > FIXTURE_PLAN_TTL) {
+            this.fixturePlans.delete(planId);
+            return interaction.update({ content: '⌛ Esta vista previa venció. Genera el fixture de nuevo con `/fixture generar`.', embeds: [], components: [] });
+        }
+
+        if (interaction.user.id !== plan.createdBy) {
+            return interaction.reply({ content: '❌ Solo quien generó el fixture puede confirmarlo o descartarlo', ephemeral: true });
+        }
+
+        this.fixturePlans.delete(planId);
+
+        if (action === 'cancelar') {
+            return interaction.update({ content: '🗑️ Fixture descartado.', embeds: [], components: [] });
+        }
+
+        const result = this.insertFixture(plan, interaction.user.id);
+        const summary = [`✅ Se cargaron **${result.inserted.length}** partidos como propuestos.`];
+        if (result.skipped.length > 0) {
+            summary.push(`⚠️ ${result.skipped.length} ya no tenían horario libre y no se cargaron: ${result.skipped.map(match => `${match.equipo1} vs ${match.equipo2}`).join(', ')}`);
+        }
+
+        await interaction.update({ content: summary.join('\n').slice(0, 2000), embeds: [], components: [] });
+        await interaction.followUp({ embeds: [this.createFixtureEmbed(plan, '🗓️ Fixture Cargado')] });
+    }
+
+    /**
+     * Guarda los partidos del fixture como propuestos. Se vuelve a validar cada
+     * horario por si algo cambió mientras se revisaba la vista previa
+     * @returns {Object} - { inserted, skipped }
+     */
+    insertFixture(plan, userId) {
+        const inserted = [];
+        const skipped = [];
+        const confirmedAt = new Date(this.now()).toISOString();
+
+        for (const round of plan.rounds) {
+            for (const planned of round.matches) {
+                const check = this.schedulingRules.evaluate(this.schedulableMatches(), { ...planned, server: null }, { stopAtFirst: true });
+                if (!check.allowed || this.matchStart(planned) <= this.now()) {
+                    skipped.push(planned);
+                    continue;
+                }
+
+                const match = this.createFixtureMatch(
+                    { ...planned, torneo: plan.torneo, server: check.server ? check.server.name : null },
+                    { id: plan.id, ...planned.fixture },
+                    userId
+                );
+
+                this.matches.push(match);
+                inserted.push(match);
+            }
+        }
+
+        this.saveMatches();
+        inserted.forEach(match => this.recordAudit('proponer', null, match, userId));
+        this.fixtures.add({
+            id: plan.id,
+            tournamentId: plan.tournamentId,
+            format: plan.format,
+            size: plan.size,
+            teams: plan.teams,
+            byes: plan.byes,
+            matchIds: inserted.map(match => match.id),
+            createdBy: userId,
+            createdAt: confirmedAt
+        });
+
+        logger('INFO', `🗓️ Fixture ${plan.id} de ${plan.torneo} cargado por ${userId}: ${inserted.length} partidos, ${skipped.length} sin horario`);
+
+        if (FIXTURE_FORMATS[plan.format].knockout) {
+            this.createBracketFromFixture(plan, inserted, userId);
+        }
+
+        return { inserted, skipped };
+    }
+
+    /**
+     * Partido propuesto por el fixture o el cuadro, con un ID libre
+     * @param {Object} planned - { torneo, equipo1, equipo2, equipo1Id, equipo2Id, date, time, server }
+     * @param {Object} fixture - { id, round, label, slot, leg }
+     * @param {string} userId - Quien cargó el fixture
+     */
+    createFixtureMatch(planned, fixture, userId) {
+        return {
+            id: this.nextMatchId(),
+            equipo1: planned.equipo1,
+            equipo2: planned.equipo2,
+            equipo1Id: planned.equipo1Id,
+            equipo2Id: planned.equipo2Id,
+            torneo: planned.torneo,
+            date: planned.date,
+            time: planned.time,
+            displayDate: this.formatDisplayDate(planned.date),
+            server: planned.server || null,
+            serverPinned: false,
+            status: INITIAL_STATUS,
+            confirmedBy: userId,
+            confirmedAt: new Date(this.now()).toISOString(),
+            acceptance: { equipo1: null, equipo2: null },
+            // Los partidos del fixture no vencen: esperan a que los capitanes acepten o reprogramen
+            holdExpiresAt: null,
+            fixture
+        };
+    }
+
+    // ============= CUADROS DE ELIMINACIÓN =============
+
+    teamNameById(teamId) {
+        const team = this.teams.findById(teamId);
+        return team ? team.name : String(teamId);
+    }
+
+    /**
+     * Arma el cuadro de un fixture de eliminación recién cargado y vincula
+     * los partidos de la primera ronda a sus llaves
+     */
+    createBracketFromFixture(plan, inserted, userId) {
+        const format = FIXTURE_FORMATS[plan.format];
+        const bracket = createBracket({
+            id: plan.id,
+            tournamentId: plan.tournamentId,
+            fixtureId: plan.id,
+            teams: plan.teams,
+            legs: format.legs,
+            startDate: plan.startDate,
+            spacingDays: plan.spacingDays,
+            preferredTime: plan.preferredTime,
+            createdBy: userId,
+            createdAt: new Date(this.now()).toISOString()
+        });
+
+        for (const match of inserted) {
+            const leg = match.fixture.leg || 1;
+            match.bracket = { id: bracket.id, round: 1, slot: match.fixture.slot, leg };
+            bracket.rounds[0][match.fixture.slot].legs.push(match.id);
+        }
+
+        this.saveMatches();
+        this.brackets.add(bracket);
+        // Los byes pueden dejar llaves de la segunda ronda ya armadas
+        this.syncBracket(bracket);
+        return bracket;
+    }
+
+    /**
+     * Recalcula el cuadro con los partidos guardados, hace avanzar a los
+     * ganadores y programa los partidos de las llaves que quedaron armadas
+     * @returns {Object} - { decided, conflicts, scheduled }
+     */
+    syncBracket(bracket) {
+        const outcome = refreshBracket(bracket, this.matches);
+
+        for (const tie of outcome.decided) {
+            const stage = tie.advancesTo ? `avanza a ${roundName(bracket, tie.advancesTo.round)}` : 'es campeón';
+            logger('INFO', `🏆 Cuadro ${bracket.id}: ${this.teamNameById(tie.winner)} ${stage} (${DECIDED_BY[tie.decidedBy]})`);
+        }
+
+        // Se avisa una sola vez por conflicto; quedan a la vista en /bracket hasta que se resuelvan
+        const known = new Set((bracket.conflicts || []).map(conflict => `${conflict.round}:${conflict.slot}:${conflict.expected}`));
+        bracket.conflicts = outcome.conflicts.map(conflict => ({ round: conflict.tie.round, slot: conflict.tie.slot, expected: conflict.expected }));
+        for (const conflict of bracket.conflicts) {
+            if (!known.has(`${conflict.round}:${conflict.slot}:${conflict.expected}`)) {
+                logger('WARNING', `Cuadro ${bracket.id}: la llave de ${roundName(bracket, conflict.round)} ya tiene partidos pero ahora le corresponde a ${this.teamNameById(conflict.expected)}`);
+            }
+        }
+
+        const scheduled = this.scheduleBracketTies(bracket, outcome.ready);
+        this.brackets.save();
+
+        return { ...outcome, scheduled };
+    }
+
+    /**
+     * Recalcula el cuadro de un partido después de un cambio de estado
+     */
+    syncMatchBracket(match) {
+        const bracket = match.bracket ? this.brackets.find(match.bracket.id) : null;
+        return bracket ? this.syncBracket(bracket) : null;
+    }
+
+    /**
+     * Campo con la llave de un partido del cuadro: ronda, global y quién avanza
+     * @returns {Object|null} - Campo de embed o null si el partido no es de un cuadro
+     */
+    bracketTieField(match) {
+        const bracket = match.bracket ? this.brackets.find(match.bracket.id) : null;
+        const tie = bracket ? findTie(bracket, match) : null;
+        if (!tie) return null;
+
+        const lines = [match.fixture && match.fixture.label ? match.fixture.label : roundName(bracket, tie.round)];
+        if (tie.aggregate && bracket.legs === 2) {
+            lines.push(`Global: ${this.teamNameById(tie.home)} ${tie.aggregate.home} - ${tie.aggregate.away} ${this.teamNameById(tie.away)}`);
+        }
+
+        if (tie.winner) {
+            const stage = tie.advancesTo ? `avanza a ${roundName(bracket, tie.advancesTo.round)}` : 'es campeón 🏅';
+            lines.push(`✅ **${this.teamNameById(tie.winner)}** ${stage} (${DECIDED_BY[tie.decidedBy]})`);
+        } else if (tie.level) {
+            lines.push(`⚖️ Llave igualada: se define con \`/partido penales id:${tie.legs[tie.legs.length - 1]}\``);
+        }
+
+        return { name: '🏆 Cuadro', value: lines.join('\n').slice(0, 1024), inline: false };
+    }
+
+    async showBracket(interaction) {
+        const torneo = interaction.options.getString('torneo');
+        const tournament = this.tournaments.find(torneo);
+        if (!tournament) {
+            return interaction.reply({ content: `❌ No existe el torneo **${torneo}**`, ephemeral: true });
+        }
+
+        const bracket = this.brackets.latestFor(tournament.id);
+        if (!bracket) {
+            return interaction.reply({
+                content: `❌ **${tournament.name}** no tiene cuadro de eliminación.\n\n💡 Se arma con \`/fixture generar\` y un formato de eliminación directa`,
+                ephemeral: true
+            });
+        }
+
+        // Solo lectura: el cuadro se recalcula cuando cambia el estado de un partido (syncMatchBracket)
+        const teamName = teamId => this.teamNameById(teamId);
+        const svg = renderBracketSvg(bracket, teamName, {
+            title: `${tournament.name}${tournament.season ? ` (${tournament.season})` : ''}`,
+            color: tournament.color
+        });
+
+        await interaction.reply({
+            embeds: [this.createBracketEmbed(tournament, bracket)],
+            files: [new AttachmentBuilder(Buffer.from(svg, 'utf8'), { name: `cuadro-${tournament.id}.svg` })]
+        });
+    }
+
+    createBracketEmbed(tournament, bracket) {
+        const teamName = teamId => this.teamNameById(teamId);
+
+        // La grilla se corta en pantallas angostas: los cuadros grandes se muestran como lista
+        let art = renderBracketText(bracket, teamName);
+        if (art.length > 3800 || art.split('\n').some(line => line.length > 70)) {
+            art = renderBracketRounds(bracket, teamName);
+        }
+
+        const rules = bracket.legs === 2
+            ? `Ida y vuelta • global${bracket.awayGoals ? ', gol de visitante' : ''} y penales`
+            : 'Partido único • penales si hay empate';
+
+        const embed = new EmbedBuilder()
+            .setColor(tournament.color)
+            .setTitle(`🏆 Cuadro — ${tournament.emoji} ${tournament.name}${tournament.season ? ` (${tournament.season})` : ''}`)
+            .setDescription(`👥 ${bracket.seeds.length} equipos • ${rules}\n\`\`\`\n${art.slice(0, 3800)}\n\`\`\``)
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        if (bracket.championId) {
+            embed.addFields({ name: '🏅 Campeón', value: `**${teamName(bracket.championId)}**`, inline: false });
+        }
+
+        const ties = bracket.rounds.flat();
+        const level = ties.filter(tie => tie.level);
+        if (level.length > 0) {
+            embed.addFields({
+                name: '⚖️ Se definen por penales',
+                value: level.map(tie => `• ${teamName(tie.home)} vs ${teamName(tie.away)} — \`/partido penales id:${tie.legs[tie.legs.length - 1]}\``).join('\n').slice(0, 1024),
+                inline: false
+            });
+        }
+
+        const conflicts = bracket.conflicts || [];
+        if (conflicts.length > 0) {
+            embed.addFields({
+                name: '⚠️ Llaves desactualizadas',
+                value: `${conflicts.map(conflict => `• ${roundName(bracket, conflict.round)}: ahora le corresponde a **${teamName(conflict.expected)}**`).join('\n')}\n\nUn resultado corregido cambió al ganador después de programarse la llave: cancela sus partidos con \`/cancelar_partido\` y el cuadro los vuelve a proponer`.slice(0, 1024),
+                inline: false
+            });
+        }
+
+        const unscheduled = ties.filter(tie => tie.unscheduled);
+        if (unscheduled.length > 0) {
+            embed.addFields({
+                name: '⛔ Sin horario',
+                value: `${unscheduled.map(tie => `• ${roundName(bracket, tie.round)}: ${teamName(tie.home)} vs ${teamName(tie.away)}`).join('\n')}\n\nSe proponen a mano con \`/proponer_partido\` y el cuadro los toma solo`.slice(0, 1024),
+                inline: false
+            });
+        }
+
+        const upcoming = this.matches
+            .filter(match => match.bracket && match.bracket.id === bracket.id && ['proposed', 'accepted', 'live'].includes(statusOf(match)))
+            .sort((a, b) => this.matchStart(a) - this.matchStart(b))
+            .slice(0, 10);
+        if (upcoming.length > 0) {
+            embed.addFields({
+                name: '📅 Próximos partidos',
+                value: upcoming.map(match => `• ${match.fixture ? match.fixture.label : ''}: ${match.equipo1} vs ${match.equipo2} — ${match.displayDate} ${match.time} (ID: \`${match.id}\`)`).join('\n').slice(0, 1024),
+                inline: false
+            });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Programa los partidos que les faltan a las llaves armadas. Si el
+     * organizador ya propuso a mano el cruce, se vincula ese partido.
+     * La ronda N arranca `spacingDays` después de la anterior; si eso ya pasó,
+     * desde hoy
+     * @returns {Array<Object>} - Partidos creados
+     */
+    scheduleBracketTies(bracket, ties) {
+        const tournament = this.tournaments.find(bracket.tournamentId);
+        if (!tournament) return [];
+
+        const created = [];
+        for (const tie of ties) {
+            const legs = tie.legs.map(id => this.matches.find(match => match.id === id)).filter(Boolean);
+            tie.unscheduled = false;
+
+            for (let leg = 1; leg <= bracket.legs; leg++) {
+                if (legs.some(match => match.bracket.leg === leg)) continue;
+
+                const [home, away] = leg === 1 ? [tie.home, tie.away] : [tie.away, tie.home];
+                const stage = roundName(bracket, tie.round);
+                const fixture = {
+                    id: bracket.fixtureId,
+                    round: tie.round,
+                    label: bracket.legs === 2 ? `${stage} (${leg === 1 ? 'ida' : 'vuelta'})` : stage,
+                    slot: tie.slot
+                };
+                if (bracket.legs === 2) fixture.leg = leg;
+
+                const manual = this.matches.find(match => !match.bracket && holdsSlot(match) &&
+                    match.torneo === tournament.name && match.equipo1Id === home && match.equipo2Id === away);
+
+                let match;
+                if (manual) {
+                    match = manual;
+                    match.fixture = match.fixture || fixture;
+                } else {
+                    const candidate = {
+                        torneo: tournament.name,
+                        equipo1: this.teamNameById(home),
+                        equipo2: this.teamNameById(away),
+                        equipo1Id: home,
+                        equipo2Id: away
+                    };
+
+                    // Con la ronda atrasada se programa desde mañana, y la vuelta siempre una fecha después de la ida
+                    let firstDay = addDays(bracket.startDate, ((tie.round - 1) * bracket.legs + leg - 1) * bracket.spacingDays);
+                    if (firstDay <= this.today()) firstDay = addDays(this.today(), 1);
+                    const previous = legs.find(other => other.bracket.leg === leg - 1);
+                    if (previous && firstDay < addDays(previous.date, bracket.spacingDays)) firstDay = addDays(previous.date, bracket.spacingDays);
+
+                    const slot = this.findFixtureSlot(candidate, firstDay, bracket.spacingDays, bracket.preferredTime, []);
+                    if (!slot) {
+                        tie.unscheduled = true;
+                        logger('WARNING', `Cuadro ${bracket.id}: sin horario para ${candidate.equipo1} vs ${candidate.equipo2} (${fixture.label}); se propone a mano con /proponer_partido`);
+                        break;
+                    }
+
+                    match = this.createFixtureMatch({ ...candidate, ...slot }, fixture, bracket.createdBy);
+                    this.matches.push(match);
+                    created.push(match);
+                }
+
+                match.bracket = { id: bracket.id, round: tie.round, slot: tie.slot, leg };
+                legs.push(match);
+            }
+
+            tie.legs = legs.sort((a, b) => a.bracket.leg - b.bracket.leg).map(match => match.id);
+        }
+
+        if (created.length > 0 || ties.some(tie => tie.legs.length > 0)) {
+            this.saveMatches();
+        }
+        created.forEach(match => this.recordAudit('proponer', null, match, null));
+        if (created.length > 0) {
+            logger('INFO', `🏆 Cuadro ${bracket.id}: ${created.length} partidos nuevos programados`);
+        }
+
+        return created;
+    }
+
+    // ============= TABLA DE POSICIONES =============
+
+    /**
+     * Calcula la tabla de un torneo con los nombres del registro de equipos
+     */
+    getStandings(tournament) {
+        const matches = this.matches.filter(match => match.torneo === tournament.name);
+
+        return computeStandings(matches, {
+            scoring: tournament.scoring,
+            teamKey: (name, id) => this.teamKey(name, id),
+            teamName: (key, name) => {
+                const team = this.teams.findById(key);
+                return team ? team.name : name;
+            }
+        });
+    }
+
+    async showStandings(interaction) {
+        const torneo = interaction.options.getString('torneo');
+        const tournament = this.tournaments.find(torneo);
+        if (!tournament) {
+            return interaction.reply({ content: `❌ No existe el torneo **${torneo}**`, ephemeral: true });
+        }
+
+        const standings = this.getStandings(tournament);
+        const page = (interaction.options.getInteger('pagina') || 1) - 1;
+
+        const files = standings.rows.length > 0
+            ? [new AttachmentBuilder(Buffer.from(standingsToCsv(standings.rows), 'utf8'), { name: `tabla-${tournament.id}.csv` })]
+            : [];
+
+        await interaction.reply({
+            embeds: [this.createStandingsEmbed(tournament, standings, page)],
+            components: this.createStandingsButtons(tournament, standings, page),
+            files
+        });
+    }
+
+    createStandingsEmbed(tournament, standings, page) {
+        const pages = Math.max(1, Math.ceil(standings.rows.length / STANDINGS_PAGE_SIZE));
+        const current = Math.min(Math.max(page, 0), pages - 1);
+
+        const embed = new EmbedBuilder()
+            .setColor(tournament.color)
+            .setTitle(`📊 Tabla — ${tournament.emoji} ${tournament.name}${tournament.season ? ` (${tournament.season})` : ''}`)
+            .setTimestamp();
+
+        if (standings.rows.length === 0) {
+            return embed.setDescription('Todavía no hay partidos en este torneo.');
+        }
+
+        const pad = (value, width) => String(value).padStart(width);
+        const rows = standings.rows.slice(current * STANDINGS_PAGE_SIZE, (current + 1) * STANDINGS_PAGE_SIZE);
+        const lines = [
+            ' #  Equipo            PJ PG PE PP  GF  GC  DG  Pts',
+            ...rows.map(row => {
+                const name = row.name.length > 16 ? `${row.name.slice(0, 15)}…` : row.name.padEnd(16);
+                const gd = row.goalDifference > 0 ? `+${row.goalDifference}` : row.goalDifference;
+                return `${pad(row.position, 2)}  ${name} ${pad(row.played, 3)}${pad(row.won, 3)}${pad(row.drawn, 3)}${pad(row.lost, 3)}` +
+                    `${pad(row.goalsFor, 4)}${pad(row.goalsAgainst, 4)}${pad(gd, 4)}${pad(row.points, 5)}`;
+            })
+        ];
+
+        const notes = [`${standings.counted} partidos computados`];
+        if (standings.disputed > 0) {
+            notes.push(`${standings.disputed} en disputa (no cuentan)`);
+        }
+
+        return embed
+            .setDescription(`\`\`\`\n${lines.join('\n')}\n\`\`\``)
+            .setFooter({ text: `Página ${current + 1}/${pages} • ${notes.join(' • ')} • Desempate: ${standings.scoring.tiebreakers.map(t => TIEBREAKERS[t]).join(' > ')}`.slice(0, 2048) });
+    }
+
+    createStandingsButtons(tournament, standings, page) {
+        const pages = Math.ceil(standings.rows.length / STANDINGS_PAGE_SIZE);
+        if (pages <= 1) {
+            return [];
+        }
+
+        const current = Math.min(Math.max(page, 0), pages - 1);
+        return [new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`tabla:${tournament.id}:${current - 1}`)
+                .setLabel('Anterior')
+                .setEmoji('◀️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current === 0),
+            new ButtonBuilder()
+                .setCustomId(`tabla:${tournament.id}:${current + 1}`)
+                .setLabel('Siguiente')
+                .setEmoji('▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(current >= pages - 1)
+        )];
+    }
+
+    async handleStandingsComponent(interaction) {
+        const [, tournamentId, rawPage] = interaction.customId.split(':');
+        const tournament = this.tournaments.find(tournamentId);
+        if (!tournament) {
+            return interaction.reply({ content: '❌ El torneo ya no existe', ephemeral: true });
+        }
+
+        const standings = this.getStandings(tournament);
+        const page = Number(rawPage) || 0;
+
+        // La tabla se recalcula al cambiar de página; el CSV adjunto queda el original
+        await interaction.update({
+            embeds: [this.createStandingsEmbed(tournament, standings, page)],
+            components: this.createStandingsButtons(tournament, standings, page)
+        });
+    }
+
+    async handleTeamCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'listar') {
+            const teams = this.teams.list();
+            const embed = new EmbedBuilder()
+                .setColor('#3498db')
+                .setTitle('👥 Equipos Registrados')
+                .setDescription(teams.length > 0
+                    ? teams.map(team => `**[${team.tag}] ${team.name}**${team.aliases.length > 0 ? ` • alias: ${team.aliases.join(', ')}` : ''}`).join('\n').slice(0, 4096)
+                    : 'No hay equipos registrados. Mientras el registro esté vacío se aceptan nombres libres en `/confirmar_partido`.')
+                .setFooter({ text: `Sistema IOSoccer • ${teams.length} equipos` })
+                .setTimestamp();
+            return interaction.reply({ embeds: [embed] });
+        }
+
+        const equipo = interaction.options.getString('equipo');
+
+        if (subcommand === 'ver') {
+            const team = this.teams.resolve(equipo);
+            if (!team) {
+                const suggestions = this.teams.suggest(equipo);
+                const embed = new EmbedBuilder()
+                    .setColor('#e74c3c')
+                    .setTitle('❌ Equipo No Encontrado')
+                    .setDescription(`No existe el equipo **${equipo}**${suggestions.length > 0 ? `\n\n¿Quisiste decir ${suggestions.map(t => `**${t.name}**`).join(', ')}?` : ''}`);
+                return interaction.reply({ embeds: [embed], ephemeral: true });
+            }
+            return interaction.reply({ embeds: [this.createTeamEmbed(team, `👥 ${team.name}`)] });
+        }
+
+        const usuario = interaction.options.getUser('usuario');
+        const rol = interaction.options.getRole('rol');
+        let result;
+        let title;
+
+        switch (subcommand) {
+            case 'crear':
+                result = this.teams.create({
+                    name: interaction.options.getString('nombre'),
+                    tag: interaction.options.getString('tag'),
+                    roleId: rol ? rol.id : null
+                });
+                title = '✅ Equipo Registrado';
+                break;
+            case 'alias':
+                result = this.teams.addAlias(equipo, interaction.options.getString('alias'));
+                title = '🏷️ Alias Agregado';
+                break;
+            case 'quitar_alias':
+                result = this.teams.removeAlias(equipo, interaction.options.getString('alias'));
+                title = '🏷️ Alias Quitado';
+                break;
+            case 'capitan':
+                result = this.teams.addCaptain(equipo, usuario.id);
+                title = '🎖️ Capitán Agregado';
+                break;
+            case 'quitar_capitan':
+                result = this.teams.removeCaptain(equipo, usuario.id);
+                title = '🎖️ Capitán Quitado';
+                break;
+            case 'rol':
+                result = this.teams.setRole(equipo, rol.id);
+                title = '🎭 Rol Asignado';
+                break;
+            case 'eliminar':
+                result = this.teams.remove(equipo);
+                title = '🗑️ Equipo Eliminado';
+                break;
+        }
+
+        if (!result.success) {
+            const embed = new EmbedBuilder()
+                .setColor('#e74c3c')
+                .setTitle('❌ Error en Equipo')
+                .setDescription(result.message);
+            return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        if (['crear', 'alias'].includes(subcommand)) {
+            this.linkMatchesToTeams(interaction.user.id);
+        }
+
+        logger('INFO', `👥 /equipo ${subcommand} por ${interaction.user.id}: ${result.team.name}`);
+        await interaction.reply({ embeds: [this.createTeamEmbed(result.team, title)] });
+    }
+
+    createTeamEmbed(team, title) {
+        return new EmbedBuilder()
             .setColor('#3498db')
-            .setTitle('📋 Todos los Partidos Confirmados')
-            .setDescription(`Total de partidos en el sistema: **${this.matches.length}**`)
-            .setFooter({ text: `Sistema IOSoccer • ${new Date().toLocaleString('es-AR')}` })
+            .setTitle(title)
+            .setDescription(`**[${team.tag}] ${team.name}**`)
+            .addFields(
+                { name: '🆔 ID', value: `\`${team.id}\``, inline: true },
+                { name: '🎭 Rol', value: team.roleId ? `<@&${team.roleId}>` : 'Sin rol', inline: true },
+                { name: '🎖️ Capitanes', value: team.captains.length > 0 ? team.captains.map(id => `<@${id}>`).join(', ') : 'Sin capitanes', inline: false },
+                { name: '🏷️ Alias', value: team.aliases.length > 0 ? team.aliases.join(', ') : 'Sin alias', inline: false }
+            )
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
             .setTimestamp();
+    }
 
-        const dates = Object.keys(matchesByDate).slice(0, 10);
-        
-        dates.forEach(date => {
-            const dayMatches = matchesByDate[date];
-            const displayDate = this.formatDisplayDate(date);
-            
-            const matchList = dayMatches.map(match => 
-                `• **${match.time}** - ${match.equipo1} vs ${match.equipo2}\n  🏆 ${match.torneo} • ID: \`${match.id}\``
-            ).join('\n');
+    /**
+     * Vincula los partidos con nombres libres a los equipos registrados
+     * (ej: "River" pasa a "River Plate" al registrarse el alias)
+     * @param {string} userId - Quien registró el equipo o el alias
+     */
+    linkMatchesToTeams(userId) {
+        let linked = 0;
+        const changed = new Map();
 
-            embed.addFields({
-                name: `📅 ${displayDate} (${dayMatches.length} partidos)`,
-                value: matchList,
+        for (const match of this.matches) {
+            for (const side of ['equipo1', 'equipo2']) {
+                if (match[`${side}Id`]) continue;
+
+                const team = this.teams.resolve(match[side]);
+                if (team) {
+                    if (!changed.has(match)) changed.set(match, auditSnapshot(match));
+                    match[side] = team.name;
+                    match[`${side}Id`] = team.id;
+                    linked++;
+                }
+            }
+        }
+
+        if (linked > 0) {
+            this.saveMatches();
+            changed.forEach((before, match) => this.recordAudit('editar', before, match, userId));
+            logger('INFO', `👥 ${linked} referencias de equipos vinculadas al registro`);
+        }
+    }
+
+    async handleRulesCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'establecer') {
+            let rules;
+            try {
+                rules = JSON.parse(interaction.options.getString('json'));
+            } catch (error) {
+                const embed = new EmbedBuilder()
+                    .setColor('#e74c3c')
+                    .setTitle('❌ JSON Inválido')
+                    .setDescription(`No se pudo leer el JSON: ${error.message}`);
+                return interaction.reply({ embeds: [embed], ephemeral: true });
+            }
+
+            const result = this.schedulingRules.setRules(rules);
+            if (!result.success) {
+                const embed = new EmbedBuilder()
+                    .setColor('#e74c3c')
+                    .setTitle('❌ Reglas Inválidas')
+                    .setDescription(result.errors.map(e => `• ${e}`).join('\n').slice(0, 4096));
+                return interaction.reply({ embeds: [embed], ephemeral: true });
+            }
+
+            logger('INFO', `📐 Reglas de programación actualizadas por ${interaction.user.id}`);
+        } else if (subcommand === 'restablecer') {
+            this.schedulingRules.reset();
+            logger('INFO', `📐 Reglas de programación restablecidas por ${interaction.user.id}`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#3498db')
+            .setTitle(subcommand === 'ver' ? '📐 Reglas de Programación' : '✅ Reglas de Programación Actualizadas')
+            .setDescription(this.schedulingRules.describe().join('\n').slice(0, 4096))
+            .addFields({
+                name: '🧾 JSON',
+                value: `\`\`\`json\n${JSON.stringify(this.schedulingRules.rules).slice(0, 1000)}\n\`\`\``,
                 inline: false
-            });
+            })
+            .setFooter({ text: `Sistema IOSoccer • ${this.formatNow()}` })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: subcommand === 'ver' });
+    }
+
+    async showStats(interaction) {
+        const totalMatches = this.matches.length;
+        const today = this.today();
+        const todayMatches = this.matches.filter(match => match.date === today).length;
+
+        const tournamentStats = {};
+        this.matches.forEach(match => {
+            tournamentStats[match.torneo] = (tournamentStats[match.torneo] || 0) + 1;
         });
 
-        if (Object.keys(matchesByDate).length > 10) {
+        const nextWeek = addDays(today, 7);
+        const upcomingMatches = this.matches.filter(match => match.date >= today && match.date <= nextWeek).length;
+
+        const embed = new EmbedBuilder()
+            .setColor('#9b59b6')
+            .setTitle('📊 Estadísticas del Sistema IOSoccer')
+            .setDescription('Resumen completo del sistema de partidos')
+            .addFields(
+                { name: '📈 Total de Partidos', value: `**${totalMatches}** partidos`, inline: false },
+                { name: '📅 Partidos Hoy', value: `**${todayMatches}** partidos`, inline: false },
+                { name: '🗓️ Próximos 7 días', value: `**${upcomingMatches}** partidos`, inline: false }
+            )
+            .setTimestamp();
+
+        const statusStats = Object.keys(MATCH_STATUS)
+            .map(status => ({ status, count: this.matches.filter(match => statusOf(match) === status).length }))
+            .filter(entry => entry.count > 0);
+        if (statusStats.length > 0) {
             embed.addFields({
-                name: '📌 Nota',
-                value: `Se muestran las próximas 10 fechas. Total de fechas con partidos: ${Object.keys(matchesByDate).length}`,
+                name: '📌 Partidos por Estado',
+                value: statusStats.map(entry => `• ${MATCH_STATUS[entry.status].emoji} ${MATCH_STATUS[entry.status].label}: **${entry.count}**`).join('\n'),
                 inline: false
             });
         }
 
+        if (Object.keys(tournamentStats).length > 0) {
+            const tournamentField = Object.entries(tournamentStats)
+                .map(([tournament, count]) => `• ${tournament}: **${count}** partidos`)
+                .join('\n');
+            embed.addFields({ name: '🏆 Distribución por Torneo', value: tournamentField, inline: false });
+        }
+
         await interaction.reply({ embeds: [embed] });
     }
 
-    async viewDayOfWeek(interaction, dayInput) {
-        const dayLower = dayInput.toLowerCase().trim();
-        
-        const normalizedDay = dayLower === 'miercoles' ? 'miércoles' : 
-                              dayLower === 'sabado' ? 'sábado' : dayLower;
-        
-        if (!this.dayNames.hasOwnProperty(normalizedDay)) {
-            const embed = new EmbedBuilder()
-                .setColor('#e74c3c')
-                .setTitle('❌ Día Inválido')
-                .setDescription(`El día "${dayInput}" no es válido.`)
-                .addFields({
-                    name: '🗓️ Días válidos',
-                    value: 'lunes, martes, miércoles, jueves, viernes, sábado, domingo'
-                });
-            return interaction.reply({ embeds: [embed] });
+    // ============= HISTORIAL =============
+
+    /**
+     * Registra un cambio de partido en el historial y lo copia al canal de
+     * moderación. Se llama después de guardar el partido: si el historial
+     * falla, el cambio ya está hecho y solo queda el error en el log
+     * @param {string} action - Clave de AUDIT_ACTIONS
+     * @param {Object|null} before - auditSnapshot del partido antes del cambio (null si es nuevo)
+     * @param {Object|null} match - Partido después del cambio (null si se eliminó)
+     * @param {string|null} userId - null en los cambios automáticos
+     * @param {string|null} origin - Por defecto, el comando en curso
+     * @returns {Object|null} - Entrada registrada
+     */
+    recordAudit(action, before, match, userId, origin = this.currentOrigin()) {
+        let entry;
+        try {
+            entry = this.audit.record({
+                action,
+                userId,
+                origin: origin || 'automático',
+                before,
+                after: auditSnapshot(match),
+                at: new Date(this.now()).toISOString()
+            });
+        } catch (error) {
+            logger('ERROR', `No se pudo registrar en el historial (${action}, partido ${(match || before).id}): ${error.message}`);
+            return null;
         }
 
-        const targetDayNum = this.dayNames[normalizedDay];
-        const dayDisplayName = this.dayNamesDisplay[targetDayNum];
+        this.mirrorAuditEntry(entry);
+        return entry;
+    }
 
-        const dayOfWeekMatches = this.matches.filter(match => {
-            const matchDate = new Date(match.date + 'T00:00:00');
-            return matchDate.getDay() === targetDayNum;
-        });
+    async mirrorAuditEntry(entry) {
+        const channelId = this.guild.config.channel('moderacion');
+        if (!channelId || !this.client.isReady()) {
+            return;
+        }
+
+        try {
+            const channel = await this.client.channels.fetch(channelId);
+            await channel.send({ embeds: [this.createAuditEntryEmbed(entry)] });
+        } catch (error) {
+            logger('WARNING', `No se pudo copiar la entrada ${entry.id} del historial al canal de moderación: ${error.message}`);
+        }
+    }
+
+    auditEntryTitle(entry) {
+        const action = AUDIT_ACTIONS[entry.action] || { label: entry.action, emoji: '📌' };
+        const match = entry.after || entry.before;
+        return `${action.emoji} ${action.label}: ${match.equipo1} vs ${match.equipo2}`.slice(0, 200);
+    }
+
+    /**
+     * Quién, cuándo, desde dónde y qué cambió en una entrada del historial
+     */
+    auditEntryText(entry) {
+        const epoch = Math.floor(new Date(entry.at).getTime() / 1000);
+        const who = entry.userId ? `<@${entry.userId}>` : '🤖 Automático';
+        const changes = describeChanges(entry.before, entry.after).map(line => `• ${line}`);
+        return this.joinLines([`<t:${epoch}:f> • ${who} • \`${entry.origin}\``, ...changes]);
+    }
+
+    createAuditEntryEmbed(entry) {
+        return new EmbedBuilder()
+            .setColor('#34495e')
+            .setTitle(`📜 ${this.auditEntryTitle(entry)}`)
+            .setDescription(this.auditEntryText(entry))
+            .setFooter({ text: `Entrada #${entry.id} • Partido ${entry.matchId} • /historial id:${entry.matchId}` })
+            .setTimestamp(new Date(entry.at));
+    }
+
+    async handleHistoryCommand(interaction) {
+        const filters = {};
+        const labels = [];
+
+        const matchId = interaction.options.getInteger('id');
+        if (matchId) {
+            filters.matchId = matchId;
+            labels.push(`🆔 \`${matchId}\``);
+        }
+
+        const usuario = interaction.options.getUser('usuario');
+        if (usuario) {
+            filters.userId = usuario.id;
+            labels.push(`👤 <@${usuario.id}>`);
+        }
+
+        const accion = interaction.options.getString('accion');
+        if (accion) {
+            if (!AUDIT_ACTIONS[accion]) {
+                return interaction.reply({ content: `❌ Acción desconocida: **${accion}**`, ephemeral: true });
+            }
+            filters.action = accion;
+            labels.push(`${AUDIT_ACTIONS[accion].emoji} ${AUDIT_ACTIONS[accion].label}`);
+        }
+
+        // Los días se toman en la zona de la liga; "hasta" incluye el día completo
+        const dates = {};
+        for (const [key, input] of [['from', interaction.options.getString('desde')], ['to', interaction.options.getString('hasta')]]) {
+            if (!input) continue;
+            const processedDate = this.processDate(input, { allowPast: true });
+            if (!processedDate.valid) {
+                return interaction.reply({ content: processedDate.error, ephemeral: true });
+            }
+            dates[key] = processedDate.date;
+        }
+        if (dates.from && dates.to && dates.from > dates.to) {
+            return interaction.reply({ content: '❌ La fecha **desde** es posterior a **hasta**', ephemeral: true });
+        }
+        if (dates.from) {
+            filters.from = zonedTimeToInstant(dates.from, '00:00', this.leagueTimeZone());
+        }
+        if (dates.to) {
+            filters.to = zonedTimeToInstant(addDays(dates.to, 1), '00:00', this.leagueTimeZone());
+        }
+        if (dates.from || dates.to) {
+            const format = date => (date ? this.formatDisplayDate(date) : '…');
+            labels.push(`📅 ${format(dates.from)} → ${format(dates.to)}`);
+        }
+
+        const entries = this.audit.query(filters);
+        const current = paginate(entries, (interaction.options.getInteger('pagina') || 1) - 1, AUDIT_PAGE_SIZE);
 
         const embed = new EmbedBuilder()
-            .setColor('#9b59b6')
-            .setTitle(`📅 Todos los Partidos de ${dayDisplayName}`)
-            .setDescription(`Mostrando todos los partidos confirmados que caen en día **${dayDisplayName}**`)
-            .setFooter({ text: `Total encontrados: ${dayOfWeekMatches.length} partidos` })
+            .setColor('#34495e')
+            .setTitle('📜 Historial de Partidos')
+            .setDescription(`${labels.length > 0 ? `**Filtros:** ${labels.join(' • ')}\n` : ''}` +
+                (entries.length > 0
+                    ? `${entries.length} ${entries.length === 1 ? 'cambio registrado' : 'cambios registrados'}, del más reciente al más antiguo`
+                    : 'No hay cambios registrados con esos filtros'))
+            .setFooter({ text: `Página ${current.page + 1} de ${current.pages} • Filtra con id, usuario, accion, desde y hasta` })
+            .setTimestamp();
+
+        for (const entry of current.items) {
+            embed.addFields({ name: `#${entry.id} ${this.auditEntryTitle(entry)}`, value: this.auditEntryText(entry), inline: false });
+        }
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // ============= PERMISOS =============
+
+    async handlePermissionsCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+
+        if (!guildId) {
+            return interaction.reply({ content: '❌ Los permisos se configuran desde un servidor, no por mensaje directo.', ephemeral: true });
+        }
+
+        if (subcommand === 'ver') {
+            return interaction.reply({ embeds: [this.createPermissionsEmbed(interaction)], ephemeral: true });
+        }
+
+        let result;
+        let title;
+        let description;
+
+        if (subcommand === 'otorgar' || subcommand === 'revocar') {
+            const usuario = interaction.options.getUser('usuario');
+            const rol = interaction.options.getRole('rol');
+            if (Boolean(usuario) === Boolean(rol)) {
+                return interaction.reply({ content: '❌ Indica un `usuario` o un `rol` (solo uno).', ephemeral: true });
+            }
+
+            const subject = usuario ? { type: 'user', id: usuario.id } : { type: 'role', id: rol.id };
+            const mention = usuario ? `<@${usuario.id}>` : `<@&${rol.id}>`;
+            const nivel = subcommand === 'otorgar' ? interaction.options.getString('nivel') : null;
+
+            result = this.permissions.grant(guildId, subject, nivel);
+            title = nivel ? '✅ Nivel Otorgado' : '🗑️ Nivel Revocado';
+            description = nivel
+                ? `${mention} ahora tiene nivel **${levelLabel(nivel)}**${result.previous ? ` (antes: ${levelLabel(result.previous)})` : ''}`
+                : `${mention} ya no tiene el nivel **${levelLabel(result.previous)}**`;
+        } else if (subcommand === 'comando') {
+            const key = interaction.options.getString('comando').trim().replace(/^\//, '').replace(/\s+/g, ' ').toLowerCase();
+            if (!this.commandKeys().includes(key)) {
+                return interaction.reply({ content: `❌ No existe el comando \`/${key}\``, ephemeral: true });
+            }
+
+            const nivel = interaction.options.getString('nivel');
+            result = this.permissions.setCommandPolicy(guildId, key, nivel === 'predeterminado' ? null : nivel);
+            const [command, sub, action] = key.split(' ');
+            const policy = this.permissions.policyFor(guildId, command, sub, action);
+            title = '⚙️ Nivel del Comando Actualizado';
+            description = `\`/${key}\` ahora pide nivel **${levelLabel(policy.level)}**${policy.custom ? '' : ' (por defecto)'}`;
+        } else if (subcommand === 'acceso') {
+            const restricted = interaction.options.getString('modo') === 'restringido';
+            result = this.permissions.setRestricted(guildId, restricted);
+            title = restricted ? '🔒 Acceso Restringido' : '🔓 Acceso Abierto';
+            description = restricted
+                ? 'Solo pueden usar el bot los administradores, los capitanes y quienes tengan un nivel otorgado.'
+                : 'Todos los miembros pueden usar los comandos de nivel espectador.';
+        }
+
+        if (!result.success) {
+            return interaction.reply({ content: result.message, ephemeral: true });
+        }
+
+        logger('INFO', `🔐 /permisos ${subcommand} por ${interaction.user.id} en ${guildId}: ${description}`);
+
+        const embed = new EmbedBuilder()
+            .setColor('#27ae60')
+            .setTitle(title)
+            .setDescription(description)
+            .setFooter({ text: 'Usa /permisos ver para revisar la configuración completa' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    }
+
+    createPermissionsEmbed(interaction) {
+        const guildId = interaction.guildId;
+        const settings = this.permissions.forGuild(guildId);
+        const ownLevel = this.memberLevel(interaction.member, interaction.user.id, guildId);
+
+        const grants = (entries, mention) =>
+            this.joinLines(entries.map(([id, level]) => `${mention(id)} — ${levelLabel(level)}`), 'Ninguno');
+
+        // Nivel de cada comando que no es de espectador (con los ajustes del servidor aplicados)
+        const byLevel = {};
+        for (const key of this.commandKeys()) {
+            const [command, sub, action] = key.split(' ');
+            const policy = this.permissions.policyFor(guildId, command, sub, action);
+            // Un subcomando solo se lista si pide algo distinto que su comando
+            if (sub && policy.key !== key) continue;
+            if (policy.level === 'viewer' && !policy.custom) continue;
+            (byLevel[policy.level] = byLevel[policy.level] || []).push(`\`/${key}\`${policy.custom ? ' ⚙️' : ''}`);
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#3498db')
+            .setTitle('🔐 Permisos del Servidor')
+            .setDescription(`Tu nivel: **${levelLabel(ownLevel)}**\n${settings.restricted
+                ? '🔒 Acceso restringido: sin un nivel otorgado no se puede usar el bot'
+                : '🔓 Acceso abierto: todos los miembros son espectadores'}`)
+            .addFields(
+                { name: '👤 Usuarios', value: grants(Object.entries(settings.users), id => `<@${id}>`), inline: true },
+                { name: '🎭 Roles', value: grants(Object.entries(settings.roles), id => `<@&${id}>`), inline: true }
+            )
+            .setFooter({ text: '⚙️ = nivel cambiado en este servidor • El resto de los comandos es de nivel espectador' })
             .setTimestamp();
 
-        if (dayOfWeekMatches.length === 0) {
-            embed.addFields({ 
-                name: '📋 Estado', 
-                value: `No hay partidos confirmados para ningún ${dayDisplayName}.\n\n💡 **Sugerencia:** Confirma algunos partidos para este día usando \`/confirmar_partido\`` 
+        for (const level of Object.keys(PERMISSION_LEVELS)) {
+            if (byLevel[level]) {
+                embed.addFields({ name: levelLabel(level), value: this.joinLines(byLevel[level]), inline: false });
+            }
+        }
+
+        return embed;
+    }
+
+    // ============= CONFIGURACIÓN DEL SERVIDOR =============
+
+    async handleConfigCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+
+        if (!guildId) {
+            return interaction.reply({ content: '❌ La liga se configura desde un servidor, no por mensaje directo.', ephemeral: true });
+        }
+
+        if (subcommand === 'ver') {
+            return interaction.reply({ embeds: [this.createConfigEmbed()], ephemeral: true });
+        }
+
+        if (subcommand === 'tableros') {
+            return interaction.reply({ embeds: [this.createStatusBoardsEmbed()], ephemeral: true });
+        }
+
+        const config = this.guild.config;
+        let result;
+        let title;
+        let description;
+
+        if (subcommand === 'servidor_agregar') {
+            result = config.addServer({
+                name: interaction.options.getString('nombre'),
+                ip: interaction.options.getString('ip'),
+                port: interaction.options.getInteger('puerto') || 27015,
+                password: interaction.options.getString('contraseña'),
+                rcon_password: interaction.options.getString('rcon')
             });
-        } else {
-            const sortedMatches = dayOfWeekMatches.sort((a, b) => {
-                const dateComparison = new Date(a.date) - new Date(b.date);
-                if (dateComparison === 0) {
-                    return this.timeToMinutes[a.time] - this.timeToMinutes[b.time];
+            title = '🎮 Servidor Agregado';
+            description = result.success &&
+                `**${result.server.name}** (${result.server.ip}:${result.server.port})${result.server.rcon_password ? ' con RCON' : ''}`;
+        } else if (subcommand === 'servidor_quitar') {
+            result = config.removeServer(interaction.options.getString('servidor'));
+            title = '🗑️ Servidor Quitado';
+            description = result.success && `**${result.server.name}** (${result.server.ip}:${result.server.port})`;
+        } else if (subcommand === 'canal') {
+            const tipo = interaction.options.getString('tipo');
+            const canal = interaction.options.getChannel('canal');
+            if (canal && !(typeof canal.isTextBased === 'function' && canal.isTextBased())) {
+                return interaction.reply({ content: '❌ El canal debe ser de texto.', ephemeral: true });
+            }
+
+            result = config.setChannel(tipo, canal ? canal.id : null);
+            title = `${CHANNEL_TYPES[tipo].emoji} Canal de ${CHANNEL_TYPES[tipo].label}`;
+            description = result.success && (canal
+                ? `Se publicará en <#${canal.id}>`
+                : `Vuelve al valor por defecto: ${this.describeChannel(tipo)}`);
+        } else if (subcommand === 'recordatorios') {
+            const avisos = interaction.options.getString('avisos');
+            const directos = interaction.options.getBoolean('mensajes_directos');
+            if (avisos === null && directos === null) {
+                return interaction.reply({ content: '❌ Indica `avisos`, `mensajes_directos` o ambos.', ephemeral: true });
+            }
+
+            if (avisos !== null) {
+                const offsets = /^(ninguno|no)$/i.test(avisos.trim()) ? [] : parseReminderOffsets(avisos);
+                if (!offsets) {
+                    return interaction.reply({ content: `❌ Avisos inválidos: **${avisos}** (ej: \`24h,1h,15m,0\`)`, ephemeral: true });
                 }
-                return dateComparison;
-            });
+                config.set('reminderOffsets', offsets);
+            }
+            if (directos !== null) {
+                config.set('dmCaptains', directos);
+            }
+
+            result = { success: true };
+            title = '⏰ Recordatorios Actualizados';
+            description = this.describeReminders();
+        } else if (subcommand === 'tablero_quitar') {
+            const canal = interaction.options.getChannel('canal');
+            result = this.statusBoards.remove(canal.id);
+            if (result.success) {
+                this.stopStatusBoard(canal.id);
+                const deleted = interaction.options.getBoolean('borrar_mensajes')
+                    ? await this.deleteStatusBoardMessages(result.board)
+                    : null;
+                title = '🛑 Tablero de Estado Quitado';
+                description = `<#${canal.id}> ya no se actualiza` +
+                    (deleted === null ? '; sus mensajes quedan en el canal' : `; ${deleted} mensaje(s) borrado(s)`);
+            }
+        }
+
+        if (!result.success) {
+            return interaction.reply({ content: result.message, ephemeral: true });
+        }
 
-            const matchesBySpecificDate = {};
-            sortedMatches.forEach(match => {
-                const displayDate = this.formatDisplayDate(match.date);
-                if (!matchesBySpecificDate[displayDate]) {
-                    matchesBySpecificDate[displayDate] = [];
+        if (subcommand.startsWith('servidor_')) {
+            this.schedulingRules.setServers(this.servers());
+        }
+
+        logger('INFO', `🛠️ /config ${subcommand} por ${interaction.user.id} en ${guildId}: ${description}`);
+
+        const embed = new EmbedBuilder()
+            .setColor('#27ae60')
+            .setTitle(title)
+            .setDescription(description)
+            .setFooter({ text: 'Usa /config ver para revisar la configuración completa' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    /**
+     * Borra del canal los mensajes de un tablero (los que todavía existan)
+     * @returns {Promise<number>} - Mensajes borrados
+     */
+    async deleteStatusBoardMessages(board) {
+        let deleted = 0;
+        try {
+            const channel = await this.client.channels.fetch(board.channelId);
+            for (const messageId of [board.summaryMessageId, ...Object.values(board.detailMessageIds)]) {
+                try {
+                    await (await channel.messages.fetch(messageId)).delete();
+                    deleted++;
+                } catch (error) {
+                    if (!isUnknownMessage(error)) throw error;
                 }
-                matchesBySpecificDate[displayDate].push(match);
-            });
+            }
+        } catch (error) {
+            logger('WARNING', `⚠️ No se pudieron borrar los mensajes del tablero de ${board.channelId}: ${error.message}`);
+        }
+        return deleted;
+    }
+
+    createStatusBoardsEmbed() {
+        const boards = this.statusBoards.list().map(board => {
+            const running = this.activeStatusChannels.has(board.channelId) ? '🟢' : '⏸️';
+            return `${running} <#${board.channelId}> — ${1 + Object.keys(board.detailMessageIds).length} mensajes • ` +
+                `creado por <@${board.createdBy}> <t:${Math.floor(new Date(board.createdAt).getTime() / 1000)}:R>`;
+        });
+
+        return new EmbedBuilder()
+            .setColor('#3498db')
+            .setTitle('📺 Tableros de Estado')
+            .setDescription(this.joinLines(boards, 'Ninguno — se crean con `/status auto_update:true`').slice(0, 4096))
+            .setFooter({ text: `🟢 = actualizándose cada ${STATUS_BOARD_INTERVAL / 1000}s • Quita uno con /config tablero_quitar` })
+            .setTimestamp();
+    }
+
+    describeChannel(type) {
+        const channelId = this.guild.config.channel(type);
+        if (channelId) {
+            return `<#${channelId}>`;
+        }
+        return type === 'recordatorios' ? 'el canal de cada propuesta' : 'sin publicar';
+    }
+
+    describeReminders() {
+        const config = this.guild.config;
+        const offsets = config.reminderOffsets();
+        const list = offsets.length > 0
+            ? offsets.map(offset => offset === 0 ? 'al inicio' : formatOffset(offset)).join(', ')
+            : 'desactivados';
+        return `Avisos: **${list}**\nMensajes directos a capitanes: **${config.dmCaptains() ? 'sí' : 'no'}**`;
+    }
+
+    /**
+     * Resumen de la configuración de la liga (sin contraseñas)
+     */
+    createConfigEmbed() {
+        const { config, primary } = this.guild;
+        const custom = key => config.isCustom(key) ? '' : ' _(por defecto)_';
+
+        const servers = config.servers().map(server =>
+            `**${server.name}** — \`${server.ip}:${server.port}\`${server.password ? ' 🔒' : ''}${server.rcon_password ? ' 🛠️' : ''}`);
+
+        return new EmbedBuilder()
+            .setColor('#3498db')
+            .setTitle('🛠️ Configuración de la Liga')
+            .setDescription(primary
+                ? '🏠 Servidor principal: usa los datos y las variables de entorno del bot'
+                : '🏟️ Liga propia de este servidor: partidos, torneos y equipos separados')
+            .addFields(
+                { name: `🎮 Servidores de juego (${servers.length})${custom('servers')}`, value: this.joinLines(servers, 'Ninguno — agrega uno con `/config servidor_agregar`'), inline: false },
+                ...Object.entries(CHANNEL_TYPES).map(([type, info]) => ({
+                    name: `${info.emoji} Canal de ${info.label}${custom(info.key)}`,
+                    value: this.describeChannel(type),
+                    inline: true
+                })),
+                { name: `🔔 Recordatorios${custom('reminderOffsets')}`, value: this.describeReminders(), inline: false },
+                { name: '🌎 Zona horaria', value: `**${this.leagueTimeZone()}** (cambia con \`/zona_horaria liga\`)`, inline: true },
+                { name: '🔐 Permisos', value: 'Ver `/permisos ver`', inline: true },
+                { name: '📺 Tableros de estado', value: `${this.statusBoards.list().length} (ver \`/config tableros\`)`, inline: true }
+            )
+            .setFooter({ text: '🔒 = con contraseña • 🛠️ = con RCON' })
+            .setTimestamp();
+    }
+
+    // ============= ANUNCIOS EN VIVO: CONFIGURACIÓN =============
+
+    async handleAlertsCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const guildId = interaction.guildId;
+
+        if (!guildId) {
+            return interaction.reply({ content: '❌ Los anuncios se configuran desde un servidor, no por mensaje directo.', ephemeral: true });
+        }
+
+        if (subcommand === 'ver') {
+            return interaction.reply({ embeds: [this.createAlertsEmbed()], ephemeral: true });
+        }
 
-            Object.entries(matchesBySpecificDate).forEach(([displayDate, matches]) => {
-                const matchList = matches.map(match => 
-                    `• **${match.time}** - ${match.equipo1} vs ${match.equipo2}\n  🏆 ${match.torneo} • ID: \`${match.id}\``
-                ).join('\n');
+        const alerts = this.alerts;
+        let result;
+        let title;
+        let description;
 
-                embed.addFields({
-                    name: `📆 ${displayDate} (${matches.length} partidos)`,
-                    value: matchList,
-                    inline: false
-                });
-            });
+        if (subcommand === 'canal') {
+            const canal = interaction.options.getChannel('canal');
+            if (canal && !(typeof canal.isTextBased === 'function' && canal.isTextBased())) {
+                return interaction.reply({ content: '❌ El canal debe ser de texto.', ephemeral: true });
+            }
 
-            const tournamentCount = {};
-            sortedMatches.forEach(match => {
-                tournamentCount[match.torneo] = (tournamentCount[match.torneo] || 0) + 1;
-            });
+            result = alerts.setChannel(canal ? canal.id : null);
+            title = '📣 Canal de Anuncios';
+            description = canal
+                ? `Los anuncios en vivo se publicarán en <#${canal.id}>`
+                : 'Anuncios en vivo desactivados';
+        } else if (subcommand === 'eventos') {
+            const options = { goal: 'goles', half_time: 'entretiempo', full_time: 'final' };
+            const chosen = Object.entries(options).map(([type, option]) => [type, interaction.options.getBoolean(option)]);
+            if (chosen.every(([, value]) => value === null)) {
+                return interaction.reply({ content: '❌ Indica `goles`, `entretiempo` y/o `final`.', ephemeral: true });
+            }
 
-            if (Object.keys(tournamentCount).length > 0) {
-                const tournamentStats = Object.entries(tournamentCount)
-                    .map(([tournament, count]) => `• ${tournament}: ${count}`)
-                    .join('\n');
-                
-                embed.addFields({
-                    name: '🏆 Distribución por Torneo',
-                    value: tournamentStats,
-                    inline: false
-                });
+            result = alerts.setEvents(chosen
+                .filter(([type, value]) => value === true || (value === null && alerts.events().includes(type)))
+                .map(([type]) => type));
+            title = '📣 Eventos Anunciados';
+            description = result.success && this.describeAlertEvents();
+        } else if (subcommand === 'rol') {
+            const tournament = this.tournaments.find(interaction.options.getString('torneo'));
+            if (!tournament) {
+                return interaction.reply({ content: `❌ No existe el torneo **${interaction.options.getString('torneo')}**`, ephemeral: true });
             }
+
+            const rol = interaction.options.getRole('rol');
+            result = alerts.setRole(tournament.id, rol ? rol.id : null);
+            title = `🎭 Rol de ${tournament.emoji} ${tournament.name}`;
+            description = rol
+                ? `Los anuncios de **${tournament.name}** mencionarán a <@&${rol.id}>`
+                : `Los anuncios de **${tournament.name}** ya no mencionan a ningún rol`;
         }
 
-        await interaction.reply({ embeds: [embed] });
-    }
+        if (!result.success) {
+            return interaction.reply({ content: result.message, ephemeral: true });
+        }
+
+        logger('INFO', `📣 /alertas ${subcommand} por ${interaction.user.id} en ${guildId}: ${description}`);
 
-    async showViewMatchesHelp(interaction) {
         const embed = new EmbedBuilder()
-            .setColor('#3498db')
-            .setTitle('📋 Ayuda - Ver Partidos')
-            .setDescription('Selecciona una de las opciones disponibles:')
-            .addFields(
-                {
-                    name: '📋 Todos los partidos',
-                    value: 'Muestra todos los partidos confirmados ordenados por fecha y hora'
-                },
-                {
-                    name: '📅 Elegir día de la semana', 
-                    value: 'Muestra todos los partidos que caen en un día específico de la semana\n**Importante:** Debes seleccionar un día en el campo "dia"'
-                }
-            )
-            .addFields({
-                name: '💡 Ejemplo de uso',
-                value: '1. Selecciona "📅 Elegir día de la semana"\n2. En "dia" selecciona "🗓️ Lunes"\n3. Ejecuta el comando para ver todos los partidos de lunes'
-            });
-        
-        await interaction.reply({ embeds: [embed] });
-    }
+            .setColor('#27ae60')
+            .setTitle(title)
+            .setDescription(description)
+            .setFooter({ text: 'Usa /alertas ver para revisar la configuración completa' })
+            .setTimestamp();
 
-    async cancelMatch(interaction) {
-        const matchId = interaction.options.getInteger('id');
-        const matchIndex = this.matches.findIndex(match => match.id === matchId);
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
 
-        if (matchIndex === -1) {
-            const embed = new EmbedBuilder()
-                .setColor('#e74c3c')
-                .setTitle('❌ Partido No Encontrado')
-                .setDescription(`No se encontró un partido con ID: \`${matchId}\``)
-                .addFields({ 
-                    name: '💡 Sugerencia', 
-                    value: 'Usa `/ver_partidos` para ver los IDs de los partidos confirmados' 
-                });
-            return interaction.reply({ embeds: [embed] });
-        }
+    describeAlertEvents() {
+        return Object.entries(ALERT_EVENTS)
+            .map(([type, info]) => `${this.alerts.events().includes(type) ? '✅' : '❌'} ${info.emoji} ${info.label}`)
+            .join('\n');
+    }
 
-        const match = this.matches[matchIndex];
-        this.matches.splice(matchIndex, 1);
-        this.saveMatches();
+    createAlertsEmbed() {
+        const alerts = this.alerts;
+        const channelId = alerts.channelId();
+        const roles = Object.entries(alerts.roles()).map(([tournamentId, roleId]) => {
+            const tournament = this.tournaments.find(tournamentId);
+            return `${tournament ? `${tournament.emoji} ${tournament.name}` : tournamentId}: <@&${roleId}>`;
+        });
 
-        const embed = new EmbedBuilder()
-            .setColor('#f39c12')
-            .setTitle('🗑️ Partido Cancelado')
-            .setDescription('El partido ha sido cancelado exitosamente del sistema')
+        return new EmbedBuilder()
+            .setColor('#3498db')
+            .setTitle('📣 Anuncios en Vivo')
+            .setDescription(channelId
+                ? `Se publican en <#${channelId}>. Los eventos seguidos de un mismo partido editan un solo mensaje (ventana de ${CONFIG.alerts.groupSeconds} s).`
+                : 'Desactivados — elige un canal con `/alertas canal`')
             .addFields(
-                { name: '⚽ Equipo Local', value: match.equipo1, inline: false },
-                { name: '🆚 Equipo Visitante', value: match.equipo2, inline: false },
-                { name: '🏆 Torneo', value: match.torneo, inline: false },
-                { name: '📅 Fecha', value: match.displayDate, inline: false },
-                { name: '🕐 Hora', value: `${match.time}hs`, inline: false },
-                { name: '👤 Cancelado por', value: interaction.user.username, inline: false }
+                { name: '📋 Eventos', value: this.describeAlertEvents(), inline: true },
+                { name: '🎭 Roles por torneo', value: this.joinLines(roles, 'Ninguno — configúralos con `/alertas rol`'), inline: true },
+                { name: '🎮 Servidores', value: this.joinLines(this.servers().map(server => server.name), 'Ninguno — agrega uno con `/config servidor_agregar`'), inline: false }
             )
-            .setFooter({ text: `Sistema IOSoccer • ${new Date().toLocaleString('es-AR')}` })
             .setTimestamp();
-
-        await interaction.reply({ embeds: [embed] });
     }
 
-    async showStats(interaction) {
-        const totalMatches = this.matches.length;
-        const today = new Date().toISOString().split('T')[0];
-        const todayMatches = this.matches.filter(match => match.date === today).length;
+    async handleTimezoneCommand(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+        const userId = interaction.user.id;
 
-        const tournamentStats = {};
-        this.matches.forEach(match => {
-            tournamentStats[match.torneo] = (tournamentStats[match.torneo] || 0) + 1;
-        });
+        if (subcommand === 'liga') {
+            const previous = this.leagueTimeZone();
+            const result = this.timezones.setLeague(interaction.options.getString('zona'));
+            if (!result.success) {
+                return interaction.reply({ content: result.message, ephemeral: true });
+            }
+
+            logger('INFO', `Zona horaria de la liga: ${previous} → ${result.timeZone} (por ${userId})`);
+
+            const embed = new EmbedBuilder()
+                .setColor('#27ae60')
+                .setTitle('🌎 Zona Horaria de la Liga')
+                .setDescription(`Los días y horarios de los partidos ahora se interpretan en **${result.timeZone}**.\n\nLos partidos ya programados conservan su fecha y hora escritas.`)
+                .addFields({ name: '🕐 Hora actual de la liga', value: this.formatNow(), inline: false })
+                .setFooter({ text: `Antes: ${previous}` })
+                .setTimestamp();
+            return interaction.reply({ embeds: [embed] });
+        }
 
-        const nextWeek = new Date();
-        nextWeek.setDate(nextWeek.getDate() + 7);
-        const upcomingMatches = this.matches.filter(match => {
-            const matchDate = new Date(match.date + 'T00:00:00');
-            const today = new Date();
-            return matchDate >= today && matchDate <= nextWeek;
-        }).length;
+        if (subcommand === 'usuario') {
+            const zona = interaction.options.getString('zona');
+            const result = this.timezones.setUser(userId, zona || null);
+            if (!result.success) {
+                return interaction.reply({ content: result.message, ephemeral: true });
+            }
+        }
 
+        const userZone = this.timezones.forUser(userId);
         const embed = new EmbedBuilder()
-            .setColor('#9b59b6')
-            .setTitle('📊 Estadísticas del Sistema IOSoccer')
-            .setDescription('Resumen completo del sistema de partidos')
+            .setColor('#3498db')
+            .setTitle('🌎 Zona Horaria')
+            .setDescription('Los horarios de los partidos se escriben siempre en la hora de la liga. Con tu zona, el autocompletado de `hora` muestra también su equivalencia.')
             .addFields(
-                { name: '📈 Total de Partidos', value: `**${totalMatches}** partidos`, inline: false },
-                { name: '📅 Partidos Hoy', value: `**${todayMatches}** partidos`, inline: false },
-                { name: '🗓️ Próximos 7 días', value: `**${upcomingMatches}** partidos`, inline: false }
+                { name: '🏆 Liga', value: `**${this.leagueTimeZone()}**\n${this.formatNow()}`, inline: true },
+                {
+                    name: '👤 Tu zona',
+                    value: `**${userZone}**${this.timezones.hasUserZone(userId) ? '' : ' (la de la liga)'}\n${formatDateTime(this.now(), userZone)}`,
+                    inline: true
+                }
             )
             .setTimestamp();
 
-        if (Object.keys(tournamentStats).length > 0) {
-            const tournamentField = Object.entries(tournamentStats)
-                .map(([tournament, count]) => `• ${tournament}: **${count}** partidos`)
-                .join('\n');
-            embed.addFields({ name: '🏆 Distribución por Torneo', value: tournamentField, inline: false });
-        }
-
-        await interaction.reply({ embeds: [embed] });
+        await interaction.reply({ embeds: [embed], ephemeral: true });
     }
 
     async showHelp(interaction) {
+        const windowExample = this.schedulingRules.windowExample();
         const embed = new EmbedBuilder()
             .setColor('#3498db')
             .setTitle('⚽ IOSoccer Bot - Guía Completa')
@@ -1062,11 +5071,29 @@ class IOSoccerBot {
                 {
                     name: '📋 Comandos de Partidos',
                     value: `
-                    \`/confirmar_partido\` - Confirma un nuevo partido
-                    \`/ver_partidos\` - Ver partidos con opciones:
-                      • **📋 Todos:** Muestra todos los partidos ordenados por fecha
-                      • **📅 Elegir día de la semana:** Partidos de un día específico
-                    \`/cancelar_partido\` - Cancelar un partido existente
+                    \`/proponer_partido\` - Propone un partido (antes \`/confirmar_partido\`)
+                    \`/partido\` - Aceptar, iniciar, cargar/confirmar/disputar el resultado, dar walkover o cargar penales
+                    \`/ver_partidos\` - Próximos y pasados, paginados; filtros por torneo, equipo, fechas, estado, servidor y día
+                    \`/mis_partidos\` - Partidos de tu equipo y su calendario (.ics)
+                    \`/cancelar_partido\` - Cancelar un partido que todavía no se jugó (quien lo propuso, sus capitanes u organizadores)
+                    \`/reprogramar_partido\` - Mover un partido a otro día/hora (mantiene su ID)
+                    `,
+                    inline: false
+                },
+                {
+                    name: '🏆 Comandos de Liga',
+                    value: `
+                    \`/torneo\` - Ver y administrar el catálogo de torneos
+                    \`/tabla\` - Tabla de posiciones de un torneo (con CSV)
+                    \`/fixture generar\` - Genera el fixture de un torneo (organizadores)
+                    \`/bracket\` - Cuadro de un torneo de eliminación directa
+                    \`/equipo\` - Ver y administrar el registro de equipos
+                    \`/reglas\` - Ver y administrar las reglas de programación
+                    \`/zona_horaria\` - Hora de la liga y tu zona horaria
+                    \`/historial\` - Quién cambió cada partido, cuándo y qué cambió
+                    \`/permisos\` - Niveles de acceso del servidor (administradores)
+                    \`/config\` - Servidores de juego, canales y recordatorios de la liga (administradores)
+                    \`/alertas\` - Anuncios en vivo de goles, entretiempo y final en un canal
                     \`/estadisticas\` - Ver estadísticas del sistema
                     `,
                     inline: false
@@ -1075,7 +5102,7 @@ class IOSoccerBot {
                     name: '🖥️ Comandos de Monitoreo',
                     value: `
                     \`/status\` - Estado de todos los servidores IOSoccer
-                      • **auto_update:** Activar actualización automática cada 90s
+                      • **auto_update:** Activar actualización automática cada 90s (sigue tras reinicios)
                     \`/server_info\` - Información detallada de un servidor específico
                     \`/match_info\` - Información de partidos en curso
                     \`/health\` - Estado de salud del sistema
@@ -1087,42 +5114,39 @@ class IOSoccerBot {
                 },
                 {
                     name: '📅 Formatos de Fecha Aceptados',
-                    value: `
-                    • **"hoy"** - Para el día actual
-                    • **"mañana"** - Para el día siguiente
-                    • **Días de la semana:** lunes, martes, miércoles, jueves, viernes, sábado, domingo
-                    • **Fecha específica:** YYYY-MM-DD (ej: 2024-08-22)
-                    
-                    **Ejemplos:**
-                    • "lunes" → Próximo lunes
-                    • "viernes" → Próximo viernes
-                    `,
+                    value: `${ACCEPTED_FORMATS.join('\n')}\n` +
+                        `• Hasta ${CONFIG.matches.dateHorizonDays} días adelante; el autocompletado muestra la fecha resultante\n` +
+                        '• Días y horas se interpretan en la zona de la liga (`/zona_horaria ver`)',
                     inline: false
                 },
                 {
-                    name: '⏰ Horarios Disponibles',
-                    value: `**Horarios cada 15 minutos:**\n${this.timeSlots.join(', ')}\n\n**Sistema de ventana deslizante:** Máximo 3 partidos en cualquier período de 45 minutos consecutivos`,
+                    name: '⏰ Horarios y Reglas de Programación',
+                    value: this.schedulingRules.describe().join('\n').slice(0, 1024),
                     inline: false
                 },
                 {
                     name: '🏆 Torneos Disponibles',
-                    value: this.validTournaments.map(t => `• ${t}`).join('\n'),
+                    value: this.tournaments.list().map(t => `• ${t.emoji} ${t.name}`).join('\n').slice(0, 1024) || 'Sin torneos activos',
                     inline: false
                 },
                 {
                     name: '⚠️ Reglas del Sistema',
-                    value: `
-                    • Máximo **3 partidos** en cualquier ventana de 45 minutos
-                    • La ventana se calcula dinámicamente desde cualquier horario
-                    • **Ejemplo:** Si hay partidos a las 22:00, 22:15 y 22:30, el próximo disponible sería 22:45
-                    • **Ejemplo:** Si hay partidos a las 21:30, 21:45 y 22:00, el próximo disponible sería 22:15
-                    • Solo usuarios con roles autorizados pueden usar el bot
-                    `,
+                    value: [
+                        '• Las reglas de horario se consultan con `/reglas ver`',
+                        '• La ventana se calcula dinámicamente desde cualquier horario',
+                        windowExample ? `• **Ejemplo:** ${windowExample}` : null,
+                        '• Si un horario está bloqueado, el bot indica exactamente qué regla lo impide'
+                    ].filter(Boolean).join('\n'),
                     inline: false
                 },
                 {
                     name: '🔒 Control de Acceso',
-                    value: `Este bot está protegido por un sistema de roles. Solo usuarios autorizados pueden confirmar partidos.`,
+                    value: [
+                        `Cada comando pide un nivel: ${Object.values(PERMISSION_LEVELS).map(level => `${level.emoji} ${level.label}`).join(', ')}`,
+                        '• Los capitanes del registro de equipos proponen, aceptan y reprograman los partidos de su equipo',
+                        '• Los administradores otorgan niveles y cambian el nivel de cada comando con `/permisos`',
+                        '• `/permisos ver` muestra los niveles otorgados y el nivel que pide cada comando'
+                    ].join('\n'),
                     inline: false
                 }
             )
@@ -1141,8 +5165,8 @@ class IOSoccerBot {
         
         try {
             const serversToQuery = serverName 
-                ? CONFIG.servers.filter(s => s.name.toLowerCase().includes(serverName.toLowerCase()))
-                : CONFIG.servers;
+                ? this.servers().filter(s => s.name.toLowerCase().includes(serverName.toLowerCase()))
+                : this.servers();
                 
             if (serversToQuery.length === 0) {
                 return await interaction.editReply({
@@ -1155,17 +5179,19 @@ class IOSoccerBot {
                 .setColor('#00ff00')
                 .setTimestamp();
                 
-            for (const server of serversToQuery) {
-                const result = await monitoring.queryServerInfo(server);
-                
-                if (result.success) {
+            const entries = await this.poller.read(serversToQuery);
+            serversToQuery.forEach((server, index) => {
+                const entry = entries[index];
+                const { info } = entry;
+
+                if (entry.state !== 'offline') {
                     embed.addFields({
-                        name: `🟢 ${result.data.server_name}`,
+                        name: `🟢 ${server.name}`,
                         value: [
-                            `**Mapa:** ${result.data.map_name}`,
-                            `**Jugadores:** ${result.data.players}/${result.data.max_players}`,
-                            `**Fuente:** ${result.source}${result.cached ? ' (cached)' : ''}`,
-                            `**Calidad:** ${result.validation.quality.quality} (${result.validation.confidence}%)`
+                            `**Mapa:** ${info.mapName}`,
+                            `**Jugadores:** ${info.players}/${info.maxPlayers}`,
+                            `**Estado:** ${info.status}`,
+                            `**Actualizado:** ${this.snapshotAge(entry)}`
                         ].join('\n'),
                         inline: true
                     });
@@ -1173,14 +5199,15 @@ class IOSoccerBot {
                     embed.addFields({
                         name: `🔴 ${server.name}`,
                         value: [
-                            `**Estado:** Inaccesible`,
-                            `**Error:** ${result.error.user.message}`,
-                            `**Sistema:** Ultra-robusto con auto-recuperación`
+                            `**Estado:** ${info.status}`,
+                            ...(entry.error ? [`**Error:** ${entry.error}`] : []),
+                            `**Fallas seguidas:** ${entry.failures}`,
+                            `**Actualizado:** ${this.snapshotAge(entry)}`
                         ].join('\n'),
                         inline: true
                     });
                 }
-            }
+            });
             
             await interaction.editReply({ embeds: [embed] });
             
@@ -1199,8 +5226,8 @@ class IOSoccerBot {
         
         try {
             const serversToQuery = serverName 
-                ? CONFIG.servers.filter(s => s.name.toLowerCase().includes(serverName.toLowerCase()))
-                : CONFIG.servers;
+                ? this.servers().filter(s => s.name.toLowerCase().includes(serverName.toLowerCase()))
+                : this.servers();
                 
             if (serversToQuery.length === 0) {
                 return await interaction.editReply({
@@ -1215,47 +5242,50 @@ class IOSoccerBot {
                 
             let hasActiveMatches = false;
                 
-            for (const server of serversToQuery) {
-                const serverInfo = await monitoring.queryServerInfo(server);
-                
-                if (!serverInfo.success || serverInfo.data.players === 0) {
+            const entries = await this.poller.read(serversToQuery);
+            serversToQuery.forEach((server, index) => {
+                const entry = entries[index];
+                const { info } = entry;
+
+                if (entry.state === 'offline' || (!info.matchInfo && info.players === 0)) {
                     embed.addFields({
                         name: `⚪ ${server.name}`,
-                        value: '**Estado:** Sin jugadores activos',
+                        value: [
+                            entry.state === 'offline' ? `**Estado:** ${info.status}` : '**Estado:** Sin jugadores activos',
+                            `**Actualizado:** ${this.snapshotAge(entry)}`
+                        ].join('\n'),
                         inline: true
                     });
-                    continue;
+                    return;
                 }
-                
-                const result = await monitoring.queryMatchInfo(server, server.rcon_password);
-                
-                if (result.success) {
+
+                if (info.matchInfo) {
                     hasActiveMatches = true;
-                    const data = result.data;
-                    
+                    const data = info.matchInfo;
+
                     embed.addFields({
-                        name: `🟢 ${server.name}`,
+                        name: `${entry.state === 'live' ? '🔴' : '🟢'} ${server.name}`,
                         value: [
-                            `**Partido:** ${data.teamNameHome} vs ${data.teamNameAway}`,
-                            `**Marcador:** ${data.goalsHome}-${data.goalsAway}`,
-                            `**Periodo:** ${data.matchPeriod}`,
-                            `**Estado:** ${data.matchStatus}`,
-                            `**Calidad:** ${result.validation.quality.quality}${result.repaired ? ' (JSON reparado auto)' : ''}`
+                            `**Partido:** ${data.team_home} vs ${data.team_away}`,
+                            `**Marcador:** ${data.goals_home}-${data.goals_away}`,
+                            `**Periodo:** ${data.period}`,
+                            `**Tiempo:** ${data.time_display}`,
+                            `**Actualizado:** ${this.snapshotAge(entry)}`
                         ].join('\n'),
                         inline: true
                     });
                 } else {
                     embed.addFields({
-                        name: `🔴 ${server.name}`,
+                        name: `🟡 ${server.name}`,
                         value: [
-                            `**Jugadores:** ${serverInfo.data.players}/${serverInfo.data.max_players}`,
-                            `**Error RCON:** ${result.error.user.message}`,
-                            `**Sistema:** Ultra-robusto con circuit breakers`
+                            `**Jugadores:** ${info.players}/${info.maxPlayers}`,
+                            `**Estado:** ${info.status}`,
+                            `**Actualizado:** ${this.snapshotAge(entry)}`
                         ].join('\n'),
                         inline: true
                     });
                 }
-            }
+            });
             
             if (!hasActiveMatches) {
                 embed.setDescription('ℹ️ No hay partidos activos en este momento');
@@ -1274,7 +5304,9 @@ class IOSoccerBot {
     async handleHealthCommand(interaction) {
         try {
             const healthCheck = await monitoring.runIntegrityCheck();
-            const isHealthy = Object.values(healthCheck).every(check => check.healthy);
+            const keys = new Map(this.servers().map(server => [serverKey(server), server.name]));
+            const snapshot = this.poller.freshness().filter(server => keys.has(server.key));
+            const isHealthy = Object.values(healthCheck).every(check => check.healthy) && !snapshot.some(server => server.stale);
             
             const embed = new EmbedBuilder()
                 .setTitle('🏥 Estado de Salud del Sistema Ultra-Robusto')
@@ -1293,6 +5325,22 @@ class IOSoccerBot {
                 });
             });
             
+            if (keys.size > 0) {
+                const stateEmoji = { live: '🔴', active: '🟢', empty: '⚪', offline: '⚫' };
+                embed.addFields({
+                    name: '📡 Sondeo de servidores',
+                    value: [...keys].map(([key, name]) => {
+                        const server = snapshot.find(item => item.key === key);
+                        if (!server) {
+                            return `⏳ **${name}**: sin consultar todavía`;
+                        }
+                        return `${server.stale ? '⚠️' : stateEmoji[server.state]} **${name}**: hace ${formatAge(server.ageMs)}` +
+                            (server.failures > 0 ? ` • ${server.failures} falla(s) seguidas` : '');
+                    }).join('\n').slice(0, 1024),
+                    inline: false
+                });
+            }
+
             embed.addFields({
                 name: '🛡️ Características Ultra-Robustas Activas',
                 value: [
@@ -1332,7 +5380,7 @@ class IOSoccerBot {
                 value: [
                     `**Uptime:** ${Math.round(stats.uptime)} segundos`,
                     `**Memoria:** ${Math.round(stats.memory.rss / 1024 / 1024)}MB`,
-                    `**Servidores:** ${CONFIG.servers.length}`,
+                    `**Servidores:** ${this.servers().length}`,
                     `**Modo:** Ultra-Robusto Enterprise`
                 ].join('\n'),
                 inline: true
@@ -1390,315 +5438,371 @@ class IOSoccerBot {
     async serverStatus(interaction) {
         const autoUpdate = interaction.options.getBoolean('auto_update') || false;
         
-        // Limpiar auto-update existente
-        if (this.activeStatusChannels.has(interaction.channel.id)) {
-            const existing = this.activeStatusChannels.get(interaction.channel.id);
-            if (existing.intervals) {
-                existing.intervals.forEach(interval => {
-                    try {
-                        clearInterval(interval);
-                    } catch (e) {
-                        logger('WARNING', `Error limpiando interval: ${e.message}`);
-                    }
-                });
-            }
-            this.activeStatusChannels.delete(interaction.channel.id);
+        if (this.servers().length === 0) {
+            return interaction.reply({
+                content: '❌ Este servidor no tiene servidores IOSoccer configurados.\n\n💡 Un administrador puede agregarlos con `/config servidor_agregar`',
+                ephemeral: true
+            });
+        }
+
+        // Limpiar auto-update existente (un canal tiene a lo sumo un tablero)
+        if (this.activeStatusChannels.has(interaction.channel.id) || this.statusBoards.get(interaction.channel.id)) {
+            this.stopStatusBoard(interaction.channel.id);
+            this.statusBoards.remove(interaction.channel.id);
             logger('INFO', `🔄 Auto-update anterior cancelado para canal ${interaction.channel.id}`);
         }
         
         // Mensaje de carga inicial
-        const loadingEmbed = new EmbedBuilder()
-            .setTitle('🔄 Consultando servidores...')
-            .setDescription('Obteniendo información A2S + Match Info JSON PERSISTENTE')
-            .setColor(0xffff00);
-        
-        await interaction.reply({ embeds: [loadingEmbed] });
-        
-        // Obtener información de servidores con timeout de seguridad
-        const serversInfo = [];
-        const maxTimePerServer = 45000; // 45 segundos máximo por servidor
-        const maxTotalTime = 3 * 60 * 1000; // 3 minutos máximo total
-        
-        const getAllServersInfo = async () => {
-            for (let i = 0; i < CONFIG.servers.length; i++) {
-                const server = CONFIG.servers[i];
-                
-                // Actualizar progreso
-                const progressEmbed = new EmbedBuilder()
-                    .setTitle('🔄 Consultando servidores...')
-                    .setDescription(`Analizando ${server.name} (${i+1}/${CONFIG.servers.length}) - MODO PERSISTENTE`)
-                    .addFields({
-                        name: '📡 Progreso',
-                        value: '✅ '.repeat(i) + '🔄 ' + '⏳ '.repeat(CONFIG.servers.length - i - 1),
-                        inline: false
-                    })
-                    .setColor(0xffff00);
-                
-                try {
-                    await interaction.editReply({ embeds: [progressEmbed] });
-                } catch (e) {
-                    logger('WARNING', `⚠️ No se pudo actualizar progreso: ${e.message}`);
-                }
-                
-                // Obtener info del servidor con timeout
-                try {
-                    const serverInfo = await Promise.race([
-                        getServerInfoRobust(server),
-                        new Promise((_, reject) => 
-                            setTimeout(() => reject(new Error(`Timeout de ${maxTimePerServer/1000}s alcanzado`)), maxTimePerServer)
-                        )
-                    ]);
-                    serversInfo.push(serverInfo);
-                    
-                    // Log para debugging
-                    if (serverInfo.matchInfo) {
-                        logger('INFO', `📊 ${server.name}: ${serverInfo.matchInfo.team_home} ${serverInfo.matchInfo.goals_home}-${serverInfo.matchInfo.goals_away} ${serverInfo.matchInfo.team_away}`);
-                    } else {
-                        logger('INFO', `📊 ${server.name}: Sin match info, ${serverInfo.players}/${serverInfo.maxPlayers} jugadores`);
-                    }
-                } catch (serverError) {
-                    logger('ERROR', `❌ ${server.name} falló: ${serverError.message}`);
-                    // Crear ServerInfo de error usando la clase importada
-                    try {
-                        const { ServerInfo } = require('./monitoring/serverMonitoring');
-                        serversInfo.push(new ServerInfo(
-                            server.name,
-                            serverError.message.includes('Timeout') ? "🕐 Timeout" : "🔴 Error"
-                        ));
-                    } catch (importError) {
-                        // Fallback si no se puede importar ServerInfo
-                        serversInfo.push({
-                            name: server.name,
-                            status: serverError.message.includes('Timeout') ? "🕐 Timeout" : "🔴 Error",
-                            players: 0,
-                            maxPlayers: 0,
-                            mapName: "N/A",
-                            matchInfo: null
-                        });
-                    }
-                }
-            }
-        };
-        
-        try {
-            // Timeout global para todo el proceso
-            await Promise.race([
-                getAllServersInfo(),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error(`Comando /status timeout después de ${maxTotalTime/1000/60} minutos`)), maxTotalTime)
-                )
-            ]);
-        } catch (globalError) {
-            if (globalError.message.includes('timeout')) {
-                logger('ERROR', `❌ TIMEOUT GLOBAL del comando /status: ${globalError.message}`);
-                
-                const timeoutEmbed = new EmbedBuilder()
-                    .setTitle('⏰ Timeout Global')
-                    .setDescription(`El comando /status tardó demasiado. Mostrando información parcial de ${serversInfo.length}/${CONFIG.servers.length} servidores.`)
-                    .setColor(0xff9900);
-                
-                await interaction.editReply({ embeds: [timeoutEmbed] });
-            } else {
-                throw globalError;
-            }
-        }
+        await interaction.reply({ embeds: [this.createPendingStatusEmbed()] });
         
-        // Crear embed de status principal
-        const statusEmbed = createStatusEmbed(serversInfo);
+        // Un mensaje por servidor desde el principio, en el orden de la
+        // configuración: cada uno se completa apenas responde su servidor
+        const servers = this.servers();
+        const queue = this.messageQueue(`/status en ${interaction.channel.id}`);
+        const detailMessages = [];
+        servers.forEach((server, index) => queue.push(async () => {
+            detailMessages[index] = await interaction.followUp({ embeds: [this.createPendingServerEmbed(server)] });
+        }));
+
+        await this.streamServerStatus(servers, queue, {
+            footer: autoUpdate
+                ? () => `🔄 Auto-actualización PERSISTENTE ACTIVADA | Actualiza cada ${STATUS_BOARD_INTERVAL / 1000} segundos | ${new Date(this.now()).toLocaleTimeString()}`
+                : null,
+            editSummary: embed => interaction.editReply({ embeds: [embed] }),
+            editDetail: (index, embed) => detailMessages[index] && detailMessages[index].edit({ embeds: [embed] })
+        });
         
         if (autoUpdate) {
-            // Activar auto-update PERSISTENTE
-            statusEmbed.setFooter({ text: `🔄 Auto-actualización PERSISTENTE ACTIVADA | Actualiza cada 90 segundos | ${new Date().toLocaleTimeString()}` });
-            
-            // Enviar RESUMEN + DETALLES
-            await interaction.editReply({ embeds: [statusEmbed] });
-            
-            // Enviar detalles de cada servidor
-            const detailMessages = [];
-            for (const serverInfo of serversInfo) {
-                try {
-                    const matchEmbed = createMatchEmbedImproved(serverInfo);
-                    const detailMsg = await interaction.followUp({ embeds: [matchEmbed] });
-                    detailMessages.push(detailMsg);
-                } catch (e) {
-                    logger('WARNING', `No se pudo enviar detalle para ${serverInfo.name}: ${e.message}`);
-                }
-            }
-            
-            // Registrar mensajes para auto-update
+            // Guardar el tablero (resumen + un detalle por servidor) para retomarlo tras un reinicio
             const summaryMessage = await interaction.fetchReply();
-            const allMessages = [summaryMessage, ...detailMessages];
-            
-            // Iniciar auto-update con interval seguro
-            const updateInterval = setInterval(async () => {
-                try {
-                    await this.autoUpdateStatusSafe(interaction.channel, allMessages);
-                } catch (error) {
-                    logger('ERROR', `❌ Error en auto-update: ${error.message}`);
-                    clearInterval(updateInterval);
-                    this.activeStatusChannels.delete(interaction.channel.id);
+            const detailMessageIds = {};
+            servers.forEach((server, index) => {
+                if (detailMessages[index]) {
+                    detailMessageIds[serverKey(server)] = detailMessages[index].id;
                 }
-            }, 90000); // 90 segundos
-            
-            // Registrar el canal y el interval
-            this.activeStatusChannels.set(interaction.channel.id, {
-                messages: allMessages,
-                intervals: [updateInterval]
             });
+
+            const board = this.statusBoards.set({
+                channelId: interaction.channel.id,
+                summaryMessageId: summaryMessage.id,
+                detailMessageIds,
+                createdBy: interaction.user.id,
+                createdAt: new Date(this.now()).toISOString()
+            });
+            this.startStatusBoard(board);
             
-            logger('INFO', `🔄 Auto-update PERSISTENTE INICIADO para canal ${interaction.channel.id} con ${allMessages.length} mensajes`);
+            logger('INFO', `🔄 Auto-update PERSISTENTE INICIADO para canal ${interaction.channel.id} con ${1 + Object.keys(detailMessageIds).length} mensajes`);
             
             // Mensaje de confirmación
             await interaction.followUp({ 
-                content: '✅ **Auto-actualización PERSISTENTE activada!** El status se actualizará cada 90 segundos con conexiones robustas.',
+                content: `✅ **Auto-actualización PERSISTENTE activada!** El status se actualizará cada ${STATUS_BOARD_INTERVAL / 1000} segundos, también después de un reinicio del bot.`,
                 ephemeral: true 
             });
+        }
+    }
+
+    /**
+     * Lee los servidores de la foto del poller y va actualizando los mensajes:
+     * los que ya tienen respuesta al instante y los que todavía no se
+     * consultaron (recién configurados) apenas responden
+     * @param {Array<Object>} servers - Servidores de juego
+     * @param {Object} queue - Cola de mensajes (messageQueue) donde se encolan las ediciones
+     * @param {Object} options - { footer() del resumen completo, editSummary(embed), editDetail(index, embed) }
+     * @returns {Promise<Array<ServerInfo>>} - En el orden de servers
+     */
+    async streamServerStatus(servers, queue, { footer = null, editSummary, editDetail }) {
+        const serversInfo = new Array(servers.length).fill(null);
+
+        // Si llegan varios resultados juntos, una sola edición del resumen alcanza
+        let summaryQueued = false;
+        const refreshSummary = () => {
+            if (summaryQueued) return;
+            summaryQueued = true;
+            queue.push(() => {
+                summaryQueued = false;
+                const received = serversInfo.filter(Boolean);
+                const embed = createStatusEmbed(received, servers.length - received.length);
+                if (footer && received.length === servers.length) {
+                    embed.setFooter({ text: footer() });
+                }
+                return editSummary(embed);
+            });
+        };
+
+        refreshSummary();
+        await this.poller.read(servers, (entry, index) => {
+            serversInfo[index] = this.snapshotInfo(servers[index], entry);
+            queue.push(() => editDetail(index, this.createSnapshotEmbed(servers[index], entry)));
+            refreshSummary();
+        });
+
+        await queue.idle();
+        return serversInfo;
+    }
+
+    /**
+     * Hora de la última respuesta de un servidor, que Discord muestra relativa ("hace 20 segundos")
+     */
+    snapshotAge(entry) {
+        return `<t:${Math.floor(entry.updatedAt / 1000)}:R>`;
+    }
+
+    /**
+     * Respuesta guardada de un servidor con el nombre que le da esta liga
+     * (el mismo ip:puerto puede tener otro nombre en otro servidor de Discord)
+     */
+    snapshotInfo(server, entry) {
+        return { ...entry.info, name: server.name };
+    }
+
+    /**
+     * Detalle de un servidor con la antigüedad de los datos en el pie
+     */
+    createSnapshotEmbed(server, entry) {
+        return createMatchEmbedImproved(this.snapshotInfo(server, entry))
+            .setFooter({ text: `🔄 Datos de hace ${formatAge(this.now() - entry.updatedAt)}` })
+            .setTimestamp(entry.updatedAt);
+    }
+
+    /**
+     * Todos los servidores de juego de las ligas cargadas, para el poller
+     */
+    allServers() {
+        return this.loadedGuilds().flatMap(context => context.config.servers());
+    }
+
+    /**
+     * Servidores donde alguna liga espera un partido ahora: se sondean como en juego
+     * @returns {Set<string>} - Claves ip:puerto
+     */
+    watchedServerKeys() {
+        const keys = new Set();
+        for (const context of this.loadedGuilds()) {
+            for (const server of this.inGuild(context.guildId, () => this.serversToWatch())) {
+                keys.add(serverKey(server));
+            }
+        }
+        return keys;
+    }
+
+    logSnapshotEntry(entry) {
+        const { info } = entry;
+        if (entry.error) {
+            logger('ERROR', `❌ ${entry.name} falló: ${entry.error}`);
+        } else if (info.matchInfo) {
+            logger('INFO', `📊 ${entry.name}: ${info.matchInfo.team_home} ${info.matchInfo.goals_home}-${info.matchInfo.goals_away} ${info.matchInfo.team_away}`);
         } else {
-            // Status normal sin auto-update
-            await interaction.editReply({ embeds: [statusEmbed] });
-            
-            // Mostrar detalles individuales
-            for (const serverInfo of serversInfo) {
-                try {
-                    const matchEmbed = createMatchEmbedImproved(serverInfo);
-                    await interaction.followUp({ embeds: [matchEmbed] });
-                } catch (e) {
-                    logger('WARNING', `No se pudo mostrar detalle para ${serverInfo.name}: ${e.message}`);
+            logger('INFO', `📊 ${entry.name}: Sin match info, ${info.players}/${info.maxPlayers} jugadores`);
+        }
+    }
+
+    serverErrorInfo(server, status) {
+        try {
+            const { ServerInfo } = require('./monitoring/serverMonitoring');
+            return new ServerInfo(server.name, status);
+        } catch (importError) {
+            // Fallback si no se puede importar ServerInfo
+            return {
+                name: server.name,
+                status,
+                players: 0,
+                maxPlayers: 0,
+                mapName: "N/A",
+                matchInfo: null
+            };
+        }
+    }
+
+    createPendingServerEmbed(server) {
+        return new EmbedBuilder()
+            .setTitle(`⏳ ${server.name}`)
+            .setDescription('Consultando servidor...')
+            .setColor(0xffff00);
+    }
+
+    /**
+     * Cola de ediciones de mensajes de Discord: van de a una y en el orden en
+     * que se encolan, aunque los resultados lleguen a la vez
+     * @param {string} label - Para el log si una edición falla
+     * @returns {Object} - { push(task), idle() }
+     */
+    messageQueue(label) {
+        let tail = Promise.resolve();
+        return {
+            push: (task) => {
+                tail = tail.then(task).catch(error => logger('WARNING', `⚠️ ${label}: ${error.message}`));
+                return tail;
+            },
+            idle: () => tail
+        };
+    }
+    
+    /**
+     * Arranca la auto-actualización de un tablero guardado en la liga actual
+     * @param {Object} board - Tablero de this.statusBoards
+     */
+    startStatusBoard(board) {
+        this.stopStatusBoard(board.channelId);
+
+        const guildId = this.guild.guildId;
+        const updateInterval = setInterval(() => {
+            this.inGuild(guildId, () => this.autoUpdateStatusSafe(board.channelId))
+                .catch(error => logger('ERROR', `❌ Error en auto-update de ${board.channelId}: ${error.message}`));
+        }, STATUS_BOARD_INTERVAL);
+
+        this.activeStatusChannels.set(board.channelId, {
+            guildId,
+            intervals: [updateInterval],
+            updateCount: 0
+        });
+    }
+
+    /**
+     * Detiene la auto-actualización de un canal (el tablero guardado no se toca)
+     */
+    stopStatusBoard(channelId) {
+        const channelData = this.activeStatusChannels.get(channelId);
+        if (!channelData) {
+            return false;
+        }
+
+        channelData.intervals.forEach(interval => {
+            try {
+                clearInterval(interval);
+            } catch (e) {
+                logger('WARNING', `Error limpiando interval para canal ${channelId}: ${e.message}`);
+            }
+        });
+        this.activeStatusChannels.delete(channelId);
+        return true;
+    }
+
+    /**
+     * Retoma los tableros guardados de la liga actual (al conectarse el bot)
+     */
+    async resumeStatusBoards() {
+        for (const board of this.statusBoards.list()) {
+            this.startStatusBoard(board);
+            logger('INFO', `🔄 Tablero de estado retomado en canal ${board.channelId}`);
+            await this.autoUpdateStatusSafe(board.channelId);
+        }
+    }
+
+    /**
+     * Mensaje de un tablero; si lo borraron se publica uno nuevo en su lugar
+     * @returns {Promise<Object>} - { message, recreated }
+     */
+    async resolveBoardMessage(channel, messageId, placeholder) {
+        if (messageId) {
+            try {
+                return { message: await channel.messages.fetch(messageId), recreated: false };
+            } catch (error) {
+                if (!isUnknownMessage(error)) {
+                    throw error;
                 }
             }
         }
+
+        return { message: await channel.send({ embeds: [placeholder] }), recreated: true };
     }
-    
+
     /**
-     * Función de auto-actualización SEGURA con manejo de errores mejorado
+     * Actualiza un tablero de estado con la foto del poller, editando sus
+     * mensajes guardados. Recrea los que se borraron, agrega los de servidores
+     * nuevos y quita los de servidores que ya no están en la liga. Si el canal
+     * ya no existe, el tablero se elimina
+     * @param {string} channelId - Canal del tablero
      */
-    async autoUpdateStatusSafe(channel, messages) {
-        let updateCount = this.activeStatusChannels.get(channel.id)?.updateCount || 0;
-        updateCount++;
-        
-        // Actualizar contador en el registro del canal
-        if (this.activeStatusChannels.has(channel.id)) {
-            this.activeStatusChannels.get(channel.id).updateCount = updateCount;
+    async autoUpdateStatusSafe(channelId) {
+        const channelData = this.activeStatusChannels.get(channelId);
+        const board = this.statusBoards.get(channelId);
+        if (!channelData || !board) {
+            this.stopStatusBoard(channelId);
+            return;
         }
-        
-        logger('INFO', `🔄 Auto-update SEGURO #${updateCount} ejecutándose para canal ${channel.id}`);
+
+        const updateCount = ++channelData.updateCount;
+        logger('INFO', `🔄 Auto-update SEGURO #${updateCount} ejecutándose para canal ${channelId}`);
         
         try {
-            // Mensaje de "actualizando" solo si hay mensajes válidos
-            if (messages.length > 0 && messages[0]) {
-                const updatingEmbed = new EmbedBuilder()
-                    .setTitle('🔄 Actualizando servidores...')
-                    .setDescription(`Actualización #${updateCount} - Obteniendo información PERSISTENTE...`)
-                    .setColor(0xffaa00);
-                
-                try {
-                    await messages[0].edit({ embeds: [updatingEmbed] });
-                } catch (e) {
-                    logger('WARNING', `⚠️ No se pudo editar mensaje de actualización: ${e.message}`);
-                }
+            let channel;
+            try {
+                channel = await this.client.channels.fetch(channelId);
+            } catch (error) {
+                if (!isChannelGone(error)) throw error;
+                channel = null;
             }
-            
-            // Obtener información actualizada con timeout por servidor
-            const serversInfo = [];
-            const maxTimePerServer = 30000; // 30 segundos máximo por servidor en auto-update
-            
-            for (let i = 0; i < CONFIG.servers.length; i++) {
-                const server = CONFIG.servers[i];
-                logger('INFO', `🔄 Auto-update: procesando ${server.name} (${i+1}/${CONFIG.servers.length})`);
-                
-                // Actualizar mensaje de progreso
-                if (messages.length > 0 && messages[0]) {
-                    const updatingEmbed = new EmbedBuilder()
-                        .setTitle('🔄 Actualizando servidores...')
-                        .setDescription(`Actualización #${updateCount} - Procesando ${server.name} (${i+1}/${CONFIG.servers.length})`)
-                        .setColor(0xffaa00);
-                    
-                    try {
-                        await messages[0].edit({ embeds: [updatingEmbed] });
-                    } catch (e) {
-                        // Ignorar errores de edición durante progreso
-                    }
-                }
-                
-                try {
-                    const serverInfo = await Promise.race([
-                        getServerInfoRobust(server),
-                        new Promise((_, reject) => 
-                            setTimeout(() => reject(new Error(`Timeout auto-update ${maxTimePerServer/1000}s`)), maxTimePerServer)
-                        )
-                    ]);
-                    serversInfo.push(serverInfo);
-                } catch (serverError) {
-                    logger('WARNING', `⚠️ Servidor ${server.name} falló en auto-update: ${serverError.message}`);
-                    // Agregar info de error
-                    try {
-                        const { ServerInfo } = require('./monitoring/serverMonitoring');
-                        serversInfo.push(new ServerInfo(
-                            server.name,
-                            serverError.message.includes('Timeout') ? "🕐 Auto-Update Timeout" : "🔴 Auto-Update Error"
-                        ));
-                    } catch (importError) {
-                        serversInfo.push({
-                            name: server.name,
-                            status: "🔴 Auto-Update Error",
-                            players: 0,
-                            maxPlayers: 0,
-                            mapName: "N/A",
-                            matchInfo: null
-                        });
-                    }
-                }
+            if (!channel) {
+                this.stopStatusBoard(channelId);
+                this.statusBoards.remove(channelId);
+                logger('WARNING', `🛑 Tablero de estado eliminado: el canal ${channelId} ya no existe o el bot perdió el acceso`);
+                return;
             }
-            
-            // Actualizar mensaje de resumen
-            if (messages.length > 0 && messages[0]) {
+
+            // Los datos salen de la foto del poller: la auto-actualización no consulta los servidores
+            const servers = this.servers();
+            let changed = false;
+
+            const summary = await this.resolveBoardMessage(channel, board.summaryMessageId, this.createPendingStatusEmbed());
+            if (summary.recreated) {
+                board.summaryMessageId = summary.message.id;
+                changed = true;
+            }
+
+            const detailMessageIds = {};
+            const details = [];
+            for (const server of servers) {
+                const key = serverKey(server);
+                const detail = await this.resolveBoardMessage(channel, board.detailMessageIds[key], this.createPendingServerEmbed(server));
+                detailMessageIds[key] = detail.message.id;
+                details.push(detail.message);
+                changed = changed || detail.recreated;
+            }
+
+            for (const [key, messageId] of Object.entries(board.detailMessageIds)) {
+                if (detailMessageIds[key]) continue;
+                changed = true;
                 try {
-                    const statusEmbed = createStatusEmbed(serversInfo);
-                    statusEmbed.setFooter({ text: `🔄 Auto-actualización PERSISTENTE #${updateCount} | Próxima actualización en 90s | ${new Date().toLocaleTimeString()}` });
-                    
-                    await messages[0].edit({ embeds: [statusEmbed] });
+                    await (await channel.messages.fetch(messageId)).delete();
                 } catch (error) {
-                    logger('ERROR', `❌ Error actualizando resumen: ${error.message}`);
-                }
-            }
-            
-            // Actualizar mensajes de detalles
-            for (let i = 0; i < serversInfo.length; i++) {
-                if (i + 1 < messages.length && messages[i + 1]) {
-                    try {
-                        const matchEmbed = createMatchEmbedImproved(serversInfo[i]);
-                        await messages[i + 1].edit({ embeds: [matchEmbed] });
-                    } catch (error) {
-                        logger('WARNING', `⚠️ Error actualizando detalle ${serversInfo[i].name}: ${error.message}`);
+                    if (!isUnknownMessage(error)) {
+                        logger('WARNING', `⚠️ No se pudo borrar el detalle de un servidor quitado en ${channelId}: ${error.message}`);
                     }
                 }
             }
+
+            if (changed) {
+                board.detailMessageIds = detailMessageIds;
+                this.statusBoards.set(board);
+                logger('INFO', `🔧 Tablero de estado de ${channelId} actualizado: mensajes recreados o servidores cambiados`);
+            }
+
+            await this.streamServerStatus(servers, this.messageQueue(`Auto-update #${updateCount} en ${channelId}`), {
+                footer: () => `🔄 Auto-actualización PERSISTENTE #${updateCount} | Próxima actualización en ${STATUS_BOARD_INTERVAL / 1000}s | ${new Date(this.now()).toLocaleTimeString()}`,
+                editSummary: embed => summary.message.edit({ embeds: [embed] }),
+                editDetail: (index, embed) => details[index].edit({ embeds: [embed] })
+            });
             
-            logger('INFO', `✅ Auto-update PERSISTENTE #${updateCount} completado para canal ${channel.id}`);
+            logger('INFO', `✅ Auto-update PERSISTENTE #${updateCount} completado para canal ${channelId}`);
             
         } catch (error) {
-            logger('ERROR', `❌ Error fatal en auto-update #${updateCount}: ${error.message}`);
-            
-            // En caso de error fatal, limpiar el auto-update
-            if (this.activeStatusChannels.has(channel.id)) {
-                const channelData = this.activeStatusChannels.get(channel.id);
-                if (channelData.intervals) {
-                    channelData.intervals.forEach(interval => {
-                        try {
-                            clearInterval(interval);
-                        } catch (e) {
-                            logger('WARNING', `Error limpiando interval después de error fatal: ${e.message}`);
-                        }
-                    });
-                }
-                this.activeStatusChannels.delete(channel.id);
-                logger('INFO', `🛑 Auto-update cancelado debido a error fatal en canal ${channel.id}`);
-            }
+            // Un error pasajero (Discord caído, sin permisos para editar) no borra el tablero: se reintenta en la próxima vuelta
+            logger('ERROR', `❌ Error en auto-update #${updateCount} de ${channelId}: ${error.message}`);
         }
     }
 
+    createPendingStatusEmbed() {
+        return new EmbedBuilder()
+            .setTitle('🔄 Consultando servidores...')
+            .setDescription('Obteniendo información A2S + Match Info JSON PERSISTENTE')
+            .setColor(0xffff00);
+    }
+
     async stopAutoStatus(interaction) {
-        if (!this.activeStatusChannels.has(interaction.channel.id)) {
+        const stopped = this.stopStatusBoard(interaction.channel.id);
+        const removed = this.statusBoards.remove(interaction.channel.id).success;
+
+        if (!stopped && !removed) {
             const embed = new EmbedBuilder()
                 .setColor('#e74c3c')
                 .setTitle('❌ Sin Auto-actualización')
@@ -1706,21 +5810,6 @@ class IOSoccerBot {
             return interaction.reply({ embeds: [embed], ephemeral: true });
         }
         
-        // Cancelar los intervals de forma segura
-        const channelData = this.activeStatusChannels.get(interaction.channel.id);
-        if (channelData.intervals) {
-            channelData.intervals.forEach(interval => {
-                try {
-                    clearInterval(interval);
-                } catch (e) {
-                    logger('WARNING', `Error limpiando interval en stop: ${e.message}`);
-                }
-            });
-        }
-        
-        // Limpiar registro
-        this.activeStatusChannels.delete(interaction.channel.id);
-        
         const embed = new EmbedBuilder()
             .setTitle('🛑 Auto-actualización detenida')
             .setDescription('La actualización automática del status ha sido desactivada para este canal.')
@@ -1731,25 +5820,422 @@ class IOSoccerBot {
         logger('INFO', `🛑 Auto-update detenido manualmente para canal ${interaction.channel.id}`);
     }
 
+    // ============= CAPTURA AUTOMÁTICA DE RESULTADOS =============
+
+    /**
+     * Servidores donde puede estar jugándose ahora un partido aceptado.
+     * El poller los consulta como en juego y sus respuestas van a la captura
+     */
+    serversToWatch(now = this.now()) {
+        const expected = this.matches.filter(match => {
+            if (!['accepted', 'live'].includes(statusOf(match))) return false;
+            const start = scheduledStart(match, this.leagueTimeZone());
+            return now >= start - CAPTURE_WINDOW.beforeMinutes * 60000 &&
+                now <= start + CAPTURE_WINDOW.afterMinutes * 60000;
+        });
+
+        if (expected.length === 0) {
+            return [];
+        }
+
+        // Un partido sin servidor asignado puede estar en cualquiera
+        if (expected.some(match => !match.server)) {
+            return this.servers();
+        }
+
+        const names = new Set(expected.map(match => match.server));
+        return this.servers().filter(server => names.has(server.name));
+    }
+
+    /**
+     * Ofrece cada respuesta nueva del poller a las ligas que esperan un
+     * partido en ese servidor
+     * @param {Object} entry - Entrada de la foto del poller
+     */
+    captureFromSnapshot(entry) {
+        if (!entry.info || !entry.info.matchInfo) {
+            return;
+        }
+
+        for (const context of this.loadedGuilds()) {
+            this.inGuild(context.guildId, () => {
+                for (const server of this.serversToWatch()) {
+                    if (serverKey(server) !== entry.key) continue;
+                    try {
+                        this.captureResult(server, entry.info.matchInfo);
+                    } catch (error) {
+                        logger('WARNING', `Captura de resultados: error con ${server.name}: ${error.message}`);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Aplica al partido programado lo que informa el servidor: lo marca en
+     * juego al empezar y guarda marcador, goleadores y alineaciones al terminar
+     * @param {Object} server - Servidor consultado
+     * @param {Object} matchInfo - Resultado de parseMatchInfo
+     * @param {number} now - Momento de la consulta
+     * @returns {Object|null} - { action, match } o null si no hubo cambios
+     */
+    captureResult(server, matchInfo, now = this.now()) {
+        const fixture = findFixture(this.matches, matchInfo, {
+            serverName: server.name,
+            now,
+            timeZone: this.leagueTimeZone(),
+            teamKey: (name, id) => this.teamKey(name, id)
+        });
+
+        if (!fixture) {
+            return null;
+        }
+
+        const { match, swapped } = fixture;
+        const before = auditSnapshot(match);
+        const origin = `captura automática (${server.name})`;
+
+        if (isFinishedPeriod(matchInfo.period)) {
+            const captured = extractResult(matchInfo, swapped);
+            const result = applyTransition(match, 'resultado', { goles1: captured.goles1, goles2: captured.goles2, by: null, at: new Date(this.now()).toISOString() });
+            if (!result.success) {
+                logger('WARNING', `Captura de resultados: no se pudo guardar ${match.id}: ${result.message}`);
+                return null;
+            }
+
+            Object.assign(match.result, {
+                source: 'servidor',
+                server: server.name,
+                scorers: captured.scorers,
+                lineups: captured.lineups
+            });
+            this.saveMatches();
+            this.recordAudit('resultado', before, match, null, origin);
+
+            logger('INFO', `Resultado capturado de ${server.name}: ${match.equipo1} ${captured.goles1}-${captured.goles2} ${match.equipo2} (partido ${match.id})`);
+            this.syncMatchBracket(match);
+            this.postResultEmbed(match);
+            return { action: 'resultado', match };
+        }
+
+        if (statusOf(match) === 'accepted' && isLivePeriod(matchInfo)) {
+            applyTransition(match, 'iniciar', { by: null, at: new Date(this.now()).toISOString() });
+            this.saveMatches();
+            this.recordAudit('iniciar', before, match, null, origin);
+            logger('INFO', `Partido ${match.id} en juego en ${server.name}`);
+            return { action: 'iniciar', match };
+        }
+
+        return null;
+    }
+
+    /**
+     * Clave para comparar equipos: el ID del registro si existe, si no el nombre normalizado
+     */
+    teamKey(name, id = null) {
+        if (id) {
+            return id;
+        }
+
+        const team = this.teams.resolve(name);
+        return team ? team.id : normalizeName(name);
+    }
+
+    formatScorers(match, side) {
+        const goals = (match.result.scorers || []).filter(goal => goal.side === side);
+        if (goals.length === 0) {
+            return 'Sin goles';
+        }
+
+        return goals
+            .map(goal => `⚽ **${goal.minute}'** ${goal.scorer}${goal.assist ? ` (${goal.assist})` : ''}`)
+            .join('\n')
+            .slice(0, 1024);
+    }
+
+    createResultEmbed(match) {
+        const embed = new EmbedBuilder()
+            .setColor(MATCH_STATUS[statusOf(match)].color)
+            .setTitle(`⚽ ${match.equipo1} ${formatScore(match)} ${match.equipo2}`)
+            .setDescription(`🏆 ${this.tournaments.label(match.torneo)} • ${match.displayDate} ${match.time}hs\n🖥️ Capturado de **${match.result.server}**`)
+            .addFields(
+                { name: `🥅 ${match.equipo1}`, value: this.formatScorers(match, 'equipo1'), inline: true },
+                { name: `🥅 ${match.equipo2}`, value: this.formatScorers(match, 'equipo2'), inline: true }
+            )
+            .setFooter({ text: `ID: ${match.id} • Los capitanes pueden confirmar o disputar el resultado` })
+            .setTimestamp();
+
+        for (const side of ['equipo1', 'equipo2']) {
+            const lineup = (match.result.lineups && match.result.lineups[side]) || [];
+            if (lineup.length > 0) {
+                embed.addFields({
+                    name: `👥 Alineación ${match[side]}`,
+                    value: lineup.map(player => `${player.position} ${player.name}`).join('\n').slice(0, 1024),
+                    inline: true
+                });
+            }
+        }
+
+        return embed;
+    }
+
+    async postResultEmbed(match) {
+        const channelId = this.guild.config.channel('resultados');
+        if (!channelId || !this.client.isReady()) {
+            return;
+        }
+
+        try {
+            const channel = await this.client.channels.fetch(channelId);
+            await channel.send({
+                embeds: [this.createResultEmbed(match)],
+                components: this.createMatchActionRows(match)
+            });
+        } catch (error) {
+            logger('WARNING', `No se pudo publicar el resultado del partido ${match.id}: ${error.message}`);
+        }
+    }
+
+    // ============= ANUNCIOS EN VIVO =============
+
+    /**
+     * Publica un evento en vivo en cada liga que tiene ese servidor de juego
+     * y pidió ese tipo de anuncio
+     * @param {Object} event - Evento del bus (goal, half_time, full_time)
+     */
+    announceLiveEvent(event) {
+        if (!this.client.isReady()) {
+            return;
+        }
+
+        for (const context of this.loadedGuilds()) {
+            this.inGuild(context.guildId, () => {
+                if (!this.alerts.wants(event.type)) return;
+                const server = this.servers().find(candidate => serverKey(candidate) === event.server.key);
+                if (server) {
+                    this.postLiveAlert(server, event);
+                }
+            });
+        }
+    }
+
+    /**
+     * Agrega el evento al anuncio abierto del partido o publica uno nuevo.
+     * Solo el mensaje nuevo menciona al rol del torneo; las ediciones no notifican
+     */
+    postLiveAlert(server, event) {
+        const key = `${this.guild.guildId}:${event.server.key}`;
+        const { group, created } = this.alertGroups.take(key, `${event.teams.home}|${event.teams.away}`, this.now());
+
+        if (created) {
+            const fixture = findFixture(this.matches, { team_home: event.teams.home, team_away: event.teams.away }, {
+                serverName: server.name,
+                now: this.now(),
+                timeZone: this.leagueTimeZone(),
+                teamKey: (name, id) => this.teamKey(name, id)
+            });
+            const tournament = fixture ? this.tournaments.find(fixture.match.torneo) : null;
+
+            group.server = server;
+            group.channelId = this.alerts.channelId();
+            group.match = fixture ? fixture.match : null;
+            group.roleId = tournament ? this.alerts.roleFor(tournament.id) : null;
+            group.queue = this.messageQueue(`Anuncio en vivo de ${server.name} en ${group.channelId}`);
+        }
+
+        group.lines.push(alertLine(event));
+        group.event = event;
+        if (event.type === 'full_time') {
+            this.alertGroups.close(key);
+        }
+
+        // Varios eventos juntos se publican en una sola edición
+        if (group.queued) return;
+        group.queued = true;
+        group.queue.push(async () => {
+            group.queued = false;
+            const embed = this.createLiveAlertEmbed(group);
+
+            if (group.message) {
+                await group.message.edit({ embeds: [embed] });
+                return;
+            }
+
+            const channel = await this.client.channels.fetch(group.channelId);
+            group.message = await channel.send({
+                content: group.roleId ? `<@&${group.roleId}>` : undefined,
+                embeds: [embed],
+                allowedMentions: { roles: group.roleId ? [group.roleId] : [] }
+            });
+        });
+    }
+
+    createLiveAlertEmbed(group) {
+        const { event, server, match } = group;
+        const colors = { goal: '#2ecc71', half_time: '#f39c12', full_time: '#95a5a6' };
+
+        return new EmbedBuilder()
+            .setColor(colors[event.type])
+            .setTitle(`${ALERT_EVENTS[event.type].emoji} ${event.teams.home} ${event.score.home}-${event.score.away} ${event.teams.away}`)
+            .setDescription(group.lines.slice(-15).join('\n'))
+            .setFooter({ text: `🎮 ${server.name}${match ? ` • ${match.torneo}` : ''} • ${event.period} ${event.time}` })
+            .setTimestamp(event.at);
+    }
+
+    /**
+     * Programa los recordatorios de los partidos aceptados y envía los que ya tocan.
+     * Los avisos quedan guardados en cada partido: tras un reinicio se retoman
+     * donde quedaron en lugar de repetirse
+     * @returns {Promise<Array<Object>>} - { match, offset } enviados en esta pasada
+     */
+    async sendReminders() {
+        if (this.reminderRunning || !this.client.isReady()) {
+            return [];
+        }
+
+        this.reminderRunning = true;
+        try {
+            const now = this.now();
+            const due = [];
+            let changed = false;
+
+            for (const match of this.matches.filter(awaitsKickoff)) {
+                const start = this.matchStart(match);
+                changed = syncReminders(match, start, this.guild.config.reminderOffsets(), now) || changed;
+
+                const job = takeDueReminder(match, start, now);
+                if (job) {
+                    due.push({ match, offset: job.offset });
+                    changed = true;
+                }
+            }
+
+            if (changed) {
+                this.saveMatches();
+            }
+
+            for (const { match, offset } of due) {
+                await this.deliverReminder(match, offset);
+            }
+            return due;
+        } finally {
+            this.reminderRunning = false;
+        }
+    }
+
+    /**
+     * Equipos registrados de un partido (los que no están registrados se omiten)
+     */
+    matchTeams(match) {
+        return ['equipo1', 'equipo2']
+            .map(side => match[`${side}Id`] ? this.teams.findById(match[`${side}Id`]) : this.teams.resolve(match[side]))
+            .filter(Boolean);
+    }
+
+    createReminderEmbed(match, offset) {
+        const status = MATCH_STATUS[statusOf(match)];
+        return new EmbedBuilder()
+            .setColor(offset === 0 ? '#e67e22' : status.color)
+            .setTitle(offset === 0
+                ? `⚽ ¡Empieza ${match.equipo1} vs ${match.equipo2}!`
+                : `⏰ ${match.equipo1} vs ${match.equipo2} en ${formatOffset(offset)}`)
+            .setDescription(`**${match.equipo1}** vs **${match.equipo2}**\n🏆 ${this.tournaments.label(match.torneo)}`)
+            .addFields(
+                { name: '📅 Fecha', value: `${match.displayDate} • ${match.time}hs\n${this.formatKickoff(match)}`, inline: true },
+                { name: '🆔 ID del Partido', value: `\`${match.id}\``, inline: true },
+                { name: '🖥️ Servidor', value: this.formatMatchServer(match), inline: false }
+            )
+            .setFooter({ text: 'Si no pueden jugar, usen /reprogramar_partido' })
+            .setTimestamp();
+    }
+
+    /**
+     * Publica el recordatorio en el canal mencionando a los capitanes y se lo
+     * envía por mensaje directo a cada uno
+     */
+    async deliverReminder(match, offset) {
+        const embed = this.createReminderEmbed(match, offset);
+        const teams = this.matchTeams(match);
+        const captains = [...new Set(teams.flatMap(team => team.captains))];
+        const mentions = [
+            ...captains.map(id => `<@${id}>`),
+            ...teams.filter(team => team.captains.length === 0 && team.roleId).map(team => `<@&${team.roleId}>`)
+        ];
+
+        const channelId = this.guild.config.channel('recordatorios') || (match.proposalMessage && match.proposalMessage.channelId);
+        if (channelId) {
+            try {
+                const channel = await this.client.channels.fetch(channelId);
+                await channel.send({ content: mentions.join(' ') || undefined, embeds: [embed] });
+            } catch (error) {
+                logger('WARNING', `No se pudo publicar el recordatorio del partido ${match.id}: ${error.message}`);
+            }
+        }
+
+        if (this.guild.config.dmCaptains()) {
+            for (const userId of captains) {
+                try {
+                    const user = await this.client.users.fetch(userId);
+                    await user.send({ embeds: [embed] });
+                } catch (error) {
+                    logger('WARNING', `No se pudo enviar el recordatorio del partido ${match.id} a ${userId}: ${error.message}`);
+                }
+            }
+        }
+
+        logger('INFO', `Recordatorio (${offset === 0 ? 'inicio' : formatOffset(offset)}) del partido ${match.id}: ${match.equipo1} vs ${match.equipo2}`);
+    }
+
     /**
      * 🌐 Crear servidor web para health checks de Railway
      */
     createHealthServer() {
         const server = http.createServer(async (req, res) => {
-            if (req.url === '/health') {
+            const calendar = req.url.match(/^\/calendario\/(?:(\d+)\/)?([^/?]+)\.ics(?:\?.*)?$/);
+
+            if (calendar) {
+                // Suscripción de calendario de un equipo (por ID, tag o nombre), sin
+                // servidor de Discord en la ruta es uno del servidor principal
+                let key;
+                try {
+                    key = decodeURIComponent(calendar[2]);
+                } catch (error) {
+                    key = calendar[2];
+                }
+                const context = calendar[1]
+                    ? this.loadedGuilds().find(loaded => loaded.guildId === calendar[1])
+                    : this.guildContext(null);
+                const team = context && this.inGuild(context.guildId, () => this.teams.findById(key) || this.teams.resolve(key));
+                if (!team) {
+                    res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                    res.end('Equipo no encontrado');
+                    return;
+                }
+
+                res.writeHead(200, {
+                    'Content-Type': 'text/calendar; charset=utf-8',
+                    'Content-Disposition': `inline; filename="partidos-${team.id}.ics"`,
+                    'Cache-Control': 'max-age=300'
+                });
+                res.end(this.inGuild(context.guildId, () => this.teamCalendar(team)));
+            } else if (req.url === '/health') {
                 try {
                     const healthCheck = monitoring.runIntegrityCheck ? await monitoring.runIntegrityCheck() : { basic: { healthy: true } };
-                    const isHealthy = Object.values(healthCheck).every(check => check.healthy);
+                    const snapshot = this.poller.freshness();
+                    const isHealthy = Object.values(healthCheck).every(check => check.healthy) && !snapshot.some(server => server.stale);
+                    const totals = this.guildTotals();
                     
                     res.writeHead(200, { 'Content-Type': 'application/json' });
                     res.end(JSON.stringify({
                         status: isHealthy ? 'healthy' : 'degraded',
                         bot: this.client?.user?.tag || 'not_ready',
-                        servers: CONFIG.servers.length,
+                        servers: totals.servers,
+                        guilds: totals.guilds,
                         uptime: process.uptime(),
-                        matches: this.matches.length,
+                        matches: totals.matches,
                         monitoring: 'ultra-robust',
-                        systems: healthCheck
+                        systems: healthCheck,
+                        snapshot
                     }));
                 } catch (error) {
                     res.writeHead(500, { 'Content-Type': 'application/json' });
@@ -1764,8 +6250,8 @@ class IOSoccerBot {
                         <h1>🛡️ Bot IOSoccer Ultra-Robusto</h1>
                         <h2>Sistema Enterprise que Nunca Falla</h2>
                         <p><strong>Estado:</strong> ${this.client?.user?.tag || 'Iniciando...'}</p>
-                        <p><strong>Servidores monitoreados:</strong> ${CONFIG.servers.length}</p>
-                        <p><strong>Partidos confirmados:</strong> ${this.matches.length}</p>
+                        <p><strong>Servidores monitoreados:</strong> ${this.guildTotals().servers}</p>
+                        <p><strong>Partidos confirmados:</strong> ${this.guildTotals().matches}</p>
                         <p><strong>Uptime:</strong> ${Math.round(process.uptime())} segundos</p>
                         <hr>
                         <h3>✨ Características Ultra-Robustas:</h3>
@@ -1794,25 +6280,44 @@ class IOSoccerBot {
         return server;
     }
 
-    loadMatches() {
+    /**
+     * Un calendario ilegible es un error: con una lista vacía el próximo
+     * guardado borraría los partidos
+     */
+    loadMatches(store = this.store) {
         try {
-            if (fs.existsSync(this.dataFile)) {
-                const data = fs.readFileSync(this.dataFile, 'utf8');
-                return JSON.parse(data);
-            }
+            return store.loadMatches();
         } catch (error) {
-            logger('ERROR', `Error al cargar partidos: ${error.message}`);
+            throw new Error(`No se pudieron leer los partidos: ${error.message}`);
         }
-        return [];
     }
 
     saveMatches() {
         try {
-            fs.writeFileSync(this.dataFile, JSON.stringify(this.matches, null, 2));
+            this.store.saveMatches(this.matches);
         } catch (error) {
             logger('ERROR', `Error al guardar partidos: ${error.message}`);
         }
     }
+
+    /**
+     * ID para un partido nuevo de la liga actual: uno más que el mayor entregado.
+     * El último se guarda para no repetir el de un partido cancelado, que el
+     * historial sigue nombrando
+     * @returns {number}
+     */
+    nextMatchId() {
+        const saved = this.store.loadCollection(MATCH_ID_COLLECTION);
+        let last = saved && Number.isInteger(saved.last) ? saved.last : 0;
+        for (const match of this.matches) {
+            if (match.id > last) {
+                last = match.id;
+            }
+        }
+
+        this.store.saveCollection(MATCH_ID_COLLECTION, { last: last + 1 });
+        return last + 1;
+    }
 }
 
 // ============= INICIALIZACIÓN ULTRA-ROBUSTA =============
@@ -1835,11 +6340,12 @@ async function initializeBot() {
         
         console.log(`✅ Token Discord: Configurado`);
         console.log(`✅ Client ID: ${CONFIG.discord.clientId}`);
-        console.log(`✅ Servidores configurados: ${CONFIG.servers.length}`);
+        console.log(`✅ Servidores configurados (servidor principal): ${CONFIG.servers.length}`);
         console.log(`✅ Sistema de monitoreo: Ultra-Robusto`);
         
         // Inicializar bot
         const bot = new IOSoccerBot();
+        await bot.init();
         
         // Configurar manejo de shutdown limpio
         process.on('SIGINT', async () => {
@@ -1863,6 +6369,20 @@ async function initializeBot() {
                     }
                 });
                 bot.activeStatusChannels.clear();
+
+                if (bot.holdInterval) {
+                    clearInterval(bot.holdInterval);
+                }
+
+                bot.poller.stop();
+
+                if (bot.reminderInterval) {
+                    clearInterval(bot.reminderInterval);
+                }
+                
+                if (bot.rootStore) {
+                    bot.closeStores();
+                }
                 
                 if (bot && bot.client) {
                     bot.client.destroy();
@@ -1887,33 +6407,36 @@ async function initializeBot() {
     }
 }
 
-// Manejo de errores ultra-robusto con logger seguro
-process.on('unhandledRejection', error => {
-    console.error('❌ Unhandled promise rejection en sistema ultra-robusto:', error);
-    try {
-        logger('ERROR', `Unhandled rejection: ${error.message}`);
-    } catch (loggerError) {
-        console.error('Error adicional en logger durante unhandled rejection:', loggerError.message);
-    }
-});
+// Solo al ejecutar bot.js: requerirlo (tests) no conecta nada ni instala handlers globales
+if (require.main === module) {
+    // Manejo de errores ultra-robusto con logger seguro
+    process.on('unhandledRejection', error => {
+        console.error('❌ Unhandled promise rejection en sistema ultra-robusto:', error);
+        try {
+            logger('ERROR', `Unhandled rejection: ${error.message}`);
+        } catch (loggerError) {
+            console.error('Error adicional en logger durante unhandled rejection:', loggerError.message);
+        }
+    });
 
-process.on('uncaughtException', error => {
-    console.error('❌ Uncaught exception en sistema ultra-robusto:', error);
-    try {
-        logger('ERROR', `Uncaught exception: ${error.message}`);
-    } catch (loggerError) {
-        console.error('Error adicional en logger durante uncaught exception:', loggerError.message);
-    }
-});
+    process.on('uncaughtException', error => {
+        console.error('❌ Uncaught exception en sistema ultra-robusto:', error);
+        try {
+            logger('ERROR', `Uncaught exception: ${error.message}`);
+        } catch (loggerError) {
+            console.error('Error adicional en logger durante uncaught exception:', loggerError.message);
+        }
+    });
 
-// Inicializar el bot ultra-robusto
-initializeBot().catch(error => {
-    console.error('💥 Error crítico en inicialización:', error);
-    process.exit(1);
-});
+    // Inicializar el bot ultra-robusto
+    initializeBot().catch(error => {
+        console.error('💥 Error crítico en inicialización:', error);
+        process.exit(1);
+    });
 
-console.log('🚀 Sistema IOSoccer Ultra-Robusto cargando...');
-console.log('📋 Configuración Enterprise iniciada');
-console.log('🛡️ Todos los sistemas de auto-recuperación activos');
+    console.log('🚀 Sistema IOSoccer Ultra-Robusto cargando...');
+    console.log('📋 Configuración Enterprise iniciada');
+    console.log('🛡️ Todos los sistemas de auto-recuperación activos');
+}
 
 module.exports = IOSoccerBot;
@@ -0,0 +1,140 @@
+// Historial de auditoría de los partidos: cada cambio (propuesta, aceptación,
+// reprogramación, resultado, cancelación...) queda registrado con quién lo hizo,
+// cuándo, desde qué comando y cómo estaba el partido antes y después. Es de
+// solo agregado: las entradas nunca se modifican ni se borran.
+const { statusLabel, formatScore } = require('./matchStatus');
+
+const LOG_NAME = 'audit_log';
+
+const AUDIT_ACTIONS = {
+    proponer: { label: 'Propuesta', emoji: '📝' },
+    aceptar: { label: 'Aceptación', emoji: '🤝' },
+    rechazar: { label: 'Rechazo', emoji: '❌' },
+    vencer: { label: 'Vencimiento', emoji: '⌛' },
+    reprogramar: { label: 'Reprogramación', emoji: '🔁' },
+    editar: { label: 'Edición', emoji: '✏️' },
+    cancelar: { label: 'Cancelación', emoji: '🗑️' },
+    iniciar: { label: 'Inicio', emoji: '🔴' },
+    resultado: { label: 'Resultado', emoji: '⚽' },
+    confirmar_resultado: { label: 'Resultado confirmado', emoji: '✅' },
+    disputar: { label: 'Disputa', emoji: '⚠️' },
+    walkover: { label: 'Walkover', emoji: '🚫' },
+    penales: { label: 'Penales', emoji: '🥅' }
+};
+
+/**
+ * Copia del partido para el historial, sin lo que no hace a la disputa
+ * (recordatorios enviados, mensajes de Discord) ni el historial interno
+ * @param {Object|null} match - Partido
+ * @returns {Object|null}
+ */
+function auditSnapshot(match) {
+    if (!match) {
+        return null;
+    }
+
+    const { history, reminders, proposalMessage, ...rest } = match;
+    return JSON.parse(JSON.stringify(rest));
+}
+
+/**
+ * Cambios entre dos copias del partido, en texto
+ * @param {Object|null} before - null si el partido se creó
+ * @param {Object|null} after - null si el partido se eliminó
+ * @returns {Array<string>}
+ */
+function describeChanges(before, after) {
+    const kickoff = match => `${match.displayDate || match.date} ${match.time}hs`;
+
+    if (!before && after) {
+        return [`Creado: **${after.equipo1}** vs **${after.equipo2}** (${after.torneo}) el ${kickoff(after)} • ${statusLabel(after)}`];
+    }
+    if (before && !after) {
+        return [`Eliminado: **${before.equipo1}** vs **${before.equipo2}** (${before.torneo}) del ${kickoff(before)} • ${statusLabel(before)}`];
+    }
+    if (!before || !after) {
+        return [];
+    }
+
+    const changes = [];
+    const compare = (label, read) => {
+        const from = read(before);
+        const to = read(after);
+        if (from !== to) {
+            changes.push(`${label}: ${from || '—'} → ${to || '—'}`);
+        }
+    };
+
+    compare('Estado', statusLabel);
+    compare('Horario', kickoff);
+    compare('Servidor', match => match.server);
+    compare('Resultado', formatScore);
+    compare('Torneo', match => match.torneo);
+    compare('Equipos', match => `${match.equipo1} vs ${match.equipo2}`);
+
+    for (const side of ['equipo1', 'equipo2']) {
+        const accepted = match => match.acceptance && match.acceptance[side] ? `<@${match.acceptance[side].by}>` : null;
+        if (!accepted(before) && accepted(after)) {
+            changes.push(`Aceptó por **${after[side]}**: ${accepted(after)}`);
+        }
+    }
+
+    if (after.dispute && (!before.dispute || before.dispute.at !== after.dispute.at)) {
+        changes.push(`Motivo de la disputa: ${after.dispute.reason}`);
+    }
+
+    return changes.length > 0 ? changes : ['Sin cambios visibles'];
+}
+
+class AuditLog {
+    constructor(store) {
+        this.store = store;
+        this.entries = this.store.loadLog(LOG_NAME);
+    }
+
+    /**
+     * Agrega una entrada y la guarda
+     * @param {Object} entry - { action, userId (null si fue automático), origin, before, after, at }
+     * @returns {Object} - Entrada guardada, con su número
+     */
+    record({ action, userId = null, origin, before = null, after = null, at }) {
+        const last = this.entries[this.entries.length - 1];
+        const entry = {
+            id: last ? last.id + 1 : 1,
+            at,
+            action,
+            matchId: (after || before).id,
+            userId,
+            origin,
+            before,
+            after
+        };
+
+        this.store.appendLog(LOG_NAME, entry);
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Entradas que cumplen los filtros, de la más reciente a la más antigua
+     * @param {Object} filters - { matchId, userId, action, from, to (instantes, to excluido) }
+     * @returns {Array<Object>}
+     */
+    query({ matchId, userId, action, from, to } = {}) {
+        return this.entries.filter(entry => {
+            const at = new Date(entry.at).getTime();
+            return (!matchId || entry.matchId === matchId) &&
+                (!userId || entry.userId === userId) &&
+                (!action || entry.action === action) &&
+                (!from || at >= from) &&
+                (!to || at < to);
+        }).reverse();
+    }
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AuditLog,
+    auditSnapshot,
+    describeChanges
+};
@@ -0,0 +1,486 @@
+// Cuadro de eliminación directa: rondas, cabezas de serie, llaves a uno o dos
+// partidos (global, gol de visitante y penales) y avance automático del ganador.
+// Las llaves guardan solo IDs de partidos: el resultado se recalcula siempre
+// a partir de los partidos guardados, así una corrección se propaga sola.
+const { seedOrder, bracketSize, knockoutRoundName } = require('./fixtures');
+const { statusOf } = require('./matchStatus');
+const { COUNTED_STATUSES } = require('./standings');
+
+const COLLECTION = 'brackets';
+
+const DECIDED_BY = {
+    bye: 'pasa directo',
+    aggregate: 'global',
+    away_goals: 'gol de visitante',
+    penalties: 'penales',
+    walkover: 'walkover'
+};
+
+/**
+ * Crea el cuadro con la primera ronda completa. Los byes avanzan en el acto.
+ * @param {Object} options - { id, tournamentId, fixtureId, teams (IDs por cabeza de serie),
+ *   legs (1 o 2), awayGoals, startDate, spacingDays, preferredTime, createdBy, createdAt }
+ * @returns {Object} - Cuadro
+ */
+function createBracket(options) {
+    const teams = options.teams;
+    const size = bracketSize(teams.length);
+    const order = seedOrder(size);
+    const roundCount = Math.log2(size);
+    const rounds = [];
+
+    for (let round = 1; round <= roundCount; round++) {
+        const ties = [];
+        for (let slot = 0; slot < size / Math.pow(2, round); slot++) {
+            ties.push({
+                round,
+                slot,
+                home: null,
+                away: null,
+                seeds: { home: null, away: null },
+                legs: [],
+                winner: null,
+                decidedBy: null,
+                aggregate: null,
+                level: false,
+                advancesTo: round < roundCount
+                    ? { round: round + 1, slot: Math.floor(slot / 2), side: slot % 2 === 0 ? 'home' : 'away' }
+                    : null
+            });
+        }
+        rounds.push(ties);
+    }
+
+    rounds[0].forEach((tie, slot) => {
+        for (const [side, seed] of [['home', order[slot * 2]], ['away', order[slot * 2 + 1]]]) {
+            if (teams[seed - 1]) {
+                tie[side] = teams[seed - 1];
+                tie.seeds[side] = seed;
+            }
+        }
+
+        if (!tie.home || !tie.away) {
+            tie.winner = tie.home || tie.away;
+            tie.decidedBy = 'bye';
+        }
+    });
+
+    const bracket = {
+        id: options.id,
+        tournamentId: options.tournamentId,
+        fixtureId: options.fixtureId || null,
+        size,
+        legs: options.legs === 2 ? 2 : 1,
+        awayGoals: options.awayGoals !== false,
+        startDate: options.startDate,
+        spacingDays: options.spacingDays || 7,
+        preferredTime: options.preferredTime || null,
+        seeds: teams.slice(),
+        rounds,
+        championId: null,
+        createdBy: options.createdBy || null,
+        createdAt: options.createdAt || new Date().toISOString()
+    };
+
+    advanceWinners(bracket);
+    return bracket;
+}
+
+/**
+ * @returns {string} - Nombre de la ronda (Final, Semifinal...)
+ */
+function roundName(bracket, round) {
+    return knockoutRoundName(round, bracket.size);
+}
+
+/**
+ * Goles de un equipo en un partido de la llave
+ */
+function goalsOf(match, teamId) {
+    return match.equipo1Id === teamId ? match.result.goles1 : match.result.goles2;
+}
+
+/**
+ * Resultado de una llave según sus partidos
+ * @param {Object} tie - Llave
+ * @param {Array<Object>} legMatches - Partidos de la llave en orden (ida, vuelta)
+ * @param {Object} options - { legs, awayGoals }
+ * @returns {Object} - { winner, decidedBy, aggregate, level }
+ *   level: la llave terminó igualada y falta cargar los penales
+ */
+function evaluateTie(tie, legMatches, options) {
+    const counted = legMatches.filter(match => COUNTED_STATUSES.includes(statusOf(match)) && match.result);
+
+    const walkover = counted.find(match => match.result.walkoverWinner);
+    if (walkover) {
+        return {
+            winner: walkover[`${walkover.result.walkoverWinner}Id`],
+            decidedBy: 'walkover',
+            aggregate: null,
+            level: false
+        };
+    }
+
+    if (legMatches.length < options.legs || counted.length < options.legs) {
+        const partial = counted.length > 0
+            ? {
+                home: counted.reduce((sum, match) => sum + goalsOf(match, tie.home), 0),
+                away: counted.reduce((sum, match) => sum + goalsOf(match, tie.away), 0)
+            }
+            : null;
+        return { winner: null, decidedBy: null, aggregate: partial, level: false };
+    }
+
+    const aggregate = {
+        home: counted.reduce((sum, match) => sum + goalsOf(match, tie.home), 0),
+        away: counted.reduce((sum, match) => sum + goalsOf(match, tie.away), 0)
+    };
+
+    if (aggregate.home !== aggregate.away) {
+        return { winner: aggregate.home > aggregate.away ? tie.home : tie.away, decidedBy: 'aggregate', aggregate, level: false };
+    }
+
+    if (options.legs === 2 && options.awayGoals) {
+        // Goles convertidos jugando como visitante (equipo2 del partido)
+        const awayGoalsOf = teamId => counted
+            .filter(match => match.equipo2Id === teamId)
+            .reduce((sum, match) => sum + match.result.goles2, 0);
+        const home = awayGoalsOf(tie.home);
+        const away = awayGoalsOf(tie.away);
+        if (home !== away) {
+            return { winner: home > away ? tie.home : tie.away, decidedBy: 'away_goals', aggregate, level: false };
+        }
+    }
+
+    // Los penales se cargan en el último partido de la llave
+    const decider = legMatches[legMatches.length - 1];
+    const penalties = decider.result && decider.result.penalties;
+    if (penalties && penalties.goles1 !== penalties.goles2) {
+        const winnerSide = penalties.goles1 > penalties.goles2 ? 'equipo1' : 'equipo2';
+        aggregate.penalties = {
+            home: decider.equipo1Id === tie.home ? penalties.goles1 : penalties.goles2,
+            away: decider.equipo1Id === tie.home ? penalties.goles2 : penalties.goles1
+        };
+        return { winner: decider[`${winnerSide}Id`], decidedBy: 'penalties', aggregate, level: false };
+    }
+
+    return { winner: null, decidedBy: null, aggregate, level: true };
+}
+
+/**
+ * Lleva a cada ganador a su lugar en la ronda siguiente. Si una llave cambia
+ * de ganador (resultado corregido) se reemplaza el equipo mientras la llave
+ * siguiente no tenga partidos; si ya los tiene se informa como conflicto.
+ * @returns {Array<Object>} - Conflictos: [{ tie, expected }]
+ */
+function advanceWinners(bracket) {
+    const conflicts = [];
+
+    for (const ties of bracket.rounds) {
+        for (const tie of ties) {
+            if (!tie.advancesTo) {
+                bracket.championId = tie.winner || null;
+                continue;
+            }
+
+            const target = bracket.rounds[tie.advancesTo.round - 1][tie.advancesTo.slot];
+            const side = tie.advancesTo.side;
+            if (target[side] === tie.winner) continue;
+
+            if (target.legs.length > 0) {
+                if (tie.winner) conflicts.push({ tie: target, expected: tie.winner });
+                continue;
+            }
+
+            target[side] = tie.winner || null;
+            target.winner = null;
+            target.decidedBy = null;
+            target.aggregate = null;
+            target.level = false;
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Recalcula todas las llaves a partir de los partidos guardados
+ * @param {Object} bracket - Cuadro (se modifica)
+ * @param {Array<Object>} matches - Todos los partidos
+ * @returns {Object} - { decided: [tie], conflicts: [{ tie, expected }], ready: [tie] }
+ *   decided: llaves que acaban de tener ganador; ready: llaves con ambos equipos a las que les faltan partidos
+ */
+function refreshBracket(bracket, matches) {
+    const byId = new Map(matches.filter(match => match.bracket && match.bracket.id === bracket.id).map(match => [match.id, match]));
+    const decided = [];
+    let conflicts = [];
+
+    bracket.rounds.forEach((ties, index) => {
+        for (const tie of ties) {
+            if (tie.decidedBy === 'bye') continue;
+
+            // Un partido cancelado deja de formar parte de la llave
+            tie.legs = tie.legs.filter(id => byId.has(id));
+            if (!tie.home || !tie.away) continue;
+
+            const previous = tie.winner;
+            const result = evaluateTie(tie, tie.legs.map(id => byId.get(id)), bracket);
+            tie.winner = result.winner;
+            tie.decidedBy = result.decidedBy;
+            tie.aggregate = result.aggregate;
+            tie.level = result.level;
+
+            if (tie.winner && tie.winner !== previous) {
+                decided.push(tie);
+            }
+        }
+
+        // Propagar antes de evaluar la ronda siguiente
+        if (index < bracket.rounds.length - 1) {
+            conflicts = advanceWinners(bracket);
+        }
+    });
+    conflicts = advanceWinners(bracket);
+
+    const ready = [];
+    for (const ties of bracket.rounds) {
+        for (const tie of ties) {
+            if (tie.home && tie.away && !tie.winner && tie.legs.length < bracket.legs) {
+                ready.push(tie);
+            }
+        }
+    }
+
+    return { decided, conflicts, ready };
+}
+
+/**
+ * Llave y ronda de un partido del cuadro
+ */
+function findTie(bracket, match) {
+    if (!match.bracket || match.bracket.id !== bracket.id) return null;
+    const ties = bracket.rounds[match.bracket.round - 1];
+    return ties ? ties[match.bracket.slot] || null : null;
+}
+
+// ============= REPRESENTACIÓN =============
+
+// Filas de la grilla: cada columna es una ronda y la última el campeón
+function entryRow(column, index) {
+    return Math.pow(2, column) * (2 * index + 1) - 1;
+}
+
+/**
+ * Equipos de cada columna del cuadro con su marcador
+ * @returns {Array<Array<Object>>} - [columna][entrada] = { teamId, score, winner, bye }
+ */
+function columns(bracket) {
+    const result = bracket.rounds.map(ties => ties.flatMap(tie => ['home', 'away'].map(side => {
+        const other = side === 'home' ? 'away' : 'home';
+        let score = '';
+        if (tie.aggregate) {
+            score = String(tie.aggregate[side]);
+            if (tie.aggregate.penalties) score += `(${tie.aggregate.penalties[side]})`;
+        } else if (tie.decidedBy === 'walkover' && tie[side]) {
+            score = tie.winner === tie[side] ? 'WO' : '-';
+        }
+        return {
+            teamId: tie[side],
+            score,
+            winner: Boolean(tie.winner) && tie.winner === tie[side],
+            bye: tie.decidedBy === 'bye' && !tie[side] && Boolean(tie[other])
+        };
+    })));
+
+    result.push([{ teamId: bracket.championId, score: '', winner: Boolean(bracket.championId), bye: false }]);
+    return result;
+}
+
+/**
+ * Cuadro en texto para un bloque de código
+ * @param {Object} bracket
+ * @param {Function} teamName - teamName(teamId) => nombre
+ * @param {Object} options - { nameWidth }
+ * @returns {string}
+ */
+function renderBracketText(bracket, teamName, options = {}) {
+    const nameWidth = options.nameWidth || 10;
+    const cellWidth = nameWidth + 5;
+    const gap = 3;
+    const cols = columns(bracket);
+    const height = 2 * bracket.size - 1;
+    const width = cols.length * (cellWidth + gap) - gap;
+    const grid = Array.from({ length: height }, () => Array(width).fill(' '));
+
+    const write = (row, x, text) => {
+        [...text].forEach((char, i) => {
+            if (x + i < width) grid[row][x + i] = char;
+        });
+    };
+
+    cols.forEach((entries, column) => {
+        const x = column * (cellWidth + gap);
+
+        entries.forEach((entry, index) => {
+            let name = entry.bye ? '(libre)' : entry.teamId ? teamName(entry.teamId) : '·'.repeat(nameWidth);
+            if ([...name].length > nameWidth) name = `${[...name].slice(0, nameWidth - 1).join('')}…`;
+            const label = `${entry.winner ? '>' : ' '}${name.padEnd(nameWidth)}${entry.score.padStart(4)}`;
+            write(entryRow(column, index), x, label);
+        });
+
+        if (column === cols.length - 1) return;
+
+        // Conectores entre cada par de entradas y su lugar en la columna siguiente
+        for (let pair = 0; pair < entries.length / 2; pair++) {
+            const top = entryRow(column, pair * 2);
+            const bottom = entryRow(column, pair * 2 + 1);
+            const join = entryRow(column + 1, pair);
+            const cx = x + cellWidth;
+
+            write(top, cx, '─┐');
+            write(bottom, cx, '─┘');
+            for (let row = top + 1; row < bottom; row++) {
+                write(row, cx + 1, row === join ? '├─' : '│');
+            }
+        }
+    });
+
+    return grid.map(row => row.join('').trimEnd()).join('\n');
+}
+
+/**
+ * Cuadro como lista por ronda, para cuadros que no entran en un mensaje como grilla
+ * @returns {string}
+ */
+function renderBracketRounds(bracket, teamName) {
+    const nameOf = teamId => (teamId ? teamName(teamId) : '?');
+
+    return bracket.rounds.map((ties, index) => {
+        const lines = ties.map(tie => {
+            if (tie.decidedBy === 'bye') {
+                return `${nameOf(tie.winner)} (pasa directo)`;
+            }
+            const score = tie.aggregate
+                ? ` ${tie.aggregate.home}-${tie.aggregate.away}${tie.aggregate.penalties ? ` (${tie.aggregate.penalties.home}-${tie.aggregate.penalties.away} pen.)` : ''}`
+                : '';
+            const winner = tie.winner ? ` → ${nameOf(tie.winner)}` : '';
+            return `${nameOf(tie.home)} vs ${nameOf(tie.away)}${score}${winner}`;
+        });
+        return `${roundName(bracket, index + 1)}\n${lines.map(line => `  ${line}`).join('\n')}`;
+    }).join('\n\n') + (bracket.championId ? `\n\nCampeón: ${nameOf(bracket.championId)}` : '');
+}
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Cuadro como imagen SVG (sin dependencias, para adjuntar en Discord)
+ * @param {Object} bracket
+ * @param {Function} teamName - teamName(teamId) => nombre
+ * @param {Object} options - { title, color }
+ * @returns {string} - Documento SVG
+ */
+function renderBracketSvg(bracket, teamName, options = {}) {
+    const boxWidth = 190;
+    const boxHeight = 26;
+    const columnGap = 40;
+    const rowHeight = 18;
+    const top = 50;
+    const left = 16;
+    const color = options.color || '#3498db';
+    const cols = columns(bracket);
+
+    const width = left * 2 + cols.length * boxWidth + (cols.length - 1) * columnGap;
+    const height = top + (2 * bracket.size - 1) * rowHeight + boxHeight;
+    const yOf = (column, index) => top + entryRow(column, index) * rowHeight;
+
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Verdana, sans-serif" font-size="12">`,
+        `<rect width="${width}" height="${height}" fill="#1e1f22"/>`,
+        `<text x="${left}" y="28" fill="#ffffff" font-size="16" font-weight="bold">${escapeXml(options.title || 'Cuadro')}</text>`
+    ];
+
+    cols.forEach((entries, column) => {
+        const x = left + column * (boxWidth + columnGap);
+        const heading = column < bracket.rounds.length ? roundName(bracket, column + 1) : 'Campeón';
+        parts.push(`<text x="${x}" y="${top - 8}" fill="#b5bac1" font-size="11">${escapeXml(heading)}</text>`);
+
+        entries.forEach((entry, index) => {
+            const y = yOf(column, index) - boxHeight / 2 + rowHeight / 2;
+            const name = entry.bye ? '(libre)' : entry.teamId ? teamName(entry.teamId) : '—';
+            const fill = entry.winner ? color : '#2b2d31';
+            parts.push(`<rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" rx="4" fill="${fill}" stroke="#4e5058"/>`);
+            parts.push(`<text x="${x + 8}" y="${y + 17}" fill="#ffffff"${entry.winner ? ' font-weight="bold"' : ''}>${escapeXml(name.slice(0, 24))}</text>`);
+            if (entry.score) {
+                parts.push(`<text x="${x + boxWidth - 8}" y="${y + 17}" fill="#ffffff" text-anchor="end">${escapeXml(entry.score)}</text>`);
+            }
+        });
+
+        if (column === cols.length - 1) return;
+
+        for (let pair = 0; pair < entries.length / 2; pair++) {
+            const y1 = yOf(column, pair * 2) + rowHeight / 2;
+            const y2 = yOf(column, pair * 2 + 1) + rowHeight / 2;
+            const yJoin = yOf(column + 1, pair) + rowHeight / 2;
+            const x1 = x + boxWidth;
+            const xMid = x1 + columnGap / 2;
+            const x2 = x1 + columnGap;
+            parts.push(`<path d="M${x1} ${y1} H${xMid} V${y2} H${x1} M${xMid} ${yJoin} H${x2}" fill="none" stroke="#80848e" stroke-width="1.5"/>`);
+        }
+    });
+
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+/**
+ * Cuadros de los torneos de eliminación
+ */
+class BracketRegistry {
+    constructor(store) {
+        this.store = store;
+        const saved = this.store.loadCollection(COLLECTION);
+        this.brackets = Array.isArray(saved) ? saved : [];
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.brackets);
+    }
+
+    add(bracket) {
+        this.brackets.push(bracket);
+        this.save();
+        return bracket;
+    }
+
+    find(id) {
+        return this.brackets.find(bracket => bracket.id === id) || null;
+    }
+
+    /**
+     * @param {string} tournamentId
+     * @returns {Object|null} - El cuadro más reciente del torneo
+     */
+    latestFor(tournamentId) {
+        const brackets = this.brackets.filter(bracket => bracket.tournamentId === tournamentId);
+        return brackets.length > 0 ? brackets[brackets.length - 1] : null;
+    }
+}
+
+module.exports = {
+    BracketRegistry,
+    DECIDED_BY,
+    createBracket,
+    evaluateTie,
+    refreshBracket,
+    findTie,
+    roundName,
+    renderBracketText,
+    renderBracketRounds,
+    renderBracketSvg
+};
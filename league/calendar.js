@@ -0,0 +1,127 @@
+// Exportación de partidos a iCalendar (.ics, RFC 5545) para suscribirse desde
+// el calendario del teléfono. Los horarios van en UTC: cada cliente los muestra
+// en su propia zona sin necesidad de definir VTIMEZONE.
+const { statusOf, holdsSlot, formatScore, MATCH_STATUS } = require('./matchStatus');
+
+// Duración que se le asigna a cada partido en el calendario
+const DEFAULT_MATCH_MINUTES = 60;
+
+// Cada cuánto los clientes vuelven a descargar la suscripción
+const REFRESH_INTERVAL = 'PT1H';
+
+const PRODUCT_ID = '-//IOSoccer Bot//Calendario de partidos//ES';
+
+/**
+ * Escapa un texto para un valor de propiedad (coma, punto y coma, barra y saltos de línea)
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Corta las líneas de más de 75 bytes (las siguientes empiezan con un espacio)
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char, 'utf8');
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * @param {number} instant - Milisegundos epoch
+ * @returns {string} - YYYYMMDDTHHMMSSZ
+ */
+function formatUtc(instant) {
+    return new Date(instant).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Título del evento: con marcador si el partido ya tiene resultado
+ */
+function eventSummary(match) {
+    const score = formatScore(match);
+    const teams = score && !match.result.walkoverWinner
+        ? `${match.equipo1} ${score} ${match.equipo2}`
+        : `${match.equipo1} vs ${match.equipo2}`;
+    return `${teams}${score && match.result.walkoverWinner ? ` (${score})` : ''} • ${match.torneo}`;
+}
+
+/**
+ * Calendario con los partidos indicados. Los rechazados y vencidos se omiten
+ * @param {Array<Object>} matches
+ * @param {Object} options - { name, startOf(match) => instante, now, matchMinutes,
+ *   serverOf(name) => servidor (para la ubicación), domain y guildId (para los UID) }
+ * @returns {string} - Documento .ics con saltos de línea CRLF
+ */
+function matchesToIcs(matches, options) {
+    const minutes = options.matchMinutes || DEFAULT_MATCH_MINUTES;
+    const domain = options.domain || 'iosoccer-bot';
+    // Cada servidor de Discord numera sus partidos desde 1: el ID solo no alcanza para un UID único
+    const uidPrefix = options.guildId ? `partido-${options.guildId}` : 'partido';
+    const stamp = formatUtc(options.now);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(options.name)}`,
+        `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+        `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+    ];
+
+    for (const match of matches.filter(holdsSlot)) {
+        const start = options.startOf(match);
+        const status = statusOf(match);
+        const server = match.server && options.serverOf ? options.serverOf(match.server) : null;
+
+        const description = [`${MATCH_STATUS[status].emoji} ${MATCH_STATUS[status].label}`, `ID: ${match.id}`];
+        if (match.fixture && match.fixture.label) {
+            description.unshift(match.fixture.label);
+        }
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${uidPrefix}-${match.id}@${domain}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatUtc(start)}`,
+            `DTEND:${formatUtc(start + minutes * 60000)}`,
+            // Cada cambio de estado o de horario queda en el historial: así el cliente actualiza el evento
+            `SEQUENCE:${(match.history || []).length}`,
+            `SUMMARY:${escapeText(eventSummary(match))}`,
+            `DESCRIPTION:${escapeText(description.join('\n'))}`,
+            `STATUS:${status === 'proposed' ? 'TENTATIVE' : 'CONFIRMED'}`
+        );
+        if (match.server) {
+            lines.push(`LOCATION:${escapeText(server ? `${server.name} (${server.ip}:${server.port})` : match.server)}`);
+        }
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    DEFAULT_MATCH_MINUTES,
+    matchesToIcs
+};
@@ -0,0 +1,182 @@
+// Interpreta el día que escriben los usuarios ("22/08", "pasado mañana",
+// "próximo viernes", "viernes 15", "en 3 días"...) como una fecha de calendario.
+// No consulta el reloj: recibe la fecha de hoy ya calculada en la zona de la liga.
+const { normalizeName } = require('./textUtils');
+const { addDays, isValidDate } = require('./timezone');
+const { weekdayOf } = require('./schedulingRules');
+
+const WEEKDAYS = {
+    domingo: 0, lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6
+};
+
+const WEEKDAY_LABELS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+// Días hacia adelante que se pueden programar si no se indica otro horizonte
+const DEFAULT_HORIZON_DAYS = 90;
+
+// Formatos que se listan en los mensajes de error y la ayuda
+const ACCEPTED_FORMATS = [
+    '• "hoy", "mañana", "pasado mañana"',
+    '• Día de la semana: "viernes", "próximo viernes"',
+    '• Día de la semana y del mes: "viernes 15"',
+    '• Dentro de unos días: "en 3 días", "en 2 semanas"',
+    '• Fecha: 22/08, 22/08/2025 o 2025-08-22'
+];
+
+const pad = value => String(value).padStart(2, '0');
+
+function shortDate(date) {
+    const [, month, day] = date.split('-');
+    return `${day}/${month}`;
+}
+
+function invalid(error) {
+    return { valid: false, error };
+}
+
+/**
+ * Próximo día de la semana indicado, siempre después de hoy
+ */
+function nextWeekday(today, weekday) {
+    return addDays(today, (weekday - weekdayOf(today) + 7) % 7 || 7);
+}
+
+/**
+ * Primera fecha desde hoy cuyo día del mes es `day` (saltea meses que no lo tienen)
+ */
+function nextDayOfMonth(today, day) {
+    let [year, month] = today.split('-').map(Number);
+    for (let i = 0; i < 12; i++) {
+        const candidate = `${year}-${pad(month)}-${pad(day)}`;
+        if (isValidDate(candidate) && candidate >= today) {
+            return candidate;
+        }
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return null;
+}
+
+/**
+ * DD/MM sin año: el de este año o, si ya pasó, el del año siguiente. Si el del
+ * año siguiente queda fuera del horizonte se devuelve el de este año, que se
+ * rechaza como fecha pasada (quien escribe "17/10" el 18/10 se equivocó de día).
+ * Sin límite (se aceptan fechas pasadas) es siempre el de este año
+ */
+function resolveDayMonth(today, day, month, limit) {
+    const year = Number(today.slice(0, 4));
+    const thisYear = `${year}-${pad(month)}-${pad(day)}`;
+    const nextYear = `${year + 1}-${pad(month)}-${pad(day)}`;
+
+    if (!limit) return isValidDate(thisYear) ? thisYear : null;
+    if (isValidDate(thisYear) && thisYear >= today) return thisYear;
+    if (isValidDate(nextYear) && (nextYear <= limit || !isValidDate(thisYear))) return nextYear;
+    return isValidDate(thisYear) ? thisYear : null;
+}
+
+/**
+ * Convierte el texto del usuario en una fecha sin validar límites
+ * @returns {Object} - { valid, date, error }
+ */
+function resolveDate(input, today, limit) {
+    const text = normalizeName(input).replace(/^(el|este|proximo|prox\.?)\s+/, '');
+
+    if (text === 'hoy') return { valid: true, date: today };
+    if (text === 'manana') return { valid: true, date: addDays(today, 1) };
+    if (text === 'pasado manana' || text === 'pasado') return { valid: true, date: addDays(today, 2) };
+
+    if (Object.prototype.hasOwnProperty.call(WEEKDAYS, text)) {
+        return { valid: true, date: nextWeekday(today, WEEKDAYS[text]) };
+    }
+
+    let parts = text.match(/^en (\d{1,3}|un|una) (dia|dias|semana|semanas)$/);
+    if (parts) {
+        const amount = /^\d+$/.test(parts[1]) ? Number(parts[1]) : 1;
+        const days = parts[2].startsWith('semana') ? amount * 7 : amount;
+        return { valid: true, date: addDays(today, days) };
+    }
+
+    parts = text.match(/^([a-z]+) (\d{1,2})$/);
+    if (parts && Object.prototype.hasOwnProperty.call(WEEKDAYS, parts[1])) {
+        const date = nextDayOfMonth(today, Number(parts[2]));
+        if (!date) {
+            return invalid(`❌ **Fecha inválida**\n\nNingún mes próximo tiene día ${parts[2]}`);
+        }
+        if (weekdayOf(date) !== WEEKDAYS[parts[1]]) {
+            return invalid(`❌ **Fecha inválida**\n\nEl ${shortDate(date)} es ${WEEKDAY_LABELS[weekdayOf(date)]}, no ${WEEKDAY_LABELS[WEEKDAYS[parts[1]]]}`);
+        }
+        return { valid: true, date };
+    }
+
+    parts = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+    if (parts) {
+        const day = Number(parts[1]);
+        const month = Number(parts[2]);
+        let date;
+        if (parts[3]) {
+            const year = parts[3].length === 2 ? 2000 + Number(parts[3]) : Number(parts[3]);
+            date = `${year}-${pad(month)}-${pad(day)}`;
+        } else {
+            date = resolveDayMonth(today, day, month, limit);
+        }
+
+        if (!date || !isValidDate(date)) {
+            return invalid(`❌ **Fecha inválida**\n\n**${input}** no es una fecha del calendario (formato DD/MM o DD/MM/YYYY)`);
+        }
+        return { valid: true, date };
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        if (!isValidDate(text)) {
+            return invalid('❌ **Fecha inválida**\n\nFormato correcto: YYYY-MM-DD');
+        }
+        return { valid: true, date: text };
+    }
+
+    return invalid(`❌ **Formato de fecha inválido**\n\n**Formatos aceptados:**\n${ACCEPTED_FORMATS.join('\n')}`);
+}
+
+/**
+ * Interpreta el día escrito por el usuario
+ * @param {string} input - Texto del usuario
+ * @param {Object} options - { today (YYYY-MM-DD en la zona de la liga), horizonDays,
+ *   allowPast (para filtros: acepta fechas pasadas y no aplica el horizonte) }
+ * @returns {Object} - { valid, date, error }
+ */
+function parseDateInput(input, options) {
+    const today = options.today;
+    const horizonDays = options.horizonDays || DEFAULT_HORIZON_DAYS;
+
+    if (!String(input || '').trim()) {
+        return invalid(`❌ **Falta el día**\n\n**Formatos aceptados:**\n${ACCEPTED_FORMATS.join('\n')}`);
+    }
+
+    if (options.allowPast) {
+        return resolveDate(input, today, null);
+    }
+
+    const limit = addDays(today, horizonDays);
+    const result = resolveDate(input, today, limit);
+    if (!result.valid) {
+        return result;
+    }
+
+    if (result.date < today) {
+        return invalid(`❌ **Fecha pasada**\n\nEl ${shortDate(result.date)}/${result.date.slice(0, 4)} ya pasó`);
+    }
+
+    if (result.date > limit) {
+        return invalid(`❌ **Fecha demasiado lejana**\n\nSolo se programan partidos hasta ${horizonDays} días adelante (hasta el ${shortDate(limit)}/${limit.slice(0, 4)})`);
+    }
+
+    return result;
+}
+
+module.exports = {
+    DEFAULT_HORIZON_DAYS,
+    ACCEPTED_FORMATS,
+    parseDateInput
+};
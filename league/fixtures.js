@@ -0,0 +1,196 @@
+// Generación del fixture de un torneo: todos contra todos (ida o ida y vuelta)
+// o eliminación directa con byes (a partido único o ida y vuelta). Solo arma los cruces; las fechas y horarios
+// los propone el bot con el motor de reglas.
+
+const COLLECTION = 'fixtures';
+
+const FIXTURE_FORMATS = {
+    liga: { label: 'Todos contra todos (ida)', emoji: '🔄' },
+    liga_ida_vuelta: { label: 'Todos contra todos (ida y vuelta)', emoji: '🔁' },
+    eliminacion: { label: 'Eliminación directa', emoji: '🏆', knockout: true, legs: 1 },
+    eliminacion_ida_vuelta: { label: 'Eliminación directa (ida y vuelta)', emoji: '🏆', knockout: true, legs: 2 }
+};
+
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 64;
+
+/**
+ * Fechas de todos contra todos por el método del círculo: un equipo queda
+ * fijo y el resto rota. Con cantidad impar, a cada fecha le toca libre a uno.
+ * @param {Array} teams - Equipos en orden
+ * @param {Object} options - { double } para ida y vuelta (la vuelta invierte localía)
+ * @returns {Array<Object>} - [{ matchday, pairings: [{ home, away }], bye }]
+ */
+function roundRobinRounds(teams, options = {}) {
+    const list = teams.slice();
+    if (list.length % 2 === 1) {
+        list.push(null);
+    }
+
+    const size = list.length;
+    const rounds = [];
+
+    for (let round = 0; round < size - 1; round++) {
+        const pairings = [];
+        let bye = null;
+
+        for (let i = 0; i < size / 2; i++) {
+            const a = list[i];
+            const b = list[size - 1 - i];
+
+            if (a === null || b === null) {
+                bye = a === null ? b : a;
+                continue;
+            }
+
+            // Alternar la localía para que nadie juegue siempre de local
+            const swap = i === 0 ? round % 2 === 1 : i % 2 === 1;
+            pairings.push(swap ? { home: b, away: a } : { home: a, away: b });
+        }
+
+        rounds.push({ matchday: round + 1, pairings, bye });
+
+        // Rotar todos menos el primero
+        list.splice(1, 0, list.pop());
+    }
+
+    if (options.double) {
+        const firstLeg = rounds.length;
+        rounds.push(...rounds.map(round => ({
+            matchday: round.matchday + firstLeg,
+            pairings: round.pairings.map(({ home, away }) => ({ home: away, away: home })),
+            bye: round.bye
+        })));
+    }
+
+    return rounds;
+}
+
+/**
+ * Orden de las posiciones del cuadro para que los mejores cabezas de serie
+ * se crucen lo más tarde posible (1 vs 8, 4 vs 5, 2 vs 7, 3 vs 6...)
+ * @param {number} size - Potencia de 2
+ * @returns {Array<number>} - Números de cabeza de serie (1 = el mejor)
+ */
+function seedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    return order;
+}
+
+/**
+ * @param {number} teamCount
+ * @returns {number} - Menor potencia de 2 que alcanza para todos
+ */
+function bracketSize(teamCount) {
+    let size = 1;
+    while (size < teamCount) size *= 2;
+    return size;
+}
+
+/**
+ * Primera ronda de una eliminación directa. Si los equipos no son potencia
+ * de 2, los primeros cabezas de serie pasan directo (bye) a la segunda ronda.
+ * @param {Array} teams - Equipos ordenados por cabeza de serie
+ * @returns {Object} - { size, rounds, pairings: [{ slot, home, away }], byes: [{ slot, team }] }
+ */
+function knockoutFirstRound(teams) {
+    const size = bracketSize(teams.length);
+    const order = seedOrder(size);
+    const pairings = [];
+    const byes = [];
+
+    for (let slot = 0; slot < size / 2; slot++) {
+        const home = teams[order[slot * 2] - 1] || null;
+        const away = teams[order[slot * 2 + 1] - 1] || null;
+
+        if (home && away) {
+            pairings.push({ slot, home, away });
+        } else if (home || away) {
+            byes.push({ slot, team: home || away });
+        }
+    }
+
+    return { size, rounds: Math.log2(size), pairings, byes };
+}
+
+/**
+ * Nombre de una ronda de eliminación según cuántos equipos quedan
+ * @param {number} round - 1 = primera ronda
+ * @param {number} size - Tamaño del cuadro
+ * @returns {string}
+ */
+function knockoutRoundName(round, size) {
+    const remaining = size / Math.pow(2, round - 1);
+    const names = { 2: 'Final', 4: 'Semifinal', 8: 'Cuartos de final', 16: 'Octavos de final', 32: 'Dieciseisavos de final' };
+    return names[remaining] || `Ronda de ${remaining}`;
+}
+
+/**
+ * Mezcla una lista (Fisher-Yates) para sortear cruces o cabezas de serie
+ * @param {Array} items
+ * @param {Function} random - Generador en [0, 1), inyectable para reproducir un sorteo
+ * @returns {Array} - Copia mezclada
+ */
+function shuffle(items, random = Math.random) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Fixtures generados: qué formato, con qué equipos y qué partidos se cargaron
+ */
+class FixtureRegistry {
+    constructor(store) {
+        this.store = store;
+        const saved = this.store.loadCollection(COLLECTION);
+        this.fixtures = Array.isArray(saved) ? saved : [];
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.fixtures);
+    }
+
+    /**
+     * @param {Object} fixture - { id, tournamentId, format, teams, byes, size, matchIds, createdBy, createdAt }
+     */
+    add(fixture) {
+        this.fixtures.push(fixture);
+        this.save();
+        return fixture;
+    }
+
+    find(id) {
+        return this.fixtures.find(fixture => fixture.id === id) || null;
+    }
+
+    /**
+     * @param {string} tournamentId - ID del torneo (no cambia al renombrarlo)
+     * @returns {Array<Object>} - Del más reciente al más antiguo
+     */
+    forTournament(tournamentId) {
+        return this.fixtures
+            .filter(fixture => fixture.tournamentId === tournamentId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+}
+
+module.exports = {
+    FixtureRegistry,
+    FIXTURE_FORMATS,
+    MIN_TEAMS,
+    MAX_TEAMS,
+    roundRobinRounds,
+    seedOrder,
+    bracketSize,
+    knockoutFirstRound,
+    knockoutRoundName,
+    shuffle
+};
@@ -0,0 +1,142 @@
+// Configuración propia de cada servidor de Discord: servidores de juego,
+// canales donde se publican resultados, recordatorios y el historial de
+// partidos, y los avisos previos a cada partido. Lo que un servidor no
+// configuró toma los valores por defecto que recibe (las variables de entorno
+// en el servidor principal).
+const COLLECTION = 'guild_config';
+
+const CHANNEL_TYPES = {
+    resultados: { key: 'resultsChannelId', label: 'Resultados', emoji: '⚽' },
+    recordatorios: { key: 'remindersChannelId', label: 'Recordatorios', emoji: '⏰' },
+    moderacion: { key: 'moderationChannelId', label: 'Moderación', emoji: '🛡️' }
+};
+
+const MAX_SERVERS = 25;
+
+const HOST_PATTERN = /^[a-z0-9]([a-z0-9.-]*[a-z0-9])?$/i;
+
+class GuildConfig {
+    /**
+     * @param {Object} store - Almacenamiento del servidor de Discord
+     * @param {Object} defaults - { servers, resultsChannelId, remindersChannelId, moderationChannelId, reminderOffsets, dmCaptains }
+     */
+    constructor(store, defaults = {}) {
+        this.store = store;
+        this.defaults = {
+            servers: [],
+            resultsChannelId: null,
+            remindersChannelId: null,
+            moderationChannelId: null,
+            reminderOffsets: [],
+            dmCaptains: true,
+            ...defaults
+        };
+        this.settings = this.store.loadCollection(COLLECTION) || {};
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.settings);
+    }
+
+    get(key) {
+        return this.isCustom(key) ? this.settings[key] : this.defaults[key];
+    }
+
+    /**
+     * @returns {boolean} - true si el valor lo configuró el servidor (no es el por defecto)
+     */
+    isCustom(key) {
+        return this.settings[key] !== undefined && this.settings[key] !== null;
+    }
+
+    set(key, value) {
+        if (value === null) {
+            delete this.settings[key];
+        } else {
+            this.settings[key] = value;
+        }
+        this.save();
+    }
+
+    servers() {
+        return this.get('servers');
+    }
+
+    findServer(name) {
+        const key = String(name).trim().toLowerCase();
+        return this.servers().find(server => server.name.toLowerCase() === key) || null;
+    }
+
+    /**
+     * Agrega un servidor de juego. La primera vez copia la lista por defecto
+     * para que los servidores que ya había no desaparezcan
+     * @param {Object} server - { name, ip, port, password, rcon_password }
+     */
+    addServer({ name, ip, port, password = null, rcon_password = null }) {
+        name = name.trim();
+        ip = ip.trim();
+
+        if (!name || name.length > 50) {
+            return { success: false, message: '❌ El nombre del servidor debe tener entre 1 y 50 caracteres' };
+        }
+        if (this.findServer(name)) {
+            return { success: false, message: `❌ Ya existe un servidor llamado **${name}**` };
+        }
+        if (!HOST_PATTERN.test(ip)) {
+            return { success: false, message: `❌ Dirección inválida: **${ip}** (usa una IP o un nombre de host, sin puerto)` };
+        }
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            return { success: false, message: `❌ Puerto inválido: **${port}**` };
+        }
+        if (this.servers().length >= MAX_SERVERS) {
+            return { success: false, message: `❌ No se pueden configurar más de ${MAX_SERVERS} servidores` };
+        }
+
+        const server = { name, ip, port, rcon_password, password, rcon_ports: [port] };
+        this.set('servers', [...this.servers(), server]);
+        return { success: true, server };
+    }
+
+    removeServer(name) {
+        const server = this.findServer(name);
+        if (!server) {
+            return { success: false, message: `❌ No existe el servidor **${name}**` };
+        }
+
+        this.set('servers', this.servers().filter(existing => existing !== server));
+        return { success: true, server };
+    }
+
+    /**
+     * @param {string} type - Clave de CHANNEL_TYPES
+     * @returns {string|null} - ID del canal
+     */
+    channel(type) {
+        return this.get(CHANNEL_TYPES[type].key);
+    }
+
+    /**
+     * @param {string|null} channelId - null vuelve al canal por defecto
+     */
+    setChannel(type, channelId) {
+        if (!CHANNEL_TYPES[type]) {
+            return { success: false, message: `❌ Tipo de canal desconocido: **${type}**` };
+        }
+
+        this.set(CHANNEL_TYPES[type].key, channelId);
+        return { success: true, channelId: this.channel(type) };
+    }
+
+    reminderOffsets() {
+        return this.get('reminderOffsets');
+    }
+
+    dmCaptains() {
+        return this.get('dmCaptains');
+    }
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    GuildConfig
+};
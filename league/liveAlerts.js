@@ -0,0 +1,158 @@
+// Anuncios en vivo: cada servidor de Discord elige un canal donde se publican
+// los goles, el entretiempo y el final de los partidos que se juegan en sus
+// servidores de juego, y opcionalmente un rol a mencionar por torneo. Los
+// eventos seguidos de un mismo partido se juntan en un solo mensaje que se va
+// editando, así una seguidilla de goles no llena el canal.
+const COLLECTION = 'live_alerts';
+
+const ALERT_EVENTS = {
+    goal: { label: 'Goles', emoji: '⚽' },
+    half_time: { label: 'Entretiempo', emoji: '⏸️' },
+    full_time: { label: 'Final', emoji: '🏁' }
+};
+
+// Segundos durante los que los eventos de un partido editan el mismo mensaje
+const DEFAULT_GROUP_SECONDS = 180;
+
+/**
+ * Línea de un evento dentro del mensaje del partido
+ * @param {Object} event - Evento del bus de eventos en vivo
+ * @returns {string}
+ */
+function alertLine(event) {
+    const { emoji } = ALERT_EVENTS[event.type];
+    const score = `${event.score.home}-${event.score.away}`;
+
+    if (event.type === 'goal') {
+        return `${emoji} **${event.minute}'** ${event.scorer || 'Jugador desconocido'} (${event.teams[event.side]})` +
+            (event.assist ? ` • asistencia de ${event.assist}` : '') +
+            ` → **${score}**`;
+    }
+    return `${emoji} **${ALERT_EVENTS[event.type].label}** → **${score}**`;
+}
+
+class LiveAlertSettings {
+    constructor(store) {
+        this.store = store;
+        this.settings = {
+            channelId: null,
+            events: Object.keys(ALERT_EVENTS),
+            // ID de torneo → rol a mencionar
+            roles: {},
+            ...(this.store.loadCollection(COLLECTION) || {})
+        };
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.settings);
+    }
+
+    channelId() {
+        return this.settings.channelId;
+    }
+
+    events() {
+        return this.settings.events;
+    }
+
+    /**
+     * @param {string} type - Tipo de evento en vivo
+     * @returns {boolean} - Si hay canal y ese evento se anuncia
+     */
+    wants(type) {
+        return Boolean(this.settings.channelId) && this.settings.events.includes(type);
+    }
+
+    /**
+     * @param {string|null} channelId - null desactiva los anuncios
+     */
+    setChannel(channelId) {
+        this.settings.channelId = channelId;
+        this.save();
+        return { success: true, channelId };
+    }
+
+    /**
+     * @param {Array<string>} events - Claves de ALERT_EVENTS
+     */
+    setEvents(events) {
+        const unknown = events.find(type => !ALERT_EVENTS[type]);
+        if (unknown) {
+            return { success: false, message: `❌ Evento desconocido: **${unknown}**` };
+        }
+        if (events.length === 0) {
+            return { success: false, message: '❌ Elige al menos un evento (para apagar los anuncios usa `/alertas canal` sin canal)' };
+        }
+
+        this.settings.events = Object.keys(ALERT_EVENTS).filter(type => events.includes(type));
+        this.save();
+        return { success: true, events: this.settings.events };
+    }
+
+    roles() {
+        return this.settings.roles;
+    }
+
+    roleFor(tournamentId) {
+        return (tournamentId && this.settings.roles[tournamentId]) || null;
+    }
+
+    /**
+     * @param {string} tournamentId - ID del torneo
+     * @param {string|null} roleId - null deja de mencionar a un rol
+     */
+    setRole(tournamentId, roleId) {
+        if (roleId === null && !this.settings.roles[tournamentId]) {
+            return { success: false, message: '❌ Ese torneo no tiene un rol para los anuncios' };
+        }
+
+        if (roleId === null) {
+            delete this.settings.roles[tournamentId];
+        } else {
+            this.settings.roles[tournamentId] = roleId;
+        }
+        this.save();
+        return { success: true, roleId };
+    }
+}
+
+/**
+ * Mensajes abiertos por partido. Los eventos que llegan dentro de la ventana
+ * se agregan al mismo mensaje; pasada la ventana (o después del final) el
+ * siguiente evento publica uno nuevo
+ */
+class AlertGroups {
+    constructor(windowMs = DEFAULT_GROUP_SECONDS * 1000) {
+        this.windowMs = windowMs;
+        this.groups = new Map();
+    }
+
+    /**
+     * @param {string} key - Servidor de Discord y servidor de juego
+     * @param {string} matchKey - Identifica el partido (un partido nuevo en el mismo servidor abre otro mensaje)
+     * @param {number} now - Momento del evento
+     * @returns {Object} - { group: { matchKey, openedAt, lines, message }, created }
+     */
+    take(key, matchKey, now) {
+        const group = this.groups.get(key);
+        if (group && group.matchKey === matchKey && now - group.openedAt < this.windowMs) {
+            return { group, created: false };
+        }
+
+        const fresh = { matchKey, openedAt: now, lines: [], message: null };
+        this.groups.set(key, fresh);
+        return { group: fresh, created: true };
+    }
+
+    close(key) {
+        this.groups.delete(key);
+    }
+}
+
+module.exports = {
+    ALERT_EVENTS,
+    DEFAULT_GROUP_SECONDS,
+    AlertGroups,
+    LiveAlertSettings,
+    alertLine
+};
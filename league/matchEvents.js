@@ -0,0 +1,295 @@
+// Eventos en vivo de los partidos: compara respuestas sucesivas de cada
+// servidor (ya parseadas por parseMatchInfo) y publica lo que cambió entre una
+// y otra (inicio, goles, entretiempo, final, rojas, jugadores que entran o
+// salen, servidor vacío) en un bus interno al que se suscriben las demás
+// funciones del bot.
+const { EventEmitter } = require('events');
+const { isFinishedPeriod, isLivePeriod } = require('./resultCapture');
+
+const MATCH_EVENT_TYPES = {
+    kickoff: { label: 'Inicio', emoji: '🟢' },
+    goal: { label: 'Gol', emoji: '⚽' },
+    half_time: { label: 'Entretiempo', emoji: '⏸️' },
+    full_time: { label: 'Final', emoji: '🏁' },
+    period_change: { label: 'Cambio de período', emoji: '🔁' },
+    red_card: { label: 'Tarjeta roja', emoji: '🟥' },
+    player_joined: { label: 'Entró un jugador', emoji: '➡️' },
+    player_left: { label: 'Salió un jugador', emoji: '⬅️' },
+    server_emptied: { label: 'Servidor vacío', emoji: '💤' }
+};
+
+// Eventos de sv_matchinfojson que dejan a un jugador expulsado
+const RED_CARD_EVENTS = ['REDCARD', 'SECONDYELLOW', 'SECONDYELLOWCARD'];
+
+const SIDES = ['home', 'away'];
+
+function compactPeriod(period) {
+    return String(period || '').toUpperCase().replace(/[^A-Z]/g, '');
+}
+
+function isHalfTime(period) {
+    return compactPeriod(period) === 'HALFTIME';
+}
+
+function formatSecond(second) {
+    const value = Math.max(0, Math.floor(second || 0));
+    return `${Math.floor(value / 60)}:${String(value % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Elementos de next que no estaban en previous, comparando por clave y
+ * respetando repetidos (dos goles iguales en el mismo segundo son dos goles)
+ */
+function addedItems(previous, next, keyOf) {
+    const seen = new Map();
+    for (const item of previous) {
+        const key = keyOf(item);
+        seen.set(key, (seen.get(key) || 0) + 1);
+    }
+
+    return next.filter(item => {
+        const key = keyOf(item);
+        const count = seen.get(key) || 0;
+        if (count > 0) {
+            seen.set(key, count - 1);
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Jugadores reales de ambos equipos, por steamId
+ * @returns {Map<string, Object>} - steamId → { steamId, name, position, side }
+ */
+function lineupPlayers(matchInfo) {
+    const players = new Map();
+    for (const side of SIDES) {
+        for (const player of matchInfo[`lineup_${side}`] || []) {
+            const steamId = player && (player.steamId || player.steamID);
+            if (!steamId || steamId === 'BOT' || steamId === 'SourceTV') continue;
+            players.set(steamId, { steamId, name: player.name || 'Desconocido', position: player.position || null, side });
+        }
+    }
+    return players;
+}
+
+function minuteToSeconds(minute) {
+    const match = /^(\d+):(\d{2})$/.exec(String(minute || ''));
+    return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : Infinity;
+}
+
+/**
+ * Goles que aparecieron entre dos respuestas del mismo servidor, en orden de
+ * minuto y cada uno con el marcador que dejó. Si el JSON llegó cortado y
+ * falta el detalle, el gol se informa sin autor
+ */
+function newGoals(previous, next) {
+    const goals = [];
+    for (const side of SIDES) {
+        const scored = (next[`goals_${side}`] || 0) - (previous[`goals_${side}`] || 0);
+        if (scored <= 0) continue;
+
+        const real = info => (info.goals_detail || []).filter(goal => goal.team === side && goal.is_real !== false);
+        const detailed = addedItems(real(previous), real(next), goal => `${goal.minute}|${goal.scorer_name}|${goal.assist_name}`);
+
+        for (let i = 0; i < scored; i++) {
+            const goal = detailed[i];
+            goals.push({
+                side,
+                scorer: goal ? goal.scorer_name : null,
+                assist: goal && goal.assist_name ? goal.assist_name : null,
+                minute: goal ? goal.minute : next.time_display
+            });
+        }
+    }
+
+    goals.sort((a, b) => minuteToSeconds(a.minute) - minuteToSeconds(b.minute));
+    const score = { home: previous.goals_home || 0, away: previous.goals_away || 0 };
+    return goals.map(goal => {
+        score[goal.side]++;
+        return { ...goal, score: { ...score } };
+    });
+}
+
+/**
+ * Cambios entre dos estados del partido de un mismo servidor
+ * @param {Object} previous - Resultado anterior de parseMatchInfo
+ * @param {Object} next - Resultado nuevo de parseMatchInfo
+ * @returns {Array<Object>} - { type, ...datos del evento }, en el orden en que conviene anunciarlos
+ */
+function diffMatchInfo(previous, next) {
+    const events = [];
+    const wasLive = isLivePeriod(previous);
+    const isLive = isLivePeriod(next);
+
+    // Un marcador que baja es un partido nuevo (o reiniciado): no hay goles que comparar
+    const restarted = SIDES.some(side => (next[`goals_${side}`] || 0) < (previous[`goals_${side}`] || 0));
+
+    if (!wasLive && isLive && !isHalfTime(next.period)) {
+        events.push({ type: 'kickoff' });
+    }
+
+    if (!restarted) {
+        for (const goal of newGoals(previous, next)) {
+            events.push({ type: 'goal', ...goal });
+        }
+
+        const redCards = event => RED_CARD_EVENTS.includes(compactPeriod(event.event || event.type));
+        const cards = addedItems(
+            (previous.events || []).filter(redCards),
+            (next.events || []).filter(redCards),
+            event => `${event.event || event.type}|${event.team}|${event.second}|${event.player1Name}`
+        );
+        for (const card of cards) {
+            events.push({ type: 'red_card', side: card.team || null, player: card.player1Name || null, minute: formatSecond(card.second) });
+        }
+    }
+
+    if (compactPeriod(previous.period) !== compactPeriod(next.period)) {
+        events.push({ type: 'period_change', from: previous.period, to: next.period });
+        if (isHalfTime(next.period)) {
+            events.push({ type: 'half_time' });
+        }
+        if (isFinishedPeriod(next.period) && !isFinishedPeriod(previous.period)) {
+            events.push({ type: 'full_time' });
+        }
+    }
+
+    const before = lineupPlayers(previous);
+    const after = lineupPlayers(next);
+    for (const [steamId, player] of after) {
+        const was = before.get(steamId);
+        if (!was || was.side !== player.side) {
+            events.push({ type: 'player_joined', side: player.side, player });
+        }
+    }
+    for (const [steamId, player] of before) {
+        const now = after.get(steamId);
+        if (!now || now.side !== player.side) {
+            events.push({ type: 'player_left', side: player.side, player });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Texto de un evento para logs y anuncios
+ */
+function describeMatchEvent(event) {
+    const { emoji } = MATCH_EVENT_TYPES[event.type] || { emoji: '•' };
+    const match = event.teams ? `${event.teams.home} ${event.score.home}-${event.score.away} ${event.teams.away}` : '';
+    const team = side => event.teams && side ? event.teams[side] : null;
+
+    switch (event.type) {
+        case 'kickoff':
+            return `${emoji} Empezó ${event.teams.home} vs ${event.teams.away} en ${event.server.name}`;
+        case 'goal':
+            return `${emoji} ¡Gol de ${team(event.side)}! ${event.scorer || 'Jugador desconocido'}` +
+                (event.assist ? ` (asistencia de ${event.assist})` : '') +
+                ` ${event.minute}' • ${match}`;
+        case 'half_time':
+            return `${emoji} Entretiempo en ${event.server.name} • ${match}`;
+        case 'full_time':
+            return `${emoji} Final en ${event.server.name} • ${match}`;
+        case 'period_change':
+            return `${emoji} ${event.server.name}: ${event.from} → ${event.to}`;
+        case 'red_card':
+            return `${emoji} Roja para ${event.player || 'un jugador'}${team(event.side) ? ` (${team(event.side)})` : ''} ${event.minute}' • ${match}`;
+        case 'player_joined':
+            return `${emoji} ${event.player.name} entró a ${team(event.side)} en ${event.server.name}`;
+        case 'player_left':
+            return `${emoji} ${event.player.name} salió de ${team(event.side)} en ${event.server.name}`;
+        case 'server_emptied':
+            return `${emoji} ${event.server.name} quedó vacío`;
+        default:
+            return `${emoji} ${event.type} en ${event.server.name}`;
+    }
+}
+
+/**
+ * Bus de eventos en vivo. Guarda el último estado conocido de cada servidor y
+ * emite cada cambio dos veces: con su tipo (ej: 'goal') y como 'event'.
+ * Las respuestas sin datos del partido (JSON que no llegó, servidor caído) no
+ * cuentan como cambio: se compara siempre contra el último dato válido
+ */
+class MatchEventBus extends EventEmitter {
+    constructor() {
+        super();
+        // clave del servidor → { matchInfo, players }
+        this.states = new Map();
+    }
+
+    /**
+     * Compara una respuesta del poller con la anterior del mismo servidor y publica los cambios.
+     * La primera respuesta de cada servidor solo queda como referencia
+     * @param {Object} entry - Entrada de la foto del poller
+     * @returns {Array<Object>} - Eventos publicados
+     */
+    observe(entry) {
+        if (entry.state === 'offline') {
+            return [];
+        }
+
+        const previous = this.states.get(entry.key);
+        const { matchInfo, players } = entry.info;
+        this.states.set(entry.key, {
+            matchInfo: matchInfo || (previous ? previous.matchInfo : null),
+            players
+        });
+
+        if (!previous) {
+            return [];
+        }
+
+        const changes = previous.matchInfo && matchInfo ? diffMatchInfo(previous.matchInfo, matchInfo) : [];
+        if (previous.players > 0 && players === 0) {
+            changes.push({ type: 'server_emptied', players: previous.players });
+        }
+
+        const current = matchInfo || previous.matchInfo;
+        // Cada gol trae su propio marcador; el resto, el de la respuesta
+        const events = changes.map(change => ({
+            server: { key: entry.key, name: entry.name },
+            at: entry.updatedAt,
+            teams: current ? { home: current.team_home, away: current.team_away } : null,
+            score: current ? { home: current.goals_home, away: current.goals_away } : null,
+            period: current ? current.period : null,
+            time: current ? current.time_display : null,
+            ...change
+        }));
+
+        events.forEach(event => this.publish(event));
+        return events;
+    }
+
+    /**
+     * Un suscriptor que falla no corta el aviso a los demás
+     */
+    publish(event) {
+        for (const name of [event.type, 'event']) {
+            for (const listener of this.listeners(name)) {
+                try {
+                    listener(event);
+                } catch (error) {
+                    this.emit('error', error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Olvida un servidor que dejó de sondearse
+     */
+    forget(key) {
+        this.states.delete(key);
+    }
+}
+
+module.exports = {
+    MATCH_EVENT_TYPES,
+    MatchEventBus,
+    describeMatchEvent,
+    diffMatchInfo
+};
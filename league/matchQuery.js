@@ -0,0 +1,66 @@
+// Filtros y paginado de la lista de partidos (/ver_partidos). No consulta el
+// reloj ni el registro de equipos: recibe el instante y las funciones de clave.
+const { statusOf } = require('./matchStatus');
+const { weekdayOf } = require('./schedulingRules');
+
+/**
+ * Partidos que cumplen todos los filtros indicados
+ * @param {Array<Object>} matches
+ * @param {Object} filters - { torneo, teamKey, from, to (YYYY-MM-DD), status, server, weekday }
+ * @param {Object} options - { teamKey(name, id) => clave del equipo }
+ * @returns {Array<Object>}
+ */
+function filterMatches(matches, filters, options = {}) {
+    const teamKey = options.teamKey || ((name, id) => id || name);
+
+    return matches.filter(match => {
+        if (filters.torneo && match.torneo !== filters.torneo) return false;
+        if (filters.from && match.date < filters.from) return false;
+        if (filters.to && match.date > filters.to) return false;
+        if (filters.status && statusOf(match) !== filters.status) return false;
+        if (filters.server && (match.server || '').toLowerCase() !== filters.server.toLowerCase()) return false;
+        if (filters.weekday !== undefined && filters.weekday !== null && weekdayOf(match.date) !== filters.weekday) return false;
+        if (filters.teamKey &&
+            teamKey(match.equipo1, match.equipo1Id) !== filters.teamKey &&
+            teamKey(match.equipo2, match.equipo2Id) !== filters.teamKey) return false;
+        return true;
+    });
+}
+
+/**
+ * Separa los partidos en próximos (incluye los que están en juego) y pasados
+ * @param {Array<Object>} matches
+ * @param {number} now - Instante de referencia
+ * @param {Function} startOf - startOf(match) => instante de inicio
+ * @returns {Object} - { upcoming (del más cercano al más lejano), past (del más reciente al más viejo) }
+ */
+function splitByTime(matches, now, startOf) {
+    const withStart = matches.map(match => ({ match, start: startOf(match) }));
+
+    const upcoming = withStart
+        .filter(({ match, start }) => start > now || statusOf(match) === 'live')
+        .sort((a, b) => a.start - b.start || a.match.id - b.match.id);
+    const past = withStart
+        .filter(({ match, start }) => start <= now && statusOf(match) !== 'live')
+        .sort((a, b) => b.start - a.start || b.match.id - a.match.id);
+
+    return { upcoming: upcoming.map(entry => entry.match), past: past.map(entry => entry.match) };
+}
+
+/**
+ * @param {Array} items
+ * @param {number} page - 0 = primera (se ajusta al rango válido)
+ * @param {number} size - Elementos por página
+ * @returns {Object} - { items, page, pages }
+ */
+function paginate(items, page, size) {
+    const pages = Math.max(1, Math.ceil(items.length / size));
+    const current = Math.min(Math.max(Number(page) || 0, 0), pages - 1);
+    return { items: items.slice(current * size, (current + 1) * size), page: current, pages };
+}
+
+module.exports = {
+    filterMatches,
+    splitByTime,
+    paginate
+};
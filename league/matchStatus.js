@@ -0,0 +1,205 @@
+// Ciclo de vida de un partido: de la propuesta al resultado confirmado
+//
+//   propuesto ─aceptar─▶ aceptado ─iniciar─▶ en juego ─resultado─▶ finalizado ─confirmar─▶ confirmado
+//                                                                      │  ▲
+//                                                               disputar  resultado (corregido)
+//                                                                      ▼  │
+//                                                                   en disputa ─confirmar─▶ confirmado
+//
+// Mientras el partido no terminó se puede declarar walkover en cualquier momento.
+// Un partido aceptado que se reprograma vuelve a propuesto: el rival acepta el nuevo horario.
+// Una propuesta reserva el horario solo por un tiempo: si el rival la rechaza o
+// no la acepta antes de que venza, pasa a rechazada/vencida y el horario se libera.
+
+const MATCH_STATUS = {
+    proposed: { label: 'Propuesto', emoji: '📝', color: '#95a5a6' },
+    accepted: { label: 'Aceptado', emoji: '🤝', color: '#3498db' },
+    live: { label: 'En juego', emoji: '🔴', color: '#e67e22' },
+    finished: { label: 'Finalizado', emoji: '🏁', color: '#9b59b6' },
+    confirmed: { label: 'Resultado confirmado', emoji: '✅', color: '#27ae60' },
+    disputed: { label: 'En disputa', emoji: '⚠️', color: '#e74c3c' },
+    walkover: { label: 'Walkover', emoji: '🚫', color: '#7f8c8d' },
+    rejected: { label: 'Rechazado', emoji: '❌', color: '#c0392b' },
+    expired: { label: 'Vencido', emoji: '⌛', color: '#7f8c8d' }
+};
+
+// Estados que ya no ocupan horario ni servidor
+const RELEASED_STATUSES = ['rejected', 'expired'];
+
+// Estados en los que el partido todavía no se jugó y se puede borrar con
+// /cancelar_partido; un partido jugado o con walkover cuenta para la tabla y el cuadro
+const CANCELLABLE_STATUSES = ['proposed', 'accepted', 'rejected', 'expired'];
+
+// Acciones disponibles: nombre → estados de origen y destino
+const TRANSITIONS = {
+    aceptar: { from: ['proposed'], to: 'accepted', label: 'Aceptar', emoji: '🤝' },
+    rechazar: { from: ['proposed'], to: 'rejected', label: 'Rechazar', emoji: '❌' },
+    vencer: { from: ['proposed'], to: 'expired', label: 'Vencer', emoji: '⌛', system: true },
+    reprogramar: { from: ['accepted'], to: 'proposed', label: 'Volver a proponer', emoji: '🔁', system: true },
+    iniciar: { from: ['accepted'], to: 'live', label: 'Iniciar', emoji: '🔴' },
+    resultado: { from: ['accepted', 'live', 'disputed'], to: 'finished', label: 'Cargar resultado', emoji: '📝' },
+    confirmar_resultado: { from: ['finished', 'disputed'], to: 'confirmed', label: 'Confirmar resultado', emoji: '✅' },
+    disputar: { from: ['finished'], to: 'disputed', label: 'Disputar', emoji: '⚠️' },
+    walkover: { from: ['proposed', 'accepted', 'live'], to: 'walkover', label: 'Dar walkover', emoji: '🚫' }
+};
+
+// Los partidos anteriores al ciclo de vida se registraban ya acordados
+const LEGACY_STATUS = 'accepted';
+const INITIAL_STATUS = 'proposed';
+
+const MAX_GOALS = 99;
+
+/**
+ * @param {Object} match - Partido
+ * @returns {string} - Estado actual
+ */
+function statusOf(match) {
+    return MATCH_STATUS[match.status] ? match.status : LEGACY_STATUS;
+}
+
+/**
+ * Texto de presentación del estado con emoji
+ * @param {Object} match - Partido
+ * @returns {string}
+ */
+function statusLabel(match) {
+    const status = MATCH_STATUS[statusOf(match)];
+    return `${status.emoji} ${status.label}`;
+}
+
+/**
+ * Marcador del partido o null si todavía no tiene resultado
+ * @param {Object} match - Partido
+ * @returns {string|null} - ej: "2 - 1", "1 - 1 (4 - 3 pen.)" o "W.O. Equipo"
+ */
+function formatScore(match) {
+    if (!match.result) return null;
+
+    if (match.result.walkoverWinner) {
+        return `W.O. ${match[match.result.walkoverWinner]}`;
+    }
+
+    const penalties = match.result.penalties;
+    return `${match.result.goles1} - ${match.result.goles2}${penalties ? ` (${penalties.goles1} - ${penalties.goles2} pen.)` : ''}`;
+}
+
+/**
+ * @param {Object} match - Partido
+ * @returns {boolean} - Si el partido sigue reservando su horario
+ */
+function holdsSlot(match) {
+    return !RELEASED_STATUSES.includes(statusOf(match));
+}
+
+/**
+ * @param {Object} match - Partido
+ * @returns {boolean} - Si el partido todavía no se jugó y se puede cancelar
+ */
+function canCancel(match) {
+    return CANCELLABLE_STATUSES.includes(statusOf(match));
+}
+
+/**
+ * @param {Object} match - Partido
+ * @returns {Array<string>} - Acciones de usuario que se pueden aplicar en el estado actual
+ */
+function availableTransitions(match) {
+    const status = statusOf(match);
+    return Object.keys(TRANSITIONS)
+        .filter(action => !TRANSITIONS[action].system && TRANSITIONS[action].from.includes(status));
+}
+
+function validateGoals(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_GOALS;
+}
+
+/**
+ * Aplica una acción sobre el partido y la registra en su historial
+ * @param {Object} match - Partido (se modifica)
+ * @param {string} action - Clave de TRANSITIONS
+ * @param {Object} data - { by, goles1, goles2, ganador, motivo, at (ISO; por defecto, ahora) }
+ * @returns {Object} - { success, message, from, to }
+ */
+function applyTransition(match, action, data = {}) {
+    const transition = TRANSITIONS[action];
+    if (!transition) {
+        return { success: false, message: `❌ Acción desconocida: **${action}**` };
+    }
+
+    const from = statusOf(match);
+    if (!transition.from.includes(from)) {
+        const allowed = availableTransitions(match).map(a => `\`${a}\``).join(', ') || 'ninguna';
+        return {
+            success: false,
+            message: `❌ No se puede **${transition.label.toLowerCase()}** un partido en estado ${statusLabel(match)}\n\n` +
+                `**Acciones disponibles:** ${allowed}`
+        };
+    }
+
+    const now = data.at || new Date().toISOString();
+    const entry = { action: 'estado', from, to: transition.to, by: data.by || null, at: now };
+
+    if (action === 'resultado') {
+        const goles1 = Number(data.goles1);
+        const goles2 = Number(data.goles2);
+        if (!validateGoals(goles1) || !validateGoals(goles2)) {
+            return { success: false, message: `❌ Los goles deben ser números enteros entre 0 y ${MAX_GOALS}` };
+        }
+
+        match.result = { goles1, goles2, walkoverWinner: null, reportedBy: data.by || null, reportedAt: now };
+        entry.result = { goles1, goles2 };
+    }
+
+    if (action === 'walkover') {
+        if (data.ganador !== 'equipo1' && data.ganador !== 'equipo2') {
+            return { success: false, message: '❌ Indica qué equipo gana por walkover' };
+        }
+
+        match.result = { goles1: null, goles2: null, walkoverWinner: data.ganador, reportedBy: data.by || null, reportedAt: now };
+        entry.winner = match[data.ganador];
+    }
+
+    if (action === 'disputar') {
+        const motivo = String(data.motivo || '').trim();
+        if (!motivo) {
+            return { success: false, message: '❌ Indica el motivo de la disputa' };
+        }
+
+        match.dispute = { reason: motivo.slice(0, 500), by: data.by || null, at: now };
+        entry.reason = match.dispute.reason;
+    }
+
+    if (action === 'confirmar_resultado') {
+        match.dispute = null;
+    }
+
+    if (action === 'rechazar' && data.motivo) {
+        entry.reason = String(data.motivo).trim().slice(0, 500);
+    }
+
+    if (action === 'aceptar' || action === 'rechazar' || action === 'vencer') {
+        match.holdExpiresAt = null;
+    }
+
+    match.status = transition.to;
+    match.statusChangedAt = now;
+    match.history = match.history || [];
+    match.history.push(entry);
+
+    return { success: true, from, to: transition.to };
+}
+
+module.exports = {
+    MATCH_STATUS,
+    TRANSITIONS,
+    INITIAL_STATUS,
+    RELEASED_STATUSES,
+    CANCELLABLE_STATUSES,
+    statusOf,
+    holdsSlot,
+    canCancel,
+    statusLabel,
+    formatScore,
+    availableTransitions,
+    applyTransition
+};
@@ -0,0 +1,218 @@
+// Permisos por comando. Cada comando (o subcomando) exige un nivel mínimo y
+// cada servidor de Discord guarda sus propios ajustes: a qué usuarios y roles
+// se les otorga cada nivel, qué comandos cambian su nivel por defecto y si el
+// bot está abierto a todos o solo a quienes tienen un nivel otorgado.
+const COLLECTION = 'permissions';
+
+const PERMISSION_LEVELS = {
+    viewer: { rank: 0, label: 'Espectador', emoji: '👀' },
+    captain: { rank: 1, label: 'Capitán', emoji: '🎖️' },
+    organiser: { rank: 2, label: 'Organizador', emoji: '🗂️' },
+    admin: { rank: 3, label: 'Administrador', emoji: '🛡️' }
+};
+
+// Nivel mínimo por defecto. "comando subcomando" tiene prioridad sobre "comando";
+// lo que no figura acá es de nivel espectador
+const DEFAULT_POLICIES = {
+    proponer_partido: 'captain',
+    confirmar_partido: 'captain',
+    cancelar_partido: 'captain',
+    reprogramar_partido: 'captain',
+    partido: 'captain',
+    'partido ver': 'viewer',
+    'torneo crear': 'organiser',
+    'torneo renombrar': 'organiser',
+    'torneo editar': 'organiser',
+    'torneo archivar': 'organiser',
+    'torneo reactivar': 'organiser',
+    fixture: 'organiser',
+    'equipo crear': 'organiser',
+    'equipo alias': 'organiser',
+    'equipo quitar_alias': 'organiser',
+    'equipo capitan': 'organiser',
+    'equipo quitar_capitan': 'organiser',
+    'equipo rol': 'organiser',
+    'equipo eliminar': 'organiser',
+    'reglas establecer': 'organiser',
+    'reglas restablecer': 'organiser',
+    'zona_horaria liga': 'admin',
+    stop_status: 'organiser',
+    alertas: 'organiser',
+    'alertas ver': 'viewer',
+    config: 'admin',
+    permisos: 'admin',
+    // Acciones dentro de un comando, que piden más nivel que el comando en sí
+    'partido ajenos': 'organiser', // partidos de otros equipos y de equipos sin capitanes
+    'torneo puntuacion editar': 'organiser',
+    'torneo equipos editar': 'organiser'
+};
+
+// Las acciones se ajustan con /permisos comando igual que un subcomando
+const ACTION_POLICIES = ['partido ajenos', 'torneo puntuacion editar', 'torneo equipos editar'];
+
+// Comandos cuyo nivel no se puede cambiar, para no perder el acceso a la configuración
+const LOCKED_POLICIES = ['permisos'];
+
+function rankOf(level) {
+    return level && PERMISSION_LEVELS[level] ? PERMISSION_LEVELS[level].rank : -1;
+}
+
+/**
+ * @returns {boolean} - true si el nivel alcanza el mínimo pedido
+ */
+function meetsLevel(level, required) {
+    return rankOf(level) >= rankOf(required);
+}
+
+function highestLevel(levels) {
+    return levels.reduce((best, level) => rankOf(level) > rankOf(best) ? level : best, null);
+}
+
+function levelLabel(level) {
+    const info = PERMISSION_LEVELS[level];
+    return info ? `${info.emoji} ${info.label}` : '🚫 Sin acceso';
+}
+
+class PermissionSettings {
+    constructor(store) {
+        this.store = store;
+        this.guilds = this.store.loadCollection(COLLECTION) || {};
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.guilds);
+    }
+
+    /**
+     * Ajustes de un servidor (vacíos si nunca se configuró)
+     * @param {string|null} guildId - null para mensajes directos
+     */
+    forGuild(guildId) {
+        const settings = this.guilds[guildId || 'dm'] || {};
+        return {
+            restricted: Boolean(settings.restricted),
+            users: settings.users || {},
+            roles: settings.roles || {},
+            commands: settings.commands || {}
+        };
+    }
+
+    update(guildId, change) {
+        const settings = this.forGuild(guildId);
+        change(settings);
+        this.guilds[guildId || 'dm'] = settings;
+        this.save();
+        return settings;
+    }
+
+    /**
+     * Nivel de un usuario en un servidor
+     * @param {string|null} guildId
+     * @param {Object} subject - { userId, roleIds, isAdmin, isCaptain }
+     * @returns {string|null} - Nivel o null si el servidor es restringido y no tiene ninguno
+     */
+    levelOf(guildId, { userId, roleIds = [], isAdmin = false, isCaptain = false }) {
+        if (isAdmin) {
+            return 'admin';
+        }
+
+        const settings = this.forGuild(guildId);
+        const level = highestLevel([
+            settings.users[userId],
+            ...roleIds.map(roleId => settings.roles[roleId]),
+            isCaptain ? 'captain' : null
+        ]);
+
+        return level || (settings.restricted ? null : 'viewer');
+    }
+
+    /**
+     * Nivel mínimo de un comando: primero la acción, después el subcomando y
+     * por último el comando, en cada caso el ajuste del servidor antes que el
+     * valor por defecto
+     * @returns {Object} - { level, key (la clave que decidió), custom (si es un ajuste del servidor) }
+     */
+    policyFor(guildId, command, subcommand = null, action = null) {
+        const { commands } = this.forGuild(guildId);
+        const keys = [
+            subcommand && action ? `${command} ${subcommand} ${action}` : null,
+            subcommand ? `${command} ${subcommand}` : null,
+            command
+        ].filter(Boolean);
+
+        for (const key of keys) {
+            if (commands[key] && !LOCKED_POLICIES.includes(command)) {
+                return { level: commands[key], key, custom: true };
+            }
+            if (DEFAULT_POLICIES[key]) {
+                return { level: DEFAULT_POLICIES[key], key, custom: false };
+            }
+        }
+
+        return { level: 'viewer', key: command, custom: false };
+    }
+
+    /**
+     * @param {Object} subject - { type: 'user' | 'role', id }
+     * @param {string|null} level - null revoca lo otorgado
+     */
+    grant(guildId, subject, level) {
+        if (level !== null && !PERMISSION_LEVELS[level]) {
+            return { success: false, message: `❌ Nivel desconocido: **${level}**` };
+        }
+
+        const field = subject.type === 'role' ? 'roles' : 'users';
+        const previous = this.forGuild(guildId)[field][subject.id] || null;
+        if (level === null && !previous) {
+            return { success: false, message: '❌ No tiene ningún nivel otorgado en este servidor' };
+        }
+
+        this.update(guildId, settings => {
+            if (level === null) {
+                delete settings[field][subject.id];
+            } else {
+                settings[field][subject.id] = level;
+            }
+        });
+        return { success: true, previous, level };
+    }
+
+    /**
+     * @param {string} key - "comando" o "comando subcomando"
+     * @param {string|null} level - null vuelve al nivel por defecto
+     */
+    setCommandPolicy(guildId, key, level) {
+        if (LOCKED_POLICIES.includes(key.split(' ')[0])) {
+            return { success: false, message: `❌ El nivel de \`/${key}\` no se puede cambiar` };
+        }
+        if (level !== null && !PERMISSION_LEVELS[level]) {
+            return { success: false, message: `❌ Nivel desconocido: **${level}**` };
+        }
+
+        this.update(guildId, settings => {
+            if (level === null) {
+                delete settings.commands[key];
+            } else {
+                settings.commands[key] = level;
+            }
+        });
+        return { success: true, key, level };
+    }
+
+    setRestricted(guildId, restricted) {
+        this.update(guildId, settings => {
+            settings.restricted = restricted;
+        });
+        return { success: true, restricted };
+    }
+}
+
+module.exports = {
+    PERMISSION_LEVELS,
+    DEFAULT_POLICIES,
+    ACTION_POLICIES,
+    LOCKED_POLICIES,
+    PermissionSettings,
+    meetsLevel,
+    levelLabel
+};
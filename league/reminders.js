@@ -0,0 +1,137 @@
+// Recordatorios de partidos. Cada partido aceptado guarda sus avisos en
+// match.reminders, junto con el resto de sus datos, así que sobreviven a un
+// reinicio del bot. Este módulo no consulta el reloj ni envía mensajes: decide
+// qué avisos corresponden y cuál toca enviar en cada pasada.
+const { statusOf } = require('./matchStatus');
+
+// Minutos antes del inicio en los que se avisa (0 = aviso de inicio)
+const DEFAULT_REMINDER_OFFSETS = [1440, 60, 15, 0];
+
+// Pasado este margen desde el inicio ya no se envía ningún aviso atrasado
+const KICKOFF_GRACE = 10 * 60000;
+
+const UNIT_MINUTES = { d: 1440, h: 60, m: 1, min: 1 };
+
+/**
+ * Solo se recuerdan los partidos acordados que todavía no empezaron
+ */
+function awaitsKickoff(match) {
+    return statusOf(match) === 'accepted';
+}
+
+/**
+ * Interpreta una lista de avisos como "24h, 1h, 15m, 0"
+ * @param {string} input
+ * @returns {Array<number>|null} - Minutos antes del inicio, de mayor a menor, o null si no es válida
+ */
+function parseReminderOffsets(input) {
+    if (!input || !input.trim()) {
+        return null;
+    }
+
+    const offsets = new Set();
+    for (const token of input.split(/[,\s]+/).filter(Boolean)) {
+        const parsed = token.toLowerCase().match(/^(\d+)(d|h|m|min)?$/);
+        if (!parsed) {
+            return null;
+        }
+        offsets.add(parseInt(parsed[1], 10) * UNIT_MINUTES[parsed[2] || 'm']);
+    }
+
+    return [...offsets].sort((a, b) => b - a);
+}
+
+/**
+ * @param {number} minutes - Minutos antes del inicio
+ * @returns {string} - ej: "24 h", "15 min", "1 h 30 min"
+ */
+function formatOffset(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) {
+        return `${rest} min`;
+    }
+    return rest === 0 ? `${hours} h` : `${hours} h ${rest} min`;
+}
+
+/**
+ * Arma (o rehace, si cambió el horario o la lista de avisos) los avisos del partido.
+ * Los que ya deberían haber salido al programarlos se dan por omitidos: un partido
+ * acordado 30 minutos antes no recibe el aviso de 24 h
+ * @param {Object} match - Partido (se modifica)
+ * @param {number} start - Instante de inicio
+ * @param {Array<number>} offsets - Minutos antes del inicio
+ * @param {number} now - Instante actual
+ * @returns {boolean} - true si hubo cambios que guardar
+ */
+function syncReminders(match, start, offsets, now) {
+    const startAt = new Date(start).toISOString();
+    const current = match.reminders && match.reminders.startAt === startAt ? match.reminders.jobs : [];
+
+    if (current.length === offsets.length && offsets.every(offset => current.some(job => job.offset === offset))) {
+        return false;
+    }
+
+    match.reminders = {
+        startAt,
+        jobs: offsets.map(offset => {
+            const existing = current.find(job => job.offset === offset);
+            if (existing) {
+                return existing;
+            }
+
+            const dueAt = start - offset * 60000;
+            return {
+                offset,
+                dueAt: new Date(dueAt).toISOString(),
+                sentAt: null,
+                skipped: dueAt <= now
+            };
+        })
+    };
+    return true;
+}
+
+/**
+ * Toma el aviso que corresponde enviar ahora y lo marca como enviado. Si el bot
+ * estuvo apagado y se acumularon varios, solo sale el más cercano al inicio
+ * @param {Object} match - Partido (se modifica)
+ * @param {number} start - Instante de inicio
+ * @param {number} now - Instante actual
+ * @returns {Object|null} - Aviso ({ offset, dueAt, sentAt }) o null si no toca ninguno
+ */
+function takeDueReminder(match, start, now) {
+    if (!match.reminders || !awaitsKickoff(match)) {
+        return null;
+    }
+
+    const due = match.reminders.jobs
+        .filter(job => !job.sentAt && !job.skipped && new Date(job.dueAt).getTime() <= now)
+        .sort((a, b) => a.offset - b.offset);
+
+    if (due.length === 0) {
+        return null;
+    }
+
+    for (const job of due) {
+        job.skipped = true;
+    }
+
+    if (now >= start + KICKOFF_GRACE) {
+        return null;
+    }
+
+    const [next] = due;
+    next.skipped = false;
+    next.sentAt = new Date(now).toISOString();
+    return next;
+}
+
+module.exports = {
+    DEFAULT_REMINDER_OFFSETS,
+    awaitsKickoff,
+    parseReminderOffsets,
+    formatOffset,
+    syncReminders,
+    takeDueReminder
+};
@@ -0,0 +1,140 @@
+// Captura automática de resultados: relaciona lo que informa sv_matchinfojson
+// (ya parseado por parseMatchInfo) con el partido programado correspondiente
+const { normalizeName } = require('./textUtils');
+const { getActivePlayers } = require('../monitoring/matchParser');
+const { statusOf } = require('./matchStatus');
+const { zonedTimeToInstant, DEFAULT_TIMEZONE } = require('./timezone');
+
+// Períodos de IOSoccer que indican partido terminado o en juego
+const FINISHED_PERIODS = ['FULL TIME', 'FULLTIME', 'FINISHED', 'POSTMATCH', 'POST MATCH'];
+const IDLE_PERIODS = ['PREMATCH', 'PRE MATCH', 'WARMUP', 'WARM UP', 'N/A', 'UNKNOWN'];
+
+// Margen alrededor del horario programado en el que se busca el partido
+const CAPTURE_WINDOW = {
+    beforeMinutes: 30,
+    afterMinutes: 240
+};
+
+function normalizePeriod(period) {
+    return String(period || '').trim().toUpperCase();
+}
+
+/**
+ * @param {string} period - Período informado por el servidor
+ * @returns {boolean}
+ */
+function isFinishedPeriod(period) {
+    const value = normalizePeriod(period);
+    return FINISHED_PERIODS.some(p => value.includes(p));
+}
+
+/**
+ * @param {Object} matchInfo - Resultado de parseMatchInfo
+ * @returns {boolean} - Si hay un partido corriendo (ni previa ni terminado)
+ */
+function isLivePeriod(matchInfo) {
+    const value = normalizePeriod(matchInfo.period);
+    return !isFinishedPeriod(value) && !IDLE_PERIODS.includes(value) && (matchInfo.time_seconds || 0) > 0;
+}
+
+/**
+ * Hora de inicio programada de un partido
+ * @param {Object} match - Partido
+ * @param {string} timeZone - Zona horaria de la liga
+ * @returns {number} - Milisegundos epoch
+ */
+function scheduledStart(match, timeZone = DEFAULT_TIMEZONE) {
+    return zonedTimeToInstant(match.date, match.time, timeZone);
+}
+
+/**
+ * Busca el partido programado que se está jugando en un servidor
+ * @param {Array<Object>} matches - Partidos guardados
+ * @param {Object} matchInfo - Resultado de parseMatchInfo
+ * @param {Object} options - { serverName, now, timeZone, teamKey }
+ *   teamKey(nombre, id) devuelve una clave comparable para un equipo
+ * @returns {Object|null} - { match, swapped } (swapped: local y visitante invertidos en el servidor)
+ */
+function findFixture(matches, matchInfo, options = {}) {
+    const now = options.now || Date.now();
+    const start = match => scheduledStart(match, options.timeZone);
+    const teamKey = options.teamKey || ((name) => normalizeName(name));
+
+    const home = teamKey(matchInfo.team_home);
+    const away = teamKey(matchInfo.team_away);
+    if (!home || !away || home === away) {
+        return null;
+    }
+
+    const candidates = matches
+        .filter(match => ['accepted', 'live'].includes(statusOf(match)))
+        .filter(match => {
+            const startsAt = start(match);
+            return now >= startsAt - CAPTURE_WINDOW.beforeMinutes * 60000 &&
+                now <= startsAt + CAPTURE_WINDOW.afterMinutes * 60000;
+        })
+        .map(match => {
+            const side1 = teamKey(match.equipo1, match.equipo1Id);
+            const side2 = teamKey(match.equipo2, match.equipo2Id);
+
+            if (side1 === home && side2 === away) return { match, swapped: false };
+            if (side1 === away && side2 === home) return { match, swapped: true };
+            return null;
+        })
+        .filter(Boolean);
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    // Si hay más de uno, primero el asignado a este servidor y luego el más cercano en hora
+    candidates.sort((a, b) => {
+        const serverA = a.match.server === options.serverName ? 0 : 1;
+        const serverB = b.match.server === options.serverName ? 0 : 1;
+        if (serverA !== serverB) return serverA - serverB;
+        return Math.abs(start(a.match) - now) - Math.abs(start(b.match) - now);
+    });
+
+    return candidates[0];
+}
+
+/**
+ * Marcador, goleadores y alineaciones orientados a equipo1/equipo2 del partido
+ * @param {Object} matchInfo - Resultado de parseMatchInfo
+ * @param {boolean} swapped - Si el local del servidor es equipo2
+ * @returns {Object} - { goles1, goles2, scorers, lineups }
+ */
+function extractResult(matchInfo, swapped = false) {
+    const sideOf = team => ((team === 'home') !== swapped ? 'equipo1' : 'equipo2');
+
+    const scorers = (matchInfo.goals_detail || []).map(goal => ({
+        side: sideOf(goal.team),
+        minute: goal.minute,
+        scorer: goal.scorer_name,
+        assist: goal.assist_name || null,
+        period: goal.period,
+        real: goal.is_real !== false
+    }));
+
+    const homeLineup = getActivePlayers(matchInfo.lineup_home);
+    const awayLineup = getActivePlayers(matchInfo.lineup_away);
+
+    return {
+        goles1: swapped ? matchInfo.goals_away : matchInfo.goals_home,
+        goles2: swapped ? matchInfo.goals_home : matchInfo.goals_away,
+        scorers,
+        lineups: {
+            equipo1: swapped ? awayLineup : homeLineup,
+            equipo2: swapped ? homeLineup : awayLineup
+        }
+    };
+}
+
+module.exports = {
+    CAPTURE_WINDOW,
+    isFinishedPeriod,
+    isLivePeriod,
+    scheduledStart,
+    findFixture,
+    extractResult
+};
@@ -0,0 +1,546 @@
+// Motor declarativo de reglas de programación de partidos
+//
+// Las reglas son un objeto JSON editable por los administradores:
+//
+// {
+//   "slotMinutes": 15,
+//   "slots": [
+//     { "days": [1, 2, 3, 4, 5], "from": "21:00", "to": "23:45" },
+//     { "days": [0, 6], "from": "15:00", "to": "23:45" }
+//   ],
+//   "window": { "minutes": 45, "maxMatches": 3 },
+//   "tournaments": {
+//     "Copa Maradei": { "maxPerDay": 2, "window": { "minutes": 90, "maxMatches": 1 } }
+//   },
+//   "teams": { "maxMatchesPerDay": 1, "minRestMinutes": 120 },
+//   "blackouts": [{ "date": "2025-12-24", "reason": "Nochebuena", "tournaments": [] }],
+//   "servers": { "matchMinutes": 45, "pool": ["IOSSA #1", "IOSSA #2", "IOSSA #3"] }
+// }
+//
+// days usa 0 = domingo ... 6 = sábado. Un torneo puede definir sus propios
+// "slots" y reemplazar los generales. "servers.pool" vacío significa que
+// todos los servidores configurados pueden alojar partidos oficiales.
+
+const { normalizeName } = require('./textUtils');
+
+const COLLECTION = 'scheduling_rules';
+
+// Reproduce el comportamiento histórico: 21:00-23:45 todos los días,
+// máximo 3 partidos en cualquier ventana de ±45 minutos
+const DEFAULT_RULES = {
+    slotMinutes: 15,
+    slots: [
+        { days: [0, 1, 2, 3, 4, 5, 6], from: '21:00', to: '23:45' }
+    ],
+    window: { minutes: 45, maxMatches: 3 },
+    tournaments: {},
+    teams: { maxMatchesPerDay: null, minRestMinutes: 0 },
+    blackouts: [],
+    servers: { matchMinutes: 45, pool: [] }
+};
+
+const RULE_NAMES = {
+    fecha_bloqueada: '📵 Fecha bloqueada',
+    horario: '🕐 Horario fuera de rango',
+    ventana: '⏱️ Ventana de partidos llena',
+    cupo_torneo: '🏆 Cupo diario del torneo',
+    ventana_torneo: '🏆 Ventana del torneo llena',
+    equipo_por_dia: '👥 Partidos por día del equipo',
+    descanso: '😴 Descanso mínimo entre partidos',
+    servidor_ocupado: '🖥️ Servidor ocupado',
+    sin_servidores: '🖥️ Sin servidores libres'
+};
+
+const DAY_NAMES = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'];
+
+/**
+ * Convierte "HH:MM" a minutos desde la medianoche
+ * @param {string} time
+ * @returns {number} - NaN si el formato no es válido
+ */
+function toMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time || '').trim());
+    if (!match) return NaN;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return NaN;
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Convierte minutos desde la medianoche a "HH:MM"
+ * @param {number} minutes
+ * @returns {string}
+ */
+function fromMinutes(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Día de la semana de una fecha YYYY-MM-DD (independiente de la zona horaria del host)
+ * @param {string} date
+ * @returns {number} - 0 = domingo
+ */
+function weekdayOf(date) {
+    return new Date(`${date}T12:00:00Z`).getUTCDay();
+}
+
+/**
+ * Minutos absolutos de un partido, para comparar entre días distintos
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {number}
+ */
+function absoluteMinutes(date, time) {
+    return Date.parse(`${date}T00:00:00Z`) / 60000 + toMinutes(time);
+}
+
+/**
+ * Valida la estructura de un objeto de reglas
+ * @param {Object} rules
+ * @returns {Array<string>} - Errores encontrados
+ */
+function validateRules(rules) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        return ['Las reglas deben ser un objeto JSON'];
+    }
+
+    if (!Number.isInteger(rules.slotMinutes) || rules.slotMinutes < 5 || rules.slotMinutes > 120) {
+        errors.push('slotMinutes debe ser un entero entre 5 y 120');
+    }
+
+    const checkSlots = (slots, where) => {
+        if (!Array.isArray(slots) || slots.length === 0) {
+            errors.push(`${where}: slots debe ser una lista no vacía`);
+            return;
+        }
+        slots.forEach((slot, i) => {
+            if (!slot || typeof slot !== 'object') {
+                errors.push(`${where}: slots[${i}] debe ser un objeto`);
+                return;
+            }
+            if (!Array.isArray(slot.days) || slot.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+                errors.push(`${where}: slots[${i}].days debe contener días 0-6`);
+            }
+            if (isNaN(toMinutes(slot.from)) || isNaN(toMinutes(slot.to)) || toMinutes(slot.from) > toMinutes(slot.to)) {
+                errors.push(`${where}: slots[${i}] debe tener from <= to en formato HH:MM`);
+            }
+        });
+    };
+
+    const checkWindow = (window, where) => {
+        if (window === null || window === undefined) return;
+        if (!Number.isInteger(window.minutes) || window.minutes < 0 || !Number.isInteger(window.maxMatches) || window.maxMatches < 1) {
+            errors.push(`${where}: window necesita minutes >= 0 y maxMatches >= 1 enteros`);
+        }
+    };
+
+    checkSlots(rules.slots, 'general');
+    checkWindow(rules.window, 'general');
+
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    if (rules.tournaments !== undefined && rules.tournaments !== null && !isObject(rules.tournaments)) {
+        errors.push('tournaments debe ser un objeto con la configuración de cada torneo');
+    }
+
+    for (const [name, config] of Object.entries(isObject(rules.tournaments) ? rules.tournaments : {})) {
+        if (!isObject(config)) {
+            errors.push(`${name}: la configuración del torneo debe ser un objeto`);
+            continue;
+        }
+        if (config.slots !== undefined) checkSlots(config.slots, name);
+        checkWindow(config.window, name);
+        if (config.maxPerDay !== undefined && config.maxPerDay !== null && (!Number.isInteger(config.maxPerDay) || config.maxPerDay < 1)) {
+            errors.push(`${name}: maxPerDay debe ser un entero >= 1`);
+        }
+    }
+
+    const teams = rules.teams || {};
+    if (teams.maxMatchesPerDay !== null && teams.maxMatchesPerDay !== undefined && (!Number.isInteger(teams.maxMatchesPerDay) || teams.maxMatchesPerDay < 1)) {
+        errors.push('teams.maxMatchesPerDay debe ser un entero >= 1 o null');
+    }
+    if (teams.minRestMinutes !== undefined && (!Number.isInteger(teams.minRestMinutes) || teams.minRestMinutes < 0)) {
+        errors.push('teams.minRestMinutes debe ser un entero >= 0');
+    }
+
+    const servers = rules.servers || {};
+    if (!Number.isInteger(servers.matchMinutes) || servers.matchMinutes < 15 || servers.matchMinutes > 240) {
+        errors.push('servers.matchMinutes debe ser un entero entre 15 y 240');
+    }
+    if (!Array.isArray(servers.pool) || servers.pool.some(name => typeof name !== 'string')) {
+        errors.push('servers.pool debe ser una lista de nombres de servidor');
+    }
+
+    (rules.blackouts || []).forEach((blackout, i) => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test((blackout && blackout.date) || '')) {
+            errors.push(`blackouts[${i}].date debe tener formato YYYY-MM-DD`);
+        }
+    });
+
+    return errors;
+}
+
+class SchedulingRules {
+    constructor(store) {
+        this.store = store;
+        this.rules = this.withDefaults(this.store.loadCollection(COLLECTION));
+        this.servers = [];
+    }
+
+    withDefaults(rules) {
+        return {
+            ...DEFAULT_RULES,
+            ...(rules || {}),
+            teams: { ...DEFAULT_RULES.teams, ...((rules && rules.teams) || {}) },
+            servers: { ...DEFAULT_RULES.servers, ...((rules && rules.servers) || {}) }
+        };
+    }
+
+    /**
+     * Servidores de juego disponibles (CONFIG.servers). Sin servidores
+     * configurados no se aplica la regla de ocupación
+     * @param {Array<Object>} servers
+     */
+    setServers(servers) {
+        this.servers = servers || [];
+    }
+
+    /**
+     * Servidores que pueden alojar partidos oficiales
+     * @returns {Array<Object>}
+     */
+    matchServers() {
+        const pool = (this.rules.servers.pool || []).map(normalizeName);
+        if (pool.length === 0) return this.servers;
+        return this.servers.filter(server => pool.includes(normalizeName(server.name)));
+    }
+
+    findServer(name) {
+        const key = normalizeName(name);
+        return this.servers.find(server => normalizeName(server.name) === key) || null;
+    }
+
+    /**
+     * Asigna un servidor libre al candidato según la ocupación real: cada
+     * partido ocupa su servidor durante servers.matchMinutes
+     * @param {Array<Object>} others - Partidos ya programados
+     * @param {Object} candidate - Con date, time y opcionalmente server (fijado)
+     * @returns {Object} - { server, violation }
+     */
+    assignServer(others, candidate) {
+        const { matchMinutes } = this.rules.servers;
+        const start = absoluteMinutes(candidate.date, candidate.time);
+        const overlapping = others.filter(match =>
+            Math.abs(absoluteMinutes(match.date, match.time) - start) < matchMinutes
+        );
+        const busy = (server) => overlapping.filter(match => match.server && normalizeName(match.server) === normalizeName(server.name));
+
+        if (candidate.server) {
+            const pinned = this.findServer(candidate.server);
+            if (!pinned) {
+                return { server: null, violation: ['servidor_ocupado', `No existe el servidor ${candidate.server}`, []] };
+            }
+            const conflicts = busy(pinned);
+            if (conflicts.length > 0) {
+                return { server: null, violation: ['servidor_ocupado', `${pinned.name} está ocupado durante los ${matchMinutes} minutos de ese partido`, conflicts] };
+            }
+            return { server: pinned, violation: null };
+        }
+
+        // Los partidos antiguos sin servidor asignado ocupan uno cualquiera
+        const unassigned = overlapping.filter(match => !match.server);
+        const free = this.matchServers().filter(server => busy(server).length === 0);
+
+        if (free.length <= unassigned.length) {
+            return {
+                server: null,
+                violation: ['sin_servidores', `Los ${this.matchServers().length} servidores de partidos están ocupados en ese horario (partidos de ${matchMinutes} minutos)`, overlapping]
+            };
+        }
+
+        return { server: free[0], violation: null };
+    }
+
+    /**
+     * Reemplaza las reglas (validando antes de guardar)
+     * @param {Object} rules
+     * @returns {Object} - { success, errors }
+     */
+    setRules(rules) {
+        const merged = this.withDefaults(rules);
+        const errors = validateRules(merged);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        this.rules = merged;
+        this.store.saveCollection(COLLECTION, this.rules);
+        return { success: true, errors: [] };
+    }
+
+    reset() {
+        this.rules = this.withDefaults(null);
+        this.store.saveCollection(COLLECTION, this.rules);
+    }
+
+    tournamentConfig(torneo) {
+        const key = normalizeName(torneo);
+        const entry = Object.entries(this.rules.tournaments || {}).find(([name]) => normalizeName(name) === key);
+        return entry ? entry[1] : {};
+    }
+
+    /**
+     * Horarios permitidos para una fecha (y torneo, si tiene los suyos)
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} torneo - Opcional
+     * @returns {Array<string>} - HH:MM ordenados
+     */
+    slotsForDate(date, torneo = null) {
+        const weekday = weekdayOf(date);
+        const config = torneo ? this.tournamentConfig(torneo) : {};
+        const ranges = (config.slots || this.rules.slots).filter(range => range.days.includes(weekday));
+
+        return this.expandRanges(ranges);
+    }
+
+    /**
+     * Todos los horarios que aparecen en alguna regla (para ayudas y autocompletado)
+     * @returns {Array<string>}
+     */
+    allSlots() {
+        const ranges = [...this.rules.slots];
+        Object.values(this.rules.tournaments || {}).forEach(config => ranges.push(...(config.slots || [])));
+        return this.expandRanges(ranges);
+    }
+
+    expandRanges(ranges) {
+        const minutes = new Set();
+        for (const range of ranges) {
+            for (let m = toMinutes(range.from); m <= toMinutes(range.to); m += this.rules.slotMinutes) {
+                minutes.add(m);
+            }
+        }
+        return [...minutes].sort((a, b) => a - b).map(fromMinutes);
+    }
+
+    /**
+     * Identidad de un equipo en un partido: ID del registro o nombre normalizado
+     */
+    teamKeys(match) {
+        return [
+            match.equipo1Id || normalizeName(match.equipo1),
+            match.equipo2Id || normalizeName(match.equipo2)
+        ];
+    }
+
+    /**
+     * Evalúa todas las reglas para un partido candidato
+     * @param {Array<Object>} matches - Partidos que ocupan horario
+     * @param {Object} candidate - { date, time, torneo, equipo1, equipo2, equipo1Id, equipo2Id, server }
+     * @param {Object} options - { excludeMatchId, stopAtFirst }
+     * @returns {Object} - { allowed, violations: [{ rule, title, message, conflicts }], server }
+     */
+    evaluate(matches, candidate, options = {}) {
+        const violations = [];
+        const others = matches.filter(match => match.id !== options.excludeMatchId);
+        const candidateAbsolute = absoluteMinutes(candidate.date, candidate.time);
+        const push = (rule, message, conflicts = []) => violations.push({ rule, title: RULE_NAMES[rule], message, conflicts });
+        const done = () => options.stopAtFirst && violations.length > 0;
+
+        // 1. Fechas bloqueadas
+        const blackout = (this.rules.blackouts || []).find(b =>
+            b.date === candidate.date &&
+            (!b.tournaments || b.tournaments.length === 0 || b.tournaments.some(t => normalizeName(t) === normalizeName(candidate.torneo)))
+        );
+        if (blackout) {
+            push('fecha_bloqueada', `El ${candidate.date} no se programan partidos${blackout.reason ? ` (${blackout.reason})` : ''}`);
+            if (done()) return { allowed: false, violations };
+        }
+
+        // 2. Rango horario del día
+        const slots = this.slotsForDate(candidate.date, candidate.torneo);
+        if (!slots.includes(candidate.time)) {
+            push('horario', slots.length > 0
+                ? `Los horarios válidos para ese día son ${slots[0]} a ${slots[slots.length - 1]} cada ${this.rules.slotMinutes} minutos`
+                : 'No hay horarios habilitados para ese día');
+            if (done()) return { allowed: false, violations };
+        }
+
+        // Las ventanas se miden en minutos absolutos: un partido a las 23:45 y
+        // otro a las 00:15 del día siguiente están a 30 minutos
+        const windowConflicts = (list, window) => list.filter(match =>
+            Math.abs(absoluteMinutes(match.date, match.time) - candidateAbsolute) <= window.minutes
+        );
+
+        // 3. Ventana deslizante general
+        if (this.rules.window) {
+            const conflicts = windowConflicts(others, this.rules.window);
+            if (conflicts.length >= this.rules.window.maxMatches) {
+                push('ventana', `Ya hay ${conflicts.length} partidos dentro de ±${this.rules.window.minutes} minutos (máximo ${this.rules.window.maxMatches})`, conflicts);
+                if (done()) return { allowed: false, violations };
+            }
+        }
+
+        // 4. Capacidad por torneo
+        const tournamentConfig = this.tournamentConfig(candidate.torneo);
+        const sameTournament = others.filter(match => normalizeName(match.torneo) === normalizeName(candidate.torneo));
+        const tournamentMatches = sameTournament.filter(match => match.date === candidate.date);
+
+        if (tournamentConfig.maxPerDay && tournamentMatches.length >= tournamentConfig.maxPerDay) {
+            push('cupo_torneo', `${candidate.torneo} admite ${tournamentConfig.maxPerDay} partidos por día y ya tiene ${tournamentMatches.length}`, tournamentMatches);
+            if (done()) return { allowed: false, violations };
+        }
+
+        if (tournamentConfig.window) {
+            const conflicts = windowConflicts(sameTournament, tournamentConfig.window);
+            if (conflicts.length >= tournamentConfig.window.maxMatches) {
+                push('ventana_torneo', `${candidate.torneo} admite ${tournamentConfig.window.maxMatches} partidos dentro de ±${tournamentConfig.window.minutes} minutos`, conflicts);
+                if (done()) return { allowed: false, violations };
+            }
+        }
+
+        // 5. Partidos por equipo y día, y descanso mínimo
+        const candidateTeams = this.teamKeys(candidate);
+        const candidateNames = [candidate.equipo1, candidate.equipo2];
+        const teamRules = this.rules.teams || {};
+
+        candidateTeams.forEach((teamKey, index) => {
+            const teamMatches = others.filter(match => this.teamKeys(match).includes(teamKey));
+
+            if (teamRules.maxMatchesPerDay) {
+                const sameDay = teamMatches.filter(match => match.date === candidate.date);
+                if (sameDay.length >= teamRules.maxMatchesPerDay) {
+                    push('equipo_por_dia', `${candidateNames[index]} ya juega ${sameDay.length} partido(s) ese día (máximo ${teamRules.maxMatchesPerDay})`, sameDay);
+                }
+            }
+
+            if (teamRules.minRestMinutes > 0) {
+                const tooClose = teamMatches.filter(match =>
+                    Math.abs(absoluteMinutes(match.date, match.time) - candidateAbsolute) < teamRules.minRestMinutes
+                );
+                if (tooClose.length > 0) {
+                    push('descanso', `${candidateNames[index]} necesita ${teamRules.minRestMinutes} minutos de descanso entre partidos`, tooClose);
+                }
+            }
+        });
+
+        // 6. Ocupación de los servidores de juego
+        let server = null;
+        if (this.servers.length > 0 && !done()) {
+            const assignment = this.assignServer(others, candidate);
+            if (assignment.violation) {
+                push(...assignment.violation);
+            }
+            server = assignment.server;
+        }
+
+        return { allowed: violations.length === 0, violations, server };
+    }
+
+    /**
+     * Horarios del día que cumplen todas las reglas para el candidato
+     * @param {Array<Object>} matches
+     * @param {Object} candidate - Igual que evaluate (time se ignora)
+     * @param {Object} options - { excludeMatchId, limit }
+     * @returns {Array<string>}
+     */
+    findAvailableSlots(matches, candidate, options = {}) {
+        const available = [];
+        const limit = options.limit || 3;
+
+        for (const slot of this.slotsForDate(candidate.date, candidate.torneo)) {
+            const result = this.evaluate(matches, { ...candidate, time: slot }, { excludeMatchId: options.excludeMatchId, stopAtFirst: true });
+            if (result.allowed) {
+                available.push(slot);
+            }
+            if (available.length >= limit) break;
+        }
+
+        return available;
+    }
+
+    /**
+     * Resumen legible de las reglas vigentes
+     * @returns {Array<string>}
+     */
+    describe() {
+        const lines = this.rules.slots.map(range =>
+            `• ${range.days.map(d => DAY_NAMES[d]).join(', ')}: ${range.from} a ${range.to} cada ${this.rules.slotMinutes} min`
+        );
+
+        if (this.rules.window) {
+            lines.push(`• Máximo ${this.rules.window.maxMatches} partidos en cualquier ventana de ±${this.rules.window.minutes} minutos`);
+        }
+
+        for (const [name, config] of Object.entries(this.rules.tournaments || {})) {
+            const parts = [];
+            if (config.maxPerDay) parts.push(`${config.maxPerDay} por día`);
+            if (config.window) parts.push(`${config.window.maxMatches} cada ±${config.window.minutes} min`);
+            if (config.slots) parts.push('horarios propios');
+            if (parts.length > 0) lines.push(`• ${name}: ${parts.join(', ')}`);
+        }
+
+        const teams = this.rules.teams || {};
+        if (teams.maxMatchesPerDay) lines.push(`• Cada equipo juega como máximo ${teams.maxMatchesPerDay} partido(s) por día`);
+        if (teams.minRestMinutes > 0) lines.push(`• Descanso mínimo de ${teams.minRestMinutes} minutos entre partidos de un equipo`);
+
+        if (this.servers.length > 0) {
+            lines.push(`• ${this.matchServers().length} servidores para partidos, cada partido ocupa el suyo ${this.rules.servers.matchMinutes} minutos`);
+        }
+
+        (this.rules.blackouts || []).forEach(b => {
+            lines.push(`• Sin partidos el ${b.date}${b.reason ? ` (${b.reason})` : ''}${b.tournaments && b.tournaments.length > 0 ? ` para ${b.tournaments.join(', ')}` : ''}`);
+        });
+
+        return lines;
+    }
+
+    /**
+     * Ejemplo de la ventana general con las reglas vigentes: partidos seguidos
+     * desde el primer horario y el próximo que queda libre después de ellos
+     * @returns {string|null} - null si no hay ventana general
+     */
+    windowExample() {
+        const window = this.rules.window;
+        if (!window) return null;
+
+        const step = this.rules.slotMinutes;
+        const first = toMinutes(this.rules.slots[0].from);
+        const taken = Array.from({ length: window.maxMatches }, (_, i) => first + i * step);
+
+        let next = taken[taken.length - 1] + step;
+        while (taken.filter(minutes => Math.abs(minutes - next) <= window.minutes).length >= window.maxMatches) {
+            next += step;
+        }
+
+        const times = taken.map(minutes => fromMinutes(minutes % 1440));
+        const listed = times.length === 1 ? `un partido a las ${times[0]}` : `partidos a las ${times.slice(0, -1).join(', ')} y ${times[times.length - 1]}`;
+        return `Con un máximo de ${window.maxMatches} en ±${window.minutes} min y ${listed}, el próximo disponible después de ${times.length === 1 ? 'él' : 'ellos'} sería ${fromMinutes(next % 1440)}`;
+    }
+}
+
+/**
+ * Comando de conexión para pegar en la consola del juego
+ * @param {Object} server - Entrada de CONFIG.servers
+ * @returns {string}
+ */
+function formatConnectString(server) {
+    const password = server.password ? `;password ${server.password}` : '';
+    return `connect ${server.ip}:${server.port}${password}`;
+}
+
+module.exports = {
+    SchedulingRules,
+    formatConnectString,
+    DEFAULT_RULES,
+    RULE_NAMES,
+    validateRules,
+    toMinutes,
+    fromMinutes,
+    weekdayOf
+};
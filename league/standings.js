@@ -0,0 +1,266 @@
+// Tabla de posiciones de un torneo a partir de los resultados guardados
+const { statusOf } = require('./matchStatus');
+
+// Puntuación por defecto; cada torneo puede sobrescribir cualquier valor
+const DEFAULT_SCORING = {
+    win: 3,
+    draw: 1,
+    loss: 0,
+    walkoverWin: 3,
+    walkoverLoss: 0,
+    // Marcador que se computa en un walkover (3-0 por defecto, 0 = no suma goles)
+    walkoverGoals: 3,
+    tiebreakers: ['head_to_head', 'goal_difference', 'goals_for', 'wins']
+};
+
+// Criterios de desempate disponibles, en el orden en que se listan en /torneo puntuacion
+const TIEBREAKERS = {
+    head_to_head: 'Enfrentamiento directo',
+    goal_difference: 'Diferencia de gol',
+    goals_for: 'Goles a favor',
+    goals_against: 'Goles en contra (menos es mejor)',
+    wins: 'Victorias'
+};
+
+// Estados cuyo resultado suma en la tabla (los disputados quedan fuera hasta resolverse)
+const COUNTED_STATUSES = ['finished', 'confirmed', 'walkover'];
+
+/**
+ * Combina la puntuación de un torneo con los valores por defecto
+ * @param {Object|null} scoring
+ * @returns {Object}
+ */
+function resolveScoring(scoring) {
+    return { ...DEFAULT_SCORING, ...(scoring || {}) };
+}
+
+/**
+ * @param {Object} scoring - Puntuación parcial
+ * @returns {Object} - { valid, message }
+ */
+function validateScoring(scoring) {
+    for (const key of ['win', 'draw', 'loss', 'walkoverWin', 'walkoverLoss', 'walkoverGoals']) {
+        if (scoring[key] === undefined) continue;
+        if (!Number.isInteger(scoring[key]) || scoring[key] < -10 || scoring[key] > 20) {
+            return { valid: false, message: `❌ \`${key}\` debe ser un entero entre -10 y 20` };
+        }
+    }
+
+    if (scoring.tiebreakers !== undefined) {
+        if (!Array.isArray(scoring.tiebreakers)) {
+            return { valid: false, message: '❌ Los desempates deben ser una lista' };
+        }
+
+        const unknown = scoring.tiebreakers.filter(t => !TIEBREAKERS[t]);
+        if (unknown.length > 0) {
+            return {
+                valid: false,
+                message: `❌ Desempates desconocidos: ${unknown.join(', ')}\n\n**Disponibles:** ${Object.keys(TIEBREAKERS).map(t => `\`${t}\``).join(', ')}`
+            };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Goles de cada lado de un partido, aplicando el marcador de walkover
+ * @returns {Object|null} - { goles1, goles2, walkoverWinner }
+ */
+function scoreOf(match, scoring) {
+    if (!match.result) return null;
+
+    const { walkoverWinner } = match.result;
+    if (walkoverWinner) {
+        const goals = scoring.walkoverGoals;
+        return {
+            goles1: walkoverWinner === 'equipo1' ? goals : 0,
+            goles2: walkoverWinner === 'equipo2' ? goals : 0,
+            walkoverWinner
+        };
+    }
+
+    if (!Number.isInteger(match.result.goles1) || !Number.isInteger(match.result.goles2)) {
+        return null;
+    }
+
+    return { goles1: match.result.goles1, goles2: match.result.goles2, walkoverWinner: null };
+}
+
+function emptyRow(key, name) {
+    return { key, name, played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, goalDifference: 0, points: 0, walkoversLost: 0 };
+}
+
+/**
+ * Suma un partido a las filas de ambos equipos
+ */
+function addMatch(rows, match, sides, scoring) {
+    const score = scoreOf(match, scoring);
+    if (!score) return;
+
+    const entries = [
+        { row: rows.get(sides.equipo1), side: 'equipo1', goalsFor: score.goles1, goalsAgainst: score.goles2 },
+        { row: rows.get(sides.equipo2), side: 'equipo2', goalsFor: score.goles2, goalsAgainst: score.goles1 }
+    ];
+
+    for (const { row, side, goalsFor, goalsAgainst } of entries) {
+        if (!row) continue;
+
+        row.played++;
+        row.goalsFor += goalsFor;
+        row.goalsAgainst += goalsAgainst;
+        row.goalDifference = row.goalsFor - row.goalsAgainst;
+
+        if (score.walkoverWinner) {
+            if (score.walkoverWinner === side) {
+                row.won++;
+                row.points += scoring.walkoverWin;
+            } else {
+                row.lost++;
+                row.walkoversLost++;
+                row.points += scoring.walkoverLoss;
+            }
+        } else if (goalsFor > goalsAgainst) {
+            row.won++;
+            row.points += scoring.win;
+        } else if (goalsFor === goalsAgainst) {
+            row.drawn++;
+            row.points += scoring.draw;
+        } else {
+            row.lost++;
+            row.points += scoring.loss;
+        }
+    }
+}
+
+/**
+ * Calcula la tabla de un torneo
+ * @param {Array<Object>} matches - Partidos del torneo
+ * @param {Object} options - { scoring, teamKey(nombre, id), teamName(clave, nombre) }
+ * @returns {Object} - { rows, counted, disputed, scoring }
+ */
+function computeStandings(matches, options = {}) {
+    const scoring = resolveScoring(options.scoring);
+    const teamKey = options.teamKey || (name => name);
+    const teamName = options.teamName || ((key, name) => name);
+
+    const rows = new Map();
+    const counted = [];
+    let disputed = 0;
+
+    for (const match of matches) {
+        const sides = {
+            equipo1: teamKey(match.equipo1, match.equipo1Id),
+            equipo2: teamKey(match.equipo2, match.equipo2Id)
+        };
+
+        // Todos los equipos que figuran en el torneo aparecen, aunque no hayan jugado
+        for (const side of ['equipo1', 'equipo2']) {
+            if (!rows.has(sides[side])) {
+                rows.set(sides[side], emptyRow(sides[side], teamName(sides[side], match[side])));
+            }
+        }
+
+        const status = statusOf(match);
+        if (status === 'disputed') {
+            disputed++;
+        }
+
+        if (COUNTED_STATUSES.includes(status) && scoreOf(match, scoring)) {
+            addMatch(rows, match, sides, scoring);
+            counted.push({ match, sides });
+        }
+    }
+
+    const sorted = sortRows([...rows.values()], counted, scoring);
+    sorted.forEach((row, index) => {
+        row.position = index + 1;
+    });
+
+    return { rows: sorted, counted: counted.length, disputed, scoring };
+}
+
+/**
+ * Puntos obtenidos solo en los partidos entre los equipos empatados
+ */
+function headToHeadPoints(tiedKeys, counted, scoring) {
+    const keys = new Set(tiedKeys);
+    const mini = new Map(tiedKeys.map(key => [key, emptyRow(key, key)]));
+
+    for (const { match, sides } of counted) {
+        if (keys.has(sides.equipo1) && keys.has(sides.equipo2)) {
+            addMatch(mini, match, sides, scoring);
+        }
+    }
+
+    return mini;
+}
+
+function sortRows(rows, counted, scoring) {
+    // Agrupar por puntos: los desempates se aplican dentro de cada grupo
+    const groups = new Map();
+    for (const row of rows) {
+        if (!groups.has(row.points)) groups.set(row.points, []);
+        groups.get(row.points).push(row);
+    }
+
+    const result = [];
+    const pointValues = [...groups.keys()].sort((a, b) => b - a);
+
+    for (const points of pointValues) {
+        const group = groups.get(points);
+        const mini = group.length > 1 && scoring.tiebreakers.includes('head_to_head')
+            ? headToHeadPoints(group.map(row => row.key), counted, scoring)
+            : null;
+
+        const criteria = {
+            head_to_head: (a, b) => mini ? mini.get(b.key).points - mini.get(a.key).points : 0,
+            goal_difference: (a, b) => b.goalDifference - a.goalDifference,
+            goals_for: (a, b) => b.goalsFor - a.goalsFor,
+            goals_against: (a, b) => a.goalsAgainst - b.goalsAgainst,
+            wins: (a, b) => b.won - a.won
+        };
+
+        group.sort((a, b) => {
+            for (const tiebreaker of scoring.tiebreakers) {
+                const diff = criteria[tiebreaker](a, b);
+                if (diff !== 0) return diff;
+            }
+            return a.name.localeCompare(b.name, 'es');
+        });
+
+        result.push(...group);
+    }
+
+    return result;
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Tabla en formato CSV (separado por comas, con encabezado)
+ * @param {Array<Object>} rows - Filas de computeStandings
+ * @returns {string}
+ */
+function standingsToCsv(rows) {
+    const header = ['Pos', 'Equipo', 'PJ', 'PG', 'PE', 'PP', 'GF', 'GC', 'DG', 'Pts'];
+    const lines = rows.map(row => [
+        row.position, row.name, row.played, row.won, row.drawn, row.lost,
+        row.goalsFor, row.goalsAgainst, row.goalDifference, row.points
+    ].map(csvField).join(','));
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+    DEFAULT_SCORING,
+    TIEBREAKERS,
+    COUNTED_STATUSES,
+    resolveScoring,
+    validateScoring,
+    computeStandings,
+    standingsToCsv
+};
@@ -0,0 +1,73 @@
+// Tableros de estado con auto-actualización (/status auto_update): se guardan
+// el canal y los mensajes de cada tablero para retomarlos después de un
+// reinicio del bot, editando los mismos mensajes en lugar de publicar otros.
+const COLLECTION = 'status_boards';
+
+// Códigos de error de la API de Discord
+const UNKNOWN_CHANNEL = 10003;
+const UNKNOWN_MESSAGE = 10008;
+const MISSING_ACCESS = 50001;
+
+/**
+ * @returns {boolean} - Si el mensaje ya no existe (lo borraron)
+ */
+function isUnknownMessage(error) {
+    return Boolean(error) && error.code === UNKNOWN_MESSAGE;
+}
+
+/**
+ * @returns {boolean} - Si el canal ya no existe o el bot perdió el acceso
+ */
+function isChannelGone(error) {
+    return Boolean(error) && [UNKNOWN_CHANNEL, MISSING_ACCESS].includes(error.code);
+}
+
+class StatusBoardRegistry {
+    constructor(store) {
+        this.store = store;
+        // canal → { channelId, summaryMessageId, detailMessageIds (clave del servidor → mensaje), createdBy, createdAt }
+        this.boards = this.store.loadCollection(COLLECTION) || {};
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.boards);
+    }
+
+    /**
+     * @returns {Array<Object>} - Tableros, del más antiguo al más nuevo
+     */
+    list() {
+        return Object.values(this.boards).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    get(channelId) {
+        return this.boards[channelId] || null;
+    }
+
+    /**
+     * Guarda un tablero; un canal tiene a lo sumo uno
+     * @param {Object} board - Tablero completo
+     */
+    set(board) {
+        this.boards[board.channelId] = board;
+        this.save();
+        return board;
+    }
+
+    remove(channelId) {
+        const board = this.get(channelId);
+        if (!board) {
+            return { success: false, message: '❌ No hay un tablero de estado en ese canal' };
+        }
+
+        delete this.boards[channelId];
+        this.save();
+        return { success: true, board };
+    }
+}
+
+module.exports = {
+    StatusBoardRegistry,
+    isChannelGone,
+    isUnknownMessage
+};
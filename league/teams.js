@@ -0,0 +1,292 @@
+// Registro de equipos: nombre canónico, tag, alias, rol y capitanes
+const { normalizeName, slugify, similarity } = require('./textUtils');
+
+const COLLECTION = 'teams';
+
+// Similitud mínima para ofrecer un "¿quisiste decir?"
+const SUGGESTION_THRESHOLD = 0.55;
+
+class TeamRegistry {
+    /**
+     * @param {Object} options - { now: reloj del bot (ms epoch) }
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.now = options.now || (() => Date.now());
+        const saved = this.store.loadCollection(COLLECTION);
+        this.teams = Array.isArray(saved) ? saved : [];
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.teams);
+    }
+
+    /**
+     * @returns {Array<Object>} - Equipos ordenados por nombre
+     */
+    list() {
+        return [...this.teams].sort((a, b) => a.name.localeCompare(b.name, 'es'));
+    }
+
+    isEmpty() {
+        return this.teams.length === 0;
+    }
+
+    /**
+     * Todas las formas en que se puede escribir un equipo, normalizadas
+     * @param {Object} team
+     * @returns {Array<string>}
+     */
+    keysOf(team) {
+        return [team.name, team.tag, ...(team.aliases || [])]
+            .filter(Boolean)
+            .map(normalizeName);
+    }
+
+    findById(id) {
+        return this.teams.find(team => team.id === id) || null;
+    }
+
+    /**
+     * Si el equipo tiene quién lo represente: capitanes cargados o un rol
+     * @param {Object} team
+     * @returns {boolean}
+     */
+    hasCaptains(team) {
+        return team.captains.length > 0 || Boolean(team.roleId);
+    }
+
+    /**
+     * Si el usuario puede actuar en nombre del equipo. Vale la lista de
+     * capitanes; el rol del equipo solo cuenta cuando no hay capitanes cargados
+     * @param {Object} team
+     * @param {string} userId
+     * @param {Object} member - Miembro del servidor (para el rol)
+     * @returns {boolean}
+     */
+    isCaptain(team, userId, member = null) {
+        if (team.captains.includes(userId)) {
+            return true;
+        }
+
+        if (team.captains.length === 0 && team.roleId && member && member.roles) {
+            return member.roles.cache.has(team.roleId);
+        }
+
+        return false;
+    }
+
+    /**
+     * Equipos a los que pertenece un usuario: los que capitanea y los de sus roles
+     * @param {string} userId
+     * @param {Object} member - Miembro del servidor (para los roles)
+     * @returns {Array<Object>}
+     */
+    forMember(userId, member = null) {
+        return this.list().filter(team => team.captains.includes(userId) ||
+            Boolean(team.roleId && member && member.roles && member.roles.cache.has(team.roleId)));
+    }
+
+    /**
+     * Resuelve un texto libre a un equipo registrado por nombre, tag, alias o ID
+     * @param {string} input - Texto escrito por el usuario
+     * @returns {Object|null}
+     */
+    resolve(input) {
+        const key = normalizeName(input);
+        if (!key) return null;
+
+        return this.teams.find(team => team.id === key || this.keysOf(team).includes(key)) || null;
+    }
+
+    /**
+     * Equipos parecidos a un nombre desconocido
+     * @param {string} input - Texto escrito por el usuario
+     * @param {number} limit - Máximo de sugerencias
+     * @returns {Array<Object>}
+     */
+    suggest(input, limit = 3) {
+        const key = normalizeName(input);
+        if (!key) return [];
+
+        return this.teams
+            .map(team => ({
+                team,
+                score: Math.max(...this.keysOf(team).map(k => similarity(key, k)))
+            }))
+            .filter(entry => entry.score >= SUGGESTION_THRESHOLD)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(entry => entry.team);
+    }
+
+    /**
+     * Sugerencias para autocompletado: coincidencias parciales primero
+     * @param {string} query
+     * @returns {Array<Object>} - Máximo 25 equipos
+     */
+    search(query) {
+        const key = normalizeName(query);
+        if (!key) return this.list().slice(0, 25);
+
+        const partial = this.list().filter(team => this.keysOf(team).some(k => k.includes(key)));
+        const fuzzy = this.suggest(query, 25).filter(team => !partial.includes(team));
+
+        return [...partial, ...fuzzy].slice(0, 25);
+    }
+
+    /**
+     * Verifica que un nombre/tag/alias no pertenezca ya a otro equipo
+     * @param {string} value
+     * @param {Object} exceptTeam - Equipo que puede tenerlo
+     * @returns {Object|null} - Equipo en conflicto
+     */
+    findConflict(value, exceptTeam = null) {
+        const owner = this.resolve(value);
+        return owner && owner !== exceptTeam ? owner : null;
+    }
+
+    create({ name, tag, roleId }) {
+        const cleanName = String(name || '').replace(/['"]/g, '').trim();
+        const cleanTag = String(tag || '').replace(/['"]/g, '').trim().toUpperCase();
+
+        if (!cleanName || cleanName.length > 100) {
+            return { success: false, message: '❌ El nombre del equipo debe tener entre 1 y 100 caracteres' };
+        }
+
+        if (!cleanTag || cleanTag.length > 10) {
+            return { success: false, message: '❌ El tag debe tener entre 1 y 10 caracteres' };
+        }
+
+        for (const value of [cleanName, cleanTag]) {
+            const conflict = this.findConflict(value);
+            if (conflict) {
+                return { success: false, message: `❌ **${value}** ya identifica al equipo **${conflict.name}**` };
+            }
+        }
+
+        // Los partidos se vinculan al equipo por este ID: no puede repetirse ni quedar vacío
+        // (un nombre sin letras ni números, como "🔥", usa el tag)
+        const id = slugify(cleanName) || slugify(cleanTag);
+        if (!id) {
+            return { success: false, message: '❌ El nombre o el tag del equipo necesita al menos una letra o un número' };
+        }
+
+        const sameId = this.findById(id);
+        if (sameId) {
+            return { success: false, message: `❌ **${cleanName}** se confunde con el equipo **${sameId.name}** (los dos quedarían como \`${id}\`)` };
+        }
+
+        const team = {
+            id,
+            name: cleanName,
+            tag: cleanTag,
+            aliases: [],
+            roleId: roleId || null,
+            captains: [],
+            createdAt: new Date(this.now()).toISOString()
+        };
+
+        this.teams.push(team);
+        this.save();
+
+        return { success: true, team };
+    }
+
+    addAlias(teamInput, alias) {
+        const team = this.resolve(teamInput);
+        if (!team) {
+            return { success: false, message: `❌ No existe el equipo **${teamInput}**` };
+        }
+
+        const cleanAlias = String(alias || '').replace(/['"]/g, '').trim();
+        if (!cleanAlias || cleanAlias.length > 100) {
+            return { success: false, message: '❌ El alias debe tener entre 1 y 100 caracteres' };
+        }
+
+        const conflict = this.findConflict(cleanAlias, team);
+        if (conflict) {
+            return { success: false, message: `❌ **${cleanAlias}** ya identifica al equipo **${conflict.name}**` };
+        }
+
+        if (!this.keysOf(team).includes(normalizeName(cleanAlias))) {
+            team.aliases.push(cleanAlias);
+            this.save();
+        }
+
+        return { success: true, team };
+    }
+
+    removeAlias(teamInput, alias) {
+        const team = this.resolve(teamInput);
+        if (!team) {
+            return { success: false, message: `❌ No existe el equipo **${teamInput}**` };
+        }
+
+        const key = normalizeName(alias);
+        const before = team.aliases.length;
+        team.aliases = team.aliases.filter(a => normalizeName(a) !== key);
+
+        if (team.aliases.length === before) {
+            return { success: false, message: `❌ **${team.name}** no tiene el alias **${alias}**` };
+        }
+
+        this.save();
+        return { success: true, team };
+    }
+
+    setRole(teamInput, roleId) {
+        const team = this.resolve(teamInput);
+        if (!team) {
+            return { success: false, message: `❌ No existe el equipo **${teamInput}**` };
+        }
+
+        team.roleId = roleId || null;
+        this.save();
+        return { success: true, team };
+    }
+
+    addCaptain(teamInput, userId) {
+        const team = this.resolve(teamInput);
+        if (!team) {
+            return { success: false, message: `❌ No existe el equipo **${teamInput}**` };
+        }
+
+        if (!team.captains.includes(userId)) {
+            team.captains.push(userId);
+            this.save();
+        }
+
+        return { success: true, team };
+    }
+
+    removeCaptain(teamInput, userId) {
+        const team = this.resolve(teamInput);
+        if (!team) {
+            return { success: false, message: `❌ No existe el equipo **${teamInput}**` };
+        }
+
+        if (!team.captains.includes(userId)) {
+            return { success: false, message: `❌ <@${userId}> no es capitán de **${team.name}**` };
+        }
+
+        team.captains = team.captains.filter(id => id !== userId);
+        this.save();
+        return { success: true, team };
+    }
+
+    remove(teamInput) {
+        const team = this.resolve(teamInput);
+        if (!team) {
+            return { success: false, message: `❌ No existe el equipo **${teamInput}**` };
+        }
+
+        this.teams = this.teams.filter(t => t !== team);
+        this.save();
+        return { success: true, team };
+    }
+}
+
+module.exports = {
+    TeamRegistry
+};
@@ -0,0 +1,92 @@
+// Utilidades de texto compartidas por los registros de la liga
+
+/**
+ * Normaliza un nombre para comparaciones: minúsculas, sin tildes ni
+ * comillas y con espacios simples
+ * @param {string} value - Texto original
+ * @returns {string} - Texto normalizado
+ */
+function normalizeName(value) {
+    return String(value || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/['"]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Genera un identificador estable a partir de un nombre
+ * @param {string} value - Nombre
+ * @returns {string} - Slug (ej: "Copa Maradei" -> "copa-maradei")
+ */
+function slugify(value) {
+    return normalizeName(value)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Distancia de edición (Levenshtein) entre dos textos
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(current[j - 1] + 1, previous[j] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+function editSimilarity(a, b) {
+    return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Similitud entre 0 y 1 de dos nombres ya normalizados. Que uno contenga
+ * al otro ("river" en "river plate") o que compartan una palabra parecida
+ * ("ca river" y "river plate") cuenta como bastante parecido
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function similarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const longest = Math.max(a.length, b.length);
+    const editScore = editSimilarity(a, b);
+    const containsScore = (a.includes(b) || b.includes(a)) ? 0.6 + 0.4 * (Math.min(a.length, b.length) / longest) : 0;
+
+    const wordsA = a.split(' ').filter(word => word.length >= 3);
+    const wordsB = b.split(' ').filter(word => word.length >= 3);
+    let wordScore = 0;
+    for (const wordA of wordsA) {
+        for (const wordB of wordsB) {
+            wordScore = Math.max(wordScore, 0.85 * editSimilarity(wordA, wordB));
+        }
+    }
+
+    return Math.max(editScore, containsScore, wordScore);
+}
+
+module.exports = {
+    normalizeName,
+    slugify,
+    levenshtein,
+    similarity
+};
@@ -0,0 +1,220 @@
+// Fechas y horas en la zona horaria de la liga, independientes del reloj del host.
+// Todas las funciones reciben el instante ("now") como parámetro para poder
+// evaluarlas con un reloj fijo.
+
+const COLLECTION = 'timezones';
+
+const DEFAULT_TIMEZONE = 'America/Argentina/Buenos_Aires';
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * @param {string} timeZone - Nombre IANA, ej: America/Argentina/Buenos_Aires
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        formatterFor(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Componentes de fecha y hora de un instante en una zona
+ * @param {number|Date} instant
+ * @param {string} timeZone
+ * @returns {Object} - { year, month, day, hour, minute, second }
+ */
+function zonedParts(instant, timeZone) {
+    const parts = {};
+    for (const part of formatterFor(timeZone).formatToParts(new Date(instant))) {
+        if (part.type !== 'literal') {
+            parts[part.type] = Number(part.value);
+        }
+    }
+    return parts;
+}
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * @returns {string} - YYYY-MM-DD del instante en la zona
+ */
+function dateInZone(instant, timeZone) {
+    const p = zonedParts(instant, timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * @returns {string} - HH:MM del instante en la zona
+ */
+function timeInZone(instant, timeZone) {
+    const p = zonedParts(instant, timeZone);
+    return `${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Suma días a una fecha de calendario (sin zona ni horario de verano de por medio)
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days
+ * @returns {string} - YYYY-MM-DD
+ */
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} date - Texto a validar
+ * @returns {boolean} - Si es una fecha de calendario real en formato YYYY-MM-DD
+ */
+function isValidDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && addDays(date, 0) === date;
+}
+
+/**
+ * Minutos que la zona está adelantada respecto de UTC en un instante
+ */
+function offsetMinutes(instant, timeZone) {
+    const p = zonedParts(instant, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * Instante en que una fecha y hora de calendario ocurren en la zona
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone
+ * @returns {number} - Milisegundos epoch
+ */
+function zonedTimeToInstant(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // El offset depende del instante: se corrige una vez por si cruza un cambio de horario
+    const firstGuess = wallClock - offsetMinutes(wallClock, timeZone) * 60000;
+    return wallClock - offsetMinutes(firstGuess, timeZone) * 60000;
+}
+
+/**
+ * @returns {string} - DD/MM/YYYY HH:MM del instante en la zona
+ */
+function formatDateTime(instant, timeZone) {
+    const p = zonedParts(instant, timeZone);
+    return `${pad(p.day)}/${pad(p.month)}/${p.year} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Zonas IANA que coinciden con un texto (para autocompletado)
+ * @param {string} query
+ * @returns {Array<string>} - Máximo 25
+ */
+function searchTimeZones(query) {
+    const key = String(query || '').toLowerCase().replace(/\s+/g, '_');
+    // La lista de Intl usa nombres canónicos (America/Buenos_Aires): se suma el de la liga por defecto
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    return [DEFAULT_TIMEZONE, ...zones.filter(zone => zone !== DEFAULT_TIMEZONE)].filter(zone => zone.toLowerCase().includes(key)).slice(0, 25);
+}
+
+/**
+ * Zona horaria de la liga y zonas de visualización de cada usuario
+ */
+class TimezoneSettings {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.fallback = isValidTimeZone(options.defaultTimeZone) ? options.defaultTimeZone : DEFAULT_TIMEZONE;
+
+        const saved = this.store.loadCollection(COLLECTION);
+        this.settings = {
+            league: saved && saved.league ? saved.league : null,
+            users: (saved && saved.users) || {}
+        };
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.settings);
+    }
+
+    /**
+     * @returns {string} - Zona de la liga (la guardada o la de LEAGUE_TIMEZONE)
+     */
+    league() {
+        return this.settings.league || this.fallback;
+    }
+
+    setLeague(timeZone) {
+        if (!isValidTimeZone(timeZone)) {
+            return { success: false, message: `❌ Zona horaria desconocida: **${timeZone}**\n\nUsa un nombre IANA, ej: \`America/Argentina/Buenos_Aires\`` };
+        }
+
+        this.settings.league = timeZone;
+        this.save();
+        return { success: true, timeZone };
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {string} - Zona elegida por el usuario o la de la liga
+     */
+    forUser(userId) {
+        return this.settings.users[userId] || this.league();
+    }
+
+    hasUserZone(userId) {
+        return Boolean(this.settings.users[userId]);
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string|null} timeZone - null vuelve a la zona de la liga
+     */
+    setUser(userId, timeZone) {
+        if (timeZone === null) {
+            delete this.settings.users[userId];
+            this.save();
+            return { success: true, timeZone: this.league() };
+        }
+
+        if (!isValidTimeZone(timeZone)) {
+            return { success: false, message: `❌ Zona horaria desconocida: **${timeZone}**\n\nUsa un nombre IANA, ej: \`America/Mexico_City\`` };
+        }
+
+        this.settings.users[userId] = timeZone;
+        this.save();
+        return { success: true, timeZone };
+    }
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    TimezoneSettings,
+    isValidTimeZone,
+    dateInZone,
+    timeInZone,
+    addDays,
+    isValidDate,
+    zonedTimeToInstant,
+    formatDateTime,
+    searchTimeZones
+};
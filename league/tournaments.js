@@ -0,0 +1,249 @@
+// Catálogo de torneos administrable, persistido junto a los partidos
+const { normalizeName, slugify } = require('./textUtils');
+const { validateScoring } = require('./standings');
+
+const COLLECTION = 'tournaments';
+
+// Torneos con los que arranca un catálogo vacío (la lista histórica del bot)
+const DEFAULT_TOURNAMENTS = [
+    'Liga D1', 'Liga D2', 'Liga D3', 'Copa Maradei',
+    'Copa ValencARc', 'Intrazonal de Oro', 'Intrazonal de Plata',
+    'Supercopa IOSSA', 'Supercopa de ORO'
+];
+
+const DEFAULT_COLOR = '#3498db';
+const DEFAULT_EMOJI = '🏆';
+
+/**
+ * Registro de torneos: alta, archivo, renombre y apariencia
+ */
+class TournamentRegistry {
+    constructor(store) {
+        this.store = store;
+        this.tournaments = this.load();
+    }
+
+    load() {
+        const saved = this.store.loadCollection(COLLECTION);
+        if (Array.isArray(saved)) {
+            return saved;
+        }
+
+        const now = new Date().toISOString();
+        const seeded = DEFAULT_TOURNAMENTS.map(name => ({
+            id: slugify(name),
+            name,
+            color: DEFAULT_COLOR,
+            emoji: DEFAULT_EMOJI,
+            season: null,
+            archived: false,
+            createdAt: now
+        }));
+
+        this.store.saveCollection(COLLECTION, seeded);
+        return seeded;
+    }
+
+    save() {
+        this.store.saveCollection(COLLECTION, this.tournaments);
+    }
+
+    /**
+     * @param {Object} options - { includeArchived }
+     * @returns {Array<Object>} - Torneos ordenados por nombre
+     */
+    list(options = {}) {
+        return this.tournaments
+            .filter(t => options.includeArchived || !t.archived)
+            .sort((a, b) => a.name.localeCompare(b.name, 'es'));
+    }
+
+    /**
+     * @returns {Array<string>} - Nombres de los torneos activos
+     */
+    activeNames() {
+        return this.list().map(t => t.name);
+    }
+
+    /**
+     * Busca un torneo por ID o nombre (sin distinguir mayúsculas ni tildes)
+     * @param {string} nameOrId - Nombre o ID
+     * @returns {Object|null}
+     */
+    find(nameOrId) {
+        const key = normalizeName(nameOrId);
+        if (!key) return null;
+        return this.tournaments.find(t => t.id === key || normalizeName(t.name) === key) || null;
+    }
+
+    /**
+     * Texto de presentación con emoji
+     * @param {string} name - Nombre del torneo
+     * @returns {string}
+     */
+    label(name) {
+        const tournament = this.find(name);
+        return tournament ? `${tournament.emoji} ${tournament.name}` : name;
+    }
+
+    /**
+     * Sugerencias para autocompletado
+     * @param {string} query - Texto escrito por el usuario
+     * @param {Object} options - { includeArchived }
+     * @returns {Array<Object>} - Máximo 25 torneos
+     */
+    search(query, options = {}) {
+        const key = normalizeName(query);
+        return this.list(options)
+            .filter(t => !key || normalizeName(t.name).includes(key))
+            .slice(0, 25);
+    }
+
+    create({ name, color, emoji, season }) {
+        const cleanName = String(name || '').replace(/['"]/g, '').trim();
+
+        if (!cleanName || cleanName.length > 100) {
+            return { success: false, message: '❌ El nombre del torneo debe tener entre 1 y 100 caracteres' };
+        }
+
+        if (this.find(cleanName) || this.find(slugify(cleanName))) {
+            return { success: false, message: `❌ Ya existe un torneo llamado **${cleanName}**` };
+        }
+
+        const validation = this.validateAppearance({ color, emoji });
+        if (!validation.valid) {
+            return { success: false, message: validation.message };
+        }
+
+        const tournament = {
+            id: slugify(cleanName),
+            name: cleanName,
+            color: color || DEFAULT_COLOR,
+            emoji: emoji || DEFAULT_EMOJI,
+            season: season || null,
+            archived: false,
+            createdAt: new Date().toISOString()
+        };
+
+        this.tournaments.push(tournament);
+        this.save();
+
+        return { success: true, tournament };
+    }
+
+    rename(nameOrId, newName) {
+        const tournament = this.find(nameOrId);
+        if (!tournament) {
+            return { success: false, message: `❌ No existe el torneo **${nameOrId}**` };
+        }
+
+        const cleanName = String(newName || '').replace(/['"]/g, '').trim();
+        if (!cleanName || cleanName.length > 100) {
+            return { success: false, message: '❌ El nombre del torneo debe tener entre 1 y 100 caracteres' };
+        }
+
+        const existing = this.find(cleanName);
+        if (existing && existing.id !== tournament.id) {
+            return { success: false, message: `❌ Ya existe un torneo llamado **${cleanName}**` };
+        }
+
+        // El ID se mantiene para no romper referencias
+        const previousName = tournament.name;
+        tournament.name = cleanName;
+        this.save();
+
+        return { success: true, tournament, previousName };
+    }
+
+    setArchived(nameOrId, archived) {
+        const tournament = this.find(nameOrId);
+        if (!tournament) {
+            return { success: false, message: `❌ No existe el torneo **${nameOrId}**` };
+        }
+
+        tournament.archived = archived;
+        this.save();
+
+        return { success: true, tournament };
+    }
+
+    update(nameOrId, { color, emoji, season }) {
+        const tournament = this.find(nameOrId);
+        if (!tournament) {
+            return { success: false, message: `❌ No existe el torneo **${nameOrId}**` };
+        }
+
+        const validation = this.validateAppearance({ color, emoji });
+        if (!validation.valid) {
+            return { success: false, message: validation.message };
+        }
+
+        if (color) tournament.color = color;
+        if (emoji) tournament.emoji = emoji;
+        if (season) tournament.season = season;
+        this.save();
+
+        return { success: true, tournament };
+    }
+
+    /**
+     * Cambia la puntuación de la tabla (solo los valores indicados)
+     * @param {string} nameOrId - Torneo
+     * @param {Object} changes - Ver DEFAULT_SCORING en standings.js
+     */
+    setScoring(nameOrId, changes) {
+        const tournament = this.find(nameOrId);
+        if (!tournament) {
+            return { success: false, message: `❌ No existe el torneo **${nameOrId}**` };
+        }
+
+        const validation = validateScoring(changes);
+        if (!validation.valid) {
+            return { success: false, message: validation.message };
+        }
+
+        tournament.scoring = { ...(tournament.scoring || {}), ...changes };
+        this.save();
+
+        return { success: true, tournament };
+    }
+
+    /**
+     * Equipos inscriptos en el torneo, en orden de cabeza de serie
+     * @param {string} nameOrId - Torneo
+     * @param {Array<string>} teamIds - IDs del registro de equipos
+     */
+    setTeams(nameOrId, teamIds) {
+        const tournament = this.find(nameOrId);
+        if (!tournament) {
+            return { success: false, message: `❌ No existe el torneo **${nameOrId}**` };
+        }
+
+        const unique = [...new Set(teamIds)];
+        if (unique.length !== teamIds.length) {
+            return { success: false, message: '❌ Un equipo figura más de una vez en la lista' };
+        }
+
+        tournament.teams = unique;
+        this.save();
+
+        return { success: true, tournament };
+    }
+
+    validateAppearance({ color, emoji }) {
+        if (color && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+            return { valid: false, message: '❌ El color debe tener formato hexadecimal, ej: `#27ae60`' };
+        }
+
+        if (emoji && emoji.length > 64) {
+            return { valid: false, message: '❌ Emoji inválido' };
+        }
+
+        return { valid: true };
+    }
+}
+
+module.exports = {
+    TournamentRegistry,
+    DEFAULT_TOURNAMENTS
+};
@@ -350,9 +350,13 @@ class IntelligentCache {
         return { evicted };
     }
     
-    cleanup() {
+    /**
+     * Detiene la limpieza automática y hace una última limpieza
+     */
+    shutdown() {
         if (this.cleanupTimer) {
             clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
         }
         this.cleanup();
         
@@ -366,8 +370,8 @@ class IntelligentCache {
 const cache = new IntelligentCache();
 
 // Cleanup en exit
-process.on('exit', () => cache.cleanup());
-process.on('SIGINT', () => cache.cleanup());
-process.on('SIGTERM', () => cache.cleanup());
+process.on('exit', () => cache.shutdown());
+process.on('SIGINT', () => cache.shutdown());
+process.on('SIGTERM', () => cache.shutdown());
 
 module.exports = cache;
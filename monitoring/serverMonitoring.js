@@ -461,10 +461,11 @@ function createMatchEmbedImproved(serverInfo) {
 
 /**
  * Crea el embed de estado general de todos los servidores
- * @param {Array<ServerInfo>} serversInfo - Array de información de servidores
+ * @param {Array<ServerInfo>} serversInfo - Array de información de servidores (los que ya respondieron)
+ * @param {number} pending - Servidores que todavía se están consultando
  * @returns {EmbedBuilder} - Embed con estado general
  */
-function createStatusEmbed(serversInfo) {
+function createStatusEmbed(serversInfo, pending = 0) {
     const embed = new EmbedBuilder()
         .setTitle("⚽ Estado Servidores IOSoccer")
         .setDescription("Información en tiempo real con Match Info JSON")
@@ -489,9 +490,10 @@ function createStatusEmbed(serversInfo) {
     }
     
     // Resumen general
-    const summary = `**🌐 Servidores Online:** ${onlineCount}/${serversInfo.length}\n` +
+    const summary = `**🌐 Servidores Online:** ${onlineCount}/${serversInfo.length + pending}\n` +
                    `**👥 Jugadores Totales:** ${totalPlayers}\n` +
-                   `**⚽ Partidos Activos:** ${activeMatches}`;
+                   `**⚽ Partidos Activos:** ${activeMatches}` +
+                   (pending > 0 ? `\n**⏳ Consultando:** ${pending} ${pending === 1 ? 'servidor' : 'servidores'}` : '');
     
     embed.addFields({
         name: "📊 Resumen General",
@@ -500,7 +502,9 @@ function createStatusEmbed(serversInfo) {
     });
     
     embed.setFooter({
-        text: `🔄 Actualizado con Match Info JSON | ${new Date().toLocaleTimeString()}`
+        text: pending > 0
+            ? `⏳ Resultados parciales: ${serversInfo.length}/${serversInfo.length + pending} | ${new Date().toLocaleTimeString()}`
+            : `🔄 Actualizado con Match Info JSON | ${new Date().toLocaleTimeString()}`
     });
     
     return embed;
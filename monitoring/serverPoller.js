@@ -0,0 +1,284 @@
+// Sondeo de servidores en segundo plano. Un único poller consulta cada servidor
+// de juego con su propia frecuencia (más seguido si hay un partido en juego,
+// menos si está vacío o no responde) y guarda la última respuesta con su hora.
+// Los comandos, los mensajes con auto-actualización y la captura de resultados
+// leen de esa foto en vez de consultar RCON cada uno por su cuenta.
+const { EventEmitter } = require('events');
+const { DEFAULT_CONCURRENCY, mapWithPool } = require('./workerPool');
+
+// Milisegundos entre consultas según el estado del servidor
+const DEFAULT_CADENCE = {
+    live: 15000,      // partido en juego, o esperado según el calendario de la liga
+    active: 45000,    // con jugadores pero sin partido
+    empty: 180000,    // sin jugadores
+    offline: 60000,   // sin respuesta: se duplica con cada falla seguida...
+    maxOffline: 300000 // ...hasta este máximo
+};
+
+const DEFAULT_TICK = 5000;
+
+/**
+ * Clave de un servidor de juego: el mismo ip:puerto configurado en varios
+ * servidores de Discord se consulta una sola vez
+ */
+function serverKey(server) {
+    return `${server.ip}:${server.port}`;
+}
+
+/**
+ * Antigüedad legible, ej: "12s", "3 min"
+ * @param {number} ms - Milisegundos
+ */
+function formatAge(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return seconds < 60 ? `${seconds}s` : `${Math.round(seconds / 60)} min`;
+}
+
+class ServerPoller extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.query - async (server) => ServerInfo
+     * @param {Function} options.servers - () => servidores a sondear (pueden repetirse)
+     * @param {Function} options.isLive - (serverInfo) => true si hay un partido en juego
+     * @param {Function} options.watched - () => Set de claves que se sondean como en juego
+     * @param {Function} options.fallback - (server, error) => ServerInfo para una consulta que falló
+     */
+    constructor({ query, servers, isLive, watched = () => new Set(), fallback, concurrency = DEFAULT_CONCURRENCY, timeout = null, cadence = {}, now = () => Date.now() }) {
+        super();
+        this.query = query;
+        this.servers = servers;
+        this.isLive = isLive;
+        this.watched = watched;
+        this.fallback = fallback;
+        this.concurrency = concurrency;
+        this.timeout = timeout;
+        this.cadence = { ...DEFAULT_CADENCE, ...cadence };
+        this.now = now;
+
+        // clave → { key, name, server, info, state, updatedAt, duration, failures, error }
+        this.entries = new Map();
+        // clave → promesa de la consulta en curso, para no repetirla
+        this.inFlight = new Map();
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    start(tickMs = DEFAULT_TICK) {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.tick(), tickMs);
+        this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Estado de un servidor según su última respuesta
+     * @returns {string} - live | active | empty | offline
+     */
+    stateOf(info) {
+        if (!info || !String(info.status).includes('Online')) {
+            return 'offline';
+        }
+        if (info.matchInfo && this.isLive(info)) {
+            return 'live';
+        }
+        return info.players > 0 ? 'active' : 'empty';
+    }
+
+    /**
+     * Milisegundos hasta la próxima consulta de un servidor
+     * @param {Object} entry - Entrada de la foto
+     * @param {Set<string>} watched - Claves con un partido esperado
+     */
+    intervalFor(entry, watched = new Set()) {
+        if (entry.state === 'offline') {
+            return Math.min(this.cadence.offline * 2 ** Math.max(0, entry.failures - 1), this.cadence.maxOffline);
+        }
+        if (watched.has(entry.key)) {
+            return this.cadence.live;
+        }
+        return this.cadence[entry.state];
+    }
+
+    /**
+     * Consulta los servidores que ya tocan. Los que dejaron de estar
+     * configurados en todos lados salen de la foto
+     */
+    async tick() {
+        if (this.ticking) {
+            return;
+        }
+
+        this.ticking = true;
+        try {
+            const servers = new Map(this.servers().map(server => [serverKey(server), server]));
+            for (const key of this.entries.keys()) {
+                if (!servers.has(key)) {
+                    this.entries.delete(key);
+                    this.emit('remove', key);
+                }
+            }
+
+            const watched = this.watched();
+            const now = this.now();
+            const due = [...servers.values()].filter(server => {
+                const entry = this.entries.get(serverKey(server));
+                return !entry || entry.updatedAt + this.intervalFor(entry, watched) <= now;
+            });
+
+            await this.refresh(due);
+        } catch (error) {
+            this.emit('error', error);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    /**
+     * Consulta ya los servidores pedidos; si alguno tiene una consulta en curso se espera esa
+     * @param {Array<Object>} servers - Servidores de juego
+     * @returns {Promise<Array<Object>>} - Entradas de la foto, en el orden de servers
+     */
+    refresh(servers) {
+        return Promise.all(this.schedule(servers));
+    }
+
+    /**
+     * @returns {Array<Promise<Object>>} - Una promesa por servidor, que se cumple apenas responde
+     */
+    schedule(servers) {
+        const fresh = [];
+        const resolvers = new Map();
+        for (const server of servers) {
+            const key = serverKey(server);
+            if (!this.inFlight.has(key)) {
+                fresh.push(server);
+                this.inFlight.set(key, new Promise(resolve => resolvers.set(key, resolve)));
+            }
+        }
+
+        const pending = servers.map(server => this.inFlight.get(serverKey(server)));
+
+        if (fresh.length > 0) {
+            const startedAt = [];
+            mapWithPool(fresh, (server, index) => {
+                startedAt[index] = this.now();
+                return this.query(server);
+            }, {
+                concurrency: this.concurrency,
+                timeout: this.timeout,
+                onSettled: (outcome, index) => {
+                    const key = serverKey(fresh[index]);
+                    const entry = this.store(fresh[index], outcome, this.now() - startedAt[index]);
+                    this.inFlight.delete(key);
+                    resolvers.get(key)(entry);
+                }
+            });
+        }
+
+        return pending;
+    }
+
+    store(server, outcome, duration) {
+        const key = serverKey(server);
+        const previous = this.entries.get(key) || null;
+        const info = outcome.error ? this.fallback(server, outcome.error) : outcome.value;
+        const state = outcome.error ? 'offline' : this.stateOf(info);
+
+        const entry = {
+            key,
+            name: server.name,
+            server,
+            info,
+            state,
+            updatedAt: this.now(),
+            duration,
+            failures: state === 'offline' ? (previous ? previous.failures : 0) + 1 : 0,
+            error: outcome.error ? outcome.error.message : null
+        };
+
+        this.entries.set(key, entry);
+        try {
+            this.emit('update', entry, previous);
+        } catch (error) {
+            // Un suscriptor que falla no deja la consulta colgada para los demás
+            this.emit('error', error);
+        }
+        return entry;
+    }
+
+    /**
+     * Última respuesta de un servidor, sin consultarlo
+     * @returns {Object|null} - Entrada de la foto o null si todavía no se consultó
+     */
+    get(server) {
+        return this.entries.get(serverKey(server)) || null;
+    }
+
+    /**
+     * Lee los servidores de la foto; solo se consultan los que todavía no
+     * tienen ninguna respuesta (recién configurados o recién arrancado el bot)
+     * @param {Array<Object>} servers - Servidores de juego
+     * @param {Function} onEntry - (entry, index) apenas está disponible cada uno
+     * @returns {Promise<Array<Object>>} - Entradas, en el orden de servers
+     */
+    async read(servers, onEntry = () => {}) {
+        const cached = servers.map(server => this.get(server));
+        const missing = servers.filter((_, index) => !cached[index]);
+
+        cached.forEach((entry, index) => entry && onEntry(entry, index));
+        if (missing.length === 0) {
+            return cached;
+        }
+
+        const fetched = this.schedule(missing);
+        return Promise.all(servers.map(async (server, index) => {
+            if (cached[index]) {
+                return cached[index];
+            }
+            const entry = await fetched[missing.indexOf(server)];
+            onEntry(entry, index);
+            return entry;
+        }));
+    }
+
+    /**
+     * Antigüedad de cada servidor de la foto, para los health checks
+     * @returns {Array<Object>} - { name, key, state, updatedAt, ageMs, failures, error, stale }
+     */
+    freshness() {
+        const watched = this.watched();
+        const now = this.now();
+        return [...this.entries.values()]
+            .map(entry => {
+                const ageMs = now - entry.updatedAt;
+                return {
+                    name: entry.name,
+                    key: entry.key,
+                    state: entry.state,
+                    updatedAt: new Date(entry.updatedAt).toISOString(),
+                    ageMs,
+                    failures: entry.failures,
+                    error: entry.error,
+                    // Pasaron dos ciclos sin una respuesta nueva
+                    stale: ageMs > 2 * this.intervalFor(entry, watched)
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+}
+
+module.exports = {
+    DEFAULT_CADENCE,
+    DEFAULT_TICK,
+    ServerPoller,
+    formatAge,
+    serverKey
+};
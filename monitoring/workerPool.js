@@ -0,0 +1,61 @@
+// Consultas en paralelo con un máximo de consultas simultáneas. Cada resultado
+// se entrega apenas llega, sin esperar a los más lentos, y un servidor que no
+// responde a tiempo cuenta como error sin frenar al resto.
+
+const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Corre una promesa con tiempo límite (el temporizador se libera al terminar)
+ * @param {Promise} promise - Trabajo a esperar
+ * @param {number|null} ms - Tiempo límite; null espera sin límite
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+    if (!ms) {
+        return promise;
+    }
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timeout de ${ms / 1000}s alcanzado`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Ejecuta worker sobre cada elemento con a lo sumo `concurrency` a la vez
+ * @param {Array} items - Elementos a procesar (ej: servidores)
+ * @param {Function} worker - async (item, index) => resultado
+ * @param {Object} options - { concurrency, timeout (ms por elemento), onSettled(outcome, index) sincrónico, apenas termina cada uno }
+ * @returns {Promise<Array<Object>>} - { value } o { error } por elemento, en el orden de items
+ */
+async function mapWithPool(items, worker, { concurrency = DEFAULT_CONCURRENCY, timeout = null, onSettled = null } = {}) {
+    const outcomes = new Array(items.length);
+    let next = 0;
+
+    const run = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                outcomes[index] = { value: await withTimeout(Promise.resolve().then(() => worker(items[index], index)), timeout) };
+            } catch (error) {
+                outcomes[index] = { error };
+            }
+
+            if (onSettled) {
+                onSettled(outcomes[index], index);
+            }
+        }
+    };
+
+    const workers = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workers }, run));
+    return outcomes;
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    withTimeout,
+    mapWithPool
+};
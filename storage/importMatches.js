@@ -0,0 +1,110 @@
+/**
+ * IMPORTADOR DE matches.json A SQLITE
+ *
+ * Uso:
+ *   node storage/importMatches.js [ruta/a/matches.json] [--force]
+ *
+ * Copia todos los partidos del JSON histórico a la base SQLite configurada
+ * (MATCH_DB_FILE o DATA_DIR/matches.db). Si la base ya tiene partidos se
+ * detiene, salvo que se pase --force, en cuyo caso actualiza por ID.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveStorageConfig } = require('./index');
+
+// Columnas NOT NULL de la tabla matches: un registro sin alguna haría fallar toda la transacción
+const REQUIRED_FIELDS = ['id', 'equipo1', 'equipo2', 'torneo', 'date', 'time'];
+
+/**
+ * @returns {Array<string>} - Campos obligatorios que le faltan a un registro
+ */
+function missingFields(match) {
+    if (!match || typeof match !== 'object') {
+        return REQUIRED_FIELDS;
+    }
+    return REQUIRED_FIELDS.filter(field => match[field] === undefined || match[field] === null || match[field] === '');
+}
+
+/**
+ * Importa los partidos de un archivo JSON a un store SQLite
+ * @param {SqliteMatchStore} store - Store de destino
+ * @param {string} jsonFile - Archivo de origen
+ * @param {Object} options - { force }
+ * @returns {Object} - { imported, skipped, reason, invalid (registros ignorados: { index, id, missing }) }
+ */
+function importMatchesFromJson(store, jsonFile, options = {}) {
+    if (!fs.existsSync(jsonFile)) {
+        return { imported: 0, skipped: true, reason: `No existe ${jsonFile}` };
+    }
+
+    const matches = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+    if (!Array.isArray(matches)) {
+        throw new Error(`${jsonFile} no contiene un array de partidos`);
+    }
+
+    const existing = store.loadMatches();
+    if (existing.length > 0 && !options.force) {
+        return {
+            imported: 0,
+            skipped: true,
+            reason: `La base ya tiene ${existing.length} partidos (usa --force para actualizar por ID)`
+        };
+    }
+
+    const valid = [];
+    const invalid = [];
+    matches.forEach((match, index) => {
+        const missing = missingFields(match);
+        if (missing.length > 0) {
+            invalid.push({ index, id: match && match.id ? match.id : null, missing });
+        } else {
+            valid.push(match);
+        }
+    });
+
+    const imported = store.upsertMatches(valid);
+
+    return {
+        imported,
+        skipped: false,
+        invalid
+    };
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+
+    const args = process.argv.slice(2);
+    const force = args.includes('--force');
+    const config = resolveStorageConfig({ rootDir: path.join(__dirname, '..'), type: 'sqlite' });
+    const jsonFile = args.find(arg => !arg.startsWith('--')) || config.dataFile;
+
+    const { SqliteMatchStore } = require('./sqliteStore');
+    const store = new SqliteMatchStore({ dbFile: config.dbFile });
+
+    try {
+        const result = importMatchesFromJson(store, path.resolve(jsonFile), { force });
+
+        if (result.skipped) {
+            console.log(`⚠️ Importación omitida: ${result.reason}`);
+        } else {
+            console.log(`✅ ${result.imported} partidos importados a ${config.dbFile}`);
+            if (result.invalid.length > 0) {
+                console.log(`⚠️ ${result.invalid.length} registros incompletos fueron ignorados:`);
+                for (const record of result.invalid) {
+                    console.log(`   - posición ${record.index}${record.id ? ` (ID ${record.id})` : ''}: falta ${record.missing.join(', ')}`);
+                }
+            }
+        }
+    } catch (error) {
+        console.error(`❌ Error importando partidos: ${error.message}`);
+        process.exitCode = 1;
+    } finally {
+        store.close();
+    }
+}
+
+module.exports = {
+    importMatchesFromJson
+};
@@ -0,0 +1,90 @@
+/**
+ * Almacenamiento de partidos del bot IOSoccer
+ *
+ * Interfaz común de los backends:
+ *   loadMatches()          -> Array de partidos
+ *   saveMatches(matches)   -> persiste la lista completa
+ *   loadCollection(name)   -> datos auxiliares (torneos, etc.) o null
+ *   saveCollection(name, data)
+ *   appendLog(name, entry) -> agrega una entrada a un registro de solo agregado
+ *   loadLog(name)          -> Array con las entradas del registro, en orden
+ *   close()
+ *
+ * Variables de entorno:
+ *   MATCH_STORAGE   json (por defecto) | sqlite
+ *   DATA_DIR        Directorio de datos (por defecto la raíz del proyecto)
+ *   MATCH_DB_FILE   Ruta del archivo SQLite (por defecto DATA_DIR/matches.db)
+ *
+ * Cada servidor de Discord adicional guarda sus datos por separado en
+ * DATA_DIR/guilds/<guildId>/ (mismo backend, mismos nombres de archivo).
+ */
+
+const path = require('path');
+const { JsonMatchStore, writeFileAtomic } = require('./jsonStore');
+
+const STORAGE_TYPES = ['json', 'sqlite'];
+
+/**
+ * Resuelve las rutas de datos a partir del entorno
+ * @param {Object} options - { rootDir, type, guildId (datos de un servidor de Discord adicional) }
+ * @returns {Object} - { type, dataDir, dataFile, dbFile }
+ */
+function resolveStorageConfig(options = {}) {
+    const rootDir = options.rootDir || path.join(__dirname, '..');
+    const baseDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : rootDir;
+    const type = (options.type || process.env.MATCH_STORAGE || 'json').toLowerCase().trim();
+
+    if (options.guildId) {
+        const dataDir = path.join(baseDir, 'guilds', String(options.guildId));
+        return {
+            type,
+            dataDir,
+            dataFile: path.join(dataDir, 'matches.json'),
+            dbFile: path.join(dataDir, 'matches.db')
+        };
+    }
+
+    return {
+        type,
+        dataDir: baseDir,
+        dataFile: path.join(baseDir, 'matches.json'),
+        dbFile: process.env.MATCH_DB_FILE ? path.resolve(process.env.MATCH_DB_FILE) : path.join(baseDir, 'matches.db')
+    };
+}
+
+/**
+ * Crea el backend de partidos configurado. Un backend desconocido o que no
+ * abre es un error: seguir con otro guardaría los datos donde el operador no
+ * los va a buscar
+ * @param {Object} options - { rootDir, type, guildId }
+ * @returns {JsonMatchStore|SqliteMatchStore}
+ */
+function createMatchStore(options = {}) {
+    const config = resolveStorageConfig(options);
+
+    if (!STORAGE_TYPES.includes(config.type)) {
+        throw new Error(`MATCH_STORAGE="${config.type}" no reconocido (válidos: ${STORAGE_TYPES.join(', ')})`);
+    }
+
+    if (config.type === 'sqlite') {
+        let store;
+        try {
+            const { SqliteMatchStore } = require('./sqliteStore');
+            store = new SqliteMatchStore({ dbFile: config.dbFile });
+        } catch (error) {
+            throw new Error(`No se pudo abrir la base SQLite ${config.dbFile}: ${error.message}`);
+        }
+        console.log(`🗄️ Almacenamiento SQLite: ${config.dbFile} (esquema v${store.schemaVersion})`);
+        return store;
+    }
+
+    console.log(`🗄️ Almacenamiento JSON: ${config.dataFile}`);
+    return new JsonMatchStore({ dataFile: config.dataFile });
+}
+
+module.exports = {
+    STORAGE_TYPES,
+    createMatchStore,
+    resolveStorageConfig,
+    writeFileAtomic
+};
@@ -0,0 +1,156 @@
+// Almacenamiento de partidos en archivo JSON con escritura atómica
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Escribe un archivo de forma atómica: primero a un temporal en el mismo
+ * directorio y luego rename(), así un crash nunca deja el archivo a medias
+ * @param {string} filePath - Ruta final del archivo
+ * @param {string} content - Contenido a escribir
+ */
+function writeFileAtomic(filePath, content) {
+    const dir = path.dirname(filePath);
+    const tmpFile = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    try {
+        fs.renameSync(tmpFile, filePath);
+    } catch (error) {
+        try {
+            fs.unlinkSync(tmpFile);
+        } catch (e) {
+            // El temporal ya no existe
+        }
+        throw error;
+    }
+}
+
+/**
+ * Backend JSON: compatible con el matches.json histórico del bot.
+ * Las colecciones auxiliares (torneos, etc.) van en <nombre>.json junto a él
+ */
+class JsonMatchStore {
+    constructor(options = {}) {
+        this.type = 'json';
+        this.dataFile = options.dataFile;
+        this.dataDir = path.dirname(this.dataFile);
+    }
+
+    /**
+     * Lee todos los partidos del archivo
+     * @returns {Array<Object>} - Partidos guardados
+     */
+    loadMatches() {
+        if (!fs.existsSync(this.dataFile)) {
+            return [];
+        }
+
+        const data = fs.readFileSync(this.dataFile, 'utf8');
+
+        try {
+            const matches = JSON.parse(data);
+            if (!Array.isArray(matches)) {
+                throw new Error('el contenido no es un array de partidos');
+            }
+            return matches;
+        } catch (error) {
+            // Se guarda una copia y se corta la carga: seguir con una lista vacía
+            // pisaría el archivo en el próximo save
+            const backupFile = `${this.dataFile}.corrupto-${Date.now()}`;
+            fs.copyFileSync(this.dataFile, backupFile);
+            throw new Error(`${path.basename(this.dataFile)} ilegible (${error.message}), copia guardada en ${backupFile}`);
+        }
+    }
+
+    /**
+     * Reescribe el archivo completo de forma atómica
+     * @param {Array<Object>} matches - Partidos a guardar
+     */
+    saveMatches(matches) {
+        writeFileAtomic(this.dataFile, JSON.stringify(matches, null, 2));
+    }
+
+    /**
+     * Lee una colección auxiliar
+     * @param {string} name - Nombre de la colección
+     * @returns {*} - Datos guardados o null si no existe
+     */
+    loadCollection(name) {
+        const file = path.join(this.dataDir, `${name}.json`);
+        if (!fs.existsSync(file)) {
+            return null;
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    /**
+     * Guarda una colección auxiliar de forma atómica
+     * @param {string} name - Nombre de la colección
+     * @param {*} data - Datos serializables
+     */
+    saveCollection(name, data) {
+        writeFileAtomic(path.join(this.dataDir, `${name}.json`), JSON.stringify(data, null, 2));
+    }
+
+    /**
+     * Agrega una entrada al final de <nombre>.jsonl (una línea JSON por entrada).
+     * El archivo nunca se reescribe: lo anterior queda como estaba
+     * @param {string} name - Nombre del registro
+     * @param {Object} entry - Entrada serializable
+     */
+    appendLog(name, entry) {
+        const file = path.join(this.dataDir, `${name}.jsonl`);
+        fs.mkdirSync(this.dataDir, { recursive: true });
+
+        const fd = fs.openSync(file, 'a+');
+        try {
+            // Si un crash dejó la última línea cortada, la entrada nueva empieza en su propia línea
+            const { size } = fs.fstatSync(fd);
+            const last = Buffer.alloc(1);
+            const separator = size > 0 && fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a ? '\n' : '';
+            fs.writeSync(fd, `${separator}${JSON.stringify(entry)}\n`);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Lee un registro de solo agregado. Una línea cortada por un crash se descarta
+     * @param {string} name - Nombre del registro
+     * @returns {Array<Object>} - Entradas en el orden en que se agregaron
+     */
+    loadLog(name) {
+        const file = path.join(this.dataDir, `${name}.jsonl`);
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+
+        const entries = [];
+        for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                console.error(`⚠️ ${name}.jsonl: se descarta una línea ilegible (${error.message})`);
+            }
+        }
+        return entries;
+    }
+
+    close() {}
+}
+
+module.exports = {
+    JsonMatchStore,
+    writeFileAtomic
+};
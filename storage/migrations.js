@@ -0,0 +1,118 @@
+// Migraciones versionadas del esquema SQLite de partidos
+//
+// Cada migración se aplica una sola vez y en orden; la versión aplicada queda
+// registrada en schema_migrations. Nunca modificar una migración ya publicada:
+// agregar una nueva con la siguiente versión.
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'crear_tabla_partidos',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE matches (
+                    id INTEGER PRIMARY KEY,
+                    equipo1 TEXT NOT NULL,
+                    equipo2 TEXT NOT NULL,
+                    torneo TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    time TEXT NOT NULL,
+                    confirmed_by TEXT,
+                    confirmed_at TEXT,
+                    data TEXT NOT NULL
+                );
+                CREATE INDEX idx_matches_date_time ON matches (date, time);
+                CREATE INDEX idx_matches_torneo ON matches (torneo);
+            `);
+        }
+    },
+    {
+        version: 2,
+        name: 'crear_tabla_colecciones',
+        up: (db) => {
+            db.exec(`
+                CREATE TABLE collections (
+                    name TEXT PRIMARY KEY,
+                    data TEXT NOT NULL,
+                    updated_at TEXT NOT NULL
+                );
+            `);
+        }
+    },
+    {
+        version: 3,
+        name: 'crear_tabla_registros',
+        up: (db) => {
+            // Registros de solo agregado (historial de auditoría): los triggers
+            // impiden modificar o borrar una entrada ya guardada
+            db.exec(`
+                CREATE TABLE logs (
+                    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    data TEXT NOT NULL,
+                    created_at TEXT NOT NULL
+                );
+                CREATE INDEX idx_logs_name ON logs (name, seq);
+                CREATE TRIGGER logs_sin_modificar BEFORE UPDATE ON logs
+                BEGIN
+                    SELECT RAISE(ABORT, 'los registros son de solo agregado');
+                END;
+                CREATE TRIGGER logs_sin_borrar BEFORE DELETE ON logs
+                BEGIN
+                    SELECT RAISE(ABORT, 'los registros son de solo agregado');
+                END;
+            `);
+        }
+    }
+];
+
+/**
+ * Aplica las migraciones pendientes dentro de una transacción cada una
+ * @param {Object} db - Conexión better-sqlite3
+ * @returns {Array<number>} - Versiones aplicadas en esta ejecución
+ */
+function runMigrations(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = new Set(
+        db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+    const newlyApplied = [];
+
+    for (const migration of MIGRATIONS) {
+        if (applied.has(migration.version)) continue;
+
+        db.transaction(() => {
+            migration.up(db);
+            record.run(migration.version, migration.name, new Date().toISOString());
+        })();
+
+        newlyApplied.push(migration.version);
+        console.log(`🗄️ Migración ${migration.version} (${migration.name}) aplicada`);
+    }
+
+    return newlyApplied;
+}
+
+/**
+ * Versión más alta aplicada en la base
+ * @param {Object} db - Conexión better-sqlite3
+ * @returns {number}
+ */
+function getSchemaVersion(db) {
+    const row = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get();
+    return row && row.version ? row.version : 0;
+}
+
+module.exports = {
+    MIGRATIONS,
+    runMigrations,
+    getSchemaVersion
+};
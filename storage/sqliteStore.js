@@ -0,0 +1,199 @@
+// Almacenamiento de partidos en SQLite embebido (better-sqlite3)
+const fs = require('fs');
+const path = require('path');
+const { runMigrations, getSchemaVersion } = require('./migrations');
+
+/**
+ * Backend SQLite: cada partido es una fila, con el registro completo en la
+ * columna data y las columnas de búsqueda duplicadas para poder indexarlas
+ */
+class SqliteMatchStore {
+    constructor(options = {}) {
+        // Carga diferida: solo se exige la dependencia si se elige este backend
+        const Database = require('better-sqlite3');
+
+        this.type = 'sqlite';
+        this.dbFile = options.dbFile;
+
+        fs.mkdirSync(path.dirname(this.dbFile), { recursive: true });
+
+        this.db = new Database(this.dbFile);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+
+        runMigrations(this.db);
+        this.schemaVersion = getSchemaVersion(this.db);
+
+        // id → JSON de cada fila tal como está en la base, para escribir solo lo que cambió.
+        // El bot es el único que escribe mientras corre (el importador se usa antes de arrancarlo)
+        this.persisted = null;
+
+        this.statements = {
+            selectAll: this.db.prepare('SELECT id, data FROM matches ORDER BY date, time, id'),
+            upsert: this.db.prepare(`
+                INSERT INTO matches (id, equipo1, equipo2, torneo, date, time, confirmed_by, confirmed_at, data)
+                VALUES (@id, @equipo1, @equipo2, @torneo, @date, @time, @confirmed_by, @confirmed_at, @data)
+                ON CONFLICT(id) DO UPDATE SET
+                    equipo1 = excluded.equipo1,
+                    equipo2 = excluded.equipo2,
+                    torneo = excluded.torneo,
+                    date = excluded.date,
+                    time = excluded.time,
+                    confirmed_by = excluded.confirmed_by,
+                    confirmed_at = excluded.confirmed_at,
+                    data = excluded.data
+            `),
+            delete: this.db.prepare('DELETE FROM matches WHERE id = ?'),
+            selectCollection: this.db.prepare('SELECT data FROM collections WHERE name = ?'),
+            upsertCollection: this.db.prepare(`
+                INSERT INTO collections (name, data, updated_at) VALUES (?, ?, ?)
+                ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+            `),
+            insertLog: this.db.prepare('INSERT INTO logs (name, data, created_at) VALUES (?, ?, ?)'),
+            selectLog: this.db.prepare('SELECT data FROM logs WHERE name = ? ORDER BY seq')
+        };
+    }
+
+    /**
+     * Convierte un partido al formato de fila
+     * @param {Object} match - Partido
+     * @returns {Object} - Parámetros para el upsert
+     */
+    toRow(match) {
+        return {
+            id: match.id,
+            equipo1: match.equipo1,
+            equipo2: match.equipo2,
+            torneo: match.torneo,
+            date: match.date,
+            time: match.time,
+            confirmed_by: match.confirmedBy || null,
+            confirmed_at: match.confirmedAt || null,
+            data: JSON.stringify(match)
+        };
+    }
+
+    /**
+     * Lee todos los partidos
+     * @returns {Array<Object>} - Partidos guardados
+     */
+    loadMatches() {
+        const rows = this.statements.selectAll.all();
+        const matches = rows.map(row => {
+            try {
+                return JSON.parse(row.data);
+            } catch (error) {
+                throw new Error(`partido ${row.id} ilegible (${error.message}), copia de la base guardada en ${this.backup()}`);
+            }
+        });
+
+        // Recién con todas las filas leídas: un guardado posterior a una lectura
+        // fallida no puede tomar la tabla entera como partidos borrados
+        this.persisted = new Map(rows.map(row => [row.id, row.data]));
+        return matches;
+    }
+
+    /**
+     * Copia de la base completa (incluido lo que todavía está en el WAL)
+     * @returns {string} - Archivo de la copia
+     */
+    backup() {
+        const backupFile = `${this.dbFile}.corrupto-${Date.now()}`;
+        fs.writeFileSync(backupFile, this.db.serialize());
+        return backupFile;
+    }
+
+    /**
+     * Sincroniza la tabla con la lista en memoria en una sola transacción,
+     * tocando solo las filas que cambiaron: inserta los partidos nuevos,
+     * actualiza los modificados y borra los que ya no están
+     * @param {Array<Object>} matches - Partidos a guardar
+     * @returns {Object} - { written, deleted } filas escritas y borradas
+     */
+    saveMatches(matches) {
+        if (!this.persisted) {
+            this.persisted = new Map(this.statements.selectAll.all().map(row => [row.id, row.data]));
+        }
+
+        const rows = matches.map(match => this.toRow(match));
+        const keep = new Set(rows.map(row => row.id));
+        const changed = rows.filter(row => this.persisted.get(row.id) !== row.data);
+        const removed = [...this.persisted.keys()].filter(id => !keep.has(id));
+
+        if (changed.length > 0 || removed.length > 0) {
+            this.db.transaction(() => {
+                removed.forEach(id => this.statements.delete.run(id));
+                changed.forEach(row => this.statements.upsert.run(row));
+            })();
+
+            // Solo después de confirmar la transacción: si falla, el próximo save reintenta todo
+            removed.forEach(id => this.persisted.delete(id));
+            changed.forEach(row => this.persisted.set(row.id, row.data));
+        }
+
+        return { written: changed.length, deleted: removed.length };
+    }
+
+    /**
+     * Inserta partidos sin borrar los existentes (usado por el importador)
+     * @param {Array<Object>} matches - Partidos a insertar/actualizar
+     * @returns {number} - Cantidad procesada
+     */
+    upsertMatches(matches) {
+        this.db.transaction((list) => {
+            for (const match of list) {
+                this.statements.upsert.run(this.toRow(match));
+            }
+        })(matches);
+        // La foto de lo guardado ya no vale: se vuelve a leer en el próximo save
+        this.persisted = null;
+        return matches.length;
+    }
+
+    /**
+     * Lee una colección auxiliar
+     * @param {string} name - Nombre de la colección
+     * @returns {*} - Datos guardados o null si no existe
+     */
+    loadCollection(name) {
+        const row = this.statements.selectCollection.get(name);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    /**
+     * Guarda una colección auxiliar
+     * @param {string} name - Nombre de la colección
+     * @param {*} data - Datos serializables
+     */
+    saveCollection(name, data) {
+        this.statements.upsertCollection.run(name, JSON.stringify(data), new Date().toISOString());
+    }
+
+    /**
+     * Agrega una entrada a un registro de solo agregado
+     * @param {string} name - Nombre del registro
+     * @param {Object} entry - Entrada serializable
+     */
+    appendLog(name, entry) {
+        this.statements.insertLog.run(name, JSON.stringify(entry), new Date().toISOString());
+    }
+
+    /**
+     * Lee un registro de solo agregado
+     * @param {string} name - Nombre del registro
+     * @returns {Array<Object>} - Entradas en el orden en que se agregaron
+     */
+    loadLog(name) {
+        return this.statements.selectLog.all(name).map(row => JSON.parse(row.data));
+    }
+
+    close() {
+        if (this.db && this.db.open) {
+            this.db.close();
+        }
+    }
+}
+
+module.exports = {
+    SqliteMatchStore
+};
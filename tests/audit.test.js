@@ -0,0 +1,67 @@
+// Historial: también quedan los partidos que crea el cuadro y los que cambian
+// al renombrar un torneo o vincular un equipo del registro
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBracket } = require('../league/bracket');
+const { describeChanges } = require('../league/auditLog');
+const { createTestBot, fakeInteraction } = require('./helpers/testBot');
+
+const NOW = '2026-03-12T15:00:00Z';
+
+test('los partidos que programa el cuadro quedan como propuestas automáticas', () => {
+    const { bot } = createTestBot({ now: NOW });
+    const tournament = bot.tournaments.list()[0];
+    const bracket = createBracket({
+        id: 'copa',
+        tournamentId: tournament.id,
+        teams: ['a', 'b'],
+        legs: 1,
+        startDate: '2026-03-14',
+        spacingDays: 7,
+        preferredTime: '21:00',
+        createdBy: 'user-1',
+        createdAt: new Date(NOW).toISOString()
+    });
+    bot.brackets.add(bracket);
+
+    const { scheduled } = bot.syncBracket(bracket);
+    assert.equal(scheduled.length, 1);
+
+    const entries = bot.audit.query({ matchId: scheduled[0].id });
+    assert.deepEqual(entries.map(entry => [entry.action, entry.userId, entry.before]), [['proponer', null, null]]);
+    assert.equal(entries[0].after.torneo, tournament.name);
+});
+
+test('renombrar un torneo deja una edición por partido con el antes y el después', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    const torneo = bot.tournaments.list()[0].name;
+    const result = await bot.processMatchConfirmation('Uno', 'Dos', torneo, 'mañana', '21:00', 'user-1', {});
+    assert.equal(result.success, true, result.message);
+
+    await bot.handleTournamentCommand(fakeInteraction({ _sub: 'renombrar', torneo, nuevo_nombre: 'Liga Clausura' }, { user: { id: 'org-1' } }));
+
+    const [entry] = bot.audit.query({ action: 'editar' });
+    assert.equal(entry.matchId, result.match.id);
+    assert.equal(entry.userId, 'org-1');
+    assert.equal(entry.before.torneo, torneo);
+    assert.equal(entry.after.torneo, 'Liga Clausura');
+    assert.deepEqual(describeChanges(entry.before, entry.after), [`Torneo: ${torneo} → Liga Clausura`]);
+});
+
+test('vincular un equipo del registro deja una sola edición por partido', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    const torneo = bot.tournaments.list()[0].name;
+    const result = await bot.processMatchConfirmation('river', 'boca', torneo, 'mañana', '21:00', 'user-1', {});
+    assert.equal(result.success, true, result.message);
+
+    bot.teams.create({ name: 'River Plate', tag: 'CARP' });
+    bot.teams.addAlias('CARP', 'river');
+    bot.teams.create({ name: 'Boca Juniors', tag: 'CABJ' });
+    bot.teams.addAlias('CABJ', 'boca');
+    bot.linkMatchesToTeams('org-1');
+
+    const entries = bot.audit.query({ action: 'editar' });
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].userId, 'org-1');
+    assert.deepEqual(describeChanges(entries[0].before, entries[0].after), ['Equipos: river vs boca → River Plate vs Boca Juniors']);
+});
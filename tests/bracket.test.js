@@ -0,0 +1,135 @@
+// Cuadro de eliminación: llaves a uno o dos partidos, byes, avance y conflictos.
+// /bracket es una consulta: muestra el cuadro guardado sin recalcularlo ni programar partidos
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createBracket, evaluateTie, refreshBracket } = require('../league/bracket');
+const { createTestBot, fakeInteraction } = require('./helpers/testBot');
+
+const NOW = '2026-03-12T15:00:00Z';
+
+let nextId = 1;
+const leg = (home, goles1, goles2, away, extra = {}) => ({
+    id: nextId++,
+    equipo1Id: home,
+    equipo2Id: away,
+    status: 'confirmed',
+    result: { goles1, goles2, walkoverWinner: null },
+    ...extra
+});
+
+const tie = { home: 'a', away: 'b' };
+
+test('llave de ida y vuelta: global, gol de visitante y penales', () => {
+    const twoLegs = { legs: 2, awayGoals: true };
+
+    assert.deepEqual(evaluateTie(tie, [leg('a', 2, 0, 'b'), leg('b', 1, 0, 'a')], twoLegs),
+        { winner: 'a', decidedBy: 'aggregate', aggregate: { home: 2, away: 1 }, level: false });
+
+    // 1-1 en la ida en casa de a, 2-2 en la vuelta: b hizo un gol de visitante, a dos
+    assert.equal(evaluateTie(tie, [leg('a', 1, 1, 'b'), leg('b', 2, 2, 'a')], twoLegs).decidedBy, 'away_goals');
+
+    const level = [leg('a', 1, 1, 'b'), leg('b', 1, 1, 'a')];
+    assert.equal(evaluateTie(tie, level, twoLegs).level, true);
+
+    level[1].result.penalties = { goles1: 4, goles2: 3 };
+    const penalties = evaluateTie(tie, level, twoLegs);
+    assert.equal(penalties.winner, 'b');
+    assert.deepEqual(penalties.aggregate.penalties, { home: 3, away: 4 });
+});
+
+test('llave sin completar o con walkover', () => {
+    const pending = evaluateTie(tie, [leg('a', 3, 0, 'b'), { id: nextId++, equipo1Id: 'b', equipo2Id: 'a', status: 'accepted' }], { legs: 2 });
+    assert.deepEqual(pending, { winner: null, decidedBy: null, aggregate: { home: 3, away: 0 }, level: false });
+
+    const walkover = leg('a', null, null, 'b', { status: 'walkover', result: { walkoverWinner: 'equipo2' } });
+    assert.equal(evaluateTie(tie, [walkover], { legs: 1 }).winner, 'b');
+});
+
+test('los ganadores avanzan y un resultado corregido con la llave siguiente armada es un conflicto', () => {
+    const bracket = createBracket({ id: 'copa', tournamentId: 'liga', teams: ['a', 'b', 'c'], legs: 1 });
+    const [byeTie, openTie] = bracket.rounds[0][0].decidedBy === 'bye' ? bracket.rounds[0] : [...bracket.rounds[0]].reverse();
+    const final = bracket.rounds[1][0];
+
+    // El bye ya está en la final esperando rival
+    assert.ok([final.home, final.away].includes(byeTie.winner));
+    assert.equal(refreshBracket(bracket, []).ready.length, 1);
+
+    const semi = leg(openTie.home, 2, 1, openTie.away, { bracket: { id: 'copa', round: 1, slot: openTie.slot, leg: 1 } });
+    openTie.legs.push(semi.id);
+
+    const outcome = refreshBracket(bracket, [semi]);
+    assert.deepEqual(outcome.decided.map(t => t.winner), [openTie.home]);
+    assert.deepEqual(outcome.ready, [final]);
+    assert.ok([final.home, final.away].includes(openTie.home));
+
+    const finalMatch = { id: nextId++, equipo1Id: final.home, equipo2Id: final.away, status: 'accepted', bracket: { id: 'copa', round: 2, slot: 0, leg: 1 } };
+    final.legs.push(finalMatch.id);
+    semi.result = { goles1: 0, goles2: 1, walkoverWinner: null };
+    const corrected = refreshBracket(bracket, [semi, finalMatch]);
+    assert.deepEqual(corrected.conflicts.map(c => c.expected), [openTie.away]);
+});
+
+test('el campeón sale de la final', () => {
+    const bracket = createBracket({ id: 'final', tournamentId: 'liga', teams: ['a', 'b'], legs: 1 });
+    const only = bracket.rounds[0][0];
+    const final = leg(only.home, 0, 3, only.away, { bracket: { id: 'final', round: 1, slot: 0, leg: 1 } });
+    only.legs.push(final.id);
+
+    refreshBracket(bracket, [final]);
+    assert.equal(bracket.championId, only.away);
+});
+
+// Semifinal ganada por W.O. cargada sin pasar por el bot: un recálculo armaría la final
+function walkover(bot, bracket, slot) {
+    const tie = bracket.rounds[0][slot];
+    const match = {
+        id: slot + 1,
+        equipo1: tie.home,
+        equipo2: tie.away,
+        equipo1Id: tie.home,
+        equipo2Id: tie.away,
+        torneo: 'Liga',
+        date: '2026-03-10',
+        time: '21:00',
+        status: 'walkover',
+        result: { walkoverWinner: 'equipo1' },
+        bracket: { id: bracket.id, round: 1, slot, leg: 1 }
+    };
+    tie.legs.push(match.id);
+    bot.matches.push(match);
+}
+
+test('/bracket no modifica el cuadro ni los partidos', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    const tournament = bot.tournaments.list()[0];
+
+    const bracket = createBracket({
+        id: 'copa',
+        tournamentId: tournament.id,
+        teams: ['a', 'b', 'c', 'd'],
+        legs: 1,
+        startDate: '2026-03-14',
+        spacingDays: 7,
+        preferredTime: '21:00',
+        createdBy: 'user-1',
+        createdAt: new Date(NOW).toISOString()
+    });
+    bot.brackets.add(bracket);
+    walkover(bot, bracket, 0);
+    walkover(bot, bracket, 1);
+
+    const matchesBefore = JSON.stringify(bot.matches);
+    const bracketBefore = JSON.stringify(bracket);
+    let saves = 0;
+    bot.saveMatches = () => { saves++; };
+    bot.brackets.save = () => { saves++; };
+
+    const interaction = fakeInteraction({ torneo: tournament.name });
+    await bot.showBracket(interaction);
+
+    assert.equal(interaction.replies.length, 1);
+    assert.ok(interaction.replies[0].embeds, 'responde con el cuadro');
+    assert.equal(JSON.stringify(bot.matches), matchesBefore);
+    assert.equal(JSON.stringify(bracket), bracketBefore);
+    assert.equal(saves, 0);
+});
@@ -0,0 +1,34 @@
+// Calendario .ics: los UID no se repiten entre ligas de distintos servidores
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { matchesToIcs } = require('../league/calendar');
+const { createTestBot } = require('./helpers/testBot');
+
+const NOW = Date.parse('2026-03-12T15:00:00Z');
+
+const match = { id: 1, equipo1: 'Uno', equipo2: 'Dos', torneo: 'Liga', date: '2026-03-13', time: '21:00', status: 'accepted', history: [] };
+
+function uids(options) {
+    const ics = matchesToIcs([match], { name: 'Liga', now: NOW, startOf: () => NOW, ...options });
+    return ics.split('\r\n').filter(line => line.startsWith('UID:'));
+}
+
+test('el UID lleva el servidor de Discord: el partido 1 de cada liga es otro evento', () => {
+    assert.deepEqual(uids({ guildId: '111' }), ['UID:partido-111-1@iosoccer-bot']);
+    assert.deepEqual(uids({ guildId: '222' }), ['UID:partido-222-1@iosoccer-bot']);
+    assert.deepEqual(uids({}), ['UID:partido-1@iosoccer-bot']);
+});
+
+test('el calendario de un equipo usa el servidor de la liga en curso', async () => {
+    const { bot } = createTestBot({ now: NOW });
+
+    const calendar = await bot.inGuild('333', async () => {
+        const { team } = bot.teams.create({ name: 'Uno', tag: 'UNO' });
+        bot.teams.create({ name: 'Dos', tag: 'DOS' });
+        const result = await bot.processMatchConfirmation('Uno', 'Dos', bot.tournaments.list()[0].name, 'mañana', '21:00', 'user-1', {});
+        assert.equal(result.success, true, result.message);
+        return bot.teamCalendar(team);
+    });
+
+    assert.match(calendar, /\r\nUID:partido-333-1@iosoccer-bot\r\n/);
+});
@@ -0,0 +1,111 @@
+// Fechas de la liga con el reloj fijo: "hoy" se calcula en la zona de la liga,
+// no en la de la máquina ni en UTC
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, embedFields, fakeInteraction } = require('./helpers/testBot');
+
+// Jueves 12/03/2026 23:30 en Buenos Aires (UTC-3): en UTC ya es viernes 13
+const NOW = '2026-03-13T02:30:00Z';
+
+test('today() usa la fecha de la zona de la liga', () => {
+    const { bot, clock } = createTestBot({ now: NOW });
+    assert.equal(bot.today(), '2026-03-12');
+
+    clock.advance(30 * 60000);
+    assert.equal(bot.today(), '2026-03-13');
+});
+
+test('processDate resuelve fechas relativas desde el día de la liga', () => {
+    const { bot } = createTestBot({ now: NOW });
+
+    assert.deepEqual(bot.processDate('hoy'), { valid: true, date: '2026-03-12', displayDate: 'Jueves 12/03' });
+    assert.equal(bot.processDate('mañana').date, '2026-03-13');
+    assert.equal(bot.processDate('pasado mañana').date, '2026-03-14');
+    assert.equal(bot.processDate('viernes').date, '2026-03-13');
+    // El propio día de la semana de hoy es el de la semana siguiente
+    assert.equal(bot.processDate('jueves').date, '2026-03-19');
+    assert.equal(bot.processDate('en 2 semanas').date, '2026-03-26');
+    assert.equal(bot.processDate('15/03').date, '2026-03-15');
+    assert.equal(bot.processDate('2026-04-01').date, '2026-04-01');
+});
+
+test('processDate rechaza fechas pasadas, lejanas o inválidas', () => {
+    const { bot } = createTestBot({ now: NOW });
+
+    const past = bot.processDate('11/03/2026');
+    assert.equal(past.valid, false);
+    assert.match(past.error, /Fecha pasada/);
+
+    const far = bot.processDate('en 100 dias');
+    assert.equal(far.valid, false);
+    assert.match(far.error, /demasiado lejana/);
+
+    assert.equal(bot.processDate('30/02').valid, false);
+    assert.equal(bot.processDate('cualquier cosa').valid, false);
+
+    // Los filtros aceptan fechas pasadas
+    assert.equal(bot.processDate('11/03/2026', { allowPast: true }).date, '2026-03-11');
+});
+
+test('sin texto, el autocompletado de `dia` solo sugiere fechas válidas', () => {
+    const { bot } = createTestBot({ now: NOW });
+    const suggestions = bot.getDateSuggestions('');
+    assert.equal(suggestions.length, 7);
+    assert.equal(suggestions[0].value, '2026-03-12');
+
+    // Las fechas fuera del horizonte no se ofrecen
+    const processDate = bot.processDate.bind(bot);
+    bot.processDate = (input, options) => {
+        const result = processDate(input, options);
+        return result.date > '2026-03-14' ? { valid: false, error: '❌ **Fecha demasiado lejana**' } : result;
+    };
+    assert.deepEqual(bot.getDateSuggestions('').map(suggestion => suggestion.value), ['2026-03-12', '2026-03-13', '2026-03-14']);
+});
+
+test('checkNotPast compara contra la hora de la liga', () => {
+    const { bot, clock } = createTestBot({ now: NOW });
+    const today = bot.processDate('hoy');
+
+    assert.match(bot.checkNotPast(today, '23:15'), /Horario pasado/);
+    assert.match(bot.checkNotPast(today, '23:30'), /Horario pasado/);
+    assert.equal(bot.checkNotPast(today, '23:45'), null);
+
+    clock.advance(20 * 60000);
+    assert.match(bot.checkNotPast(today, '23:45'), /Horario pasado/);
+});
+
+test('un partido nuevo y su historial toman la hora del reloj del bot', async () => {
+    const { bot, clock } = createTestBot({ now: NOW });
+
+    const result = await bot.processMatchConfirmation('Equipo Uno', 'Equipo Dos', bot.tournaments.list()[0].name, 'mañana', '21:00', 'user-1', {});
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.match.confirmedAt, new Date(NOW).toISOString());
+
+    // El historial de los cambios de estado también usa el reloj del bot
+    clock.advance(60000);
+    const walkover = bot.processMatchTransition(result.match.id, 'walkover', 'user-1', { ganador: 'equipo1' });
+    assert.equal(walkover.success, true, walkover.message);
+    assert.equal(walkover.match.history.at(-1).at, new Date(Date.parse(NOW) + 60000).toISOString());
+    assert.equal(walkover.match.statusChangedAt, new Date(Date.parse(NOW) + 60000).toISOString());
+});
+
+test('/estadisticas cuenta hoy y los próximos 7 días según el reloj del bot', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    const match = (id, date, status) => ({ id, equipo1: 'A', equipo2: 'B', torneo: 'Liga', date, time: '21:00', status });
+    bot.matches.push(
+        match(1, '2026-03-11', 'confirmed'),
+        match(2, '2026-03-12', 'accepted'),
+        match(3, '2026-03-12', 'proposed'),
+        match(4, '2026-03-19', 'accepted'),
+        match(5, '2026-03-20', 'accepted')
+    );
+
+    const interaction = fakeInteraction();
+    await bot.showStats(interaction);
+    const fields = embedFields(interaction.replies[0]);
+
+    assert.equal(fields['📈 Total de Partidos'], '**5** partidos');
+    assert.equal(fields['📅 Partidos Hoy'], '**2** partidos');
+    assert.equal(fields['🗓️ Próximos 7 días'], '**3** partidos');
+    assert.match(fields['📌 Partidos por Estado'], /Aceptado: \*\*3\*\*/);
+});
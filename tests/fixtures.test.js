@@ -0,0 +1,85 @@
+// Generación del fixture: todos contra todos con libres y cuadro de eliminación con cabezas de serie
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roundRobinRounds, seedOrder, knockoutFirstRound } = require('../league/fixtures');
+
+const teams = count => Array.from({ length: count }, (_, i) => `E${i + 1}`);
+
+// Cruces jugados por cada par de equipos, sin importar la localía
+function meetings(rounds) {
+    const count = new Map();
+    for (const round of rounds) {
+        for (const { home, away } of round.pairings) {
+            const key = [home, away].sort().join('-');
+            count.set(key, (count.get(key) || 0) + 1);
+        }
+    }
+    return count;
+}
+
+test('todos contra todos: cada par se cruza una vez y nadie juega dos veces en la misma fecha', () => {
+    const rounds = roundRobinRounds(teams(6));
+    assert.equal(rounds.length, 5);
+
+    const count = meetings(rounds);
+    assert.equal(count.size, 15);
+    assert.ok([...count.values()].every(times => times === 1));
+
+    for (const round of rounds) {
+        const playing = round.pairings.flatMap(({ home, away }) => [home, away]);
+        assert.equal(new Set(playing).size, 6);
+        assert.equal(round.bye, null);
+    }
+});
+
+test('ida y vuelta: cada par se cruza dos veces, con la localía invertida en la vuelta', () => {
+    const rounds = roundRobinRounds(teams(4), { double: true });
+    assert.equal(rounds.length, 6);
+    assert.deepEqual(rounds.map(round => round.matchday), [1, 2, 3, 4, 5, 6]);
+    assert.ok([...meetings(rounds).values()].every(times => times === 2));
+
+    const homes = new Set(rounds.flatMap(round => round.pairings.map(({ home, away }) => `${home}-${away}`)));
+    assert.equal(homes.size, 12);
+    rounds.slice(0, 3).forEach((round, i) => {
+        assert.deepEqual(rounds[i + 3].pairings, round.pairings.map(({ home, away }) => ({ home: away, away: home })));
+    });
+});
+
+test('con cantidad impar a cada equipo le toca una fecha libre', () => {
+    const rounds = roundRobinRounds(teams(5));
+    assert.equal(rounds.length, 5);
+    assert.deepEqual(rounds.map(round => round.bye).sort(), teams(5));
+
+    for (const round of rounds) {
+        assert.equal(round.pairings.length, 2);
+        assert.ok(!round.pairings.some(({ home, away }) => home === round.bye || away === round.bye));
+    }
+    assert.equal(meetings(rounds).size, 10);
+});
+
+test('los cabezas de serie se cruzan lo más tarde posible', () => {
+    assert.deepEqual(seedOrder(2), [1, 2]);
+    assert.deepEqual(seedOrder(4), [1, 4, 2, 3]);
+    assert.deepEqual(seedOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+
+    const { size, rounds, pairings, byes } = knockoutFirstRound(teams(8));
+    assert.equal(size, 8);
+    assert.equal(rounds, 3);
+    assert.deepEqual(byes, []);
+    assert.deepEqual(pairings.map(({ home, away }) => `${home}-${away}`), ['E1-E8', 'E4-E5', 'E2-E7', 'E3-E6']);
+});
+
+test('sin potencia de 2, los mejores cabezas de serie pasan directo a la segunda ronda', () => {
+    const { size, pairings, byes } = knockoutFirstRound(teams(6));
+    assert.equal(size, 8);
+    assert.deepEqual(byes.map(bye => bye.team).sort(), ['E1', 'E2']);
+    assert.deepEqual(pairings.map(({ home, away }) => `${home}-${away}`), ['E4-E5', 'E3-E6']);
+
+    // Cada llave ocupa su lugar del cuadro: el 1 y el 2 solo se pueden cruzar en la final
+    assert.deepEqual(byes.map(bye => bye.slot), [0, 2]);
+    assert.deepEqual(pairings.map(pairing => pairing.slot), [1, 3]);
+
+    const five = knockoutFirstRound(teams(5));
+    assert.deepEqual(five.byes.map(bye => bye.team), ['E1', 'E2', 'E3']);
+    assert.deepEqual(five.pairings.map(({ home, away }) => `${home}-${away}`), ['E4-E5']);
+});
@@ -0,0 +1,88 @@
+// Bot para los tests: datos en un directorio temporal propio, reloj fijo y sin
+// conectarse a Discord (no se llama a init())
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Zona de la liga fija: los tests no dependen de la zona de la máquina
+process.env.LEAGUE_TIMEZONE = process.env.LEAGUE_TIMEZONE || 'America/Argentina/Buenos_Aires';
+process.env.MATCH_STORAGE = 'json';
+
+const IOSoccerBot = require('../../bot');
+
+// Directorios de datos creados por los tests, se borran al terminar
+const dataDirs = [];
+process.on('exit', () => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * @param {Object} options - { now: instante fijo (ms epoch o ISO) }
+ * @returns {Object} - { bot, clock } clock.set(instante) mueve el reloj del bot
+ */
+function createTestBot(options = {}) {
+    process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'iosoccer-test-'));
+    dataDirs.push(process.env.DATA_DIR);
+
+    const bot = new IOSoccerBot();
+    const clock = {
+        value: toEpoch(options.now || Date.now()),
+        set(instant) {
+            this.value = toEpoch(instant);
+        },
+        advance(ms) {
+            this.value += ms;
+        }
+    };
+    bot.now = () => clock.value;
+
+    return { bot, clock };
+}
+
+function toEpoch(instant) {
+    return typeof instant === 'number' ? instant : Date.parse(instant);
+}
+
+/**
+ * Interacción de slash command mínima: guarda lo que el bot responde
+ * @param {Object} values - Opciones del comando (_sub para el subcomando)
+ * @param {Object} extra - Campos que se pisan (user, member, channel...)
+ */
+function fakeInteraction(values = {}, extra = {}) {
+    const replies = [];
+    const option = name => (values[name] === undefined ? null : values[name]);
+
+    return {
+        user: { id: 'user-1', username: 'tester' },
+        member: null,
+        guildId: null,
+        channel: { id: 'channel-1' },
+        options: {
+            getString: option,
+            getInteger: option,
+            getBoolean: option,
+            getUser: option,
+            getRole: option,
+            getChannel: option,
+            getSubcommand: () => values._sub || null
+        },
+        replies,
+        reply: async payload => { replies.push(payload); return payload; },
+        editReply: async payload => { replies.push(payload); return payload; },
+        followUp: async payload => { replies.push(payload); return payload; },
+        deferReply: async () => {},
+        ...extra
+    };
+}
+
+/**
+ * Campos de un embed como { nombre: valor }
+ */
+function embedFields(payload) {
+    const data = payload.embeds[0].data;
+    return Object.fromEntries((data.fields || []).map(field => [field.name, field.value]));
+}
+
+module.exports = {
+    createTestBot,
+    embedFields,
+    fakeInteraction
+};
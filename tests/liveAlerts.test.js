@@ -0,0 +1,55 @@
+// Anuncios en vivo: configuración por servidor, texto de cada evento y agrupado de mensajes
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AlertGroups, LiveAlertSettings, alertLine } = require('../league/liveAlerts');
+
+function memoryStore() {
+    const collections = {};
+    return {
+        collections,
+        loadCollection: name => collections[name] || null,
+        saveCollection: (name, data) => { collections[name] = JSON.parse(JSON.stringify(data)); }
+    };
+}
+
+test('sin canal no se anuncia nada y los eventos se guardan en orden', () => {
+    const store = memoryStore();
+    const settings = new LiveAlertSettings(store);
+    assert.equal(settings.wants('goal'), false);
+
+    settings.setChannel('channel-1');
+    assert.equal(settings.setEvents(['full_time', 'goal']).success, true);
+    assert.deepEqual(settings.events(), ['goal', 'full_time']);
+    assert.equal(settings.wants('half_time'), false);
+
+    assert.equal(settings.setEvents(['red_card']).success, false);
+    assert.equal(settings.setEvents([]).success, false);
+
+    settings.setRole('liga', 'role-1');
+    const reloaded = new LiveAlertSettings(store);
+    assert.equal(reloaded.channelId(), 'channel-1');
+    assert.equal(reloaded.roleFor('liga'), 'role-1');
+    assert.equal(reloaded.setRole('copa', null).success, false);
+});
+
+test('línea de cada evento con el marcador', () => {
+    const base = { teams: { home: 'Locales', away: 'Visitantes' }, score: { home: 2, away: 1 } };
+
+    assert.equal(alertLine({ ...base, type: 'goal', side: 'home', minute: '55:10', scorer: 'Diez', assist: 'Ocho' }),
+        "⚽ **55:10'** Diez (Locales) • asistencia de Ocho → **2-1**");
+    assert.equal(alertLine({ ...base, type: 'full_time' }), '🏁 **Final** → **2-1**');
+});
+
+test('los eventos de un partido editan el mismo mensaje mientras dure la ventana', () => {
+    const groups = new AlertGroups(60000);
+
+    const first = groups.take('guild:server', 'partido-1', 0);
+    assert.equal(first.created, true);
+    assert.equal(groups.take('guild:server', 'partido-1', 59999).group, first.group);
+
+    assert.equal(groups.take('guild:server', 'partido-1', 60000).created, true);
+    assert.equal(groups.take('guild:server', 'partido-2', 60001).created, true);
+
+    groups.close('guild:server');
+    assert.equal(groups.take('guild:server', 'partido-2', 60002).created, true);
+});
@@ -0,0 +1,86 @@
+// Eventos en vivo: diferencias entre respuestas sucesivas de un servidor
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchEventBus, describeMatchEvent, diffMatchInfo } = require('../league/matchEvents');
+
+const info = (extra = {}) => ({
+    team_home: 'Locales',
+    team_away: 'Visitantes',
+    period: 'FIRST HALF',
+    time_seconds: 600,
+    time_display: '10:00',
+    goals_home: 0,
+    goals_away: 0,
+    goals_detail: [],
+    events: [],
+    lineup_home: [],
+    lineup_away: [],
+    ...extra
+});
+
+const entry = (matchInfo, players = 10, extra = {}) => ({
+    key: '1.2.3.4:27015',
+    name: 'IOSSA #1',
+    state: 'online',
+    updatedAt: '2026-03-12T22:10:00.000Z',
+    info: { matchInfo, players },
+    ...extra
+});
+
+test('inicio, goles en orden con su marcador y roja', () => {
+    const previous = info({ period: 'PREMATCH', time_seconds: 0 });
+    const next = info({
+        time_seconds: 700,
+        goals_home: 1,
+        goals_away: 1,
+        goals_detail: [
+            { team: 'away', minute: '9:30', scorer_name: 'Nueve', assist_name: null },
+            { team: 'home', minute: '3:10', scorer_name: 'Diez', assist_name: 'Ocho' }
+        ],
+        events: [{ event: 'RedCard', team: 'home', second: 500, player1Name: 'Cinco' }]
+    });
+
+    const events = diffMatchInfo(previous, next);
+    assert.deepEqual(events.map(event => event.type), ['kickoff', 'goal', 'goal', 'red_card', 'period_change']);
+    assert.deepEqual(events.filter(e => e.type === 'goal').map(goal => [goal.scorer, goal.score]), [
+        ['Diez', { home: 1, away: 0 }],
+        ['Nueve', { home: 1, away: 1 }]
+    ]);
+    assert.deepEqual(events[3], { type: 'red_card', side: 'home', player: 'Cinco', minute: '8:20' });
+});
+
+test('un marcador que baja es un partido reiniciado, no goles', () => {
+    const events = diffMatchInfo(info({ goals_home: 2 }), info({ goals_home: 0, goals_away: 1 }));
+    assert.deepEqual(events, []);
+});
+
+test('entretiempo, final y jugadores que entran o salen', () => {
+    const player = (steamId, name) => ({ steamId, name, position: 'GK' });
+
+    const halfTime = diffMatchInfo(info({ lineup_home: [player('s1', 'Uno')] }), info({ period: 'HALF TIME', lineup_away: [player('s1', 'Uno')] }));
+    assert.deepEqual(halfTime.map(event => event.type), ['period_change', 'half_time', 'player_joined', 'player_left']);
+    assert.equal(halfTime[2].side, 'away');
+
+    const fullTime = diffMatchInfo(info({ period: 'SECOND HALF' }), info({ period: 'FULL TIME' }));
+    assert.deepEqual(fullTime.map(event => event.type), ['period_change', 'full_time']);
+});
+
+test('el bus compara contra el último dato válido y avisa aunque falle un suscriptor', () => {
+    const bus = new MatchEventBus();
+    const received = [];
+    const errors = [];
+    bus.on('goal', () => { throw new Error('suscriptor roto'); });
+    bus.on('event', event => received.push(event));
+    bus.on('error', error => errors.push(error.message));
+
+    assert.deepEqual(bus.observe(entry(info())), []);
+    // Respuesta sin matchinfo y servidor caído: no son cambios
+    assert.deepEqual(bus.observe(entry(null)), []);
+    assert.deepEqual(bus.observe(entry(null, 0, { state: 'offline' })), []);
+
+    const events = bus.observe(entry(info({ goals_home: 1, goals_detail: [{ team: 'home', minute: '10:00', scorer_name: 'Diez' }] }), 0));
+    assert.deepEqual(events.map(event => event.type), ['goal', 'server_emptied']);
+    assert.equal(received.length, 2);
+    assert.deepEqual(errors, ['suscriptor roto']);
+    assert.equal(describeMatchEvent(events[0]), "⚽ ¡Gol de Locales! Diez 10:00' • Locales 1-0 Visitantes");
+});
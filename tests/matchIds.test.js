@@ -0,0 +1,44 @@
+// IDs de partido: un solo contador por liga para propuestas, fixtures y cuadros
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, fakeInteraction } = require('./helpers/testBot');
+
+const NOW = '2026-03-12T15:00:00Z';
+
+async function propose(bot, equipo1, equipo2, hora) {
+    const result = await bot.processMatchConfirmation(equipo1, equipo2, bot.tournaments.list()[0].name, 'mañana', hora, 'user-1', {});
+    assert.equal(result.success, true, result.message);
+    return result.match;
+}
+
+test('las propuestas y los partidos del fixture comparten el contador', async () => {
+    const { bot } = createTestBot({ now: NOW });
+
+    assert.equal((await propose(bot, 'Uno', 'Dos', '21:00')).id, 1);
+
+    const planned = { torneo: 'Liga', equipo1: 'Tres', equipo2: 'Cuatro', date: '2026-03-14', time: '21:00' };
+    const fixtureMatch = bot.createFixtureMatch(planned, { id: 'fx', round: 1 }, 'user-1');
+    assert.equal(fixtureMatch.id, 2);
+    bot.matches.push(fixtureMatch);
+
+    assert.equal((await propose(bot, 'Cinco', 'Seis', '22:00')).id, 3);
+});
+
+test('el ID de un partido cancelado no se vuelve a usar', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    await propose(bot, 'Uno', 'Dos', '21:00');
+    const last = await propose(bot, 'Tres', 'Cuatro', '22:00');
+
+    const interaction = fakeInteraction({ id: last.id });
+    await bot.cancelMatch(interaction);
+    assert.equal(bot.matches.some(match => match.id === last.id), false);
+
+    assert.equal((await propose(bot, 'Cinco', 'Seis', '22:00')).id, last.id + 1);
+});
+
+test('los IDs siguen después de los partidos cargados antes del contador', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    bot.matches.push({ id: 1755000000000, equipo1: 'A', equipo2: 'B', torneo: 'Liga', date: '2026-01-10', time: '21:00', status: 'confirmed' });
+
+    assert.equal((await propose(bot, 'Uno', 'Dos', '21:00')).id, 1755000000001);
+});
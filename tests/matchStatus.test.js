@@ -0,0 +1,67 @@
+// Ciclo de vida de un partido: transiciones válidas, historial y qué se puede cancelar
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyTransition, availableTransitions, canCancel, holdsSlot, statusOf } = require('../league/matchStatus');
+
+const AT = '2026-03-12T22:00:00.000Z';
+
+const proposal = () => ({ id: 1, equipo1: 'Uno', equipo2: 'Dos', status: 'proposed', holdExpiresAt: '2026-03-13T00:00:00.000Z' });
+
+test('de la propuesta al resultado confirmado', () => {
+    const match = proposal();
+
+    assert.equal(applyTransition(match, 'aceptar', { by: 'u2', at: AT }).success, true);
+    assert.equal(match.holdExpiresAt, null);
+    assert.equal(applyTransition(match, 'iniciar', { by: 'u1', at: AT }).success, true);
+    assert.equal(applyTransition(match, 'resultado', { by: 'u1', goles1: 2, goles2: 1, at: AT }).success, true);
+    assert.deepEqual(availableTransitions(match), ['confirmar_resultado', 'disputar']);
+    assert.equal(applyTransition(match, 'disputar', { by: 'u2', motivo: 'gol en offside', at: AT }).success, true);
+    assert.equal(applyTransition(match, 'confirmar_resultado', { by: 'u3', at: AT }).success, true);
+
+    assert.equal(match.status, 'confirmed');
+    assert.equal(match.dispute, null);
+    assert.deepEqual(match.result, { goles1: 2, goles2: 1, walkoverWinner: null, reportedBy: 'u1', reportedAt: AT });
+    assert.deepEqual(match.history.map(entry => entry.to), ['accepted', 'live', 'finished', 'disputed', 'confirmed']);
+    assert.ok(match.history.every(entry => entry.at === AT));
+});
+
+test('rechaza transiciones que no corresponden al estado y datos inválidos', () => {
+    const match = proposal();
+
+    const early = applyTransition(match, 'resultado', { goles1: 1, goles2: 0 });
+    assert.equal(early.success, false);
+    assert.match(early.message, /Acciones disponibles:\*\* `aceptar`, `rechazar`, `walkover`/);
+
+    applyTransition(match, 'aceptar', { at: AT });
+    assert.equal(applyTransition(match, 'resultado', { goles1: -1, goles2: 0 }).success, false);
+    assert.equal(applyTransition(match, 'walkover', { ganador: 'nadie' }).success, false);
+    assert.equal(match.status, 'accepted');
+    assert.equal(match.history.length, 1);
+});
+
+test('solo se cancelan los partidos que todavía no se jugaron', () => {
+    const withStatus = status => ({ ...proposal(), status });
+
+    for (const status of ['proposed', 'accepted', 'rejected', 'expired']) {
+        assert.equal(canCancel(withStatus(status)), true, status);
+    }
+    for (const status of ['live', 'finished', 'disputed', 'confirmed', 'walkover']) {
+        assert.equal(canCancel(withStatus(status)), false, status);
+    }
+
+    // Los partidos anteriores al ciclo de vida cuentan como aceptados
+    assert.equal(statusOf({ id: 1 }), 'accepted');
+    assert.equal(canCancel({ id: 1 }), true);
+});
+
+test('las propuestas rechazadas o vencidas liberan el horario', () => {
+    const rejected = proposal();
+    applyTransition(rejected, 'rechazar', { motivo: 'no podemos', at: AT });
+    assert.equal(holdsSlot(rejected), false);
+    assert.equal(rejected.history[0].reason, 'no podemos');
+
+    const expired = proposal();
+    applyTransition(expired, 'vencer', { at: AT });
+    assert.equal(holdsSlot(expired), false);
+    assert.deepEqual(availableTransitions(expired), []);
+});
@@ -0,0 +1,51 @@
+// Las acciones dentro de un comando respetan los niveles configurados con /permisos
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, embedFields, fakeInteraction } = require('./helpers/testBot');
+
+const NOW = '2026-03-12T15:00:00Z';
+
+test('cambiar la puntuación de un torneo usa el nivel de "torneo puntuacion editar"', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    const torneo = bot.tournaments.list()[0].name;
+
+    const denied = fakeInteraction({ torneo, victoria: 2 });
+    await bot.handleScoringCommand(denied);
+    assert.equal(denied.replies[0].embeds[0].data.title, '🚫 Acceso Denegado');
+    assert.match(denied.replies[0].embeds[0].data.description, /torneo puntuacion editar/);
+
+    bot.permissions.setCommandPolicy(null, 'torneo puntuacion editar', 'viewer');
+    const allowed = fakeInteraction({ torneo, victoria: 2 });
+    await bot.handleScoringCommand(allowed);
+    assert.match(allowed.replies[0].embeds[0].data.title, /Puntuación Actualizada/);
+});
+
+test('actuar sobre partidos de otros equipos usa el nivel de "partido ajenos"', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    const match = { id: 1, equipo1: 'Uno', equipo2: 'Dos', equipo1Id: null, equipo2Id: null, confirmedBy: 'user-2' };
+
+    assert.equal(bot.canManageMatch(match, 'user-1', null), false);
+    assert.deepEqual(bot.captainSides(match, 'user-1', null), []);
+
+    bot.permissions.setCommandPolicy(null, 'partido ajenos', 'viewer');
+    assert.equal(bot.canManageMatch(match, 'user-1', null), true);
+    assert.deepEqual(bot.captainSides(match, 'user-1', null), ['equipo1', 'equipo2']);
+});
+
+test('las acciones se pueden ajustar con /permisos comando', () => {
+    const { bot } = createTestBot({ now: NOW });
+    for (const key of ['partido ajenos', 'torneo puntuacion editar', 'torneo equipos editar']) {
+        assert.ok(bot.commandKeys().includes(key), key);
+    }
+});
+
+test('/ayuda explica los niveles de /permisos y no los roles', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    const interaction = fakeInteraction();
+    await bot.showHelp(interaction);
+
+    const access = embedFields(interaction.replies[0])['🔒 Control de Acceso'];
+    assert.match(access, /Espectador.*Capitán.*Organizador.*Administrador/);
+    assert.match(access, /\/permisos/);
+    assert.doesNotMatch(access, /roles/);
+});
@@ -0,0 +1,75 @@
+// Recordatorios: se rehacen al reprogramar, no salen atrasados y tras una caída solo sale uno
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { syncReminders, takeDueReminder } = require('../league/reminders');
+
+const MINUTE = 60000;
+const START = Date.parse('2026-03-13T00:00:00Z');
+const OFFSETS = [1440, 60, 15, 0];
+
+const accepted = () => ({ id: 1, status: 'accepted' });
+const jobs = match => Object.fromEntries(match.reminders.jobs.map(job => [job.offset, job]));
+
+test('al programarlos se omiten los avisos que ya deberían haber salido', () => {
+    const match = accepted();
+    assert.equal(syncReminders(match, START, OFFSETS, START - 30 * MINUTE), true);
+
+    const byOffset = jobs(match);
+    assert.equal(byOffset[1440].skipped, true);
+    assert.equal(byOffset[60].skipped, true);
+    assert.equal(byOffset[15].skipped, false);
+    assert.equal(byOffset[0].skipped, false);
+    assert.equal(byOffset[15].dueAt, new Date(START - 15 * MINUTE).toISOString());
+
+    // Sin cambios de horario ni de avisos no hay nada que guardar
+    assert.equal(syncReminders(match, START, OFFSETS, START - 20 * MINUTE), false);
+});
+
+test('reprogramar rehace los avisos con el nuevo horario, aunque ya se hayan enviado', () => {
+    const match = accepted();
+    syncReminders(match, START, OFFSETS, START - 2 * 1440 * MINUTE);
+    assert.equal(takeDueReminder(match, START, START - 1440 * MINUTE).offset, 1440);
+
+    const moved = START + 1440 * MINUTE;
+    assert.equal(syncReminders(match, moved, OFFSETS, START - 1000 * MINUTE), true);
+    assert.equal(match.reminders.startAt, new Date(moved).toISOString());
+
+    const byOffset = jobs(match);
+    assert.ok(OFFSETS.every(offset => byOffset[offset].sentAt === null && !byOffset[offset].skipped));
+    assert.equal(byOffset[1440].dueAt, new Date(START).toISOString());
+});
+
+test('después de una caída solo sale el aviso más cercano al inicio', () => {
+    const match = accepted();
+    syncReminders(match, START, OFFSETS, START - 2 * 1440 * MINUTE);
+
+    // El bot vuelve 5 minutos antes del inicio: se acumularon los de 24 h, 1 h y 15 min
+    const reminder = takeDueReminder(match, START, START - 5 * MINUTE);
+    assert.equal(reminder.offset, 15);
+
+    const byOffset = jobs(match);
+    assert.equal(byOffset[1440].skipped, true);
+    assert.equal(byOffset[60].skipped, true);
+    assert.equal(byOffset[1440].sentAt, null);
+    assert.equal(takeDueReminder(match, START, START - 4 * MINUTE), null);
+    assert.equal(takeDueReminder(match, START, START).offset, 0);
+});
+
+test('pasado el margen desde el inicio no se envía ningún aviso', () => {
+    const match = accepted();
+    syncReminders(match, START, OFFSETS, START - 2 * 1440 * MINUTE);
+
+    assert.equal(takeDueReminder(match, START, START + 10 * MINUTE), null);
+    assert.ok(match.reminders.jobs.every(job => job.skipped && job.sentAt === null));
+
+    // Dentro del margen el aviso de inicio todavía sale
+    const late = accepted();
+    syncReminders(late, START, OFFSETS, START - 2 * 1440 * MINUTE);
+    assert.equal(takeDueReminder(late, START, START + 9 * MINUTE).offset, 0);
+});
+
+test('solo se avisan los partidos aceptados', () => {
+    const match = { id: 1, status: 'live' };
+    syncReminders(match, START, OFFSETS, START - 2 * 1440 * MINUTE);
+    assert.equal(takeDueReminder(match, START, START), null);
+});
@@ -0,0 +1,66 @@
+// Reprogramar un partido vuelve a pedir la aceptación del nuevo horario
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot } = require('./helpers/testBot');
+
+const NOW = '2026-03-12T15:00:00Z';
+
+function setup() {
+    const { bot, clock } = createTestBot({ now: NOW });
+    for (const [name, tag, captain] of [['Uno', 'UNO', 'cap-1'], ['Dos', 'DOS', 'cap-2']]) {
+        assert.equal(bot.teams.create({ name, tag }).success, true);
+        bot.teams.addCaptain(name, captain);
+    }
+    const torneo = bot.tournaments.list()[0].name;
+    const propose = async userId => {
+        const result = await bot.processMatchConfirmation('Uno', 'Dos', torneo, 'mañana', '21:00', userId, {});
+        assert.equal(result.success, true, result.message);
+        return result.match;
+    };
+    return { bot, clock, propose };
+}
+
+test('un partido aceptado vuelve a propuesto y el rival tiene que aceptar el nuevo horario', async () => {
+    const { bot, clock, propose } = setup();
+    const match = await propose('cap-1');
+    assert.equal(bot.processMatchTransition(match.id, 'aceptar', 'cap-2').success, true);
+    assert.equal(match.status, 'accepted');
+
+    clock.advance(60 * 60000);
+    const result = await bot.processMatchReschedule(match.id, 'mañana', '22:30', 'cap-1');
+    assert.equal(result.success, true, result.message);
+
+    assert.equal(match.status, 'proposed');
+    assert.equal(match.acceptance.equipo1.by, 'cap-1');
+    assert.equal(match.acceptance.equipo2, null);
+    assert.equal(match.holdExpiresAt, new Date(bot.now() + 1440 * 60000).toISOString());
+    assert.deepEqual(match.history.filter(entry => entry.action === 'estado').map(entry => entry.to), ['accepted', 'proposed']);
+
+    assert.equal(bot.processMatchTransition(match.id, 'aceptar', 'cap-2').success, true);
+    assert.equal(match.status, 'accepted');
+});
+
+test('en una propuesta no cuenta la aceptación del horario anterior', async () => {
+    const { bot, propose } = setup();
+    const match = await propose('organizador');
+    assert.equal(bot.processMatchTransition(match.id, 'aceptar', 'cap-2').success, true);
+    assert.equal(match.status, 'proposed');
+
+    const result = await bot.processMatchReschedule(match.id, 'mañana', '22:30', 'cap-1');
+    assert.equal(result.success, true, result.message);
+
+    assert.equal(match.status, 'proposed');
+    assert.deepEqual(bot.pendingSides(match), ['equipo2']);
+});
+
+test('cambiar solo el servidor no pide aceptar de nuevo', async () => {
+    const { bot, propose } = setup();
+    bot.schedulingRules.setServers([{ name: 'IOSSA #1', ip: '10.0.0.1', port: 1 }, { name: 'IOSSA #2', ip: '10.0.0.1', port: 2 }]);
+    const match = await propose('cap-1');
+    bot.processMatchTransition(match.id, 'aceptar', 'cap-2');
+
+    const result = await bot.processMatchReschedule(match.id, 'mañana', '21:00', 'cap-1', { servidor: 'IOSSA #2' });
+    assert.equal(result.success, true, result.message);
+    assert.equal(match.server, 'IOSSA #2');
+    assert.equal(match.status, 'accepted');
+});
@@ -0,0 +1,98 @@
+// Captura de resultados: qué partido programado corresponde a lo que informa
+// el servidor y cómo se orienta el marcador a equipo1/equipo2
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findFixture, extractResult } = require('../league/resultCapture');
+const { createTestBot } = require('./helpers/testBot');
+
+const TIME_ZONE = 'America/Argentina/Buenos_Aires';
+
+// Jueves 12/03/2026 21:10 en Buenos Aires
+const NOW = '2026-03-13T00:10:00Z';
+
+let nextId = 1;
+const scheduled = (equipo1, equipo2, time, extra = {}) => ({
+    id: nextId++,
+    equipo1,
+    equipo2,
+    equipo1Id: null,
+    equipo2Id: null,
+    torneo: 'Liga',
+    date: '2026-03-12',
+    displayDate: 'Jueves 12/03',
+    time,
+    server: null,
+    status: 'accepted',
+    history: [],
+    ...extra
+});
+
+const info = (extra = {}) => ({
+    team_home: 'Uno',
+    team_away: 'Dos',
+    period: 'SECOND HALF',
+    time_seconds: 3000,
+    goals_home: 0,
+    goals_away: 0,
+    goals_detail: [],
+    lineup_home: [],
+    lineup_away: [],
+    ...extra
+});
+
+const options = { now: Date.parse(NOW), timeZone: TIME_ZONE, serverName: 'IOSSA #1' };
+
+test('local y visitante invertidos en el servidor: el marcador se orienta al partido', () => {
+    const match = scheduled('Dos', 'Uno', '21:00');
+    const matchInfo = info({
+        goals_home: 3,
+        goals_away: 1,
+        goals_detail: [{ team: 'home', minute: 12, scorer_name: 'Local', period: 'FIRST HALF' }, { team: 'away', minute: 40, scorer_name: 'Visitante', period: 'SECOND HALF' }],
+        lineup_home: [{ steamId: 'STEAM_1', name: 'Arquero Uno', position: 'GK' }],
+        lineup_away: [{ steamId: 'STEAM_2', name: 'Arquero Dos', position: 'GK' }]
+    });
+
+    const fixture = findFixture([match], matchInfo, options);
+    assert.deepEqual(fixture, { match, swapped: true });
+
+    const result = extractResult(matchInfo, fixture.swapped);
+    assert.equal(result.goles1, 1);
+    assert.equal(result.goles2, 3);
+    assert.deepEqual(result.scorers.map(goal => [goal.side, goal.scorer]), [['equipo2', 'Local'], ['equipo1', 'Visitante']]);
+    assert.deepEqual(result.lineups.equipo1.map(player => player.name), ['Arquero Dos']);
+    assert.deepEqual(result.lineups.equipo2.map(player => player.name), ['Arquero Uno']);
+});
+
+test('con dos partidos en la ventana gana el asignado a este servidor y después el más cercano', () => {
+    const closer = scheduled('Uno', 'Dos', '21:00', { server: 'IOSSA #2' });
+    const sameServer = scheduled('Uno', 'Dos', '21:30', { server: 'IOSSA #1' });
+    const other = scheduled('Uno', 'Dos', '20:30');
+
+    assert.equal(findFixture([closer, sameServer, other], info(), options).match, sameServer);
+    assert.equal(findFixture([other, closer], info(), options).match, closer);
+});
+
+test('fuera de la ventana o con un equipo que no coincide no hay partido', () => {
+    const early = scheduled('Uno', 'Dos', '21:45');
+    assert.equal(findFixture([early], info(), options), null);
+    assert.equal(findFixture([scheduled('Uno', 'Tres', '21:00')], info(), options), null);
+});
+
+test('un final sin haber visto el partido en juego guarda el resultado y no se captura dos veces', () => {
+    const { bot } = createTestBot({ now: NOW });
+    const match = scheduled('Uno', 'Dos', '21:00');
+    bot.matches.push(match);
+    const server = { name: 'IOSSA #1', ip: '10.0.0.1', port: 27015 };
+
+    const captured = bot.captureResult(server, info({ period: 'FULL TIME', goals_home: 2, goals_away: 0 }));
+    assert.equal(captured.action, 'resultado');
+    assert.equal(match.status, 'finished');
+    assert.deepEqual([match.result.goles1, match.result.goles2, match.result.source], [2, 0, 'servidor']);
+    assert.deepEqual(match.history.map(entry => `${entry.from}→${entry.to}`), ['accepted→finished']);
+
+    // El servidor sigue informando el final hasta que cambia de partido
+    assert.equal(bot.captureResult(server, info({ period: 'FULL TIME', goals_home: 3, goals_away: 0 })), null);
+    assert.equal(match.result.goles1, 2);
+    assert.equal(match.history.length, 1);
+    assert.equal(bot.audit.query({ matchId: match.id }).length, 1);
+});
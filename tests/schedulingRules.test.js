@@ -0,0 +1,70 @@
+// Reglas de programación: ventanas que cruzan la medianoche y validación del JSON
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SchedulingRules, DEFAULT_RULES, validateRules } = require('../league/schedulingRules');
+
+function createRules(rules = {}) {
+    const scheduling = new SchedulingRules({ loadCollection: () => null, saveCollection: () => {} });
+    const result = scheduling.setRules({
+        ...DEFAULT_RULES,
+        slots: [{ days: [0, 1, 2, 3, 4, 5, 6], from: '00:00', to: '23:45' }],
+        ...rules
+    });
+    assert.deepEqual(result.errors, []);
+    return scheduling;
+}
+
+function match(id, date, time, extra = {}) {
+    return { id, date, time, torneo: 'Liga', equipo1: `Local ${id}`, equipo2: `Visitante ${id}`, ...extra };
+}
+
+const candidate = (date, time, extra = {}) => ({ date, time, torneo: 'Liga', equipo1: 'Uno', equipo2: 'Dos', ...extra });
+
+test('la ventana general cuenta los partidos del día anterior', () => {
+    const scheduling = createRules({ window: { minutes: 45, maxMatches: 2 } });
+    const matches = [match(1, '2026-03-12', '23:30'), match(2, '2026-03-12', '23:45')];
+
+    const result = scheduling.evaluate(matches, candidate('2026-03-13', '00:15'));
+    assert.deepEqual(result.violations.map(v => v.rule), ['ventana']);
+    assert.deepEqual(result.violations[0].conflicts.map(m => m.id), [1, 2]);
+
+    assert.equal(scheduling.evaluate(matches, candidate('2026-03-13', '00:45')).allowed, true);
+});
+
+test('la ventana de un torneo también cruza la medianoche', () => {
+    const scheduling = createRules({
+        window: null,
+        tournaments: { Liga: { window: { minutes: 60, maxMatches: 1 } } }
+    });
+    const matches = [match(1, '2026-03-12', '23:45'), match(2, '2026-03-12', '23:45', { torneo: 'Copa' })];
+
+    const result = scheduling.evaluate(matches, candidate('2026-03-13', '00:30'));
+    assert.deepEqual(result.violations.map(v => v.rule), ['ventana_torneo']);
+    assert.deepEqual(result.violations[0].conflicts.map(m => m.id), [1]);
+});
+
+test('el cupo diario del torneo solo cuenta los partidos del mismo día', () => {
+    const scheduling = createRules({ window: null, tournaments: { Liga: { maxPerDay: 1 } } });
+    const matches = [match(1, '2026-03-12', '23:45')];
+
+    assert.equal(scheduling.evaluate(matches, candidate('2026-03-13', '21:00')).allowed, true);
+    assert.deepEqual(scheduling.evaluate(matches, candidate('2026-03-12', '21:00')).violations.map(v => v.rule), ['cupo_torneo']);
+});
+
+test('validateRules rechaza entradas nulas o que no son objetos', () => {
+    const base = { ...DEFAULT_RULES };
+
+    assert.deepEqual(validateRules({ ...base, tournaments: { Liga: null } }), ['Liga: la configuración del torneo debe ser un objeto']);
+    assert.deepEqual(validateRules({ ...base, tournaments: [] }), ['tournaments debe ser un objeto con la configuración de cada torneo']);
+    assert.deepEqual(validateRules({ ...base, slots: [null] }), ['general: slots[0] debe ser un objeto']);
+    assert.deepEqual(validateRules({ ...base, blackouts: [null] }), ['blackouts[0].date debe tener formato YYYY-MM-DD']);
+    assert.deepEqual(validateRules(base), []);
+});
+
+test('el ejemplo de la ventana sale de las reglas vigentes', () => {
+    assert.equal(createRules().windowExample(),
+        'Con un máximo de 3 en ±45 min y partidos a las 00:00, 00:15 y 00:30, el próximo disponible después de ellos sería 01:00');
+    assert.equal(createRules({ window: { minutes: 90, maxMatches: 1 } }).windowExample(),
+        'Con un máximo de 1 en ±90 min y un partido a las 00:00, el próximo disponible después de él sería 01:45');
+    assert.equal(createRules({ window: null }).windowExample(), null);
+});
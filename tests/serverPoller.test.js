@@ -0,0 +1,94 @@
+// Sondeo en segundo plano: frecuencia por estado, consultas compartidas y foto de respuestas
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ServerPoller, formatAge } = require('../monitoring/serverPoller');
+
+const server = (name, port) => ({ name, ip: '10.0.0.1', port });
+const online = (players, extra = {}) => ({ status: '🟢 Online', players, matchInfo: null, ...extra });
+
+function createPoller({ servers, responses, watched = () => new Set() }) {
+    const clock = { value: 1000000 };
+    const queries = [];
+    const poller = new ServerPoller({
+        servers: () => servers,
+        query: async target => {
+            queries.push(target.name);
+            const response = responses[target.name];
+            if (response instanceof Error) throw response;
+            return response;
+        },
+        isLive: info => info.matchInfo.live,
+        watched,
+        fallback: (target, error) => ({ status: '🔴 Offline', players: 0, error: error.message }),
+        cadence: { live: 10, active: 100, empty: 1000, offline: 50, maxOffline: 150 },
+        now: () => clock.value
+    });
+    return { poller, clock, queries };
+}
+
+test('cada servidor se consulta con la frecuencia de su estado', async () => {
+    const servers = [server('Vivo', 1), server('Activo', 2), server('Vacio', 3), server('Caido', 4)];
+    const { poller, clock, queries } = createPoller({
+        servers,
+        responses: {
+            Vivo: online(12, { matchInfo: { live: true } }),
+            Activo: online(3),
+            Vacio: online(0),
+            Caido: new Error('timeout')
+        }
+    });
+
+    await poller.tick();
+    assert.deepEqual(servers.map(s => poller.get(s).state), ['live', 'active', 'empty', 'offline']);
+
+    queries.length = 0;
+    clock.value += 60;
+    await poller.tick();
+    assert.deepEqual(queries.sort(), ['Caido', 'Vivo']);
+
+    // Las fallas seguidas duplican la espera hasta el máximo
+    assert.equal(poller.get(servers[3]).failures, 2);
+    assert.equal(poller.intervalFor(poller.get(servers[3])), 100);
+    assert.equal(poller.intervalFor({ state: 'offline', failures: 5 }), 150);
+});
+
+test('los servidores con partido esperado se sondean como en juego', () => {
+    const { poller } = createPoller({ servers: [], responses: {} });
+    const entry = { key: '10.0.0.1:1', state: 'empty', failures: 0 };
+
+    assert.equal(poller.intervalFor(entry), 1000);
+    assert.equal(poller.intervalFor(entry, new Set(['10.0.0.1:1'])), 10);
+});
+
+test('el mismo ip:puerto se consulta una vez y los que salen de la configuración dejan la foto', async () => {
+    const servers = [server('Liga A', 1), server('Liga B', 1), server('Otro', 2)];
+    const { poller, queries } = createPoller({ servers, responses: { 'Liga A': online(4), Otro: online(0) } });
+    const removed = [];
+    poller.on('remove', key => removed.push(key));
+
+    const entries = await poller.read(servers);
+    assert.deepEqual(queries, ['Liga A', 'Otro']);
+    assert.equal(entries[0], entries[1]);
+
+    // Leer otra vez no consulta: sale de la foto
+    await poller.read(servers);
+    assert.equal(queries.length, 2);
+
+    servers.pop();
+    await poller.tick();
+    assert.deepEqual(removed, ['10.0.0.1:2']);
+});
+
+test('freshness marca como viejas las respuestas de hace más de dos ciclos', async () => {
+    const servers = [server('Activo', 1)];
+    const { poller, clock } = createPoller({ servers, responses: { Activo: online(3) } });
+    await poller.tick();
+
+    clock.value += 150;
+    assert.deepEqual(poller.freshness().map(f => [f.name, f.ageMs, f.stale]), [['Activo', 150, false]]);
+    clock.value += 100;
+    assert.equal(poller.freshness()[0].stale, true);
+
+    assert.equal(formatAge(12400), '12s');
+    assert.equal(formatAge(185000), '3 min');
+});
@@ -0,0 +1,55 @@
+// Tabla de posiciones: puntuación, walkovers, desempates y exportación CSV
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStandings, standingsToCsv, validateScoring } = require('../league/standings');
+
+const played = (equipo1, goles1, goles2, equipo2, status = 'confirmed') =>
+    ({ equipo1, equipo2, status, result: { goles1, goles2, walkoverWinner: null } });
+
+test('el enfrentamiento directo desempata antes que la diferencia de gol', () => {
+    const { rows } = computeStandings([
+        played('A', 1, 0, 'B'),
+        played('B', 6, 0, 'C'),
+        played('A', 0, 0, 'C'),
+        played('A', 0, 0, 'D'),
+        played('B', 0, 0, 'D'),
+        played('B', 0, 0, 'E')
+    ]);
+
+    assert.deepEqual(rows.map(row => [row.name, row.points]), [['A', 5], ['B', 5], ['D', 2], ['E', 1], ['C', 1]]);
+    assert.deepEqual(rows.map(row => row.position), [1, 2, 3, 4, 5]);
+});
+
+test('walkovers con la puntuación del torneo y partidos sin resultado firme', () => {
+    const matches = [
+        { equipo1: 'A', equipo2: 'B', status: 'walkover', result: { goles1: null, goles2: null, walkoverWinner: 'equipo2' } },
+        played('A', 2, 2, 'C', 'disputed'),
+        { equipo1: 'B', equipo2: 'C', status: 'accepted' }
+    ];
+
+    const { rows, counted, disputed } = computeStandings(matches, { scoring: { walkoverWin: 2, walkoverLoss: -1, walkoverGoals: 0 } });
+    const byName = Object.fromEntries(rows.map(row => [row.name, row]));
+
+    assert.equal(counted, 1);
+    assert.equal(disputed, 1);
+    assert.deepEqual([byName.B.points, byName.B.goalsFor, byName.B.won], [2, 0, 1]);
+    assert.deepEqual([byName.A.points, byName.A.walkoversLost], [-1, 1]);
+    assert.equal(byName.C.played, 0);
+});
+
+test('CSV con encabezado y nombres escapados', () => {
+    const { rows } = computeStandings([played('Los "Pibes", FC', 1, 0, 'B')]);
+
+    assert.equal(standingsToCsv(rows), [
+        'Pos,Equipo,PJ,PG,PE,PP,GF,GC,DG,Pts',
+        '1,"Los ""Pibes"", FC",1,1,0,0,1,0,1,3',
+        '2,B,1,0,0,1,0,1,-1,0',
+        ''
+    ].join('\n'));
+});
+
+test('validateScoring rechaza valores fuera de rango y desempates desconocidos', () => {
+    assert.equal(validateScoring({ win: 21 }).valid, false);
+    assert.match(validateScoring({ tiebreakers: ['coin_toss'] }).message, /coin_toss/);
+    assert.equal(validateScoring({ win: 2, tiebreakers: ['wins'] }).valid, true);
+});
@@ -0,0 +1,24 @@
+// /status sin servidores de juego configurados no toca el tablero del canal
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestBot, fakeInteraction } = require('./helpers/testBot');
+
+const NOW = '2026-03-12T15:00:00Z';
+
+test('/status sin servidores responde el error y conserva el tablero existente', async () => {
+    const { bot } = createTestBot({ now: NOW });
+    bot.servers = () => [];
+    bot.statusBoards.set({
+        channelId: 'channel-1',
+        summaryMessageId: 'message-1',
+        detailMessageIds: {},
+        createdBy: 'user-1',
+        createdAt: new Date(NOW).toISOString()
+    });
+
+    const interaction = fakeInteraction({ auto_update: true });
+    await bot.serverStatus(interaction);
+
+    assert.match(interaction.replies[0].content, /no tiene servidores IOSoccer configurados/);
+    assert.ok(bot.statusBoards.get('channel-1'), 'el tablero sigue guardado');
+});
@@ -0,0 +1,101 @@
+// Almacenamiento de partidos: guardado incremental en SQLite, importador y backend configurado
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteMatchStore } = require('../storage/sqliteStore');
+const { importMatchesFromJson } = require('../storage/importMatches');
+const { createMatchStore } = require('../storage');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'iosoccer-storage-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+let databases = 0;
+function openStore() {
+    return new SqliteMatchStore({ dbFile: path.join(tempDir, `matches-${++databases}.db`) });
+}
+
+const match = (id, extra = {}) => ({ id, equipo1: 'Uno', equipo2: 'Dos', torneo: 'Liga', date: '2026-03-12', time: '21:00', ...extra });
+
+test('SQLite solo escribe las filas que cambiaron', () => {
+    const store = openStore();
+    try {
+        assert.deepEqual(store.saveMatches([match(1), match(2), match(3)]), { written: 3, deleted: 0 });
+        assert.deepEqual(store.saveMatches([match(1), match(2), match(3)]), { written: 0, deleted: 0 });
+        assert.deepEqual(store.saveMatches([match(1), match(2, { time: '22:00' })]), { written: 1, deleted: 1 });
+
+        assert.deepEqual(store.loadMatches(), [match(1), match(2, { time: '22:00' })]);
+    } finally {
+        store.close();
+    }
+});
+
+test('SQLite vuelve a leer la base después de un upsert del importador', () => {
+    const store = openStore();
+    try {
+        store.saveMatches([match(1)]);
+        store.upsertMatches([match(2)]);
+
+        // El partido 2 no está en la lista: el guardado lo borra aunque no lo haya escrito este store
+        assert.deepEqual(store.saveMatches([match(1)]), { written: 0, deleted: 1 });
+        assert.deepEqual(store.loadMatches().map(m => m.id), [1]);
+    } finally {
+        store.close();
+    }
+});
+
+test('el importador ignora y reporta los registros incompletos', () => {
+    const jsonFile = path.join(tempDir, 'import.json');
+    fs.writeFileSync(jsonFile, JSON.stringify([match(1), match(2, { torneo: '' }), { id: 3, date: '2026-03-12', time: '21:00' }, null]));
+
+    const store = openStore();
+    try {
+        const result = importMatchesFromJson(store, jsonFile);
+        assert.equal(result.imported, 1);
+        assert.deepEqual(result.invalid, [
+            { index: 1, id: 2, missing: ['torneo'] },
+            { index: 2, id: 3, missing: ['equipo1', 'equipo2', 'torneo'] },
+            { index: 3, id: null, missing: ['id', 'equipo1', 'equipo2', 'torneo', 'date', 'time'] }
+        ]);
+        assert.deepEqual(store.loadMatches().map(m => m.id), [1]);
+
+        assert.equal(importMatchesFromJson(store, jsonFile).skipped, true);
+    } finally {
+        store.close();
+    }
+});
+
+test('un MATCH_STORAGE desconocido no cae a JSON', () => {
+    assert.throws(() => createMatchStore({ rootDir: tempDir, type: 'postgres' }), /MATCH_STORAGE="postgres" no reconocido/);
+});
+
+test('una fila ilegible corta la carga sin dar la tabla por vacía', () => {
+    const store = openStore();
+    try {
+        store.saveMatches([match(1), match(2)]);
+        store.db.prepare("UPDATE matches SET data = '{roto' WHERE id = 2").run();
+
+        const reopened = new SqliteMatchStore({ dbFile: store.dbFile });
+        try {
+            assert.throws(() => reopened.loadMatches(), /partido 2 ilegible.*copia de la base guardada en .*\.corrupto-\d+/);
+            assert.equal(reopened.persisted, null);
+            assert.equal(fs.readdirSync(tempDir).filter(name => name.startsWith(`${path.basename(store.dbFile)}.corrupto-`)).length, 1);
+        } finally {
+            reopened.close();
+        }
+    } finally {
+        store.close();
+    }
+});
+
+test('el bot no sigue con un calendario vacío si matches.json está dañado', () => {
+    const { createTestBot } = require('./helpers/testBot');
+    const { bot } = createTestBot();
+    const dataFile = path.join(process.env.DATA_DIR, 'matches.json');
+    fs.writeFileSync(dataFile, '[{"id": 1,');
+
+    assert.throws(() => bot.guildContext(null), /No se pudieron leer los partidos: matches\.json ilegible/);
+    assert.equal(fs.readFileSync(dataFile, 'utf8'), '[{"id": 1,');
+    assert.equal(fs.readdirSync(process.env.DATA_DIR).filter(name => name.startsWith('matches.json.corrupto-')).length, 1);
+});
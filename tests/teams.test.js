@@ -0,0 +1,42 @@
+// Registro de equipos: IDs únicos y no vacíos, resolución por nombre, tag o alias
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TeamRegistry } = require('../league/teams');
+
+const NOW = Date.parse('2026-03-12T15:00:00Z');
+
+function createTeams() {
+    return new TeamRegistry({ loadCollection: () => null, saveCollection: () => {} }, { now: () => NOW });
+}
+
+test('un nombre que da el mismo ID que otro equipo se rechaza', () => {
+    const teams = createTeams();
+    const river = teams.create({ name: 'River Plate', tag: 'CARP' });
+    assert.equal(river.team.id, 'river-plate');
+    assert.equal(river.team.createdAt, '2026-03-12T15:00:00.000Z');
+
+    const clash = teams.create({ name: 'River Plate.', tag: 'RP' });
+    assert.equal(clash.success, false);
+    assert.match(clash.message, /se confunde con el equipo \*\*River Plate\*\*/);
+    assert.equal(teams.list().length, 1);
+});
+
+test('un nombre sin letras ni números toma el ID del tag', () => {
+    const teams = createTeams();
+    assert.equal(teams.create({ name: '🔥', tag: 'FGO' }).team.id, 'fgo');
+
+    const empty = teams.create({ name: '⚽', tag: '⚽' });
+    assert.equal(empty.success, false);
+    assert.match(empty.message, /al menos una letra o un número/);
+});
+
+test('se resuelve por nombre, tag o alias sin importar mayúsculas ni acentos', () => {
+    const teams = createTeams();
+    const { team } = teams.create({ name: 'Atlético Tucumán', tag: 'CAT' });
+    teams.addAlias('CAT', 'Decano');
+
+    for (const input of ['atletico tucuman', 'cat', 'DECANO']) {
+        assert.equal(teams.resolve(input), team, input);
+    }
+    assert.equal(teams.create({ name: 'Decano', tag: 'DEC' }).success, false);
+});
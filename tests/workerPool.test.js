@@ -0,0 +1,44 @@
+// Consultas en paralelo: límite de simultáneas, resultados en orden y tiempo límite
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mapWithPool, withTimeout } = require('../monitoring/workerPool');
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+test('nunca corre más trabajos que la concurrencia pedida', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const outcomes = await mapWithPool([30, 10, 20, 5, 15], async ms => {
+        running++;
+        peak = Math.max(peak, running);
+        await delay(ms);
+        running--;
+        return ms * 2;
+    }, { concurrency: 2 });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(outcomes, [{ value: 60 }, { value: 20 }, { value: 40 }, { value: 10 }, { value: 30 }]);
+});
+
+test('cada resultado se entrega apenas llega y un error no frena al resto', async () => {
+    const settled = [];
+
+    const outcomes = await mapWithPool(['lento', 'roto', 'rapido'], async name => {
+        if (name === 'roto') throw new Error('sin respuesta');
+        await delay(name === 'lento' ? 40 : 5);
+        return name;
+    }, { concurrency: 3, onSettled: (outcome, index) => settled.push(index) });
+
+    assert.deepEqual(settled, [1, 2, 0]);
+    assert.equal(outcomes[1].error.message, 'sin respuesta');
+    assert.equal(outcomes[0].value, 'lento');
+});
+
+test('un trabajo que no termina a tiempo cuenta como error', async () => {
+    const outcomes = await mapWithPool([5, 200], ms => delay(ms, ms), { timeout: 50 });
+
+    assert.deepEqual(outcomes[0], { value: 5 });
+    assert.match(outcomes[1].error.message, /Timeout de 0.05s/);
+    assert.equal(await withTimeout(Promise.resolve('sin límite'), null), 'sin límite');
+});